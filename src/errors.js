@@ -0,0 +1,99 @@
+/**
+ * errors.js
+ *
+ * This module defines the typed errors thrown by the service and storage layers.
+ * Each class carries the HTTP status it maps to and every error a stable, machine-readable
+ * `code`, so the error-handling middleware can build a response without inspecting messages.
+ * Messages are written for humans and may change; clients should rely on `code`.
+ */
+
+/**
+ * Base class of all errors that describe an expected failure of a request.
+ * Anything else reaching the error-handling middleware is treated as an internal error.
+ */
+export class AppError extends Error {
+  /** @type {number} HTTP status reported for this kind of error. */
+  static status = 500;
+  /** @type {string} Code used when the thrower does not provide a more specific one. */
+  static defaultCode = 'internal_error';
+
+  /**
+   * Creates an instance of AppError.
+   *
+   * @param {string} message - A human-readable description of the failure.
+   * @param {Object} [options={}] - Error options.
+   * @param {string} [options.code] - The stable machine-readable code. Defaults to the class's default code.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, { code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.status = new.target.status;
+    this.code = code ?? new.target.defaultCode;
+  }
+}
+
+/**
+ * The request is malformed or fails validation (400).
+ * `errors` lists the offending fields, so clients can show each message next to its input.
+ */
+export class ValidationError extends AppError {
+  static status = 400;
+  static defaultCode = 'validation_failed';
+
+  /**
+   * Creates an instance of ValidationError.
+   *
+   * @param {string} message - A human-readable description of the failure.
+   * @param {Object} [options={}] - Error options.
+   * @param {string} [options.code] - The stable machine-readable code. Defaults to 'validation_failed'.
+   * @param {string} [options.field] - The single invalid field; shorthand for `errors: [{ field, message }]`.
+   * @param {Array<{field: string, message: string}>} [options.errors] - All invalid fields with their messages.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, { code, field, errors, cause } = {}) {
+    super(message, { code, cause });
+    /** @type {Array<{field: string, message: string}>} */
+    this.errors = errors ?? (field ? [{ field, message }] : []);
+  }
+}
+
+/**
+ * The request needs a valid session or credentials (401).
+ */
+export class UnauthorizedError extends AppError {
+  static status = 401;
+  static defaultCode = 'unauthorized';
+}
+
+/**
+ * The authenticated user may not perform the operation, or not at this time (403).
+ */
+export class ForbiddenError extends AppError {
+  static status = 403;
+  static defaultCode = 'forbidden';
+}
+
+/**
+ * The requested resource does not exist (404).
+ */
+export class NotFoundError extends AppError {
+  static status = 404;
+  static defaultCode = 'not_found';
+}
+
+/**
+ * The request conflicts with the current state of the resource (409).
+ */
+export class ConflictError extends AppError {
+  static status = 409;
+  static defaultCode = 'conflict';
+}
+
+/**
+ * The client has used up a request budget and must wait before retrying (429).
+ */
+export class TooManyRequestsError extends AppError {
+  static status = 429;
+  static defaultCode = 'rate_limited';
+}
@@ -0,0 +1,58 @@
+/**
+ * issuePasswordSetupCodes.js
+ *
+ * This module issues one-time password setup codes to the accounts that were created before
+ * passwords existed and so have no password to log in with. Each user sets their password with
+ * their code at `POST /auth/password-setup`. Run it directly while the server is stopped, since
+ * a running server would overwrite the codes with its cached users on its next write:
+ *
+ *   node src/issuePasswordSetupCodes.js [dataDir] [username...]
+ *
+ * Without usernames, every account without a password gets a new code. The storage backend is
+ * chosen by STORAGE_BACKEND like in the server. The codes are printed once and never stored.
+ */
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { UserService } from './services/UserService.js';
+import { JsonFileUserStorage } from './storage/JsonFileUserStorage.js';
+import { SqliteUserStorage } from './storage/SqliteUserStorage.js';
+
+/**
+ * Issues password setup codes to the users of a data directory.
+ *
+ * @async
+ * @param {string} dataDir - The directory holding `users.json` or `pollbuilder.db`.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {boolean} [options.sqlite=false] - Read the users from the SQLite database instead of the JSON file.
+ * @param {Array<string>} [options.usernames] - The users to issue codes to. Defaults to every user without a password.
+ * @returns {Promise<Array<{username: string, code: string, expiresAt: string}>>} The issued codes.
+ * @throws {NotFoundError|ConflictError} If a given user does not exist or already has a password.
+ * @throws {Error} If the storage cannot be read or written.
+ */
+export async function issuePasswordSetupCodes(dataDir, { sqlite = false, usernames } = {}) {
+  const userStorage = sqlite ? new SqliteUserStorage(path.join(dataDir, 'pollbuilder.db')) : new JsonFileUserStorage(dataDir);
+  try {
+    return await new UserService(userStorage).issuePasswordSetupCodes(usernames);
+  } finally {
+    await userStorage.close?.();
+  }
+}
+
+// --- Direct Execution ---
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const defaultDataDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+  const dataDir = process.argv[2] || defaultDataDir;
+  const usernames = process.argv.length > 3 ? process.argv.slice(3) : undefined;
+
+  issuePasswordSetupCodes(dataDir, { sqlite: process.env.STORAGE_BACKEND === 'sqlite', usernames })
+    .then(codes => {
+      codes.forEach(({ username, code, expiresAt }) => console.log(`${username}\t${code}\t(valid until ${expiresAt})`));
+      console.log(`Issued ${codes.length} password setup codes`);
+    })
+    .catch(error => {
+      console.error('Issuing password setup codes failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,76 @@
+/**
+ * auth.js
+ *
+ * This module provides the Express middleware used to identify the acting user.
+ * `createAuthMiddleware` resolves a bearer token to a user on every request, and
+ * `requireAuth` guards routes that must only be reached by a logged-in user.
+ */
+
+import { UnauthorizedError } from '../errors.js';
+
+/**
+ * Extracts the bearer token from the Authorization header of a request.
+ *
+ * @param {import('express').Request} req - Express request object.
+ * @returns {string|null} The token, or null if no bearer token was sent.
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Creates a middleware that authenticates requests carrying a bearer token.
+ * On success `req.user` holds the public user object and `req.sessionToken` the raw token.
+ * Requests without an Authorization header pass through anonymously; requests with an
+ * invalid or expired token are rejected with 401 (code 'invalid_token').
+ *
+ * @param {import('../services/AuthService.js').AuthService} authService - An instance of the AuthService used to resolve tokens.
+ * @returns {import('express').RequestHandler} The authentication middleware.
+ * @throws {Error} If authService is not provided.
+ */
+export function createAuthMiddleware(authService) {
+  if (!authService) {
+    throw new Error('createAuthMiddleware requires a valid authService instance.');
+  }
+
+  return async (req, res, next) => {
+    if (!req.get('Authorization')) {
+      return next();
+    }
+    try {
+      const token = getBearerToken(req);
+      const user = token ? await authService.getUserForToken(token) : null;
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return next(new UnauthorizedError('Invalid or expired session token', { code: 'invalid_token' }));
+      }
+      req.user = user;
+      req.sessionToken = token;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Middleware that rejects requests which were not authenticated by `createAuthMiddleware`
+ * with 401 (code 'authentication_required').
+ *
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(new UnauthorizedError('Authentication required: send a valid bearer token', { code: 'authentication_required' }));
+  }
+  next();
+}
@@ -0,0 +1,88 @@
+/**
+ * problemDetails.js
+ *
+ * This module provides the Express middleware that turns errors into RFC 7807 problem details
+ * (`application/problem+json`). Routes don't handle errors themselves: whatever a handler or
+ * service throws reaches `problemDetailsHandler`, which maps the typed errors of `../errors.js`
+ * to their status and code. Any other error is logged and reported as a generic 500.
+ */
+
+import { STATUS_CODES } from 'http';
+import { AppError, NotFoundError } from '../errors.js';
+
+// Media type of RFC 7807 error responses
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Converts an error into the fields of a problem details response.
+ *
+ * @param {Error} error - The error passed to the error-handling middleware.
+ * @returns {{status: number, code: string, detail: string, errors?: Array<{field: string, message: string}>}} The problem fields.
+ */
+function describeError(error) {
+  if (error instanceof AppError) {
+    const problem = { status: error.status, code: error.code, detail: error.message };
+    if (error.errors?.length) {
+      problem.errors = error.errors;
+    }
+    return problem;
+  }
+  // Errors raised by express.json() while reading the request body
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'invalid_json', detail: 'Request body is not valid JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, code: 'payload_too_large', detail: 'Request body is too large' };
+  }
+
+  console.error('Unhandled Error:', error.stack || error);
+  return {
+    status: 500,
+    code: 'internal_error',
+    // Only development builds reveal the message of unexpected errors
+    detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  };
+}
+
+/**
+ * Error-handling middleware that responds with RFC 7807 problem details.
+ * The body holds `type`, `title`, `status`, `detail` and `instance`, plus the extension members
+ * `code` (stable and machine-readable) and, for validation errors, `errors` (one entry per invalid field).
+ * Must be registered after all routes.
+ *
+ * @param {Error} err - The error thrown or passed to `next` by an earlier handler.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export function problemDetailsHandler(err, req, res, next) {
+  // A response that has already started (e.g. a result stream) can only be aborted
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { status, code, detail, errors } = describeError(err);
+  res.status(status).type(PROBLEM_CONTENT_TYPE).json({
+    type: 'about:blank',
+    title: STATUS_CODES[status],
+    status,
+    detail,
+    instance: req.originalUrl,
+    code,
+    ...(errors && { errors })
+  });
+}
+
+/**
+ * Middleware for requests that matched no route. Must be registered after all routes and
+ * before `problemDetailsHandler`.
+ *
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`, { code: 'route_not_found' }));
+}
@@ -0,0 +1,128 @@
+/**
+ * rateLimit.js
+ *
+ * This module provides the rate limiting middleware for the write endpoints. Each budget
+ * (user creation, poll creation, voting) allows a number of requests per client IP and per
+ * authenticated user within a fixed window. Responses carry `RateLimit-*` headers describing
+ * the budget, and requests over it are rejected with 429 and a `Retry-After` header.
+ * The counters live in a `RateLimitStore`, so several processes can share them.
+ */
+
+import { TooManyRequestsError } from '../errors.js';
+
+// The budgets and their default limits. `perIp` and `perUser` are request counts per window; null disables that limit.
+// Creating a user is usually anonymous, so only the IP is limited.
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+  userCreation: Object.freeze({ windowMs: 60 * 60_000, perIp: 50, perUser: null }),
+  pollCreation: Object.freeze({ windowMs: 60 * 60_000, perIp: 200, perUser: 100 }),
+  voting: Object.freeze({ windowMs: 60_000, perIp: 300, perUser: 60 })
+});
+
+/**
+ * Builds the rate limits from a JSON configuration, e.g. the `RATE_LIMITS` environment variable.
+ * The configuration may set any field of any budget; the rest keep their defaults.
+ *
+ * @param {string} [json] - The configuration, e.g. '{"voting":{"perUser":20}}'. Empty or omitted for the defaults.
+ * @returns {Object<string, {windowMs: number, perIp: ?number, perUser: ?number}>} The limits of every budget.
+ * @throws {Error} If the configuration is not valid JSON, names an unknown budget or field, or sets a limit that is not a positive integer.
+ */
+export function parseRateLimits(json) {
+  let overrides = {};
+  if (json && json.trim() !== '') {
+    try {
+      overrides = JSON.parse(json);
+    } catch (parseError) {
+      throw new Error(`Invalid rate limit configuration: ${parseError.message}`);
+    }
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid rate limit configuration: expected an object of budgets');
+  }
+
+  for (const [name, budget] of Object.entries(overrides)) {
+    if (!DEFAULT_RATE_LIMITS[name]) {
+      throw new Error(`Invalid rate limit configuration: unknown budget '${name}'`);
+    }
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+      throw new Error(`Invalid rate limit configuration: '${name}' must be an object`);
+    }
+    for (const [field, value] of Object.entries(budget)) {
+      if (!(field in DEFAULT_RATE_LIMITS[name])) {
+        throw new Error(`Invalid rate limit configuration: unknown field '${name}.${field}'`);
+      }
+      const nullable = field !== 'windowMs';
+      if (!(Number.isInteger(value) && value > 0) && !(nullable && value === null)) {
+        throw new Error(`Invalid rate limit configuration: '${name}.${field}' must be a positive integer${nullable ? ' or null' : ''}`);
+      }
+    }
+  }
+  return Object.fromEntries(Object.entries(DEFAULT_RATE_LIMITS).map(([name, defaults]) => [name, { ...defaults, ...overrides[name] }]));
+}
+
+/**
+ * Creates a middleware that counts requests against a budget, per client IP (`req.ip`) and,
+ * once `createAuthMiddleware` has identified the user, per user. The `RateLimit-Limit`,
+ * `RateLimit-Remaining`, `RateLimit-Reset` (seconds) and `RateLimit-Policy` headers describe
+ * whichever of the two counters has the fewest requests left. A request over either limit is
+ * passed on as a TooManyRequestsError (code 'rate_limited') with `Retry-After` set.
+ * Rejected requests count too. If the store fails, the request is let through and the error logged.
+ * A request counts once unless `options.cost` says otherwise, e.g. an import counts each poll it creates.
+ *
+ * @param {string} budgetName - The name of the budget, which prefixes the counter keys (e.g. 'voting').
+ * @param {{windowMs: number, perIp: ?number, perUser: ?number}} budget - The limits of the budget.
+ * @param {import('../storage/RateLimitStore.js').RateLimitStore} store - The store keeping the counters.
+ * @param {Object} [options] - Optional settings.
+ * @param {function(import('express').Request): number} [options.cost] - How much a request counts against the budget; 1 by default.
+ * @returns {import('express').RequestHandler} The rate limiting middleware.
+ * @throws {Error} If the budget or store is not provided or invalid.
+ */
+export function createRateLimit(budgetName, budget, store, { cost = () => 1 } = {}) {
+  if (!budget || !Number.isInteger(budget.windowMs) || budget.windowMs <= 0) {
+    throw new Error('createRateLimit requires a budget with a positive windowMs.');
+  }
+  if (!store || typeof store.increment !== 'function') {
+    throw new Error('createRateLimit requires a valid store instance.');
+  }
+  const windowSeconds = Math.ceil(budget.windowMs / 1000);
+
+  return async (req, res, next) => {
+    const counters = [];
+    if (budget.perIp !== null) {
+      counters.push({ key: `${budgetName}:ip:${req.ip}`, limit: budget.perIp });
+    }
+    if (budget.perUser !== null && req.user) {
+      counters.push({ key: `${budgetName}:user:${req.user.username}`, limit: budget.perUser });
+    }
+    if (counters.length === 0) {
+      return next();
+    }
+
+    const requestCost = cost(req);
+    let counted;
+    try {
+      counted = await Promise.all(counters.map(async counter => ({ ...counter, ...(await store.increment(counter.key, budget.windowMs, requestCost)) })));
+    } catch (storeError) {
+      console.error(`Rate limit store error for ${budgetName}, letting the request through:`, storeError);
+      return next();
+    }
+
+    const now = Date.now();
+    const secondsUntil = resetAt => Math.max(0, Math.ceil((resetAt - now) / 1000));
+    const remaining = counter => Math.max(0, counter.limit - counter.count);
+    const tightest = counted.reduce((a, b) => (remaining(b) < remaining(a) ? b : a));
+    res.set({
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(remaining(tightest)),
+      'RateLimit-Reset': String(secondsUntil(tightest.resetAt)),
+      'RateLimit-Policy': `${tightest.limit};w=${windowSeconds}`
+    });
+
+    const exceeded = counted.filter(counter => counter.count > counter.limit);
+    if (exceeded.length > 0) {
+      const retryAfter = Math.max(1, ...exceeded.map(counter => secondsUntil(counter.resetAt)));
+      res.set('Retry-After', String(retryAfter));
+      return next(new TooManyRequestsError(`Too many requests: try again in ${retryAfter} seconds`));
+    }
+    next();
+  };
+}
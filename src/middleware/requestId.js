@@ -0,0 +1,41 @@
+/**
+ * requestId.js
+ *
+ * This module gives every request an ID. The ID is sent back in the `X-Request-Id` header and
+ * stays available to code the request runs, such as event listeners, through `getRequestId`,
+ * without being passed through the service calls.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+
+// Client-supplied IDs are kept if they are short and printable; others are replaced
+const REQUEST_ID_PATTERN = /^[\x21-\x7e]{1,200}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Middleware that assigns the request ID: the client's `X-Request-Id` header if it is valid,
+ * a new UUID otherwise. Sets `req.id` and the response header, and runs the rest of the
+ * request in a context that `getRequestId` reads from.
+ *
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export function requestId(req, res, next) {
+  const sent = req.get('X-Request-Id');
+  req.id = sent && REQUEST_ID_PATTERN.test(sent) ? sent : uuidv4();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+/**
+ * Returns the ID of the request the caller runs on behalf of.
+ *
+ * @returns {string|null} The request ID, or null outside of a request (e.g. in timers started at startup).
+ */
+export function getRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
@@ -0,0 +1,149 @@
+/**
+ * validateRequest.js
+ *
+ * This module provides the middleware that validates requests against the JSON Schemas of the
+ * operation they target (see `../openapi/operations.js`). Invalid requests are rejected with a
+ * `ValidationError` listing every offending field, before the route handler runs.
+ */
+
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { SCHEMAS } from '../openapi/schemas.js';
+import { ValidationError } from '../errors.js';
+
+// Key under which the component schemas are registered, so `#/components/schemas/...` references resolve
+const COMPONENTS_KEY = 'pollbuilder.json';
+
+/**
+ * Creates an Ajv instance that knows the component schemas.
+ *
+ * @param {Object} [options={}] - Additional Ajv options.
+ * @returns {Ajv2020} The Ajv instance.
+ */
+function createAjv(options = {}) {
+  const ajv = new Ajv2020({ allErrors: true, verbose: true, allowUnionTypes: true, ...options });
+  addFormats(ajv);
+  // `components` is no JSON Schema keyword; declaring it lets the schemas be registered as one document
+  ajv.addKeyword('components');
+  ajv.addSchema({ components: { schemas: SCHEMAS } }, COMPONENTS_KEY);
+  return ajv;
+}
+
+// Bodies are validated as sent. Query and path parameters always arrive as strings,
+// so their validator converts them to the documented types first (on a copy of the values).
+const bodyAjv = createAjv();
+const parameterAjv = createAjv({ coerceTypes: true });
+
+/**
+ * Returns the validation function of a component schema.
+ *
+ * @param {string} name - The name of the schema in `SCHEMAS`.
+ * @returns {import('ajv').ValidateFunction} The validation function; after a failed call its `errors` describe the failures.
+ * @throws {Error} If no schema with that name exists.
+ */
+export function getSchemaValidator(name) {
+  if (!SCHEMAS[name]) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+  return bodyAjv.getSchema(`${COMPONENTS_KEY}#/components/schemas/${name}`);
+}
+
+/**
+ * Compiles the validator of one parameter location ('path' or 'query') of an operation.
+ *
+ * @param {Array<Object>} parameters - The operation's OpenAPI parameter objects.
+ * @param {string} location - The parameter location.
+ * @returns {?import('ajv').ValidateFunction} The validation function, or null if the operation has no such parameters.
+ */
+function compileParameters(parameters = [], location) {
+  const matching = parameters.filter(param => param.in === location);
+  if (matching.length === 0) {
+    return null;
+  }
+  return parameterAjv.compile({
+    type: 'object',
+    properties: Object.fromEntries(matching.map(param => [param.name, param.schema])),
+    required: matching.filter(param => param.required).map(param => param.name)
+  });
+}
+
+/**
+ * Converts an Ajv error into a `{ field, message }` entry.
+ * Fields are named by their path within the validated value (e.g. 'options.1'); errors about
+ * the value as a whole are reported for the location itself ('body').
+ *
+ * @param {import('ajv').ErrorObject} error - The Ajv error (compiled with `verbose`).
+ * @param {string} location - Where the value came from: 'body', 'query' or 'path'.
+ * @returns {{field: string, message: string}} The entry.
+ */
+function describeError(error, location) {
+  const path = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') {
+    path.push(error.params.missingProperty);
+  }
+  const field = path.join('.') || location;
+
+  switch (error.keyword) {
+    case 'required':
+      return { field, message: `${field} is required` };
+    case 'enum':
+      return { field, message: `${field} must be one of ${error.params.allowedValues.join(', ')}` };
+    case 'anyOf':
+      // Alternatives that each require a field, e.g. the selection of a vote
+      if (error.schema.every(branch => branch.required)) {
+        const names = error.schema.flatMap(branch => branch.required);
+        return { field, message: `one of ${names.join(', ')} is required` };
+      }
+      return { field, message: `${field} ${error.message}` };
+    default:
+      return { field, message: `${field} ${error.message}` };
+  }
+}
+
+/**
+ * Converts the errors of a failed validation into `{ field, message }` entries.
+ * Errors inside the alternatives of `anyOf`/`oneOf` are left out; the error of the
+ * combinator itself describes them.
+ *
+ * @param {Array<import('ajv').ErrorObject>} errors - The Ajv errors.
+ * @param {string} location - Where the value came from: 'body', 'query' or 'path'.
+ * @returns {Array<{field: string, message: string}>} The entries.
+ */
+function describeErrors(errors, location) {
+  return errors
+    .filter(error => !/\/(anyOf|oneOf)\/\d+\//.test(error.schemaPath))
+    .map(error => describeError(error, location));
+}
+
+/**
+ * Creates middleware that validates the path parameters, query parameters and body of a
+ * request against the schemas of an operation. The request is left unchanged; handlers
+ * still receive the raw values.
+ *
+ * @param {Object} operation - An entry of `OPERATIONS`.
+ * @returns {import('express').RequestHandler} The validation middleware.
+ */
+export function validateRequest(operation) {
+  const validators = [
+    ['path', compileParameters(operation.parameters, 'path'), req => ({ ...req.params })],
+    ['query', compileParameters(operation.parameters, 'query'), req => ({ ...req.query })],
+    // Bodies documented as a full request body object (e.g. file uploads) are checked by their route
+    ['body', typeof operation.requestBody === 'string' && getSchemaValidator(operation.requestBody), req => req.body ?? {}]
+  ].filter(([, validate]) => validate);
+
+  return (req, res, next) => {
+    const errors = [];
+    for (const [location, validate, select] of validators) {
+      if (!validate(select(req))) {
+        errors.push(...describeErrors(validate.errors, location));
+      }
+    }
+    if (errors.length > 0) {
+      return next(new ValidationError(`Invalid request: ${errors.map(error => error.message).join('; ')}`, {
+        code: operation.errorCode,
+        errors
+      }));
+    }
+    next();
+  };
+}
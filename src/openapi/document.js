@@ -0,0 +1,116 @@
+/**
+ * document.js
+ *
+ * This module builds the OpenAPI 3.1 document of the API from the operation table
+ * (`operations.js`) and the component schemas (`schemas.js`). The document is served at
+ * `GET /openapi.json` and rendered by the docs page at `/docs`.
+ */
+
+import { readFileSync } from 'fs';
+import { SCHEMAS, schemaRef } from './schemas.js';
+import { OPERATIONS } from './operations.js';
+import { PROBLEM_CONTENT_TYPE } from '../middleware/problemDetails.js';
+
+const packageJson = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Descriptions of the tags operations are grouped by, in display order
+const TAGS = [
+  { name: 'Auth', description: 'Sessions and bearer tokens.' },
+  { name: 'Users', description: 'User accounts and their polls and votes.' },
+  { name: 'Groups', description: 'Groups of users that polls can be restricted to.' },
+  { name: 'Polls', description: 'Creating, listing, editing and closing polls, and who may see them.' },
+  { name: 'Votes', description: "The authenticated user's vote in a poll." },
+  { name: 'Results', description: 'Tallies, once or as a live stream.' },
+  { name: 'Comments', description: 'Comment threads on polls.' },
+  { name: 'Import', description: 'Many polls at once from CSV, JSON, Google Forms or Typeform files.' },
+  { name: 'Export', description: 'Results and ballots as CSV, JSON Lines or XLSX files.' },
+  { name: 'Webhooks', description: 'Events posted to other systems.' },
+  { name: 'Audit', description: 'The record of who changed what.' }
+];
+
+/**
+ * Builds the OpenAPI description of a response.
+ *
+ * @param {string|{description: string, schema: ?string, mediaType?: string|Array<string>}} response - An entry of an operation's `responses`.
+ *   A string describes an error response.
+ * @returns {Object} The OpenAPI response object.
+ */
+function buildResponse(response) {
+  if (typeof response === 'string') {
+    return {
+      description: response,
+      content: { [PROBLEM_CONTENT_TYPE]: { schema: schemaRef('Problem') } }
+    };
+  }
+  const { description, schema, mediaType = 'application/json' } = response;
+  const mediaTypes = Array.isArray(mediaType) ? mediaType : [mediaType];
+  return {
+    description,
+    content: Object.fromEntries(mediaTypes.map(type => [type, schema ? { schema: schemaRef(schema) } : {}]))
+  };
+}
+
+/**
+ * Builds the OpenAPI operation object of an operation table entry.
+ *
+ * @param {string} operationId - The key of the entry in `OPERATIONS`.
+ * @param {Object} operation - The entry.
+ * @returns {Object} The OpenAPI operation object.
+ */
+function buildOperation(operationId, operation) {
+  const responses = { ...operation.responses };
+  if (operation.auth) {
+    responses[401] = "No valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.";
+  }
+  if (operation.rateLimit) {
+    responses[429] = `The ${operation.rateLimit} budget of the client IP or the user is used up. Code 'rate_limited'; \`Retry-After\` gives the seconds to wait.`;
+  }
+  responses[500] = "An unexpected error occurred. Code 'internal_error'.";
+
+  return {
+    operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(operation.description && { description: operation.description }),
+    ...(operation.auth && { security: [{ bearerAuth: [] }] }),
+    ...(operation.parameters && { parameters: operation.parameters }),
+    ...(operation.requestBody && {
+      requestBody: typeof operation.requestBody === 'string'
+        ? { required: true, content: { 'application/json': { schema: schemaRef(operation.requestBody) } } }
+        : operation.requestBody
+    }),
+    responses: Object.fromEntries(Object.entries(responses)
+      .sort(([a], [b]) => a - b)
+      .map(([status, response]) => [status, buildResponse(response)]))
+  };
+}
+
+/**
+ * Builds the OpenAPI 3.1 document describing every operation in `OPERATIONS`.
+ *
+ * @returns {Object} The OpenAPI document, ready to be served as JSON.
+ */
+export function buildOpenApiDocument() {
+  const paths = {};
+  for (const [operationId, operation] of Object.entries(OPERATIONS)) {
+    paths[operation.path] ??= {};
+    paths[operation.path][operation.method] = buildOperation(operationId, operation);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PollBuilder API',
+      version: packageJson.version,
+      description: `Create polls, vote and follow the results. Errors are RFC 7807 problem details (\`${PROBLEM_CONTENT_TYPE}\`) with a stable \`code\`.`
+    },
+    tags: TAGS,
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'The token returned by `POST /auth/login`.' }
+      }
+    }
+  };
+}
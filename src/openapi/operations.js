@@ -0,0 +1,767 @@
+/**
+ * operations.js
+ *
+ * This module describes every operation of the API: its method and path, parameters, request
+ * body and responses. The table is the single source for both the OpenAPI document
+ * (`buildOpenApiDocument`) and request validation: routes pass their entry to `validateRequest`,
+ * so what is documented is what is enforced.
+ *
+ * Schemas are referenced by their name in `SCHEMAS`. A response given as a string is an error
+ * response (a `Problem` document) with that description; 500 responses are added to every operation,
+ * 401 responses to those with `auth`, and 429 responses to those with a `rateLimit` budget (see `DEFAULT_RATE_LIMITS`).
+ * A `requestBody` given as a schema name is a JSON body that is validated; one given as an object
+ * is an OpenAPI request body object, documented as-is and checked by the route itself.
+ */
+
+import { POLL_STATUSES, USER_POLL_POLICIES, USER_VOTE_POLICIES } from '../services/PollService.js';
+import { POLL_SORTS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../services/pollListing.js';
+import { TALLY_METHODS } from '../services/rankedTally.js';
+import { TIMELINE_BUCKETS } from '../services/resultsTimeline.js';
+import { EXPORT_FORMATS, EXPORT_CONTENT_TYPES } from '../routes/exportFormats.js';
+import { IMPORT_FORMATS } from '../services/pollImport.js';
+import { WEBHOOK_EVENTS } from '../services/WebhookService.js';
+import { schemaRef } from './schemas.js';
+
+const pollIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'The poll ID.' };
+const webhookIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'The webhook ID.' };
+const commentIdParam = { name: 'commentId', in: 'path', required: true, schema: { type: 'string' }, description: 'The comment ID.' };
+const usernameParam = { name: 'username', in: 'path', required: true, schema: { type: 'string' } };
+const groupIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'The group ID.' };
+
+// Query parameters shared by the poll list endpoints (see `parsePollListQuery`)
+const pollListParams = [
+  { name: 'createdBy', in: 'query', schema: { type: 'string' }, description: 'Only polls created by this user.' },
+  { name: 'votedBy', in: 'query', schema: { type: 'string' }, description: 'Only polls this user voted in.' },
+  { name: 'notVotedBy', in: 'query', schema: { type: 'string' }, description: 'Only polls this user has not voted in.' },
+  { name: 'minVotes', in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'Only polls with at least this many voters.' },
+  { name: 'status', in: 'query', schema: { enum: POLL_STATUSES } },
+  { name: 'sort', in: 'query', schema: { enum: POLL_SORTS, default: 'newest' } },
+  { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE } },
+  { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'The `nextCursor` of the previous page.' }
+];
+
+const pollListResponses = {
+  200: { description: 'One page of polls.', schema: 'PollPage' },
+  400: "A query parameter or the cursor is invalid. Code 'validation_failed'."
+};
+
+const exportFormatParam = { name: 'format', in: 'query', schema: { enum: EXPORT_FORMATS, default: 'csv' } };
+
+// An export file: CSV and JSON Lines hold tally and ballot records, XLSX a sheet of each
+const exportResponse = {
+  description: 'The export file, as an attachment. Tally records list each option with its `measure` (votes, points or wins) and `count`; ballot records list each selected option of a voter with its `rank` in ranked polls.',
+  mediaType: Object.values(EXPORT_CONTENT_TYPES),
+  schema: null
+};
+
+const voteResponses = {
+  200: { description: 'The poll with the vote recorded.', schema: 'Poll' },
+  400: "The selection is missing, out of bounds, repeated, or outside the poll's selection limits. Code 'invalid_vote'."
+};
+
+/**
+ * The operations of the API, keyed by operation ID.
+ * `auth` marks operations that require a bearer token. `errorCode` overrides the code of
+ * request validation errors ('validation_failed' by default).
+ * @type {Object<string, Object>}
+ */
+export const OPERATIONS = {
+  // --- Auth ---
+
+  login: {
+    method: 'post',
+    path: '/auth/login',
+    tag: 'Auth',
+    summary: 'Log in',
+    description: 'Starts a session. Send the returned token as `Authorization: Bearer <token>`.',
+    requestBody: 'LoginRequest',
+    responses: {
+      200: { description: 'The new session.', schema: 'Session' },
+      400: "The username or password is missing. Code 'validation_failed'.",
+      401: "The credentials are invalid. Code 'invalid_credentials'."
+    }
+  },
+
+  setUpPassword: {
+    method: 'post',
+    path: '/auth/password-setup',
+    tag: 'Auth',
+    summary: 'Set the first password of an account',
+    description: 'For accounts created before passwords existed. Sets the password with the one-time code the operator issued (`npm run password-setup`) and starts a session like `POST /auth/login`.',
+    requestBody: 'PasswordSetupRequest',
+    responses: {
+      200: { description: 'The new session.', schema: 'Session' },
+      400: "A field is missing, or the password is too short. Code 'validation_failed'.",
+      401: "The code is wrong or expired, or the account already has a password. Code 'invalid_setup_code'."
+    }
+  },
+
+  logout: {
+    method: 'post',
+    path: '/auth/logout',
+    tag: 'Auth',
+    summary: 'Log out',
+    description: 'Ends the session of the bearer token sent with the request.',
+    auth: true,
+    responses: {
+      200: { description: 'The session was ended.', schema: 'Message' }
+    }
+  },
+
+  // --- Users ---
+
+  createUser: {
+    method: 'post',
+    path: '/users',
+    tag: 'Users',
+    summary: 'Create a user',
+    rateLimit: 'userCreation',
+    requestBody: 'CreateUserRequest',
+    responses: {
+      201: { description: 'The created user.', schema: 'User' },
+      400: "The username or password is missing or invalid. Code 'validation_failed'.",
+      409: "The username is already taken. Code 'username_taken'."
+    }
+  },
+
+  listUsers: {
+    method: 'get',
+    path: '/users',
+    tag: 'Users',
+    summary: 'List users',
+    description: "Users in alphabetical order of their username. Email addresses are only included in the authenticated user's own entry.",
+    parameters: [
+      { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Only users whose username or display name contains this text (case-insensitive).' },
+      ...pollListParams.filter(param => ['limit', 'cursor'].includes(param.name))
+    ],
+    responses: {
+      200: { description: 'One page of users.', schema: 'UserPage' },
+      400: "A query parameter or the cursor is invalid. Code 'validation_failed'."
+    }
+  },
+
+  getUser: {
+    method: 'get',
+    path: '/users/{username}',
+    tag: 'Users',
+    summary: 'Get the profile of a user',
+    description: 'The email address is only included when users look at their own profile.',
+    parameters: [usernameParam],
+    responses: {
+      200: { description: 'The profile.', schema: 'User' },
+      404: "The user does not exist. Code 'user_not_found'."
+    }
+  },
+
+  updateUser: {
+    method: 'patch',
+    path: '/users/{username}',
+    tag: 'Users',
+    summary: 'Edit the profile of a user',
+    description: 'Users can only edit their own profile.',
+    auth: true,
+    parameters: [usernameParam],
+    requestBody: 'UpdateUserRequest',
+    responses: {
+      200: { description: 'The updated user.', schema: 'User' },
+      400: "Nothing to update, or a field is too long or malformed. Code 'validation_failed', with the offending fields in `errors`.",
+      403: "The authenticated user is not the user being edited. Code 'not_profile_owner'.",
+      404: "The user does not exist. Code 'user_not_found'."
+    }
+  },
+
+  deleteUser: {
+    method: 'delete',
+    path: '/users/{username}',
+    tag: 'Users',
+    summary: 'Delete a user account',
+    description: "Users can only delete their own account. Their sessions end, their polls and votes are handled according to the policies, and they leave their groups. If deleting fails, the account and its data are left as they were.",
+    auth: true,
+    parameters: [
+      usernameParam,
+      { name: 'polls', in: 'query', schema: { enum: USER_POLL_POLICIES, default: 'delete' }, description: "Delete the user's polls, or transfer them to `transferTo`." },
+      { name: 'transferTo', in: 'query', schema: { type: 'string' }, description: "The new creator of the user's polls. Required for the 'transfer' policy." },
+      { name: 'votes', in: 'query', schema: { enum: USER_VOTE_POLICIES, default: 'remove' }, description: "Remove the user's votes from the tallies, or keep them under an anonymous voter key." }
+    ],
+    responses: {
+      200: { description: 'What was removed.', schema: 'AccountDeletion' },
+      400: "A policy is unknown, or `transferTo` is missing or names the user themselves. Code 'validation_failed'.",
+      403: "The authenticated user is not the user being deleted. Code 'not_profile_owner'.",
+      404: "The user or the `transferTo` user does not exist. Code 'user_not_found'."
+    }
+  },
+
+  listUserPolls: {
+    method: 'get',
+    path: '/users/{username}/polls',
+    tag: 'Users',
+    summary: 'List the polls created by a user',
+    parameters: [usernameParam, ...pollListParams.filter(param => param.name !== 'createdBy')],
+    responses: {
+      ...pollListResponses,
+      404: "The user does not exist. Code 'user_not_found'."
+    }
+  },
+
+  listUserVotes: {
+    method: 'get',
+    path: '/users/{username}/votes',
+    tag: 'Users',
+    summary: 'List the polls a user voted in',
+    parameters: [usernameParam, ...pollListParams.filter(param => param.name !== 'votedBy')],
+    responses: {
+      ...pollListResponses,
+      404: "The user does not exist. Code 'user_not_found'."
+    }
+  },
+
+  listUserGroups: {
+    method: 'get',
+    path: '/users/{username}/groups',
+    tag: 'Users',
+    summary: 'List the groups of a user',
+    parameters: [usernameParam],
+    responses: {
+      200: { description: 'The groups the user is a member of, by name.', schema: 'GroupList' },
+      404: "The user does not exist. Code 'user_not_found'."
+    }
+  },
+
+  // --- Groups ---
+
+  createGroup: {
+    method: 'post',
+    path: '/groups',
+    tag: 'Groups',
+    summary: 'Create a group',
+    description: 'The authenticated user becomes the owner and first member of the group.',
+    auth: true,
+    requestBody: 'CreateGroupRequest',
+    responses: {
+      201: { description: 'The created group.', schema: 'Group' },
+      400: "The group data is invalid or a member does not exist. Code 'validation_failed'."
+    }
+  },
+
+  getGroup: {
+    method: 'get',
+    path: '/groups/{id}',
+    tag: 'Groups',
+    summary: 'Get a group',
+    parameters: [groupIdParam],
+    responses: {
+      200: { description: 'The group.', schema: 'Group' },
+      404: "The group does not exist. Code 'group_not_found'."
+    }
+  },
+
+  addGroupMembers: {
+    method: 'post',
+    path: '/groups/{id}/members',
+    tag: 'Groups',
+    summary: 'Add members to a group',
+    description: 'Users who already belong to the group are ignored.',
+    auth: true,
+    parameters: [groupIdParam],
+    requestBody: 'AddMembersRequest',
+    responses: {
+      200: { description: 'The updated group.', schema: 'Group' },
+      400: "A username is missing or names a user that does not exist. Code 'validation_failed'.",
+      403: "The authenticated user is not the owner. Code 'not_group_owner'.",
+      404: "The group does not exist. Code 'group_not_found'."
+    }
+  },
+
+  removeGroupMember: {
+    method: 'delete',
+    path: '/groups/{id}/members/{username}',
+    tag: 'Groups',
+    summary: 'Remove a member from a group',
+    description: 'The owner may remove any other member; members may remove themselves to leave the group.',
+    auth: true,
+    parameters: [groupIdParam, usernameParam],
+    responses: {
+      200: { description: 'The updated group.', schema: 'Group' },
+      403: "The authenticated user is neither the owner nor the member. Code 'not_group_owner'.",
+      404: "The group does not exist (code 'group_not_found'), or the user is not a member (code 'member_not_found').",
+      409: "The member is the owner, who cannot leave the group. Code 'group_owner'."
+    }
+  },
+
+  // --- Polls ---
+
+  createPoll: {
+    method: 'post',
+    path: '/polls',
+    tag: 'Polls',
+    summary: 'Create a poll',
+    description: 'The authenticated user becomes the creator of the poll.',
+    auth: true,
+    rateLimit: 'pollCreation',
+    requestBody: 'CreatePollRequest',
+    responses: {
+      201: { description: 'The created poll.', schema: 'Poll' },
+      400: "The poll data is invalid. Code 'validation_failed', with the offending fields in `errors`."
+    }
+  },
+
+  listPolls: {
+    method: 'get',
+    path: '/polls',
+    tag: 'Polls',
+    summary: 'List polls',
+    description: 'Only the polls listed for the requester are included: unlisted polls only for their creator, private polls only for those allowed to see them.',
+    parameters: pollListParams,
+    responses: {
+      ...pollListResponses,
+      404: "A user filter names a user that does not exist. Code 'user_not_found'."
+    }
+  },
+
+  importPolls: {
+    method: 'post',
+    path: '/polls/import',
+    tag: 'Import',
+    summary: 'Import polls from a file',
+    description: 'Creates the polls of a CSV or JSON file, owned by the authenticated user. Every poll is validated like `POST /polls` before anything is written; unless `partial` is set, one invalid row rejects the whole import.',
+    auth: true,
+    rateLimit: 'pollCreation',
+    parameters: [
+      { name: 'format', in: 'query', schema: { enum: IMPORT_FORMATS }, description: "Defaults to 'csv' for CSV bodies and 'json' otherwise." },
+      { name: 'dryRun', in: 'query', schema: { type: 'boolean', default: false }, description: 'Only validate and report; create nothing.' },
+      { name: 'partial', in: 'query', schema: { type: 'boolean', default: false }, description: 'Create the valid rows even if others are invalid.' }
+    ],
+    requestBody: {
+      required: true,
+      description: "The file. 'csv': a header with `question`, `option1`, `option2`, ... and optionally `allowVoteChanges`, `secretBallot`, `visibility`, `minSelections`, `maxSelections`, `type`, `tallyMethod`, `opensAt` and `closesAt`, then one poll per row. 'json': an array of `CreatePollRequest` objects or `{ \"polls\": [...] }`. 'google-forms': a Google Forms responses CSV. 'typeform': a Typeform form definition.",
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': {
+          schema: {
+            anyOf: [
+              { type: 'array', items: schemaRef('CreatePollRequest') },
+              { type: 'object', required: ['polls'], properties: { polls: { type: 'array', items: schemaRef('CreatePollRequest') } } },
+              { type: 'object', required: ['fields'], description: 'A Typeform form definition.' }
+            ]
+          }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'The report of a dry run, or of a partial import that created nothing.', schema: 'ImportReport' },
+      201: { description: 'The report of an import that created polls.', schema: 'ImportReport' },
+      400: "The file is malformed, does not match the format or holds no polls (code 'validation_failed'), or a row is invalid in an all-or-nothing import (code 'import_invalid', with fields such as 'rows.3.options' in `errors`)."
+    }
+  },
+
+  exportPolls: {
+    method: 'get',
+    path: '/polls/export',
+    tag: 'Export',
+    summary: 'Export the results of all polls of a creator',
+    description: 'Ballots are included for the polls the authenticated user created.',
+    parameters: [
+      exportFormatParam,
+      { name: 'createdBy', in: 'query', schema: { type: 'string' }, description: 'Defaults to the authenticated user.' }
+    ],
+    responses: {
+      200: exportResponse,
+      400: "The format is unknown, or `createdBy` is missing for an anonymous request. Code 'validation_failed'.",
+      404: "The creator does not exist. Code 'user_not_found'."
+    }
+  },
+
+  exportPoll: {
+    method: 'get',
+    path: '/polls/{id}/export',
+    tag: 'Export',
+    summary: 'Export the results of a poll',
+    description: "The poll's creator also receives the raw ballots, except for secret-ballot polls.",
+    parameters: [pollIdParam, exportFormatParam],
+    responses: {
+      200: exportResponse,
+      400: "The format is unknown. Code 'validation_failed'.",
+      404: "The poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  getPoll: {
+    method: 'get',
+    path: '/polls/{id}',
+    tag: 'Polls',
+    summary: 'Get a poll',
+    description: 'Unlisted polls can be retrieved by anyone who knows their ID; private polls only by their creator and the users on their access list.',
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: 'The poll.', schema: 'Poll' },
+      404: "The poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  updatePoll: {
+    method: 'patch',
+    path: '/polls/{id}',
+    tag: 'Polls',
+    summary: 'Edit the question or options of a poll',
+    description: 'Only the creator may edit a poll. Once votes exist, options can no longer be removed or reordered.',
+    auth: true,
+    parameters: [pollIdParam],
+    requestBody: 'UpdatePollRequest',
+    responses: {
+      200: { description: 'The updated poll.', schema: 'Poll' },
+      400: "Nothing to update, or the new question or options are invalid. Code 'validation_failed'.",
+      403: "The authenticated user is not the creator. Code 'not_poll_creator'.",
+      404: "The poll does not exist. Code 'poll_not_found'.",
+      409: "The edit would remove or reorder options that have votes. Code 'options_locked'."
+    }
+  },
+
+  deletePoll: {
+    method: 'delete',
+    path: '/polls/{id}',
+    tag: 'Polls',
+    summary: 'Delete a poll',
+    auth: true,
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: 'The poll was deleted.', schema: 'Message' },
+      403: "The authenticated user is not the creator. Code 'not_poll_creator'.",
+      404: "The poll does not exist. Code 'poll_not_found'."
+    }
+  },
+
+  closePoll: {
+    method: 'post',
+    path: '/polls/{id}/close',
+    tag: 'Polls',
+    summary: 'Close a poll',
+    auth: true,
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: "The poll with status 'closed'.", schema: 'Poll' },
+      403: "The authenticated user is not the creator. Code 'not_poll_creator'.",
+      404: "The poll does not exist. Code 'poll_not_found'.",
+      409: "The poll is already closed. Code 'poll_closed'."
+    }
+  },
+
+  getPollAccess: {
+    method: 'get',
+    path: '/polls/{id}/access',
+    tag: 'Polls',
+    summary: 'Get the access list of a poll',
+    auth: true,
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: 'The visibility and access list.', schema: 'PollAccess' },
+      403: "The authenticated user is not the creator. Code 'not_poll_creator'.",
+      404: "The poll does not exist, or is private and the user may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  grantPollAccess: {
+    method: 'post',
+    path: '/polls/{id}/access',
+    tag: 'Polls',
+    summary: 'Allow users to see a private poll',
+    auth: true,
+    parameters: [pollIdParam],
+    requestBody: 'GrantAccessRequest',
+    responses: {
+      200: { description: 'The updated visibility and access list.', schema: 'PollAccess' },
+      400: "A username is missing or names a user that does not exist. Code 'validation_failed'.",
+      403: "The authenticated user is not the creator. Code 'not_poll_creator'.",
+      404: "The poll does not exist, or is private and the user may not see it. Code 'poll_not_found'.",
+      409: "The poll is not private. Code 'poll_not_private'."
+    }
+  },
+
+  revokePollAccess: {
+    method: 'delete',
+    path: '/polls/{id}/access/{username}',
+    tag: 'Polls',
+    summary: 'Remove a user from the access list of a poll',
+    description: 'Votes the user already cast are kept.',
+    auth: true,
+    parameters: [pollIdParam, usernameParam],
+    responses: {
+      200: { description: 'The updated visibility and access list.', schema: 'PollAccess' },
+      403: "The authenticated user is not the creator. Code 'not_poll_creator'.",
+      404: "The poll does not exist (code 'poll_not_found'), or the user is not on its access list (code 'access_not_found')."
+    }
+  },
+
+  vote: {
+    method: 'post',
+    path: '/polls/{id}/vote',
+    tag: 'Votes',
+    summary: 'Vote in a poll',
+    auth: true,
+    rateLimit: 'voting',
+    parameters: [pollIdParam],
+    requestBody: 'VoteRequest',
+    errorCode: 'invalid_vote',
+    responses: {
+      ...voteResponses,
+      403: "The poll has not opened yet, or is restricted to groups the user does not belong to. Code 'poll_not_open' or 'not_group_member'.",
+      404: "The poll does not exist, or is private and the user may not see it. Code 'poll_not_found'.",
+      409: "The poll is closed or the user has already voted. Code 'poll_closed' or 'already_voted'."
+    }
+  },
+
+  changeVote: {
+    method: 'put',
+    path: '/polls/{id}/vote',
+    tag: 'Votes',
+    summary: 'Change your vote',
+    auth: true,
+    rateLimit: 'voting',
+    parameters: [pollIdParam],
+    requestBody: 'VoteRequest',
+    errorCode: 'invalid_vote',
+    responses: {
+      ...voteResponses,
+      403: "The creator locked votes, the poll has not opened yet, or it is restricted to groups the user no longer belongs to. Code 'vote_changes_locked', 'poll_not_open' or 'not_group_member'.",
+      404: "The poll does not exist or the user has not voted in it. Code 'poll_not_found' or 'vote_not_found'.",
+      409: "The poll is closed. Code 'poll_closed'."
+    }
+  },
+
+  retractVote: {
+    method: 'delete',
+    path: '/polls/{id}/vote',
+    tag: 'Votes',
+    summary: 'Withdraw your vote',
+    auth: true,
+    rateLimit: 'voting',
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: "The poll without the user's vote.", schema: 'Poll' },
+      403: "The creator locked votes or the poll has not opened yet. Code 'vote_changes_locked' or 'poll_not_open'.",
+      404: "The poll does not exist or the user has not voted in it. Code 'poll_not_found' or 'vote_not_found'.",
+      409: "The poll is closed. Code 'poll_closed'."
+    }
+  },
+
+  getPollResults: {
+    method: 'get',
+    path: '/polls/{id}/results',
+    tag: 'Results',
+    summary: 'Get the results of a poll',
+    description: 'Ranked polls are tallied with their own tally method unless `method` overrides it. Polls restricted to groups report the `participation` of each group.',
+    parameters: [
+      pollIdParam,
+      { name: 'method', in: 'query', schema: { enum: TALLY_METHODS }, description: 'Ranked polls only.' }
+    ],
+    responses: {
+      200: { description: 'The results.', schema: 'PollResults' },
+      400: "The poll is not a ranked poll but `method` was given. Code 'validation_failed'.",
+      404: "The poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  getResultsTimeline: {
+    method: 'get',
+    path: '/polls/{id}/results/timeline',
+    tag: 'Results',
+    summary: 'Get the results over time',
+    description: 'The cumulative per-option counts of the current votes at the end of each hour or day (UTC) in which votes were cast or changed. Ranked polls count first preferences. Votes without a time and secret ballots are counted in `untimed`.',
+    parameters: [
+      pollIdParam,
+      { name: 'bucket', in: 'query', schema: { enum: TIMELINE_BUCKETS, default: 'day' } }
+    ],
+    responses: {
+      200: { description: 'The timeline.', schema: 'ResultsTimeline' },
+      400: "`bucket` is unknown. Code 'validation_failed'.",
+      404: "The poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  getResultsCrosstab: {
+    method: 'get',
+    path: '/polls/{id}/results/crosstab',
+    tag: 'Results',
+    summary: 'Cross-tabulate the results of two polls',
+    description: 'For the users who voted in both polls, counts how often each option of this poll (rows) was chosen together with each option of the other poll (columns), with row and column percentages. Ranked polls count first preferences. Secret-ballot polls cannot be cross-tabulated.',
+    parameters: [
+      pollIdParam,
+      { name: 'with', in: 'query', required: true, schema: { type: 'string' }, description: 'The ID of the other poll.' }
+    ],
+    responses: {
+      200: { description: 'The contingency table.', schema: 'ResultsCrosstab' },
+      400: "`with` is missing or the poll itself. Code 'validation_failed'.",
+      404: "Either poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'.",
+      409: "Either poll is a secret-ballot poll. Code 'secret_ballot'."
+    }
+  },
+
+  verifyReceipt: {
+    method: 'get',
+    path: '/polls/{id}/receipts/{receipt}',
+    tag: 'Votes',
+    summary: 'Verify a secret ballot',
+    description: 'Confirms that the ballot with this receipt (returned when voting in a secret-ballot poll) was counted. Does not reveal the selection.',
+    parameters: [
+      pollIdParam,
+      { name: 'receipt', in: 'path', required: true, schema: { type: 'string' } }
+    ],
+    responses: {
+      200: { description: 'The ballot was counted.', schema: 'ReceiptVerification' },
+      404: "The poll does not exist (or is private and the requester may not see it), or holds no ballot with this receipt. Code 'poll_not_found' or 'receipt_not_found'."
+    }
+  },
+
+  streamPollResults: {
+    method: 'get',
+    path: '/polls/{id}/results/stream',
+    tag: 'Results',
+    summary: 'Stream live results',
+    description: 'A Server-Sent Events stream. A `results` event (a `PollResults` document) is sent on connect and after every change; a `deleted` event ends the stream when the poll is deleted, and a `revoked` event when the requester may no longer see it (for example after being removed from the access list of a private poll).',
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: 'The event stream.', mediaType: 'text/event-stream', schema: null },
+      404: "The poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  // --- Comments ---
+
+  listComments: {
+    method: 'get',
+    path: '/polls/{id}/comments',
+    tag: 'Comments',
+    summary: 'List the comments of a poll',
+    description: 'Top-level comments oldest first, each with its `replies` nested in the same order.',
+    parameters: [pollIdParam],
+    responses: {
+      200: { description: 'The comment threads.', schema: 'CommentThreadList' },
+      404: "The poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  addComment: {
+    method: 'post',
+    path: '/polls/{id}/comments',
+    tag: 'Comments',
+    summary: 'Comment on a poll',
+    description: 'Starts a thread, or replies to the comment given as `parentId`.',
+    auth: true,
+    parameters: [pollIdParam],
+    requestBody: 'CreateCommentRequest',
+    responses: {
+      201: { description: 'The created comment.', schema: 'Comment' },
+      400: "The text is empty or too long, or `parentId` is not a comment of the poll. Code 'validation_failed'.",
+      404: "The poll does not exist, or is private and the user may not see it. Code 'poll_not_found'."
+    }
+  },
+
+  editComment: {
+    method: 'patch',
+    path: '/polls/{id}/comments/{commentId}',
+    tag: 'Comments',
+    summary: 'Edit a comment',
+    auth: true,
+    parameters: [pollIdParam, commentIdParam],
+    requestBody: 'EditCommentRequest',
+    responses: {
+      200: { description: 'The updated comment.', schema: 'Comment' },
+      400: "The text is empty or too long. Code 'validation_failed'.",
+      403: "The authenticated user is not the author. Code 'not_comment_author'.",
+      404: "The poll does not exist or may not be seen (code 'poll_not_found'), or the comment is not on the poll (code 'comment_not_found')."
+    }
+  },
+
+  deleteComment: {
+    method: 'delete',
+    path: '/polls/{id}/comments/{commentId}',
+    tag: 'Comments',
+    summary: 'Delete a comment',
+    description: 'Deletes the comment and all replies below it. The author and the creator of the poll may delete a comment.',
+    auth: true,
+    parameters: [pollIdParam, commentIdParam],
+    responses: {
+      200: { description: 'The comment was deleted.', schema: 'Message' },
+      403: "The authenticated user is neither the author nor the creator of the poll. Code 'not_comment_author'.",
+      404: "The poll does not exist or may not be seen (code 'poll_not_found'), or the comment is not on the poll (code 'comment_not_found')."
+    }
+  },
+
+  // --- Webhooks ---
+
+  createWebhook: {
+    method: 'post',
+    path: '/webhooks',
+    tag: 'Webhooks',
+    summary: 'Subscribe to events',
+    description: `Events are posted to \`url\` as JSON \`{ id, event, createdAt, data }\`, signed in the \`X-PollBuilder-Signature\` header (\`sha256=\` and the hex HMAC-SHA256 of the body, keyed with \`secret\`). Failed deliveries are retried with exponential backoff. Poll events are only sent for public polls and the user's own polls. Events: ${WEBHOOK_EVENTS.join(', ')}.`,
+    auth: true,
+    requestBody: 'CreateWebhookRequest',
+    responses: {
+      201: { description: 'The subscription, with the signing secret. The secret is not returned again.', schema: 'CreatedWebhook' },
+      400: "The URL or the event list is invalid, or the URL points to a loopback, private or link-local address. Code 'validation_failed'."
+    }
+  },
+
+  listWebhooks: {
+    method: 'get',
+    path: '/webhooks',
+    tag: 'Webhooks',
+    summary: "List the authenticated user's webhooks",
+    auth: true,
+    responses: {
+      200: { description: 'The subscriptions, oldest first.', schema: 'WebhookList' }
+    }
+  },
+
+  deleteWebhook: {
+    method: 'delete',
+    path: '/webhooks/{id}',
+    tag: 'Webhooks',
+    summary: 'Delete a webhook',
+    description: 'Queued deliveries are dropped along with the delivery log.',
+    auth: true,
+    parameters: [webhookIdParam],
+    responses: {
+      200: { description: 'The subscription was deleted.', schema: 'Message' },
+      403: "The authenticated user is not the owner. Code 'not_webhook_owner'.",
+      404: "The subscription does not exist. Code 'webhook_not_found'."
+    }
+  },
+
+  listWebhookDeliveries: {
+    method: 'get',
+    path: '/webhooks/{id}/deliveries',
+    tag: 'Webhooks',
+    summary: 'Get the delivery log of a webhook',
+    description: 'Deliveries newest first, with every attempt. Only the latest finished deliveries are kept.',
+    auth: true,
+    parameters: [webhookIdParam],
+    responses: {
+      200: { description: 'The deliveries.', schema: 'WebhookDeliveryList' },
+      403: "The authenticated user is not the owner. Code 'not_webhook_owner'.",
+      404: "The subscription does not exist. Code 'webhook_not_found'."
+    }
+  },
+
+  // --- Audit ---
+
+  listAuditEntries: {
+    method: 'get',
+    path: '/audit',
+    tag: 'Audit',
+    summary: 'Search the audit log',
+    description: 'User creation and deletion, poll creation and deletion, and votes, newest first. Users see the entries they are the actor of and those about their account and their polls, except votes in secret ballots, which only the voter sees. Entries from before the account was created (of an earlier account with the same name) are left out.',
+    auth: true,
+    parameters: [
+      { name: 'actor', in: 'query', schema: { type: 'string' }, description: 'Only changes made by this user.' },
+      { name: 'target', in: 'query', schema: { type: 'string' }, description: 'Only changes to the user or poll with this username or ID.' },
+      { name: 'from', in: 'query', schema: { type: 'string' }, description: 'Only changes at or after this ISO 8601 timestamp.' },
+      { name: 'to', in: 'query', schema: { type: 'string' }, description: 'Only changes before this ISO 8601 timestamp.' },
+      ...pollListParams.filter(param => ['limit', 'cursor'].includes(param.name))
+    ],
+    responses: {
+      200: { description: 'One page of entries.', schema: 'AuditPage' },
+      400: "A query parameter or the cursor is invalid. Code 'validation_failed'."
+    }
+  }
+};
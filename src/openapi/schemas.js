@@ -0,0 +1,725 @@
+/**
+ * schemas.js
+ *
+ * This module defines the JSON Schemas (draft 2020-12, as used by OpenAPI 3.1) of the request
+ * and response bodies of the API. They become the `components.schemas` section of the OpenAPI
+ * document, and the request schemas are also what `validateRequest` checks incoming bodies against.
+ *
+ * The schemas describe the shape of the data: types, required fields and enumerations.
+ * Rules that depend on other fields or on stored data (unique options, selection limits within
+ * the number of options, a voting window in the future, ...) stay in the services.
+ * Unknown request fields are ignored, as they always have been.
+ */
+
+import { POLL_TYPES, POLL_STATUSES, POLL_VISIBILITIES } from '../services/PollService.js';
+import { MIN_PASSWORD_LENGTH, PROFILE_FIELD_LIMITS } from '../services/UserService.js';
+import { TALLY_METHODS } from '../services/rankedTally.js';
+import { TIMELINE_BUCKETS } from '../services/resultsTimeline.js';
+import { MAX_GROUP_NAME_LENGTH, MAX_GROUP_DESCRIPTION_LENGTH } from '../services/GroupService.js';
+import { MAX_COMMENT_LENGTH } from '../services/CommentService.js';
+import { WEBHOOK_EVENTS, MAX_WEBHOOK_URL_LENGTH } from '../services/WebhookService.js';
+import { AUDIT_ACTIONS } from '../services/AuditService.js';
+
+/**
+ * Builds a reference to another component schema.
+ *
+ * @param {string} name - The name of the component schema.
+ * @returns {{$ref: string}} The JSON Schema reference.
+ */
+export function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// An ISO 8601 timestamp sent by a client; the service parses it and stores it normalized
+const timestampInput = {
+  type: 'string',
+  description: 'An ISO 8601 timestamp, e.g. `2030-01-01T09:00:00Z`.'
+};
+
+// A timestamp as stored and returned by the API, or null if not set
+const nullableTimestamp = {
+  type: ['string', 'null'],
+  format: 'date-time'
+};
+
+const optionIndex = { type: 'integer', minimum: 0 };
+
+// A profile field as sent by a client: null or an empty string clears it
+const profileInput = field => ({ type: ['string', 'null'], maxLength: PROFILE_FIELD_LIMITS[field] });
+
+// The participation of each group in the results of a poll restricted to groups
+const groupParticipation = {
+  type: 'array',
+  description: 'Polls restricted to groups only: per group, how many of its current members voted. Deleted groups are left out.',
+  items: {
+    type: 'object',
+    required: ['groupId', 'name', 'members', 'voted', 'share'],
+    properties: {
+      groupId: { type: 'string' },
+      name: { type: 'string' },
+      members: { type: 'integer', minimum: 0 },
+      voted: { type: 'integer', minimum: 0 },
+      share: { type: 'number', minimum: 0, maximum: 1, description: '`voted` as a fraction of `members`; 0 for an empty group.' }
+    }
+  }
+};
+
+// Vote counts per option, as in the results of a standard poll
+const optionCounts = {
+  totalVotes: { type: 'integer', description: 'The number of counted selections.' },
+  totalVoters: { type: 'integer' },
+  results: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['option', 'votes'],
+      properties: { option: { type: 'string' }, votes: { type: 'integer' } }
+    }
+  }
+};
+
+// One of the two polls of a cross-tabulation
+const crosstabPoll = {
+  type: 'object',
+  required: ['id', 'question', 'type'],
+  properties: { id: { type: 'string' }, question: { type: 'string' }, type: { enum: POLL_TYPES } }
+};
+
+// The row or column totals of a cross-tabulation, one per option
+const optionTotals = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['option', 'total'],
+    properties: { option: { type: 'string' }, total: { type: 'integer' } }
+  }
+};
+
+// A list of invalid fields with their messages
+const fieldErrors = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: { field: { type: 'string' }, message: { type: 'string' } }
+  }
+};
+
+/**
+ * The component schemas, keyed by name.
+ * @type {Object<string, Object>}
+ */
+export const SCHEMAS = {
+  // --- Requests ---
+
+  CreateUserRequest: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1, pattern: '\\S', description: 'Leading and trailing whitespace is removed.' },
+      password: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+    }
+  },
+
+  LoginRequest: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 }
+    }
+  },
+
+  PasswordSetupRequest: {
+    type: 'object',
+    required: ['username', 'code', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      code: { type: 'string', minLength: 1, description: 'The one-time code the operator issued to the user.' },
+      password: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+    }
+  },
+
+  CreatePollRequest: {
+    type: 'object',
+    required: ['question', 'options'],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      options: {
+        type: 'array',
+        minItems: 2,
+        items: { type: 'string', minLength: 1 },
+        description: 'The options voters choose from. Must be unique.'
+      },
+      allowVoteChanges: { type: 'boolean', description: 'Whether voters may change or withdraw their vote. Defaults to true, or false for secret-ballot polls, where it cannot be true.' },
+      secretBallot: { type: 'boolean', default: false, description: 'Record only that a user voted; ballots are kept without any link to the voter.' },
+      visibility: { enum: POLL_VISIBILITIES, default: 'public', description: 'Unlisted polls are left out of listings but can be retrieved by ID; private polls are only visible to their creator and `allowedUsers`.' },
+      allowedUsers: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Private polls only: the users allowed to see the poll besides its creator.' },
+      groups: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'The IDs of the groups whose members may vote. The creator must belong to each of them. Defaults to everyone.' },
+      minSelections: { type: 'integer', minimum: 1, default: 1, description: 'Standard polls only.' },
+      maxSelections: { type: 'integer', minimum: 1, default: 1, description: 'Standard polls only. Above 1 makes a multiple-choice poll.' },
+      type: { enum: POLL_TYPES, default: 'standard' },
+      tallyMethod: { enum: TALLY_METHODS, description: "Ranked polls only. Defaults to 'irv'." },
+      opensAt: { ...timestampInput, description: `When voting opens. ${timestampInput.description}` },
+      closesAt: { ...timestampInput, description: `When voting closes. Must be in the future. ${timestampInput.description}` }
+    }
+  },
+
+  UpdatePollRequest: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      options: {
+        type: 'array',
+        minItems: 2,
+        items: { type: 'string', minLength: 1 },
+        description: 'The complete new list of options. Once votes exist, options can only be renamed or appended.'
+      }
+    }
+  },
+
+  UpdateUserRequest: {
+    type: 'object',
+    minProperties: 1,
+    description: 'The profile fields to change. Null or an empty string clears a field.',
+    properties: {
+      displayName: profileInput('displayName'),
+      email: profileInput('email'),
+      avatarUrl: { ...profileInput('avatarUrl'), description: 'An http or https URL.' },
+      bio: profileInput('bio')
+    }
+  },
+
+  CreateGroupRequest: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: MAX_GROUP_NAME_LENGTH },
+      description: { type: 'string', maxLength: MAX_GROUP_DESCRIPTION_LENGTH },
+      members: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Members besides the creator, who always belongs to the group.' }
+    }
+  },
+
+  AddMembersRequest: {
+    type: 'object',
+    required: ['usernames'],
+    properties: {
+      usernames: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  CreateCommentRequest: {
+    type: 'object',
+    required: ['body'],
+    properties: {
+      body: { type: 'string', minLength: 1, maxLength: MAX_COMMENT_LENGTH },
+      parentId: { type: 'string', minLength: 1, description: 'The comment to reply to. Omit to start a thread.' }
+    }
+  },
+
+  EditCommentRequest: {
+    type: 'object',
+    required: ['body'],
+    properties: {
+      body: { type: 'string', minLength: 1, maxLength: MAX_COMMENT_LENGTH }
+    }
+  },
+
+  CreateWebhookRequest: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+      url: { type: 'string', minLength: 1, maxLength: MAX_WEBHOOK_URL_LENGTH, description: 'An http or https URL, not on a loopback, private or link-local address.' },
+      events: { type: 'array', minItems: 1, items: { enum: WEBHOOK_EVENTS } }
+    }
+  },
+
+  GrantAccessRequest: {
+    type: 'object',
+    required: ['usernames'],
+    properties: {
+      usernames: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  VoteRequest: {
+    type: 'object',
+    description: 'Exactly one selection: `optionIndex` for single-choice polls, `optionIndices` for multiple-choice polls or `ranking` (most preferred first) for ranked polls.',
+    properties: {
+      optionIndex,
+      optionIndices: { type: 'array', minItems: 1, items: optionIndex },
+      ranking: { type: 'array', minItems: 1, items: optionIndex }
+    },
+    anyOf: [{ required: ['optionIndex'] }, { required: ['optionIndices'] }, { required: ['ranking'] }]
+  },
+
+  // --- Responses ---
+
+  User: {
+    type: 'object',
+    required: ['id', 'username', 'displayName', 'avatarUrl', 'bio', 'createdAt', 'lastActiveAt'],
+    properties: {
+      id: { type: 'string' },
+      username: { type: 'string' },
+      displayName: { type: ['string', 'null'] },
+      email: { type: ['string', 'null'], description: "Only included in the user's own profile." },
+      avatarUrl: { type: ['string', 'null'] },
+      bio: { type: ['string', 'null'] },
+      createdAt: { ...nullableTimestamp, description: 'Null for users created before it was recorded.' },
+      lastActiveAt: { ...nullableTimestamp, description: 'When the user last logged in or sent an authenticated request, to within a few minutes.' }
+    }
+  },
+
+  UserPage: {
+    type: 'object',
+    required: ['items', 'nextCursor', 'total'],
+    properties: {
+      items: { type: 'array', items: schemaRef('User') },
+      nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` to fetch the next page; null on the last page.' },
+      total: { type: 'integer', minimum: 0, description: 'The number of users matching the search.' }
+    }
+  },
+
+  AccountDeletion: {
+    type: 'object',
+    required: ['username', 'pollsDeleted', 'pollsTransferred', 'votesRemoved', 'votesAnonymized', 'groupsDeleted', 'groupsLeft'],
+    properties: {
+      username: { type: 'string' },
+      pollsDeleted: { type: 'integer', minimum: 0 },
+      pollsTransferred: { type: 'integer', minimum: 0 },
+      votesRemoved: { type: 'integer', minimum: 0 },
+      votesAnonymized: { type: 'integer', minimum: 0 },
+      groupsDeleted: { type: 'integer', minimum: 0, description: 'Groups deleted because the user was their last member.' },
+      groupsLeft: { type: 'integer', minimum: 0, description: 'Groups the user was removed from; those they owned passed to the next member.' }
+    }
+  },
+
+  Session: {
+    type: 'object',
+    required: ['token', 'expiresAt', 'user'],
+    properties: {
+      token: { type: 'string', description: 'Send as `Authorization: Bearer <token>`.' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      user: schemaRef('User')
+    }
+  },
+
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' }
+    }
+  },
+
+  Poll: {
+    type: 'object',
+    required: ['id', 'question', 'options', 'createdBy', 'votes', 'status'],
+    properties: {
+      id: { type: 'string' },
+      question: { type: 'string' },
+      options: { type: 'array', items: { type: 'string' } },
+      createdBy: { type: 'string' },
+      allowVoteChanges: { type: 'boolean' },
+      minSelections: { type: 'integer' },
+      maxSelections: { type: 'integer' },
+      type: { enum: POLL_TYPES },
+      tallyMethod: { enum: [...TALLY_METHODS, null] },
+      opensAt: nullableTimestamp,
+      closesAt: nullableTimestamp,
+      closedAt: { ...nullableTimestamp, description: 'When the creator closed the poll manually.' },
+      secretBallot: { type: 'boolean' },
+      visibility: { enum: POLL_VISIBILITIES, description: 'The access list of a private poll is only shown by `GET /polls/{id}/access`.' },
+      groups: { type: 'array', items: { type: 'string' }, description: 'The IDs of the groups whose members may vote; empty for everyone.' },
+      createdAt: { ...nullableTimestamp, description: 'When the poll was created; null for polls created before polls carried a time.' },
+      status: { enum: POLL_STATUSES, description: 'Computed from the voting window and manual closing.' },
+      votes: {
+        type: 'object',
+        description: 'The votes, keyed by username: an option index, the sorted option indices of a multiple-choice vote, or the ranking of a ranked vote. Always empty for secret-ballot polls.',
+        additionalProperties: {
+          oneOf: [optionIndex, { type: 'array', items: optionIndex }]
+        }
+      },
+      votedAt: {
+        type: 'object',
+        description: 'When each vote in `votes` was cast or last changed, keyed by username; null for votes cast before votes carried a time.',
+        additionalProperties: nullableTimestamp
+      },
+      voterCount: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Secret-ballot polls only: how many users voted. Who voted is never returned, since the results change with every ballot.'
+      },
+      receipt: {
+        type: 'string',
+        description: 'Only in the response to a vote in a secret-ballot poll: the receipt of the ballot, for `GET /polls/{id}/receipts/{receipt}`. It is not stored with the voter and cannot be retrieved again.'
+      }
+    }
+  },
+
+  Group: {
+    type: 'object',
+    required: ['id', 'name', 'description', 'createdBy', 'members', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: ['string', 'null'] },
+      createdBy: { type: 'string', description: 'The owner, who manages the members.' },
+      members: { type: 'array', items: { type: 'string' }, description: 'The usernames of the members in the order they joined, starting with the owner.' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  GroupList: {
+    type: 'array',
+    items: schemaRef('Group')
+  },
+
+  Comment: {
+    type: 'object',
+    required: ['id', 'pollId', 'parentId', 'author', 'body', 'createdAt', 'editedAt'],
+    properties: {
+      id: { type: 'string' },
+      pollId: { type: 'string' },
+      parentId: { type: ['string', 'null'], description: 'The comment this one replies to; null for a top-level comment.' },
+      author: { type: 'string' },
+      body: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      editedAt: { type: ['string', 'null'], format: 'date-time', description: 'When the author last edited the comment; null if never.' }
+    }
+  },
+
+  CommentThread: {
+    allOf: [
+      schemaRef('Comment'),
+      {
+        type: 'object',
+        required: ['replies'],
+        properties: {
+          replies: { type: 'array', items: schemaRef('CommentThread'), description: 'The replies to the comment, oldest first.' }
+        }
+      }
+    ]
+  },
+
+  CommentThreadList: {
+    type: 'array',
+    items: schemaRef('CommentThread')
+  },
+
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'events', 'owner', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { enum: WEBHOOK_EVENTS } },
+      owner: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  CreatedWebhook: {
+    allOf: [
+      schemaRef('Webhook'),
+      {
+        type: 'object',
+        required: ['secret'],
+        properties: {
+          secret: { type: 'string', description: 'The key of the HMAC-SHA256 signature of every delivery.' }
+        }
+      }
+    ]
+  },
+
+  WebhookList: {
+    type: 'array',
+    items: schemaRef('Webhook')
+  },
+
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'webhookId', 'event', 'payload', 'status', 'attempts', 'nextAttemptAt', 'createdAt', 'completedAt'],
+    properties: {
+      id: { type: 'string' },
+      webhookId: { type: 'string' },
+      event: { enum: WEBHOOK_EVENTS },
+      payload: {
+        type: 'object',
+        required: ['id', 'event', 'createdAt', 'data'],
+        description: 'The body that is posted.',
+        properties: {
+          id: { type: 'string', description: 'The delivery ID, also sent as `X-PollBuilder-Delivery`.' },
+          event: { enum: WEBHOOK_EVENTS },
+          createdAt: { type: 'string', format: 'date-time' },
+          data: { type: 'object', description: '`poll` (and `action` and, unless the poll uses secret ballots, `username` for poll.voted), `pollId` and `createdBy` for poll.deleted, or `user` for user.created.' }
+        }
+      },
+      status: { enum: ['pending', 'delivered', 'failed'] },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['attemptedAt', 'responseStatus', 'error'],
+          properties: {
+            attemptedAt: { type: 'string', format: 'date-time' },
+            responseStatus: { type: ['integer', 'null'], description: 'The HTTP status of the response; null if none was received.' },
+            error: { type: ['string', 'null'], description: 'Why the attempt failed; null if it succeeded.' }
+          }
+        }
+      },
+      nextAttemptAt: { type: ['string', 'null'], format: 'date-time', description: 'When a pending delivery is attempted next.' },
+      createdAt: { type: 'string', format: 'date-time' },
+      completedAt: { type: ['string', 'null'], format: 'date-time', description: 'When the delivery succeeded or was given up.' }
+    }
+  },
+
+  WebhookDeliveryList: {
+    type: 'array',
+    items: schemaRef('WebhookDelivery')
+  },
+
+  AuditEntry: {
+    type: 'object',
+    required: ['id', 'timestamp', 'requestId', 'actor', 'action', 'target', 'before', 'after'],
+    properties: {
+      id: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      requestId: { type: ['string', 'null'], description: 'The `X-Request-Id` of the request that made the change; null for changes outside of requests.' },
+      actor: { type: 'string', description: 'The user who made the change.' },
+      action: { enum: AUDIT_ACTIONS },
+      target: {
+        type: 'object',
+        required: ['type', 'id'],
+        properties: {
+          type: { enum: ['user', 'poll'] },
+          id: { type: 'string', description: 'The username or the poll ID.' },
+          owner: { type: 'string', description: 'The user the target belongs to. Left out of votes in secret ballots.' }
+        }
+      },
+      before: { type: ['object', 'null'], description: 'A summary of the target before the change (`username`, the poll\'s `question` and `visibility`, or the vote\'s `selection`); null if there was nothing before.' },
+      after: { type: ['object', 'null'], description: 'A summary of the target after the change, like `before`; null if nothing is left. Secret ballots only record `secretBallot: true`.' }
+    }
+  },
+
+  AuditPage: {
+    type: 'object',
+    required: ['items', 'nextCursor', 'total'],
+    properties: {
+      items: { type: 'array', items: schemaRef('AuditEntry') },
+      nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` to fetch the next page; null on the last page.' },
+      total: { type: 'integer', minimum: 0, description: 'The number of entries matching the filters.' }
+    }
+  },
+
+  PollAccess: {
+    type: 'object',
+    required: ['pollId', 'visibility', 'allowedUsers'],
+    properties: {
+      pollId: { type: 'string' },
+      visibility: { enum: POLL_VISIBILITIES },
+      allowedUsers: { type: 'array', items: { type: 'string' }, description: 'Empty unless the poll is private.' }
+    }
+  },
+
+  ReceiptVerification: {
+    type: 'object',
+    required: ['pollId', 'receipt', 'counted'],
+    properties: {
+      pollId: { type: 'string' },
+      receipt: { type: 'string' },
+      counted: { const: true }
+    }
+  },
+
+  PollPage: {
+    type: 'object',
+    required: ['items', 'nextCursor', 'total'],
+    properties: {
+      items: { type: 'array', items: schemaRef('Poll') },
+      nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` to fetch the next page; null on the last page.' },
+      total: { type: 'integer', minimum: 0, description: 'The number of polls matching the filters.' }
+    }
+  },
+
+  StandardResults: {
+    type: 'object',
+    required: ['id', 'question', 'createdBy', 'totalVotes', 'totalVoters', 'results', 'status'],
+    properties: {
+      id: { type: 'string' },
+      question: { type: 'string' },
+      createdBy: { type: 'string' },
+      minSelections: { type: 'integer' },
+      maxSelections: { type: 'integer' },
+      totalVotes: { type: 'integer', description: 'The number of selected options over all votes.' },
+      totalVoters: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['option', 'votes'],
+          properties: { option: { type: 'string' }, votes: { type: 'integer' } }
+        }
+      },
+      status: { enum: POLL_STATUSES },
+      participation: groupParticipation
+    }
+  },
+
+  RankedResults: {
+    type: 'object',
+    description: "The tally of a ranked poll. `results` holds first-preference `votes` ('irv'), `points` ('borda') or pairwise `wins` ('schulze') per option; 'irv' adds `rounds` and `exhaustedBallots`, 'schulze' adds `condorcetWinner` and the `pairwise` preference matrix.",
+    required: ['id', 'question', 'createdBy', 'type', 'tallyMethod', 'status', 'totalVotes', 'totalVoters', 'winners', 'results'],
+    properties: {
+      id: { type: 'string' },
+      question: { type: 'string' },
+      createdBy: { type: 'string' },
+      type: { const: 'ranked' },
+      tallyMethod: { enum: TALLY_METHODS },
+      status: { enum: POLL_STATUSES },
+      totalVotes: { type: 'integer' },
+      totalVoters: { type: 'integer' },
+      winners: { type: 'array', items: { type: 'string' } },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['option'],
+          properties: {
+            option: { type: 'string' },
+            votes: { type: 'integer' },
+            points: { type: 'integer' },
+            wins: { type: 'integer' }
+          }
+        }
+      },
+      rounds: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['round', 'tallies', 'exhausted', 'eliminated', 'winners'],
+          properties: {
+            round: { type: 'integer' },
+            tallies: { type: 'array', items: { type: 'object', properties: { option: { type: 'string' }, votes: { type: 'integer' } } } },
+            exhausted: { type: 'integer' },
+            eliminated: { type: 'array', items: { type: 'string' } },
+            winners: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      exhaustedBallots: { type: 'integer' },
+      condorcetWinner: { type: ['string', 'null'] },
+      pairwise: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+      participation: groupParticipation
+    }
+  },
+
+  PollResults: {
+    anyOf: [schemaRef('StandardResults'), schemaRef('RankedResults')]
+  },
+
+  ResultsTimeline: {
+    type: 'object',
+    required: ['id', 'question', 'type', 'bucket', 'status', 'timeline', 'untimed'],
+    properties: {
+      id: { type: 'string' },
+      question: { type: 'string' },
+      type: { enum: POLL_TYPES, description: 'Ranked polls count first preferences.' },
+      bucket: { enum: TIMELINE_BUCKETS },
+      status: { enum: POLL_STATUSES },
+      timeline: {
+        type: 'array',
+        description: 'One entry per bucket in which votes were cast or changed, oldest first, with the counts of all timed votes up to its `end`. Buckets without votes are left out.',
+        items: {
+          type: 'object',
+          required: ['start', 'end', 'totalVotes', 'totalVoters', 'results'],
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+            ...optionCounts
+          }
+        }
+      },
+      untimed: {
+        type: 'object',
+        description: 'The votes cast before votes carried a time, and the ballots of secret-ballot polls, which never carry one.',
+        required: ['totalVotes', 'totalVoters', 'results'],
+        properties: optionCounts
+      }
+    }
+  },
+
+  ResultsCrosstab: {
+    type: 'object',
+    description: 'A contingency table of two polls. Only users who voted openly in both polls are counted; every pair of their counted selections adds one to a cell.',
+    required: ['poll', 'with', 'respondents', 'total', 'rows', 'columns', 'cells'],
+    properties: {
+      poll: { ...crosstabPoll, description: 'The poll whose options form the rows.' },
+      with: { ...crosstabPoll, description: 'The poll whose options form the columns.' },
+      respondents: { type: 'integer', description: 'The number of users who voted in both polls.' },
+      total: { type: 'integer', description: 'The sum of all cells.' },
+      rows: optionTotals,
+      columns: optionTotals,
+      cells: {
+        type: 'array',
+        description: 'One cell per pair of options, row by row.',
+        items: {
+          type: 'object',
+          required: ['row', 'column', 'count', 'rowPercentage', 'columnPercentage'],
+          properties: {
+            row: { type: 'string' },
+            column: { type: 'string' },
+            count: { type: 'integer' },
+            rowPercentage: { type: 'number', minimum: 0, maximum: 100, description: '`count` as a percentage of its row total, rounded to two decimals; 0 for an empty row.' },
+            columnPercentage: { type: 'number', minimum: 0, maximum: 100, description: '`count` as a percentage of its column total, rounded to two decimals; 0 for an empty column.' }
+          }
+        }
+      }
+    }
+  },
+
+  ImportReport: {
+    type: 'object',
+    required: ['dryRun', 'partial', 'total', 'valid', 'invalid', 'skipped', 'created', 'rows'],
+    properties: {
+      dryRun: { type: 'boolean' },
+      partial: { type: 'boolean' },
+      total: { type: 'integer', description: 'The number of rows in the file.' },
+      valid: { type: 'integer', description: 'Rows that passed validation (dry run) or were created.' },
+      invalid: { type: 'integer' },
+      skipped: { type: 'integer', description: 'Parts of the file that hold no poll, such as Typeform text fields.' },
+      created: { type: 'integer' },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['row', 'question', 'status'],
+          properties: {
+            row: { type: 'integer', minimum: 1, description: 'The position of the poll in the file, counting from 1.' },
+            question: { type: ['string', 'null'] },
+            status: { enum: ['valid', 'created', 'invalid', 'skipped'] },
+            pollId: { type: 'string' },
+            errors: fieldErrors,
+            reason: { type: 'string', description: 'Why the row was skipped.' }
+          }
+        }
+      }
+    }
+  },
+
+  Problem: {
+    type: 'object',
+    description: 'An RFC 7807 problem details document. Clients should rely on `code`, not on `detail`.',
+    required: ['type', 'title', 'status', 'detail', 'instance', 'code'],
+    properties: {
+      type: { type: 'string' },
+      title: { type: 'string' },
+      status: { type: 'integer' },
+      detail: { type: 'string' },
+      instance: { type: 'string' },
+      code: { type: 'string', examples: ['validation_failed', 'poll_not_found'] },
+      errors: { ...fieldErrors, description: 'The invalid fields of a validation error.' }
+    }
+  }
+};
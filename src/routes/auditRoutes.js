@@ -0,0 +1,49 @@
+/**
+ * auditRoutes.js
+ *
+ * This module defines the Express router for reading the audit log. It maps HTTP requests to
+ * the corresponding AuditService methods; the entries themselves are written by the service.
+ * Every route first validates the request against the schemas of its entry in `OPERATIONS`.
+ * Errors are passed on to the error-handling middleware, which responds with problem details.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+
+/**
+ * Creates and configures an Express Router for the audit endpoints.
+ *
+ * @param {import('../services/AuditService.js').AuditService} auditService - An instance of the AuditService to handle business logic.
+ * @returns {express.Router} An Express router instance with the audit routes defined.
+ * @throws {Error} If auditService is not provided or invalid.
+ */
+export function createAuditRoutes(auditService) {
+  if (!auditService) {
+    throw new Error('createAuditRoutes requires a valid auditService instance.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route GET /audit
+   * @description Retrieves one page of the audit entries the authenticated user may read, newest first: the changes they made and the changes to their account and polls.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Query params: `actor`, `target` (a username or poll ID), `from` and `to` (ISO 8601 timestamps), `limit` (1-100, default 20) and `cursor` (the `nextCursor` of the previous page).
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { items: AuditEntry[], nextCursor: string|null, total: number }. Items may be empty.
+   * @responsestatus 400 - Bad Request: If a query parameter or the cursor is invalid. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/', requireAuth, validateRequest(OPERATIONS.listAuditEntries), async (req, res, next) => {
+    const { actor, target, from, to, cursor } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    const page = await auditService.listEntries({ actor, target, from, to, limit, cursor }, req.user.username);
+    res.status(200).json(page);
+  });
+
+  return router;
+}
@@ -0,0 +1,82 @@
+/**
+ * authRoutes.js
+ *
+ * This module defines the Express router for handling authentication API endpoints.
+ * It maps HTTP requests (POST) to the corresponding AuthService methods.
+ * Every route first validates the request against the schemas of its entry in `OPERATIONS`.
+ */
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+
+/**
+ * Creates and configures an Express Router for authentication endpoints.
+ *
+ * @param {import('../services/AuthService.js').AuthService} authService - An instance of the AuthService to handle business logic.
+ * @returns {express.Router} An Express router instance with auth routes defined.
+ * @throws {Error} If authService is not provided or invalid.
+ */
+export function createAuthRoutes(authService) {
+  if (!authService) {
+    throw new Error('createAuthRoutes requires a valid authService instance.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route POST /auth/login
+   * @description Logs a user in. Expects a JSON body with 'username' and 'password'.
+   * @param {express.Request} req - Express request object. Body should contain { username: string, password: string }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { token: string, expiresAt: string, user: Object }. Send the token as `Authorization: Bearer <token>`.
+   * @responsestatus 400 - Bad Request: If 'username' or 'password' is missing. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If the credentials are invalid. Code 'invalid_credentials'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/login', validateRequest(OPERATIONS.login), async (req, res, next) => {
+    const { username, password } = req.body;
+
+    // Delegate to auth service
+    const session = await authService.login(username, password);
+    res.status(200).json(session);
+  });
+
+  /**
+   * @route POST /auth/password-setup
+   * @description Sets the first password of an account created before passwords existed and logs the user in. Expects a JSON body with 'username', 'code' (the one-time code issued by the operator) and 'password'.
+   * @param {express.Request} req - Express request object. Body should contain { username: string, code: string, password: string }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { token: string, expiresAt: string, user: Object }, like POST /auth/login.
+   * @responsestatus 400 - Bad Request: If a field is missing or the password is too short. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If the code is wrong or expired, or the account already has a password. Code 'invalid_setup_code'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/password-setup', validateRequest(OPERATIONS.setUpPassword), async (req, res, next) => {
+    const { username, code, password } = req.body;
+
+    const session = await authService.setUpPassword(username, code, password);
+    res.status(200).json(session);
+  });
+
+  /**
+   * @route POST /auth/logout
+   * @description Ends the session of the bearer token sent with the request.
+   * @param {express.Request} req - Express request object. Requires an `Authorization: Bearer <token>` header.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: If the session was ended. Returns { message: string }.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/logout', requireAuth, validateRequest(OPERATIONS.logout), async (req, res, next) => {
+    await authService.logout(req.sessionToken);
+    res.status(200).json({ message: 'Logged out successfully' });
+  });
+
+  return router;
+}
@@ -0,0 +1,105 @@
+/**
+ * commentRoutes.js
+ *
+ * This module defines the Express router for the comment threads of polls: listing, posting,
+ * editing and deleting comments. It maps HTTP requests to the corresponding CommentService methods.
+ * Every route first validates the request against the schemas of its entry in `OPERATIONS`.
+ * Errors are passed on to the error-handling middleware, which responds with problem details.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+
+/**
+ * Creates and configures an Express Router for the comment endpoints, to be mounted under '/polls'.
+ *
+ * @param {import('../services/CommentService.js').CommentService} commentService - An instance of the CommentService to handle business logic.
+ * @returns {express.Router} An Express router instance with the comment routes defined.
+ * @throws {Error} If commentService is not provided or invalid.
+ */
+export function createCommentRoutes(commentService) {
+  if (!commentService) {
+    throw new Error('createCommentRoutes requires a valid commentService instance.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route GET /polls/:id/comments
+   * @description Retrieves the comment threads of a poll, oldest first, with the replies of each comment nested in `replies`.
+   * @param {express.Request} req - Express request object. Params contain 'id'. An optional bearer token identifies the requester.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns an array of the top-level comments.
+   * @responsestatus 404 - Not Found: If the poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/comments', validateRequest(OPERATIONS.listComments), async (req, res, next) => {
+    const comments = await commentService.listComments(req.params.id, req.user?.username);
+    res.status(200).json(comments);
+  });
+
+  /**
+   * @route POST /polls/:id/comments
+   * @description Posts a comment by the authenticated user. Expects JSON body with 'body', and 'parentId' to reply to another comment of the poll.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'. Body: { body: string, parentId?: string }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 201 - Created: Returns the new comment { id, pollId, parentId, author, body, createdAt, editedAt }.
+   * @responsestatus 400 - Bad Request: If the body is missing, empty or too long, or 'parentId' is not a comment of the poll. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 404 - Not Found: If the poll does not exist, or is private and the user may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/:id/comments', requireAuth, validateRequest(OPERATIONS.addComment), async (req, res, next) => {
+    const { body, parentId } = req.body;
+
+    // The author is always the authenticated user
+    const comment = await commentService.addComment({ pollId: req.params.id, author: req.user.username, body, parentId });
+    res.status(201).json(comment);
+  });
+
+  /**
+   * @route PATCH /polls/:id/comments/:commentId
+   * @description Changes the text of a comment. Only the authenticated author may edit it. Expects JSON body with 'body'.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id' and 'commentId'. Body: { body: string }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated comment, with 'editedAt' set.
+   * @responsestatus 400 - Bad Request: If the body is missing, empty or too long. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the author. Code 'not_comment_author'.
+   * @responsestatus 404 - Not Found: If the poll does not exist or may not be seen (code 'poll_not_found'), or the comment is not on the poll (code 'comment_not_found').
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.patch('/:id/comments/:commentId', requireAuth, validateRequest(OPERATIONS.editComment), async (req, res, next) => {
+    const { id, commentId } = req.params;
+    const comment = await commentService.editComment(id, commentId, req.user.username, req.body.body);
+    res.status(200).json(comment);
+  });
+
+  /**
+   * @route DELETE /polls/:id/comments/:commentId
+   * @description Deletes a comment and all replies below it. The authenticated author and the creator of the poll may delete a comment.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id' and 'commentId'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns a confirmation message with the number of replies deleted along with the comment.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is neither the author nor the creator of the poll. Code 'not_comment_author'.
+   * @responsestatus 404 - Not Found: If the poll does not exist or may not be seen (code 'poll_not_found'), or the comment is not on the poll (code 'comment_not_found').
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.delete('/:id/comments/:commentId', requireAuth, validateRequest(OPERATIONS.deleteComment), async (req, res, next) => {
+    const { id, commentId } = req.params;
+    const deleted = await commentService.deleteComment(id, commentId, req.user.username);
+    res.status(200).json({ message: `Comment ${commentId} and ${deleted - 1} replies deleted successfully` });
+  });
+
+  return router;
+}
@@ -0,0 +1,81 @@
+/**
+ * docsRoutes.js
+ *
+ * This module defines the Express router that publishes the API description: the OpenAPI
+ * document at `GET /openapi.json` and a browsable Swagger UI page at `/docs`. The Swagger UI
+ * assets are served from the installed `swagger-ui-dist` package, so the page works offline.
+ */
+
+import express from 'express';
+// Only the path helper; the package's main module would load the browser bundle into Node
+import getSwaggerUiAssetPath from 'swagger-ui-dist/absolute-path.js';
+
+/**
+ * Builds the HTML of the docs page, which renders the OpenAPI document with Swagger UI.
+ *
+ * @param {string} specUrl - The URL of the OpenAPI document.
+ * @returns {string} The HTML page.
+ */
+function renderDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>PollBuilder API</title>
+    <link rel="stylesheet" type="text/css" href="/docs/swagger-ui.css" />
+    <link rel="icon" type="image/png" href="/docs/favicon-32x32.png" sizes="32x32" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/swagger-ui-bundle.js" charset="UTF-8"></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+    </script>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Creates and configures an Express Router for the API documentation endpoints.
+ *
+ * @param {Object} openApiDocument - The OpenAPI document to publish (see `buildOpenApiDocument`).
+ * @returns {express.Router} An Express router instance with the documentation routes defined.
+ * @throws {Error} If openApiDocument is not provided.
+ */
+export function createDocsRoutes(openApiDocument) {
+  if (!openApiDocument) {
+    throw new Error('createDocsRoutes requires an OpenAPI document.');
+  }
+  const router = express.Router();
+  const docsPage = renderDocsPage('/openapi.json');
+
+  /**
+   * @route GET /openapi.json
+   * @description Retrieves the OpenAPI 3.1 document describing the API, e.g. to generate a client.
+   * @param {express.Request} req - Express request object.
+   * @param {express.Response} res - Express response object.
+   * @returns {void}
+   * @responsestatus 200 - OK: Returns the OpenAPI document.
+   */
+  router.get('/openapi.json', (req, res) => {
+    res.status(200).json(openApiDocument);
+  });
+
+  /**
+   * @route GET /docs
+   * @description Serves the browsable API documentation (Swagger UI) for the OpenAPI document.
+   * @param {express.Request} req - Express request object.
+   * @param {express.Response} res - Express response object.
+   * @returns {void}
+   * @responsestatus 200 - OK: Returns the HTML page.
+   */
+  router.get('/docs', (req, res) => {
+    res.status(200).type('html').send(docsPage);
+  });
+
+  // The Swagger UI scripts and styles referenced by the page
+  router.use('/docs', express.static(getSwaggerUiAssetPath(), { index: false }));
+
+  return router;
+}
@@ -0,0 +1,164 @@
+/**
+ * exportFormats.js
+ *
+ * This module writes poll export records (see `../services/pollExport.js`) to an HTTP response
+ * as CSV, JSON Lines or XLSX. Records are written as they arrive, waiting for the client to
+ * catch up when the response buffer is full, so large exports are never held in memory.
+ */
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { TALLY_FIELDS, BALLOT_FIELDS } from '../services/pollExport.js';
+
+/**
+ * The supported export formats.
+ * @type {ReadonlyArray<string>}
+ */
+export const EXPORT_FORMATS = Object.freeze(['csv', 'jsonl', 'xlsx']);
+
+// Media type of each export format
+export const EXPORT_CONTENT_TYPES = Object.freeze({
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+});
+
+// CSV columns: the record type followed by the fields of both record types
+const CSV_COLUMNS = ['record', ...new Set([...TALLY_FIELDS, ...BALLOT_FIELDS])];
+
+// Worksheet of each record type in XLSX exports
+const XLSX_SHEETS = {
+  tally: { name: 'Results', fields: TALLY_FIELDS },
+  ballot: { name: 'Ballots', fields: BALLOT_FIELDS }
+};
+
+/**
+ * Writes a chunk to the response, waiting for the buffer to drain if it is full.
+ *
+ * @async
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {string} chunk - The data to write.
+ * @returns {Promise<void>} Resolves when more data may be written, or when the client has gone.
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+}
+
+/**
+ * Formats one CSV field (RFC 4180). Text that a spreadsheet would run as a formula
+ * (starting with =, +, -, @, tab or carriage return) is prefixed with an apostrophe.
+ *
+ * @param {*} value - The field value; null and undefined become an empty field.
+ * @returns {string} The formatted field.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes records as CSV with a header row; each row holds the fields of its record type.
+ *
+ * @async
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {AsyncIterable<Object>} records - The export records.
+ * @returns {Promise<void>}
+ */
+async function writeCsv(res, records) {
+  await write(res, `${CSV_COLUMNS.join(',')}\r\n`);
+  for await (const record of records) {
+    if (res.destroyed) return;
+    await write(res, `${CSV_COLUMNS.map(column => csvField(record[column])).join(',')}\r\n`);
+  }
+  res.end();
+}
+
+/**
+ * Writes records as JSON Lines, one JSON object per line.
+ *
+ * @async
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {AsyncIterable<Object>} records - The export records.
+ * @returns {Promise<void>}
+ */
+async function writeJsonLines(res, records) {
+  for await (const record of records) {
+    if (res.destroyed) return;
+    await write(res, `${JSON.stringify(record)}\n`);
+  }
+  res.end();
+}
+
+/**
+ * Writes records as an XLSX workbook with a 'Results' sheet (tally records) and a 'Ballots'
+ * sheet (ballot records). The workbook is streamed: each row is committed as it is added,
+ * which requires the records of one sheet to arrive before those of the next.
+ *
+ * @async
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {AsyncIterable<Object>} records - The export records, tallies first.
+ * @returns {Promise<void>}
+ */
+async function writeXlsx(res, records) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheets = {};
+  const addSheet = type => {
+    const { name, fields } = XLSX_SHEETS[type];
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = fields.map(field => ({ header: field, key: field }));
+    return sheet;
+  };
+
+  let current = null;
+  for await (const record of records) {
+    if (res.destroyed) return;
+    if (!sheets[record.record]) {
+      current?.commit();
+      current = sheets[record.record] = addSheet(record.record);
+    }
+    current.addRow(record).commit();
+  }
+  current?.commit();
+  // Every workbook gets both sheets, even if one of them is empty
+  for (const type of Object.keys(XLSX_SHEETS)) {
+    if (!sheets[type]) addSheet(type).commit();
+  }
+  // Finishing the workbook ends the response
+  await workbook.commit();
+}
+
+// Writer of each export format
+const WRITERS = { csv: writeCsv, jsonl: writeJsonLines, xlsx: writeXlsx };
+
+/**
+ * Streams export records to the response in the requested format, as a file download.
+ * If reading the records fails after the response has started, the connection is aborted,
+ * so the client sees an incomplete download rather than a truncated file that looks complete.
+ *
+ * @async
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {string} format - One of `EXPORT_FORMATS`.
+ * @param {string} basename - The file name without extension; characters unsafe in a header are replaced.
+ * @param {AsyncIterable<Object>} records - The export records.
+ * @returns {Promise<void>} Resolves when the export has been written.
+ */
+export async function sendExport(res, format, basename, records) {
+  const filename = `${basename.replace(/[^\w.-]/g, '_')}.${format}`;
+  res.status(200);
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  try {
+    await WRITERS[format](res, records);
+  } catch (error) {
+    console.error(`Error streaming ${filename}:`, error);
+    res.destroy(error);
+  }
+}
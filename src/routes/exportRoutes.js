@@ -0,0 +1,74 @@
+/**
+ * exportRoutes.js
+ *
+ * This module defines the Express router for downloading poll results as CSV, JSON Lines or
+ * XLSX files. Exports hold the tallies of each poll and, for the poll's creator, the raw ballots.
+ * The router must be mounted before the poll routes, so `/polls/export` is not taken for a poll ID.
+ */
+
+import express from 'express';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+import { sendExport } from './exportFormats.js';
+import { ValidationError } from '../errors.js';
+
+/**
+ * Creates and configures an Express Router for the export endpoints.
+ *
+ * @param {import('../services/PollService.js').PollService} pollService - An instance of the PollService providing the export records.
+ * @returns {express.Router} An Express router instance with the export routes defined.
+ * @throws {Error} If pollService is not provided or invalid.
+ */
+export function createExportRoutes(pollService) {
+  if (!pollService) {
+    throw new Error('createExportRoutes requires a valid pollService instance.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route GET /polls/export
+   * @description Downloads the results of all polls of a creator in one file. Ballots are included for the polls the authenticated user created. Unlisted polls are only included for their creator, private polls only for the users allowed to see them.
+   * @param {express.Request} req - Express request object. Query params: `format` ('csv' (default), 'jsonl' or 'xlsx') and `createdBy` (defaults to the authenticated user).
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Streams the export file as an attachment.
+   * @responsestatus 400 - Bad Request: If the format is unknown, or `createdBy` is missing for an anonymous request. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If the creator does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs before streaming starts. Code 'internal_error'.
+   */
+  router.get('/export', validateRequest(OPERATIONS.exportPolls), async (req, res, next) => {
+    const { format = 'csv' } = req.query;
+    const createdBy = req.query.createdBy ?? req.user?.username;
+    if (!createdBy) {
+      throw new ValidationError('createdBy is required unless the request is authenticated', { field: 'createdBy' });
+    }
+
+    const polls = await pollService.getPollsByCreator(createdBy, {}, req.user?.username);
+    const records = pollService.exportPolls(polls.map(poll => poll.id), req.user?.username);
+    await sendExport(res, format, `polls-${createdBy}`, records);
+  });
+
+  /**
+   * @route GET /polls/:id/export
+   * @description Downloads the results of a poll. The poll's creator also receives the raw ballots (voter, option, rank and time), unless it is a secret-ballot poll.
+   * @param {express.Request} req - Express request object. Params contain 'id'. Query param `format` ('csv' (default), 'jsonl' or 'xlsx').
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Streams the export file as an attachment.
+   * @responsestatus 400 - Bad Request: If the format is unknown. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs before streaming starts. Code 'internal_error'.
+   */
+  router.get('/:id/export', validateRequest(OPERATIONS.exportPoll), async (req, res, next) => {
+    const { format = 'csv' } = req.query;
+    const { id } = req.params;
+
+    // Fail with a proper error response before the download starts
+    await pollService.getPoll(id, req.user?.username);
+    await sendExport(res, format, `poll-${id}`, pollService.exportPolls([id], req.user?.username));
+  });
+
+  return router;
+}
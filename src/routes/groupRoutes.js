@@ -0,0 +1,103 @@
+/**
+ * groupRoutes.js
+ *
+ * This module defines the Express router for user groups: creating groups and managing their
+ * members. It maps HTTP requests to the corresponding GroupService methods.
+ * Every route first validates the request against the schemas of its entry in `OPERATIONS`.
+ * Errors are passed on to the error-handling middleware, which responds with problem details.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+
+/**
+ * Creates and configures an Express Router for group-related endpoints.
+ *
+ * @param {import('../services/GroupService.js').GroupService} groupService - An instance of the GroupService to handle business logic.
+ * @returns {express.Router} An Express router instance with group routes defined.
+ * @throws {Error} If groupService is not provided or invalid.
+ */
+export function createGroupRoutes(groupService) {
+  if (!groupService) {
+    throw new Error('createGroupRoutes requires a valid groupService instance.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route POST /groups
+   * @description Creates a new group owned by the authenticated user, who becomes its first member. Expects JSON body with 'name', and optionally 'description' and further 'members'.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Body: { name: string, description?: string, members?: string[] }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 201 - Created: Returns the newly created group { id, name, description, createdBy, members, createdAt }.
+   * @responsestatus 400 - Bad Request: If the name or description is missing, empty or too long, or a member does not exist. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/', requireAuth, validateRequest(OPERATIONS.createGroup), async (req, res, next) => {
+    const { name, description, members } = req.body;
+
+    // The creator is always the authenticated user
+    const group = await groupService.createGroup({ name, description, members, creator: req.user.username });
+    res.status(201).json(group);
+  });
+
+  /**
+   * @route GET /groups/:id
+   * @description Retrieves a group with its members.
+   * @param {express.Request} req - Express request object. Params contain 'id'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the group.
+   * @responsestatus 404 - Not Found: If no group with the specified ID exists. Code 'group_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id', validateRequest(OPERATIONS.getGroup), async (req, res, next) => {
+    const group = await groupService.getGroup(req.params.id);
+    res.status(200).json(group);
+  });
+
+  /**
+   * @route POST /groups/:id/members
+   * @description Adds members to a group. Only the authenticated owner of the group may add members; users who already belong are ignored.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'. Body: { usernames: string[] }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated group.
+   * @responsestatus 400 - Bad Request: If 'usernames' is missing, empty or names a user that does not exist. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the owner of the group. Code 'not_group_owner'.
+   * @responsestatus 404 - Not Found: If no group with the specified ID exists. Code 'group_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/:id/members', requireAuth, validateRequest(OPERATIONS.addGroupMembers), async (req, res, next) => {
+    const group = await groupService.addMembers(req.params.id, req.user.username, req.body.usernames);
+    res.status(200).json(group);
+  });
+
+  /**
+   * @route DELETE /groups/:id/members/:username
+   * @description Removes a member from a group. The authenticated owner may remove any other member; members may remove themselves to leave the group.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id' and 'username'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated group.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is neither the owner nor the member being removed. Code 'not_group_owner'.
+   * @responsestatus 404 - Not Found: If no group with the specified ID exists (code 'group_not_found'), or the user is not a member (code 'member_not_found').
+   * @responsestatus 409 - Conflict: If the member is the owner, who cannot leave their group. Code 'group_owner'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.delete('/:id/members/:username', requireAuth, validateRequest(OPERATIONS.removeGroupMember), async (req, res, next) => {
+    const group = await groupService.removeMember(req.params.id, req.user.username, req.params.username);
+    res.status(200).json(group);
+  });
+
+  return router;
+}
@@ -0,0 +1,72 @@
+/**
+ * importRoutes.js
+ *
+ * This module defines the Express router for importing many polls at once from a CSV or JSON
+ * file, including the exports of Google Forms and Typeform. The file is converted by
+ * `../services/pollImport.js` and every poll is validated by the poll service. The import is
+ * rate limited once the file is read, so it can be charged for each poll it creates.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+import { convertImport } from '../services/pollImport.js';
+
+/**
+ * Creates and configures an Express Router for the import endpoint.
+ *
+ * @param {import('../services/PollService.js').PollService} pollService - An instance of the PollService that validates and creates the polls.
+ * @param {import('express').RequestHandler} limitPollCreation - The rate limiting middleware of the import, run once the polls
+ *   of the file are in `req.importRows` (see `importCost`).
+ * @returns {express.Router} An Express router instance with the import route defined.
+ * @throws {Error} If pollService or limitPollCreation is not provided or invalid.
+ */
+export function createImportRoutes(pollService, limitPollCreation) {
+  if (!pollService) {
+    throw new Error('createImportRoutes requires a valid pollService instance.');
+  }
+  if (typeof limitPollCreation !== 'function') {
+    throw new Error('createImportRoutes requires a rate limiting middleware.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route POST /polls/import
+   * @description Creates the polls of a CSV or JSON file, owned by the authenticated user. The body is the file itself (`Content-Type: text/csv` or `application/json`). All-or-nothing unless `partial=true`; `dryRun=true` only validates.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Query params: `format` ('csv', 'json', 'google-forms' or 'typeform'; defaults to 'csv' or 'json' by content type), `dryRun` and `partial` ('true' or 'false').
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the import report of a dry run, or of a partial import that created nothing.
+   * @responsestatus 201 - Created: Returns the import report { dryRun, partial, total, valid, invalid, skipped, created, rows }.
+   * @responsestatus 400 - Bad Request: If the file is malformed, does not match the format or holds no polls (code 'validation_failed'), or a row is invalid in an all-or-nothing import (code 'import_invalid', with one entry per problem such as 'rows.3.options' in `errors`).
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 429 - Too Many Requests: If the polls of the file do not fit in the pollCreation budget. Code 'rate_limited'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/import', requireAuth, express.text({ type: ['text/csv', 'text/plain'] }), validateRequest(OPERATIONS.importPolls), (req, res, next) => {
+    const format = req.query.format ?? (typeof req.body === 'string' ? 'csv' : 'json');
+    req.importRows = convertImport(format, req.body);
+    next();
+  }, limitPollCreation, async (req, res, next) => {
+    const report = await pollService.importPolls(req.importRows, req.user.username, {
+      dryRun: req.query.dryRun === 'true',
+      partial: req.query.partial === 'true'
+    });
+    res.status(report.created > 0 ? 201 : 200).json(report);
+  });
+
+  return router;
+}
+
+/**
+ * The rate limit cost of an import: one poll creation for each poll of the file, which is the
+ * most it can create. A dry run creates nothing and counts as a single request.
+ *
+ * @param {express.Request} req - The import request, with the polls of the file in `req.importRows`.
+ * @returns {number} How much the request counts against the pollCreation budget.
+ */
+export function importCost(req) {
+  return req.query.dryRun === 'true' ? 1 : req.importRows.length;
+}
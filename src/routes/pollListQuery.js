@@ -0,0 +1,37 @@
+/**
+ * pollListQuery.js
+ *
+ * This module turns the query string of the poll list endpoints (`GET /polls`,
+ * `GET /users/:username/polls` and `GET /users/:username/votes`) into the query
+ * object expected by `PollService.listPolls`.
+ */
+
+import { ValidationError } from '../errors.js';
+
+// Query parameters accepted by the poll list endpoints
+const STRING_PARAMS = ['createdBy', 'votedBy', 'notVotedBy', 'status', 'sort', 'cursor'];
+const INTEGER_PARAMS = ['limit', 'minVotes'];
+
+/**
+ * Parses the query parameters of a poll list request.
+ * String parameters are passed through; `limit` and `minVotes` are converted to numbers
+ * (range checks are left to the service). Parameters that are absent are left out.
+ *
+ * @param {Object} query - The Express `req.query` object.
+ * @returns {Object} The query for `PollService.listPolls`.
+ * @throws {ValidationError} If a parameter is given more than once (message includes 'must be a single').
+ */
+export function parsePollListQuery(query) {
+  const parsed = {};
+  for (const name of [...STRING_PARAMS, ...INTEGER_PARAMS]) {
+    const value = query[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      throw new ValidationError(`Query parameter ${name} must be a single value.`, { field: name });
+    }
+    parsed[name] = INTEGER_PARAMS.includes(name) ? Number(value) : value;
+  }
+  return parsed;
+}
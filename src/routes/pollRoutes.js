@@ -1,15 +1,22 @@
 /**
  * pollRoutes.js
- * 
+ *
  * This module defines the Express router for handling poll-related API endpoints.
- * It maps HTTP requests (POST, GET, DELETE) to the corresponding PollService methods.
+ * It maps HTTP requests (POST, GET, PUT, PATCH, DELETE) to the corresponding PollService methods.
+ * Every route first validates the request against the schemas of its entry in `OPERATIONS`.
+ * Errors are not handled here: whatever a handler throws is passed on by Express and turned
+ * into an `application/problem+json` response by the error-handling middleware.
  */
 
 import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+import { parsePollListQuery } from './pollListQuery.js';
 
 /**
  * Creates and configures an Express Router for poll-related endpoints.
- * 
+ *
  * @param {import('../services/PollService.js').PollService} pollService - An instance of the PollService to handle business logic.
  * @returns {express.Router} An Express router instance with poll routes defined.
  * @throws {Error} If pollService is not provided or invalid.
@@ -22,259 +29,346 @@ export function createPollRoutes(pollService) {
 
   /**
    * @route POST /polls
-   * @description Creates a new poll. Expects JSON body with 'question', 'options', and 'creator'.
-   * @param {express.Request} req - Express request object. Body: { question: string, options: string[], creator: string }.
+   * @description Creates a new poll owned by the authenticated user. Expects JSON body with 'question' and 'options', and optionally 'allowVoteChanges' (defaults to true) the selection limits 'minSelections'/'maxSelections' (default 1, making a single-choice poll), and 'type' ('standard' or 'ranked') with the ranked 'tallyMethod' ('irv', 'borda' or 'schulze'). 'opensAt' and 'closesAt' (ISO 8601 timestamps) schedule the voting window. 'secretBallot' (defaults to false) records votes without linking them to the voter; such votes cannot be changed. 'visibility' ('public' (default), 'unlisted' or 'private') controls who sees the poll; 'allowedUsers' lists the users allowed to see a private poll. 'groups' restricts voting to the members of the given groups, which the creator must belong to.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Body: { question: string, options: string[], allowVoteChanges?: boolean, minSelections?: number, maxSelections?: number, type?: string, tallyMethod?: string, opensAt?: string, closesAt?: string, secretBallot?: boolean, visibility?: string, allowedUsers?: string[], groups?: string[] }.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
    * @responsestatus 201 - Created: Returns the newly created poll object.
-   * @responsestatus 400 - Bad Request: If input data is missing, invalid (e.g., < 2 options, duplicate options, empty strings), or the creator doesn't exist. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 400 - Bad Request: If input data is missing, invalid (e.g., < 2 options, duplicate options, empty strings, an invalid or empty voting window), or the creator doesn't exist or belong to a listed group. Code 'validation_failed', with the offending fields in `errors`.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.post('/', async (req, res, next) => {
-    try {
-      const { question, options, creator } = req.body;
-      
-      // Basic check for required fields (more detailed validation is in the service)
-      if (!question || !options || !creator) {
-        return res.status(400).json({ 
-          error: 'Missing required fields: question, options, and creator are required.' 
-        });
-      }
-      
-      // Delegate to poll service
-      const poll = await pollService.createPoll({
-        question,
-        options,
-        creator
-      });
-      
-      res.status(201).json(poll);
-    } catch (error) {
-      // Handle specific validation/business logic errors from the service
-      if (error.message.includes('does not exist') || 
-          error.message.includes('must have at least') ||
-          error.message.includes('must be unique') ||
-          error.message.includes('must be a non-empty')) {
-        res.status(400).json({ error: error.message });
-      } else {
-        // Log unexpected errors and return a generic 500
-        console.error('Error creating poll:', error);
-        res.status(500).json({ error: 'Internal server error while creating poll' });
-        // Optionally: next(error);
-      }
-    }
+  router.post('/', requireAuth, validateRequest(OPERATIONS.createPoll), async (req, res, next) => {
+    // The schema checks the shape of the body; the service checks the rules between fields
+    const { question, options, allowVoteChanges, minSelections, maxSelections, type, tallyMethod, opensAt, closesAt, secretBallot, visibility, allowedUsers, groups } = req.body;
+
+    // Delegate to poll service; the creator is always the authenticated user
+    const poll = await pollService.createPoll({
+      question,
+      options,
+      creator: req.user.username,
+      allowVoteChanges,
+      minSelections,
+      maxSelections,
+      type,
+      tallyMethod,
+      opensAt,
+      closesAt,
+      secretBallot,
+      visibility,
+      allowedUsers,
+      groups
+    });
+
+    res.status(201).json(poll);
   });
 
   /**
    * @route GET /polls
-   * @description Retrieves all polls, optionally filtering by creator username.
-   * @param {express.Request} req - Express request object. Query param `createdBy` (optional string).
+   * @description Retrieves one page of polls, optionally filtered, in the requested order. Only the polls listed for the requester are included: unlisted polls only for their creator, private polls only for those allowed to see them.
+   * @param {express.Request} req - Express request object. An optional bearer token identifies the requester. Optional query params: filters `createdBy`, `votedBy`, `notVotedBy` (usernames), `minVotes` (minimum number of voters) and `status` ('scheduled', 'open' or 'closed'); `sort` ('newest' (default), 'votes' or 'alpha'); paging `limit` (1-100, default 20) and `cursor` (the `nextCursor` of the previous page).
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
-   * @responsestatus 200 - OK: Returns an array of poll objects (filtered or all). Array may be empty.
-   * @responsestatus 404 - Not Found: If filtering by a non-existent creator username. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 200 - OK: Returns { items: Poll[], nextCursor: string|null, total: number }. `total` counts all matching polls; `nextCursor` is null on the last page.
+   * @responsestatus 400 - Bad Request: If a query parameter or the cursor is invalid. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If filtering by a non-existent username. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.get('/', async (req, res, next) => {
-    try {
-      const { createdBy } = req.query;
-      let polls;
-
-      if (createdBy && typeof createdBy === 'string') {
-        // Delegate filtering to poll service
-        polls = await pollService.getPollsByCreator(createdBy);
-      } else {
-         // Get all polls if no valid filter is provided
-        polls = await pollService.getAllPolls();
-      }
-      
-      res.status(200).json(polls);
-    } catch (error) {
-       // Handle specific errors from the service layer (e.g., user not found during filtering)
-      if (error.message.includes('does not exist')) {
-        res.status(404).json({ error: error.message }); // Creator user not found
-      } else {
-        // Log unexpected errors and return a generic 500
-        console.error('Error getting polls:', error);
-        res.status(500).json({ error: 'Internal server error while getting polls' });
-        // Optionally: next(error);
-      }
-    }
+  router.get('/', validateRequest(OPERATIONS.listPolls), async (req, res, next) => {
+    // Delegate filtering, sorting and paging to poll service
+    const page = await pollService.listPolls(parsePollListQuery(req.query), req.user?.username);
+    res.status(200).json(page);
   });
 
   /**
    * @route GET /polls/:id
-   * @description Retrieves a specific poll by its unique ID.
-   * @param {express.Request} req - Express request object. Params should contain 'id'.
+   * @description Retrieves a specific poll by its unique ID. Unlisted polls can be retrieved by anyone; private polls only by their creator and the users on their access list.
+   * @param {express.Request} req - Express request object. Params should contain 'id'. An optional bearer token identifies the requester.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
    * @responsestatus 200 - OK: Returns the requested poll object.
-   * @responsestatus 404 - Not Found: If no poll with the specified ID exists. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id', validateRequest(OPERATIONS.getPoll), async (req, res, next) => {
+    // Delegate to poll service
+    const poll = await pollService.getPoll(req.params.id, req.user?.username);
+    res.status(200).json(poll);
+  });
+
+  /**
+   * @route PATCH /polls/:id
+   * @description Edits the question and/or options of a poll. Only the authenticated creator of the poll may edit it. 'options' is the complete new list: existing options may be renamed in place and new options appended; once votes exist, options can no longer be removed or reordered.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'. Body: { question?: string, options?: string[] }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated poll object.
+   * @responsestatus 400 - Bad Request: If neither field is provided or the new question/options are invalid (same rules as poll creation). Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the creator of the poll. Code 'not_poll_creator'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists. Code 'poll_not_found'.
+   * @responsestatus 409 - Conflict: If votes exist and the edit would remove or reorder options. Code 'options_locked'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.get('/:id', async (req, res, next) => {
-    try {
-      const { id } = req.params;
-       if (!id) { // Should not happen with route definition
-           return res.status(400).json({ error: 'Poll ID parameter is required.' });
-       }
-      // Delegate to poll service
-      const poll = await pollService.getPoll(id);
-      res.status(200).json(poll);
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('not found')) {
-        res.status(404).json({ error: error.message }); // Poll not found
-      } else {
-        // Log unexpected errors and return a generic 500
-        console.error(`Error getting poll ${req.params.id}:`, error);
-        res.status(500).json({ error: 'Internal server error while getting poll' });
-        // Optionally: next(error);
-      }
-    }
+  router.patch('/:id', requireAuth, validateRequest(OPERATIONS.updatePoll), async (req, res, next) => {
+    const { question, options } = req.body;
+
+    // Delegate validation and the update (including authorization check) to poll service
+    const updatedPoll = await pollService.updatePoll(req.params.id, req.user.username, { question, options });
+    res.status(200).json(updatedPoll);
   });
 
   /**
    * @route DELETE /polls/:id
-   * @description Deletes a specific poll. Requires the creator's username as a query parameter for authorization.
-   * @param {express.Request} req - Express request object. Params contain 'id', Query contains 'username'.
+   * @description Deletes a specific poll. Only the authenticated creator of the poll may delete it.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
    * @responsestatus 200 - OK: If deletion is successful. Returns { message: string }.
-   * @responsestatus 400 - Bad Request: If the 'username' query parameter is missing. Returns { error: string }.
-   * @responsestatus 403 - Forbidden: If the provided 'username' is not the creator of the poll. Returns { error: string }.
-   * @responsestatus 404 - Not Found: If no poll with the specified ID exists. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the creator of the poll. Code 'not_poll_creator'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.delete('/:id', requireAuth, validateRequest(OPERATIONS.deletePoll), async (req, res, next) => {
+    const { id } = req.params;
+
+    // Delegate deletion (including authorization check) to poll service
+    await pollService.deletePoll(id, req.user.username);
+    res.status(200).json({ message: `Poll ${id} deleted successfully` });
+  });
+
+  /**
+   * @route POST /polls/:id/close
+   * @description Closes a poll immediately so no further votes are accepted. Only the authenticated creator of the poll may close it.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated poll object with status 'closed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the creator of the poll. Code 'not_poll_creator'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists. Code 'poll_not_found'.
+   * @responsestatus 409 - Conflict: If the poll is already closed. Code 'poll_closed'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.delete('/:id', async (req, res, next) => {
-    try {
-      const { id } = req.params;
-      const { username } = req.query;
-      
-       if (!id) { 
-           return res.status(400).json({ error: 'Poll ID parameter is required.' });
-       }
-      // Check for required username query parameter for authorization
-      if (!username || typeof username !== 'string' || username.trim() === '') {
-        return res.status(400).json({ 
-          error: 'Username query parameter is required for authorization to delete a poll.' 
-        });
-      }
-      
-      // Delegate deletion (including authorization check) to poll service
-      await pollService.deletePoll(id, username.trim());
-      res.status(200).json({ message: `Poll ${id} deleted successfully` });
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('not found')) {
-        res.status(404).json({ error: error.message }); // Poll not found
-      } else if (error.message.includes('Forbidden') || error.message.includes('Only the creator')) {
-        res.status(403).json({ error: 'Forbidden: You do not have permission to delete this poll.' }); // Authorization failed
-      } else {
-         // Log unexpected errors and return a generic 500
-        console.error(`Error deleting poll ${req.params.id}:`, error);
-        res.status(500).json({ error: 'Internal server error while deleting poll' });
-         // Optionally: next(error);
-      }
-    }
+  router.post('/:id/close', requireAuth, validateRequest(OPERATIONS.closePoll), async (req, res, next) => {
+    // Delegate closing (including authorization check) to poll service
+    const updatedPoll = await pollService.closePoll(req.params.id, req.user.username);
+    res.status(200).json(updatedPoll);
   });
 
   /**
    * @route POST /polls/:id/vote
-   * @description Records a vote for a specific option on a poll. Expects JSON body with 'username' and 'optionIndex'.
-   * @param {express.Request} req - Express request object. Params contain 'id', Body: { username: string, optionIndex: number }.
+   * @description Records the authenticated user's vote on a poll. Expects JSON body with 'optionIndex', 'optionIndices' for multiple-choice polls, or 'ranking' (most preferred first) for ranked polls.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id', Body: { optionIndex?: number, optionIndices?: number[], ranking?: number[] }.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
-   * @responsestatus 200 - OK: Returns the updated poll object with the new vote recorded.
-   * @responsestatus 400 - Bad Request: If input data is missing/invalid, optionIndex is out of bounds, or the user has already voted. Returns { error: string }.
-   * @responsestatus 404 - Not Found: If the specified poll or voting user does not exist. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 200 - OK: Returns the updated poll object with the new vote recorded. In a secret-ballot poll it includes the ballot's `receipt`, returned only this once.
+   * @responsestatus 400 - Bad Request: If input data is missing/invalid, an option index is out of bounds or repeated, or the number of selections is outside the poll's limits. Code 'invalid_vote'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the poll has not opened for voting yet, or is restricted to groups the user does not belong to. Code 'poll_not_open' or 'not_group_member'.
+   * @responsestatus 404 - Not Found: If the specified poll or voting user does not exist, or the poll is private and the user may not see it. Code 'poll_not_found' or 'user_not_found'.
+   * @responsestatus 409 - Conflict: If the poll is closed or the user has already voted. Code 'poll_closed' or 'already_voted'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.post('/:id/vote', async (req, res, next) => {
-    try {
-      const { id } = req.params;
-      const { username, optionIndex } = req.body;
-      
-       if (!id) { 
-           return res.status(400).json({ error: 'Poll ID parameter is required.' });
-       }
-      // Basic check for required body fields and types
-      if (username === undefined || typeof username !== 'string' || username.trim() === '' || optionIndex === undefined || typeof optionIndex !== 'number' || !Number.isInteger(optionIndex)) {
-        return res.status(400).json({ 
-          error: 'Invalid request body: Requires non-empty username (string) and optionIndex (integer).' 
-        });
-      }
-      
-      // Parse optionIndex just in case it comes as a string number
-      const parsedOptionIndex = parseInt(optionIndex, 10);
-       if (isNaN(parsedOptionIndex)) {
-           return res.status(400).json({ error: 'Invalid optionIndex: Must be an integer.' });
-       }
+  router.post('/:id/vote', requireAuth, validateRequest(OPERATIONS.vote), async (req, res, next) => {
+    // The schema requires a selection; the service checks the indices against the poll
+    const { optionIndex, optionIndices, ranking } = req.body;
+
+    // Delegate voting logic to poll service
+    const updatedPoll = await pollService.vote({
+      pollId: req.params.id,
+      username: req.user.username,
+      optionIndex,
+      optionIndices,
+      ranking
+    });
 
-      // Delegate voting logic to poll service
-      const updatedPoll = await pollService.vote({
-        pollId: id,
-        username: username.trim(),
-        optionIndex: parsedOptionIndex
-      });
-      
-      res.status(200).json(updatedPoll);
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('not found')) { // Could be poll or user not found
-        res.status(404).json({ error: error.message }); 
-      } else if (error.message.includes('already voted') || error.message.includes('Invalid option index') || error.message.includes('Invalid vote data')) {
-        res.status(400).json({ error: error.message }); // Bad request (duplicate vote, invalid index)
-      } else if (error.message.includes('does not exist')) { // User not found specifically
-         res.status(404).json({ error: error.message }); // Treat non-existent user as Not Found
-      }
-       else {
-         // Log unexpected errors and return a generic 500
-        console.error(`Error voting on poll ${req.params.id}:`, error);
-        // Include specific error message from service if available and safe
-        const errorMessage = error.message || 'Internal server error while processing vote';
-        res.status(500).json({ error: `Internal server error: ${errorMessage}` }); 
-         // Optionally: next(error);
-      }
-    }
+    res.status(200).json(updatedPoll);
+  });
+
+  /**
+   * @route PUT /polls/:id/vote
+   * @description Changes the authenticated user's existing vote on a poll. Expects JSON body with 'optionIndex', 'optionIndices' for multiple-choice polls, or 'ranking' for ranked polls.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id', Body: { optionIndex?: number, optionIndices?: number[], ranking?: number[] }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated poll object with the changed vote.
+   * @responsestatus 400 - Bad Request: If the selection is missing, invalid, out of bounds, or outside the poll's selection limits. Code 'invalid_vote'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the poll's creator locked votes, the poll has not opened yet, or it is restricted to groups the user no longer belongs to. Code 'vote_changes_locked', 'poll_not_open' or 'not_group_member'.
+   * @responsestatus 404 - Not Found: If the poll does not exist or the user has not voted in it. Code 'poll_not_found' or 'vote_not_found'.
+   * @responsestatus 409 - Conflict: If the poll is closed. Code 'poll_closed'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.put('/:id/vote', requireAuth, validateRequest(OPERATIONS.changeVote), async (req, res, next) => {
+    const { optionIndex, optionIndices, ranking } = req.body;
+
+    // Delegate the change (including the lock check) to poll service
+    const updatedPoll = await pollService.changeVote({
+      pollId: req.params.id,
+      username: req.user.username,
+      optionIndex,
+      optionIndices,
+      ranking
+    });
+
+    res.status(200).json(updatedPoll);
+  });
+
+  /**
+   * @route DELETE /polls/:id/vote
+   * @description Withdraws the authenticated user's vote from a poll.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated poll object without the user's vote.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the poll's creator locked votes or the poll has not opened yet. Code 'vote_changes_locked' or 'poll_not_open'.
+   * @responsestatus 404 - Not Found: If the poll does not exist or the user has not voted in it. Code 'poll_not_found' or 'vote_not_found'.
+   * @responsestatus 409 - Conflict: If the poll is closed. Code 'poll_closed'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.delete('/:id/vote', requireAuth, validateRequest(OPERATIONS.retractVote), async (req, res, next) => {
+    // Delegate the retraction (including the lock check) to poll service
+    const updatedPoll = await pollService.retractVote(req.params.id, req.user.username);
+    res.status(200).json(updatedPoll);
   });
 
   /**
    * @route GET /polls/:id/results
-   * @description Retrieves the aggregated voting results for a specific poll.
-   * @param {express.Request} req - Express request object. Params contain 'id'.
+   * @description Retrieves the aggregated voting results for a specific poll. Ranked polls are tallied with their own tally method unless the 'method' query parameter overrides it.
+   * @param {express.Request} req - Express request object. Params contain 'id'. Query param `method` (optional: 'irv', 'borda' or 'schulze'; ranked polls only).
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the poll results object (structure defined by service/storage), including the poll's computed `status`.
+   * @responsestatus 400 - Bad Request: If 'method' is given more than once, unknown, or the poll is not a ranked poll. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/results', validateRequest(OPERATIONS.getPollResults), async (req, res, next) => {
+    const { method } = req.query;
+    // Delegate getting results to poll service
+    const results = await pollService.getPollResults(req.params.id, { method, requester: req.user?.username });
+    res.status(200).json(results);
+  });
+
+  /**
+   * @route GET /polls/:id/results/timeline
+   * @description Retrieves how the results of a poll developed: the cumulative per-option counts at the end of each hour or day (UTC) in which votes were cast or changed. Votes without a time and secret ballots are reported apart as 'untimed'.
+   * @param {express.Request} req - Express request object. Params contain 'id'. Query param `bucket` (optional: 'hour' or 'day', default 'day').
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { id, question, type, bucket, status, timeline: Array<{ start, end, totalVotes, totalVoters, results }>, untimed }.
+   * @responsestatus 400 - Bad Request: If 'bucket' is given more than once or unknown. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/results/timeline', validateRequest(OPERATIONS.getResultsTimeline), async (req, res, next) => {
+    const { bucket } = req.query;
+    const timeline = await pollService.getResultsTimeline(req.params.id, { bucket, requester: req.user?.username });
+    res.status(200).json(timeline);
+  });
+
+  /**
+   * @route GET /polls/:id/results/crosstab
+   * @description Cross-tabulates the results of two polls: for the users who voted in both, how often each option of this poll was chosen together with each option of the other, with row and column percentages. Both polls must be visible to the requester; secret-ballot polls are refused.
+   * @param {express.Request} req - Express request object. Params contain 'id'. Query param `with` (required: the ID of the other poll).
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { poll, with, respondents, total, rows, columns, cells: Array<{ row, column, count, rowPercentage, columnPercentage }> }.
+   * @responsestatus 400 - Bad Request: If 'with' is missing, given more than once, or the poll itself. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If either poll does not exist, or is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 409 - Conflict: If either poll is a secret-ballot poll. Code 'secret_ballot'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/results/crosstab', validateRequest(OPERATIONS.getResultsCrosstab), async (req, res, next) => {
+    const crosstab = await pollService.getResultsCrosstab(req.params.id, { withPollId: req.query.with, requester: req.user?.username });
+    res.status(200).json(crosstab);
+  });
+
+  /**
+   * @route GET /polls/:id/receipts/:receipt
+   * @description Confirms that the secret ballot with the given receipt was counted in a poll. The response never says what the ballot selected.
+   * @param {express.Request} req - Express request object. Params contain 'id' and 'receipt'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { pollId, receipt, counted: true }.
+   * @responsestatus 404 - Not Found: If the poll does not exist (or is private and the requester may not see it), or holds no ballot with this receipt. Code 'poll_not_found' or 'receipt_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/receipts/:receipt', validateRequest(OPERATIONS.verifyReceipt), async (req, res, next) => {
+    const verification = await pollService.verifyReceipt(req.params.id, req.params.receipt, req.user?.username);
+    res.status(200).json(verification);
+  });
+
+  /**
+   * @route GET /polls/:id/access
+   * @description Retrieves the visibility and access list of a poll. Only the authenticated creator of the poll may see them.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { pollId, visibility, allowedUsers }.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the creator of the poll. Code 'not_poll_creator'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the user may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/access', requireAuth, validateRequest(OPERATIONS.getPollAccess), async (req, res, next) => {
+    const access = await pollService.getPollAccess(req.params.id, req.user.username);
+    res.status(200).json(access);
+  });
+
+  /**
+   * @route POST /polls/:id/access
+   * @description Allows users to see a private poll. Only the authenticated creator of the poll may change its access list.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'. Body: { usernames: string[] }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated { pollId, visibility, allowedUsers }.
+   * @responsestatus 400 - Bad Request: If 'usernames' is missing, empty or names a user that does not exist. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the creator of the poll. Code 'not_poll_creator'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the user may not see it. Code 'poll_not_found'.
+   * @responsestatus 409 - Conflict: If the poll is not private. Code 'poll_not_private'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/:id/access', requireAuth, validateRequest(OPERATIONS.grantPollAccess), async (req, res, next) => {
+    const access = await pollService.grantPollAccess(req.params.id, req.user.username, req.body.usernames);
+    res.status(200).json(access);
+  });
+
+  /**
+   * @route DELETE /polls/:id/access/:username
+   * @description Removes a user from the access list of a private poll. Only the authenticated creator of the poll may change its access list. Votes already cast are kept.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id' and 'username'.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
-   * @responsestatus 200 - OK: Returns the poll results object (structure defined by service/storage).
-   * @responsestatus 404 - Not Found: If no poll with the specified ID exists. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 200 - OK: Returns the updated { pollId, visibility, allowedUsers }.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the creator of the poll. Code 'not_poll_creator'.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists (code 'poll_not_found'), or the user is not on the access list (code 'access_not_found').
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.get('/:id/results', async (req, res, next) => {
-    try {
-      const { id } = req.params;
-       if (!id) { 
-           return res.status(400).json({ error: 'Poll ID parameter is required.' });
-       }
-      // Delegate getting results to poll service
-      const results = await pollService.getPollResults(id);
-      res.status(200).json(results);
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('not found')) {
-        res.status(404).json({ error: error.message }); // Poll not found
-      } else {
-        // Log unexpected errors and return a generic 500
-        console.error(`Error getting results for poll ${req.params.id}:`, error);
-        res.status(500).json({ error: 'Internal server error while getting poll results' });
-        // Optionally: next(error);
-      }
-    }
+  router.delete('/:id/access/:username', requireAuth, validateRequest(OPERATIONS.revokePollAccess), async (req, res, next) => {
+    const access = await pollService.revokePollAccess(req.params.id, req.user.username, req.params.username);
+    res.status(200).json(access);
   });
 
   return router;
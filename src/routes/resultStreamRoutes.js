@@ -0,0 +1,171 @@
+/**
+ * resultStreamRoutes.js
+ *
+ * This module defines the Server-Sent Events endpoint that streams live poll results.
+ * Clients receive the current tally on connect, an updated tally after every vote
+ * (and after the poll is edited or closed), and a final event when the poll is deleted
+ * or they may no longer see it.
+ */
+
+import express from 'express';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+import { ForbiddenError, NotFoundError } from '../errors.js';
+
+// Default interval between heartbeat comments, which keep proxies from closing idle streams
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Formats a Server-Sent Events message.
+ *
+ * @param {string} event - The event name.
+ * @param {Object} data - The payload, sent as JSON.
+ * @returns {string} The message, terminated by a blank line.
+ */
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Creates and configures an Express Router for the live results stream.
+ * The router subscribes to the poll service's change events once and fans each
+ * update out to every client streaming the affected poll.
+ *
+ * @param {import('../services/PollService.js').PollService} pollService - An instance of the PollService providing results and change events.
+ * @param {Object} [options={}] - Stream options.
+ * @param {number} [options.heartbeatIntervalMs=15000] - Milliseconds between heartbeat comments.
+ * @returns {express.Router} An Express router instance with the stream route defined.
+ * @throws {Error} If pollService is not provided or invalid.
+ */
+export function createResultStreamRoutes(pollService, options = {}) {
+  if (!pollService || !pollService.events) {
+    throw new Error('createResultStreamRoutes requires a valid pollService instance.');
+  }
+  const heartbeatIntervalMs = options.heartbeatIntervalMs ?? DEFAULT_HEARTBEAT_INTERVAL_MS;
+  const router = express.Router();
+
+  // Open streams, keyed by poll ID
+  const streams = new Map();
+
+  /**
+   * Stops the heartbeat of a stream and drops it from the open streams of its poll.
+   * Safe to call more than once for the same stream.
+   *
+   * @param {string} pollId - The ID of the streamed poll.
+   * @param {express.Response} res - The streaming response.
+   * @returns {void}
+   */
+  const removeClient = (pollId, res) => {
+    clearInterval(res.locals.heartbeat);
+    const clients = streams.get(pollId);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) {
+        streams.delete(pollId);
+      }
+    }
+  };
+
+  /**
+   * Ends a stream with a final event, removing it before the client has disconnected.
+   *
+   * @param {string} pollId - The ID of the streamed poll.
+   * @param {express.Response} res - The streaming response.
+   * @param {string} message - The final event, formatted by `formatEvent`.
+   * @returns {void}
+   */
+  const endStream = (pollId, res, message) => {
+    removeClient(pollId, res);
+    res.end(message);
+  };
+
+  /**
+   * Sends the current results of a poll to every client streaming it. The results are looked
+   * up once per requester; the streams of requesters who may no longer see the poll are ended
+   * with a `revoked` event.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll that changed.
+   * @returns {Promise<void>}
+   */
+  const pushResults = async ({ pollId }) => {
+    const clients = streams.get(pollId);
+    if (!clients) {
+      return;
+    }
+    const requesters = new Set([...clients].map(res => res.locals.requester));
+    for (const requester of requesters) {
+      try {
+        const results = await pollService.getPollResults(pollId, { requester });
+        const message = formatEvent('results', results);
+        clients.forEach(res => res.locals.requester === requester && res.write(message));
+      } catch (error) {
+        if (error instanceof NotFoundError || error instanceof ForbiddenError) {
+          // Access was revoked, or the poll was deleted in the meantime (its own event ends the other streams)
+          const message = formatEvent('revoked', { id: pollId });
+          [...clients].filter(res => res.locals.requester === requester).forEach(res => endStream(pollId, res, message));
+        } else {
+          console.error(`Error pushing results for poll ${pollId}:`, error);
+        }
+      }
+    }
+  };
+
+  /**
+   * Sends the final event to every client streaming a deleted poll and ends their streams.
+   *
+   * @param {string} pollId - The ID of the deleted poll.
+   * @returns {void}
+   */
+  const endStreams = ({ pollId }) => {
+    const clients = streams.get(pollId);
+    if (!clients) {
+      return;
+    }
+    const message = formatEvent('deleted', { id: pollId });
+    [...clients].forEach(res => endStream(pollId, res, message));
+  };
+
+  pollService.events.on('pollVoted', pushResults);
+  pollService.events.on('pollUpdated', pushResults);
+  pollService.events.on('pollClosed', pushResults);
+  pollService.events.on('pollDeleted', endStreams);
+
+  /**
+   * @route GET /polls/:id/results/stream
+   * @description Streams the results of a poll as Server-Sent Events. A `results` event carrying the same object as GET /polls/:id/results is sent on connect and after every change; a `deleted` event ends the stream when the poll is deleted, and a `revoked` event when the requester may no longer see it. Heartbeat comments are sent while idle.
+   * @param {express.Request} req - Express request object. Params contain 'id'. An optional bearer token identifies the requester.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Opens a `text/event-stream` response.
+   * @responsestatus 404 - Not Found: If no poll with the specified ID exists, or it is private and the requester may not see it. Code 'poll_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/results/stream', validateRequest(OPERATIONS.streamPollResults), async (req, res, next) => {
+    const { id } = req.params;
+    // Fetch the results before the stream starts, so an unknown poll gets a regular error response
+    const requester = req.user?.username;
+    const results = await pollService.getPollResults(id, { requester });
+    res.locals.requester = requester;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(formatEvent('results', results));
+
+    if (!streams.has(id)) {
+      streams.set(id, new Set());
+    }
+    streams.get(id).add(res);
+
+    res.locals.heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatIntervalMs);
+
+    // Clean up when the client disconnects; streams ended by a deletion or revocation are already removed
+    res.on('close', () => removeClient(id, res));
+  });
+
+  return router;
+}
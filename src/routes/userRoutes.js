@@ -2,9 +2,16 @@
  * userRoutes.js
  * 
  * This module defines the Express router for handling user-related API endpoints.
- * It maps HTTP requests (POST, GET) to the corresponding UserService methods.
+ * It maps HTTP requests (POST, GET, PATCH, DELETE) to the corresponding UserService methods,
+ * and account deletion to the AccountService.
+ * Every route first validates the request against the schemas of its entry in `OPERATIONS`.
+ * Errors are passed on to the error-handling middleware, which responds with problem details.
  */
 import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+import { parsePollListQuery } from './pollListQuery.js';
 
 /**
  * Creates and configures an Express Router for user-related endpoints.
@@ -21,124 +28,161 @@ export function createUserRoutes(userService) {
 
   /**
    * @route POST /users
-   * @description Creates a new user. Expects a JSON body with a 'username' property.
-   * @param {express.Request} req - Express request object. Body should contain { username: string }.
+   * @description Creates a new user. Expects a JSON body with 'username' and 'password' properties. Does not require authentication.
+   * @param {express.Request} req - Express request object. Body should contain { username: string, password: string }.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
-   * @responsestatus 201 - Created: Returns the newly created user object { id: string, username: string }.
-   * @responsestatus 400 - Bad Request: If 'username' is missing, invalid, or already exists. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs during processing. Returns { error: string }.
+   * @responsestatus 201 - Created: Returns the newly created user object { id, username, displayName, email, avatarUrl, bio, createdAt, lastActiveAt }.
+   * @responsestatus 400 - Bad Request: If 'username' is missing or invalid, or if 'password' is shorter than 8 characters. Code 'validation_failed'.
+   * @responsestatus 409 - Conflict: If the username is already taken. Code 'username_taken'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs during processing. Code 'internal_error'.
    */
-  router.post('/', async (req, res, next) => { // Added next for potential future use
-    try {
-      const { username } = req.body;
-      
-      // Basic input validation
-      if (!username || typeof username !== 'string' || username.trim() === '') {
-        // Send specific error for missing/invalid username
-        return res.status(400).json({ error: 'Username is required and must be a non-empty string' });
-      }
-      
-      // Delegate to user service
-      const user = await userService.createUser(username.trim()); // Use trimmed username
-      res.status(201).json(user);
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('already exists')) {
-        res.status(400).json({ error: error.message });
-      } else if (error.message.includes('must be a non-empty string')) { 
-        // Catch validation errors from service if not caught above
-        res.status(400).json({ error: error.message });
-      } else {
-        // Log unexpected errors and return a generic 500
-        console.error('Error creating user:', error);
-        res.status(500).json({ error: 'Internal server error while creating user' });
-        // Optionally pass to a generic error handler: next(error);
-      }
-    }
+  router.post('/', validateRequest(OPERATIONS.createUser), async (req, res, next) => {
+    const { username, password } = req.body;
+
+    // Delegate to user service
+    const user = await userService.createUser(username.trim(), password); // Use trimmed username
+    res.status(201).json(user);
   });
 
   /**
-   * @route GET /users/:username/polls
-   * @description Retrieves all polls created by a specific user.
+   * @route GET /users
+   * @description Retrieves one page of users, in alphabetical order of their username. Email addresses are only included in the authenticated user's own entry.
+   * @param {express.Request} req - Express request object. Query params: `q` (text to search for in usernames and display names), `limit` (1-100, default 20) and `cursor` (the `nextCursor` of the previous page).
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { items: User[], nextCursor: string|null, total: number }. Items may be empty.
+   * @responsestatus 400 - Bad Request: If a query parameter or the cursor is invalid. Code 'validation_failed'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/', validateRequest(OPERATIONS.listUsers), async (req, res, next) => {
+    const { q, cursor } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    // Delegate to user service
+    const page = await userService.listUsers({ q, limit, cursor }, req.user?.username);
+    res.status(200).json(page);
+  });
+
+  /**
+   * @route GET /users/:username
+   * @description Retrieves the profile of a user. The email address is only included when users look at their own profile.
    * @param {express.Request} req - Express request object. Params should contain 'username'.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
-   * @responsestatus 200 - OK: Returns an array of poll objects created by the user. Array may be empty.
-   * @responsestatus 404 - Not Found: If the specified user does not exist. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 200 - OK: Returns the user's profile.
+   * @responsestatus 404 - Not Found: If the specified user does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:username', validateRequest(OPERATIONS.getUser), async (req, res, next) => {
+    const user = await userService.getProfile(req.params.username, req.user?.username);
+    res.status(200).json(user);
+  });
+
+  /**
+   * @route PATCH /users/:username
+   * @description Changes the display name, email address, avatar URL and/or bio of the authenticated user. Null or an empty string clears a field.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params should contain 'username'. Body may contain { displayName?, email?, avatarUrl?, bio? }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns the updated user.
+   * @responsestatus 400 - Bad Request: If no profile field is given, or a field is too long or malformed. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the user being changed. Code 'not_profile_owner'.
+   * @responsestatus 404 - Not Found: If the specified user does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.get('/:username/polls', async (req, res, next) => {
-    try {
-      const { username } = req.params;
-       if (!username) { // Should not happen with route definition, but good practice
-           return res.status(400).json({ error: 'Username parameter is required.' });
-       }
-
-      // Access pollService via app.locals (assuming it's set up in server.js)
-      const pollService = req.app.locals.pollService;
-      if (!pollService) {
-          console.error('PollService not found in app.locals');
-          return res.status(500).json({ error: 'Internal server configuration error.' });
-      }
-
-      // Delegate to poll service
-      const polls = await pollService.getPollsByCreator(username);
-      res.status(200).json(polls);
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('does not exist')) {
-        res.status(404).json({ error: error.message }); // User not found
-      } else {
-        // Log unexpected errors and return a generic 500
-        console.error(`Error getting polls for user ${req.params.username}:`, error);
-        res.status(500).json({ error: 'Internal server error while getting user polls' });
-        // Optionally: next(error);
-      }
-    }
+  router.patch('/:username', requireAuth, validateRequest(OPERATIONS.updateUser), async (req, res, next) => {
+    const user = await userService.updateProfile(req.params.username, req.user.username, req.body);
+    res.status(200).json(user);
+  });
+
+  /**
+   * @route DELETE /users/:username
+   * @description Deletes the authenticated user's account and ends their sessions. Query params choose what happens to their polls (deleted, or transferred to another user) and their votes (removed, or kept anonymously so tallies stay the same). The user also leaves all their groups; groups they own pass to the next member or are deleted when empty.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params should contain 'username'. Query params: `polls` ('delete' (default) or 'transfer'), `transferTo` (required for 'transfer') and `votes` ('remove' (default) or 'anonymize').
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { username, pollsDeleted, pollsTransferred, votesRemoved, votesAnonymized, groupsDeleted, groupsLeft }.
+   * @responsestatus 400 - Bad Request: If a policy is unknown, or `transferTo` is missing or names the user themselves. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the user being deleted. Code 'not_profile_owner'.
+   * @responsestatus 404 - Not Found: If the user or the `transferTo` user does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs; the account and its data are then left in place. Code 'internal_error'.
+   */
+  router.delete('/:username', requireAuth, validateRequest(OPERATIONS.deleteUser), async (req, res, next) => {
+    // Access accountService via app.locals (set up in server.js)
+    const accountService = req.app.locals.accountService;
+    const { polls, transferTo, votes } = req.query;
+
+    const summary = await accountService.deleteAccount(req.params.username, req.user.username, { polls, transferTo, votes });
+    res.status(200).json(summary);
+  });
+
+  /**
+   * @route GET /users/:username/polls
+   * @description Retrieves one page of the polls created by a specific user. Accepts the same sorting, filtering and paging query parameters as GET /polls.
+   * @param {express.Request} req - Express request object. Params should contain 'username'. Query params as for GET /polls. An optional bearer token identifies the requester; as for GET /polls, only the polls listed for them are included.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { items: Poll[], nextCursor: string|null, total: number } with the user's polls. Items may be empty.
+   * @responsestatus 400 - Bad Request: If a query parameter or the cursor is invalid. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If the specified user does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:username/polls', validateRequest(OPERATIONS.listUserPolls), async (req, res, next) => {
+    // Access pollService via app.locals (set up in server.js)
+    const pollService = req.app.locals.pollService;
+
+    // Delegate to poll service
+    const page = await pollService.listPolls({ ...parsePollListQuery(req.query), createdBy: req.params.username }, req.user?.username);
+    res.status(200).json(page);
   });
 
   /**
    * @route GET /users/:username/votes
-   * @description Retrieves all polls in which a specific user has voted.
+   * @description Retrieves one page of the polls in which a specific user has voted. Accepts the same sorting, filtering and paging query parameters as GET /polls.
+   * @param {express.Request} req - Express request object. Params should contain 'username'. Query params as for GET /polls. An optional bearer token identifies the requester; as for GET /polls, only the polls listed for them are included.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns { items: Poll[], nextCursor: string|null, total: number } with the polls the user has voted in. Items may be empty.
+   * @responsestatus 400 - Bad Request: If a query parameter or the cursor is invalid. Code 'validation_failed'.
+   * @responsestatus 404 - Not Found: If the specified user does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:username/votes', validateRequest(OPERATIONS.listUserVotes), async (req, res, next) => {
+    // Access pollService via app.locals
+    const pollService = req.app.locals.pollService;
+
+    // Delegate to poll service
+    const page = await pollService.listPolls({ ...parsePollListQuery(req.query), votedBy: req.params.username }, req.user?.username);
+    res.status(200).json(page);
+  });
+
+  /**
+   * @route GET /users/:username/groups
+   * @description Retrieves the groups a user is a member of, in alphabetical order of their name.
    * @param {express.Request} req - Express request object. Params should contain 'username'.
    * @param {express.Response} res - Express response object.
    * @param {express.NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
-   * @responsestatus 200 - OK: Returns an array of poll objects the user has voted in. Array may be empty.
-   * @responsestatus 404 - Not Found: If the specified user does not exist. Returns { error: string }.
-   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Returns { error: string }.
+   * @responsestatus 200 - OK: Returns an array of groups. May be empty.
+   * @responsestatus 404 - Not Found: If the specified user does not exist. Code 'user_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
    */
-  router.get('/:username/votes', async (req, res, next) => {
-    try {
-      const { username } = req.params;
-       if (!username) {
-           return res.status(400).json({ error: 'Username parameter is required.' });
-       }
-
-      // Access pollService via app.locals
-      const pollService = req.app.locals.pollService;
-       if (!pollService) {
-          console.error('PollService not found in app.locals');
-          return res.status(500).json({ error: 'Internal server configuration error.' });
-      }
-
-      // Delegate to poll service
-      const polls = await pollService.getPollsVotedByUser(username);
-      res.status(200).json(polls);
-    } catch (error) {
-      // Handle specific errors from the service layer
-      if (error.message.includes('does not exist')) {
-        res.status(404).json({ error: error.message }); // User not found
-      } else {
-         // Log unexpected errors and return a generic 500
-        console.error(`Error getting votes for user ${req.params.username}:`, error);
-        res.status(500).json({ error: 'Internal server error while getting user votes' });
-         // Optionally: next(error);
-      }
-    }
+  router.get('/:username/groups', validateRequest(OPERATIONS.listUserGroups), async (req, res, next) => {
+    // Access groupService via app.locals
+    const groupService = req.app.locals.groupService;
+
+    const groups = await groupService.getGroupsOfUser(req.params.username);
+    res.status(200).json(groups);
   });
 
   return router;
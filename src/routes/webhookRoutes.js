@@ -0,0 +1,103 @@
+/**
+ * webhookRoutes.js
+ *
+ * This module defines the Express router for webhook subscriptions: creating, listing and
+ * deleting them, and reading their delivery log. It maps HTTP requests to the corresponding
+ * WebhookService methods. All routes act for the authenticated user, who only sees their own
+ * subscriptions. Every route first validates the request against the schemas of its entry in
+ * `OPERATIONS`. Errors are passed on to the error-handling middleware, which responds with problem details.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { OPERATIONS } from '../openapi/operations.js';
+
+/**
+ * Creates and configures an Express Router for webhook-related endpoints.
+ *
+ * @param {import('../services/WebhookService.js').WebhookService} webhookService - An instance of the WebhookService to handle business logic.
+ * @returns {express.Router} An Express router instance with webhook routes defined.
+ * @throws {Error} If webhookService is not provided or invalid.
+ */
+export function createWebhookRoutes(webhookService) {
+  if (!webhookService) {
+    throw new Error('createWebhookRoutes requires a valid webhookService instance.');
+  }
+  const router = express.Router();
+
+  /**
+   * @route POST /webhooks
+   * @description Subscribes a URL to events. Expects JSON body with 'url' (http or https) and 'events' (any of 'poll.created', 'poll.voted', 'poll.closed', 'poll.deleted' and 'user.created').
+   * @param {express.Request} req - Express request object. Requires a bearer token. Body: { url: string, events: string[] }.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 201 - Created: Returns the subscription { id, url, events, owner, createdAt, secret }. The secret that signs the deliveries is returned only this once.
+   * @responsestatus 400 - Bad Request: If the URL or the event list is missing or invalid. Code 'validation_failed'.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.post('/', requireAuth, validateRequest(OPERATIONS.createWebhook), async (req, res, next) => {
+    const { url, events } = req.body;
+
+    // The owner is always the authenticated user
+    const webhook = await webhookService.createWebhook({ url, events, owner: req.user.username });
+    res.status(201).json(webhook);
+  });
+
+  /**
+   * @route GET /webhooks
+   * @description Retrieves the authenticated user's subscriptions, oldest first, without their secrets.
+   * @param {express.Request} req - Express request object. Requires a bearer token.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns an array of subscriptions.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/', requireAuth, validateRequest(OPERATIONS.listWebhooks), async (req, res, next) => {
+    const webhooks = await webhookService.listWebhooks(req.user.username);
+    res.status(200).json(webhooks);
+  });
+
+  /**
+   * @route DELETE /webhooks/:id
+   * @description Deletes a subscription with its queued deliveries and delivery log. Only the authenticated owner may delete it.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns a confirmation message.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the owner. Code 'not_webhook_owner'.
+   * @responsestatus 404 - Not Found: If no subscription with the specified ID exists. Code 'webhook_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.delete('/:id', requireAuth, validateRequest(OPERATIONS.deleteWebhook), async (req, res, next) => {
+    const { id } = req.params;
+    await webhookService.deleteWebhook(id, req.user.username);
+    res.status(200).json({ message: `Webhook ${id} deleted successfully` });
+  });
+
+  /**
+   * @route GET /webhooks/:id/deliveries
+   * @description Retrieves the delivery log of a subscription, newest first: every queued, delivered and failed delivery with its attempts. Only the authenticated owner may read it.
+   * @param {express.Request} req - Express request object. Requires a bearer token. Params contain 'id'.
+   * @param {express.Response} res - Express response object.
+   * @param {express.NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @responsestatus 200 - OK: Returns an array of deliveries.
+   * @responsestatus 401 - Unauthorized: If no valid bearer token was sent. Code 'authentication_required' or 'invalid_token'.
+   * @responsestatus 403 - Forbidden: If the authenticated user is not the owner. Code 'not_webhook_owner'.
+   * @responsestatus 404 - Not Found: If no subscription with the specified ID exists. Code 'webhook_not_found'.
+   * @responsestatus 500 - Internal Server Error: If an unexpected error occurs. Code 'internal_error'.
+   */
+  router.get('/:id/deliveries', requireAuth, validateRequest(OPERATIONS.listWebhookDeliveries), async (req, res, next) => {
+    const deliveries = await webhookService.getDeliveries(req.params.id, req.user.username);
+    res.status(200).json(deliveries);
+  });
+
+  return router;
+}
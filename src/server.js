@@ -12,12 +12,43 @@ import { fileURLToPath, pathToFileURL } from 'url';
 // Route handlers
 import { createUserRoutes } from './routes/userRoutes.js';
 import { createPollRoutes } from './routes/pollRoutes.js';
+import { createAuthRoutes } from './routes/authRoutes.js';
+import { createResultStreamRoutes } from './routes/resultStreamRoutes.js';
+import { createDocsRoutes } from './routes/docsRoutes.js';
+import { createExportRoutes } from './routes/exportRoutes.js';
+import { createImportRoutes, importCost } from './routes/importRoutes.js';
+import { createGroupRoutes } from './routes/groupRoutes.js';
+import { createCommentRoutes } from './routes/commentRoutes.js';
+import { createWebhookRoutes } from './routes/webhookRoutes.js';
+import { createAuditRoutes } from './routes/auditRoutes.js';
+// Middleware
+import { createAuthMiddleware } from './middleware/auth.js';
+import { requestId, getRequestId } from './middleware/requestId.js';
+import { createRateLimit, parseRateLimits } from './middleware/rateLimit.js';
+import { problemDetailsHandler, notFoundHandler } from './middleware/problemDetails.js';
+// API description
+import { buildOpenApiDocument } from './openapi/document.js';
 // Service layer
 import { UserService } from './services/UserService.js';
 import { PollService } from './services/PollService.js';
+import { AuthService } from './services/AuthService.js';
+import { AccountService } from './services/AccountService.js';
+import { GroupService } from './services/GroupService.js';
+import { CommentService } from './services/CommentService.js';
+import { WebhookService } from './services/WebhookService.js';
+import { AuditService } from './services/AuditService.js';
 // Storage layer implementations
 import { JsonFileUserStorage } from './storage/JsonFileUserStorage.js';
 import { JsonFilePollStorage } from './storage/JsonFilePollStorage.js';
+import { JsonFileSessionStorage } from './storage/JsonFileSessionStorage.js';
+import { JsonFileGroupStorage } from './storage/JsonFileGroupStorage.js';
+import { JsonFileCommentStorage } from './storage/JsonFileCommentStorage.js';
+import { JsonFileWebhookStorage } from './storage/JsonFileWebhookStorage.js';
+import { JsonFileWebhookDeliveryStorage } from './storage/JsonFileWebhookDeliveryStorage.js';
+import { JsonFileAuditStorage } from './storage/JsonFileAuditStorage.js';
+import { MemoryRateLimitStore } from './storage/MemoryRateLimitStore.js';
+import { SqliteUserStorage } from './storage/SqliteUserStorage.js';
+import { SqlitePollStorage } from './storage/SqlitePollStorage.js';
 
 // --- Setup ---
 
@@ -33,63 +64,119 @@ const dataDir = path.join(__dirname, '..', 'data');
 const app = express();
 
 // Create storage instances, providing the data directory path
-// These instances handle reading/writing user and poll data from/to JSON files.
-const userStorage = new JsonFileUserStorage(dataDir);
-const pollStorage = new JsonFilePollStorage(dataDir);
+// These instances handle reading/writing user and poll data from/to JSON files, or from/to
+// a SQLite database when STORAGE_BACKEND=sqlite (see src/storage/migrateJsonToSqlite.js to import existing data).
+const useSqlite = process.env.STORAGE_BACKEND === 'sqlite';
+const databasePath = path.join(dataDir, 'pollbuilder.db');
+const userStorage = useSqlite ? new SqliteUserStorage(databasePath) : new JsonFileUserStorage(dataDir);
+const pollStorage = useSqlite ? new SqlitePollStorage(databasePath) : new JsonFilePollStorage(dataDir);
+const sessionStorage = new JsonFileSessionStorage(dataDir);
+const groupStorage = new JsonFileGroupStorage(dataDir);
+const commentStorage = new JsonFileCommentStorage(dataDir);
+const webhookStorage = new JsonFileWebhookStorage(dataDir);
+const webhookDeliveryStorage = new JsonFileWebhookDeliveryStorage(dataDir); // Also the persistent delivery queue
+const auditStorage = new JsonFileAuditStorage(dataDir); // Append-only
+const rateLimitStore = new MemoryRateLimitStore(); // Request counters, kept per process
 
 // Create service instances, injecting storage dependencies
 // Services contain the core business logic.
 const userService = new UserService(userStorage);
-const pollService = new PollService(pollStorage, userService); // PollService depends on both storages via UserService
+const groupService = new GroupService(groupStorage, userService);
+const pollService = new PollService(pollStorage, userService, groupService); // PollService depends on both storages via UserService, and on groups for group-restricted polls
+const authService = new AuthService(userService, sessionStorage);
+const commentService = new CommentService(commentStorage, pollService, userService); // Removes the comments of deleted polls and anonymizes those of deleted users
+// Posts poll and user events to subscribers. WEBHOOK_ALLOW_PRIVATE_ADDRESSES=true lets webhooks reach local receivers, e.g. in development.
+const webhookService = new WebhookService(webhookStorage, webhookDeliveryStorage, pollService, userService, { allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true' });
+const auditService = new AuditService(auditStorage, pollService, userService, { getRequestId }); // Records user, poll and vote changes with the request that made them
+const accountService = new AccountService(userService, pollService, authService, groupService); // Deleting an account touches users, polls, groups and sessions
 
 // Store service instances in app.locals for easy access within route handlers
 // This avoids needing to pass services down through middleware chains explicitly.
 app.locals.userService = userService;
 app.locals.pollService = pollService;
+app.locals.authService = authService;
+app.locals.accountService = accountService;
+app.locals.groupService = groupService;
+app.locals.commentService = commentService;
+app.locals.webhookService = webhookService;
+app.locals.auditService = auditService;
 
 // --- Middleware ---
 
 // Parse incoming JSON request bodies. Makes `req.body` available.
 app.use(express.json());
 
+// Assign every request an ID (`req.id`, `X-Request-Id`), which the audit log records with each change.
+app.use(requestId);
+
 // Simple request logger middleware (runs only in non-production environments)
-// Logs the HTTP method and URL of each incoming request to the console.
+// Logs the HTTP method, URL and ID of each incoming request to the console.
 if (process.env.NODE_ENV !== 'production') {
   app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl} (${req.id})`);
     next(); // Pass control to the next middleware/route handler
   });
 }
 
+// Authentication middleware. Resolves an `Authorization: Bearer <token>` header to `req.user`.
+// Requests without the header continue anonymously; routes that act on behalf of a user
+// are guarded with `requireAuth`, so the acting user always comes from the session token.
+app.use(createAuthMiddleware(authService));
+
+// Rate limiting of the write endpoints, per client IP and per authenticated user.
+// The budgets can be changed with RATE_LIMITS (JSON, see DEFAULT_RATE_LIMITS). Behind a reverse proxy,
+// set TRUST_PROXY (e.g. 1 for one proxy) so that `req.ip` is the client's address rather than the proxy's.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+const rateLimits = parseRateLimits(process.env.RATE_LIMITS);
+const limitUserCreation = createRateLimit('userCreation', rateLimits.userCreation, rateLimitStore);
+const limitPollCreation = createRateLimit('pollCreation', rateLimits.pollCreation, rateLimitStore);
+// An import draws on the same budget once for every poll of its file; its router runs it after reading the file
+const limitPollImport = createRateLimit('pollCreation', rateLimits.pollCreation, rateLimitStore, { cost: importCost });
+const limitVoting = createRateLimit('voting', rateLimits.voting, rateLimitStore);
+app.post('/users', limitUserCreation);
+app.post('/polls', limitPollCreation);
+app.post('/polls/:id/vote', limitVoting);
+app.put('/polls/:id/vote', limitVoting);
+app.delete('/polls/:id/vote', limitVoting);
+
 // --- API Routes ---
 
+// Serve the OpenAPI document at '/openapi.json' and the Swagger UI docs page at '/docs'
+app.use(createDocsRoutes(buildOpenApiDocument()));
+// Mount the login/logout routes under the '/auth' path prefix
+app.use('/auth', createAuthRoutes(authService));
 // Mount the user-related routes under the '/users' path prefix
 app.use('/users', createUserRoutes(userService));
+// Mount the group routes under the '/groups' path prefix
+app.use('/groups', createGroupRoutes(groupService));
+// Mount the webhook subscriptions under the '/webhooks' path prefix
+app.use('/webhooks', createWebhookRoutes(webhookService));
+// Mount the audit log under the '/audit' path prefix
+app.use('/audit', createAuditRoutes(auditService));
+// Mount the export downloads under '/polls'; before the poll routes, so '/polls/export' is not read as a poll ID
+app.use('/polls', createExportRoutes(pollService));
+// Mount the bulk import under '/polls' as well
+app.use('/polls', createImportRoutes(pollService, limitPollImport));
 // Mount the poll-related routes under the '/polls' path prefix
 app.use('/polls', createPollRoutes(pollService));
+// Mount the live results stream (Server-Sent Events) under the same '/polls' prefix
+app.use('/polls', createResultStreamRoutes(pollService));
+// Mount the comment threads under the '/polls' prefix as well
+app.use('/polls', createCommentRoutes(commentService));
 
 // --- Error Handling ---
 
-// Catch-all error handler middleware. Must be defined *after* all routes.
-// Express identifies it as an error handler by its four arguments (err, req, res, next).
-// @ts-ignore (Ignoring potential type mismatch for Express error handler signature)
-app.use((err, req, res, next) => {
-  // Log the full error stack trace to the console for debugging
-  console.error("Unhandled Error:", err.stack || err);
-  
-  // Send a generic 500 Internal Server Error response to the client
-  res.status(500).json({
-    error: 'Internal server error',
-    // Optionally include the error message in development for easier debugging
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined 
-  });
-});
+// 404 Not Found handler. Placed after all valid routes: if no route matched,
+// it passes a NotFoundError (code 'route_not_found') on to the error handler.
+app.use(notFoundHandler);
 
-// 404 Not Found handler. Placed after all valid routes and the main error handler.
-// If no route matches and no error occurred previously, this middleware runs.
-app.use((req, res) => {
-  res.status(404).json({ error: `Not Found: Cannot ${req.method} ${req.originalUrl}` });
-});
+// The single error-mapping middleware. Must be defined *after* all routes.
+// Route handlers don't catch errors; Express 5 forwards anything they throw (including rejected
+// promises) here. Typed errors from src/errors.js are mapped to their status and `code`, and every
+// error response is an RFC 7807 `application/problem+json` document. Other errors become a logged 500.
+app.use(problemDetailsHandler);
 
 // --- Server Start/Stop ---
 
@@ -110,9 +197,14 @@ export async function start() {
     // Run initializations concurrently
     await Promise.all([
         userStorage.initialize(),
-        pollStorage.initialize()
+        pollStorage.initialize(),
+        sessionStorage.initialize()
     ]);
     console.log('Storage initialized successfully.');
+    // Announce polls as they reach their closing time
+    pollService.start();
+    // Deliver queued webhooks, including those left pending by a previous run
+    webhookService.start();
 
     // Return a promise that resolves when the server is listening
     return new Promise((resolve, reject) => {
@@ -143,11 +235,14 @@ export async function start() {
 }
 
 /**
- * Stops the currently running Express server.
+ * Stops the currently running Express server, after the webhook delivery in progress (if any) has finished.
  * 
  * @returns {Promise<void>} A promise that resolves when the server has successfully closed, or rejects if an error occurs during closing.
  */
-export function stop() {
+export async function stop() {
+  pollService.stop();
+  // Pending deliveries stay queued for the next start
+  await webhookService.stop();
   return new Promise((resolve, reject) => {
     const server = app.locals.server;
     if (!server) {
@@ -167,6 +262,8 @@ export function stop() {
       delete app.locals.server; 
       resolve();
     });
+    // Long-lived connections (open result streams) would keep the server from closing
+    server.closeAllConnections();
   });
 }
 
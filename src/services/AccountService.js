@@ -0,0 +1,97 @@
+/**
+ * AccountService.js
+ *
+ * This module encapsulates deleting user accounts. A user's data is spread over the user,
+ * poll, group and session storages, so the service coordinates the other services and undoes
+ * the poll and group changes if the user cannot be deleted afterwards.
+ */
+
+import { ForbiddenError } from '../errors.js';
+
+/**
+ * Service class containing business logic for deleting accounts.
+ */
+export class AccountService {
+  /**
+   * Creates an instance of AccountService.
+   *
+   * @param {import('./UserService.js').UserService} userService - An instance of the UserService that deletes the user.
+   * @param {import('./PollService.js').PollService} pollService - An instance of the PollService that removes the user from the polls.
+   * @param {import('./AuthService.js').AuthService} authService - An instance of the AuthService that ends the user's sessions.
+   * @param {import('./GroupService.js').GroupService} groupService - An instance of the GroupService that removes the user from their groups.
+   */
+  constructor(userService, pollService, authService, groupService) {
+    if (!userService || typeof userService.deleteUser !== 'function') {
+      throw new Error('AccountService requires a valid userService instance.');
+    }
+    if (!pollService || typeof pollService.removeUserFromPolls !== 'function' || typeof pollService.restorePolls !== 'function' || typeof pollService.publishEvents !== 'function') {
+      throw new Error('AccountService requires a valid pollService instance.');
+    }
+    if (!authService || typeof authService.endSessionsOfUser !== 'function') {
+      throw new Error('AccountService requires a valid authService instance.');
+    }
+    if (!groupService || typeof groupService.removeUserFromGroups !== 'function' || typeof groupService.restoreGroups !== 'function') {
+      throw new Error('AccountService requires a valid groupService instance.');
+    }
+    this.userService = userService;
+    this.pollService = pollService;
+    this.authService = authService;
+    this.groupService = groupService;
+  }
+
+  /**
+   * Deletes a user's account. Only the user themselves may do so.
+   *
+   * The steps run in an order that keeps the stored data consistent if one of them fails:
+   * 1. The user's sessions are ended, so they cannot vote or create polls meanwhile.
+   * 2. Their polls and votes are changed according to the policies, in one batch.
+   * 3. They are removed from their groups (see `GroupService.removeUserFromGroups`). If that fails, the polls are restored.
+   * 4. The user is deleted. If that fails, the changes to the polls and groups are undone.
+   * 5. The poll changes are announced (`pollDeleted`, `pollUpdated`), only now that they are final.
+   * A failure therefore leaves the account in place with its data intact; the user only has to log in again.
+   *
+   * @async
+   * @param {string} username - The username of the account to delete.
+   * @param {string} requester - The username of the user making the request.
+   * @param {Object} [policies={}] - What to do with the user's polls and votes (see `PollService.removeUserFromPolls`).
+   * @param {string} [policies.polls='delete'] - 'delete' or 'transfer'.
+   * @param {string} [policies.transferTo] - The new creator of the polls; required for 'transfer'.
+   * @param {string} [policies.votes='remove'] - 'remove' or 'anonymize'.
+   * @returns {Promise<{username: string, pollsDeleted: number, pollsTransferred: number, votesRemoved: number, votesAnonymized: number, groupsDeleted: number, groupsLeft: number}>}
+   *   A promise that resolves with a summary of what was removed.
+   * @throws {NotFoundError} If the user, or the `transferTo` user, does not exist (code 'user_not_found').
+   * @throws {ForbiddenError} If the requester is not the user (code 'not_profile_owner').
+   * @throws {ValidationError} If a policy is invalid (field 'polls', 'votes' or 'transferTo').
+   * @throws {Error} If an underlying storage operation fails.
+   */
+  async deleteAccount(username, requester, policies = {}) {
+    // Throws a NotFoundError for unknown users
+    await this.userService.getUser(username);
+    if (requester !== username) {
+      throw new ForbiddenError('Only the user can delete their account', { code: 'not_profile_owner' });
+    }
+    // Reject invalid policies before anything is changed
+    await this.pollService.checkUserPolicies(username, policies);
+
+    await this.authService.endSessionsOfUser(username);
+    const { changes, events, ...summary } = await this.pollService.removeUserFromPolls(username, policies);
+    let groupChanges = [];
+    try {
+      const { changes: removedFromGroups, ...groupSummary } = await this.groupService.removeUserFromGroups(username);
+      groupChanges = removedFromGroups;
+      Object.assign(summary, groupSummary);
+      await this.userService.deleteUser(username);
+    } catch (error) {
+      const restores = await Promise.allSettled([
+        this.pollService.restorePolls(changes),
+        this.groupService.restoreGroups(groupChanges)
+      ]);
+      restores
+        .filter(restore => restore.status === 'rejected')
+        .forEach(restore => console.error(`Failed to restore the polls or groups of ${username} after a failed account deletion:`, restore.reason));
+      throw error;
+    }
+    this.pollService.publishEvents(events);
+    return { username, ...summary };
+  }
+}
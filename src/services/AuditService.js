@@ -0,0 +1,219 @@
+/**
+ * AuditService.js
+ *
+ * This module keeps the audit log: an append-only record of who created and deleted users
+ * and polls, and who voted, with the request that did it and a summary of the change.
+ * Entries are written from the change events of `UserService` and `PollService`.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ValidationError } from '../errors.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from './pollListing.js';
+
+// The actions recorded in the log
+export const AUDIT_ACTIONS = Object.freeze(['user.create', 'user.delete', 'poll.create', 'poll.delete', 'vote.cast', 'vote.change', 'vote.retract']);
+
+// The audit action of each `pollVoted` action
+const VOTE_ACTIONS = Object.freeze({ cast: 'vote.cast', changed: 'vote.change', retracted: 'vote.retract' });
+
+/**
+ * Service class containing business logic for the audit log.
+ * Each entry records the `actor`, the `action`, its `target` ({ type: 'user' | 'poll', id, owner }),
+ * the `timestamp`, the `requestId` of the request it happened in (null outside of requests) and
+ * a summary of the target `before` and `after` the action. Vote summaries hold the selection,
+ * except in secret ballots, which only record that a ballot was cast.
+ *
+ * Users can read the entries they are the actor of and the entries about their account and
+ * their polls. Votes in secret ballots have no target owner, so only the voter reads them:
+ * the poll's creator could otherwise match the time of each vote with the change in the tally.
+ * Usernames become free when an account is deleted, so entries are only shown to the account
+ * that holds the name now: those recorded before its `user.create` entry belong to an earlier
+ * account of the same name and stay hidden. The log itself is never changed.
+ */
+export class AuditService {
+  /**
+   * Creates an instance of AuditService and subscribes it to the user and poll changes.
+   *
+   * @param {import('../storage/JsonFileAuditStorage.js').JsonFileAuditStorage} auditStorage - An instance of an audit storage implementation.
+   * @param {import('./PollService.js').PollService} pollService - An instance of the PollService whose changes are recorded.
+   * @param {import('./UserService.js').UserService} userService - An instance of the UserService whose changes are recorded.
+   * @param {Object} [options={}] - Tuning options.
+   * @param {function(): (string|null)} [options.getRequestId] - Returns the ID of the current request. Defaults to none.
+   */
+  constructor(auditStorage, pollService, userService, options = {}) {
+    if (!auditStorage || typeof auditStorage.appendEntry !== 'function' || typeof auditStorage.getEntries !== 'function') {
+        throw new Error('AuditService requires a valid auditStorage instance.');
+    }
+    if (!pollService || !pollService.events) {
+        throw new Error('AuditService requires a valid pollService instance.');
+    }
+    if (!userService || !userService.events) {
+        throw new Error('AuditService requires a valid userService instance.');
+    }
+    this.auditStorage = auditStorage;
+    this.getRequestId = options.getRequestId ?? (() => null);
+    // Appends run one after another; listings wait for the pending ones
+    this.writes = Promise.resolve();
+
+    userService.events.on('userCreated', ({ username }) => this._record({
+      actor: username, action: 'user.create', target: { type: 'user', id: username, owner: username }, before: null, after: { username }
+    }));
+    userService.events.on('userDeleted', ({ username }) => this._record({
+      actor: username, action: 'user.delete', target: { type: 'user', id: username, owner: username }, before: { username }, after: null
+    }));
+    pollService.events.on('pollCreated', ({ pollId, createdBy, question, visibility }) => this._record({
+      actor: createdBy, action: 'poll.create', target: { type: 'poll', id: pollId, owner: createdBy }, before: null, after: { question, visibility }
+    }));
+    pollService.events.on('pollDeleted', ({ pollId, createdBy, question, visibility }) => this._record({
+      actor: createdBy, action: 'poll.delete', target: { type: 'poll', id: pollId, owner: createdBy }, before: { question, visibility }, after: null
+    }));
+    pollService.events.on('pollVoted', details => this._record(this._voteEntry(details)));
+  }
+
+  /**
+   * Lists the audit entries the requester may read, newest first, one page at a time.
+   * Entries from before the requester's account was created are left out.
+   *
+   * @async
+   * @param {Object} [query={}] - The filters and paging options.
+   * @param {string} [query.actor] - Only entries of this actor.
+   * @param {string} [query.target] - Only entries about the user or poll with this ID.
+   * @param {string} [query.from] - Only entries at or after this ISO 8601 timestamp.
+   * @param {string} [query.to] - Only entries before this ISO 8601 timestamp.
+   * @param {number} [query.limit=DEFAULT_PAGE_SIZE] - The maximum number of entries on the page (1-100).
+   * @param {string} [query.cursor] - The `nextCursor` of the previous page. Omit for the first page.
+   * @param {string} requester - The username of the user asking.
+   * @returns {Promise<{items: Array<Object>, nextCursor: string|null, total: number}>} A promise that resolves with the page of entries.
+   *   `total` counts all matching entries; `nextCursor` is null on the last page.
+   * @throws {ValidationError} If a filter is not a string, a timestamp is invalid, `from` is not before `to`, `limit` is out of range,
+   *   or the cursor is invalid or from a listing with other filters (field 'cursor').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async listEntries(query = {}, requester) {
+    const { actor, target, from, to, limit = DEFAULT_PAGE_SIZE, cursor } = query;
+    for (const [field, value] of Object.entries({ actor, target })) {
+      if (value !== undefined && typeof value !== 'string') {
+        throw new ValidationError(`${field} must be a string`, { field });
+      }
+    }
+    for (const [field, value] of Object.entries({ from, to })) {
+      if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+        throw new ValidationError(`${field} must be an ISO 8601 timestamp`, { field });
+      }
+    }
+    if (from !== undefined && to !== undefined && Date.parse(from) >= Date.parse(to)) {
+      throw new ValidationError('from must be before to', { field: 'from' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, { field: 'limit' });
+    }
+    const after = cursor === undefined ? undefined : this._decodeCursor(cursor);
+
+    await this.writes;
+    let entries;
+    let accountEntries;
+    try {
+        entries = await this.auditStorage.getEntries({ actor, target, from, to });
+        accountEntries = await this.auditStorage.getEntries({ target: requester });
+    } catch (storageError) {
+        console.error('Storage error during listEntries:', storageError);
+        throw new Error(`Failed to retrieve audit entries: ${storageError.message}`);
+    }
+
+    // The entries of an earlier account with the requester's name are not theirs
+    const accountCreatedAt = accountEntries
+      .filter(entry => entry.action === 'user.create' && entry.target.type === 'user')
+      .at(-1)?.timestamp;
+    // Entries are appended in the order they happened, so the newest come last
+    const matching = entries
+      .filter(entry => entry.actor === requester || entry.target.owner === requester)
+      .filter(entry => accountCreatedAt === undefined || entry.timestamp >= accountCreatedAt)
+      .reverse();
+    let start = 0;
+    if (after !== undefined) {
+      start = matching.findIndex(entry => entry.id === after) + 1;
+      if (start === 0) {
+        throw new ValidationError('Invalid cursor', { field: 'cursor' });
+      }
+    }
+    const page = matching.slice(start, start + limit);
+    const hasMore = start + limit < matching.length;
+    return {
+      items: page,
+      nextCursor: hasMore ? this._encodeCursor(page[page.length - 1].id) : null,
+      total: matching.length
+    };
+  }
+
+  /**
+   * Appends an entry to the log, stamped with the current time and request.
+   * The request ID is read right away, while the caller still runs in the request;
+   * the write itself is queued behind the previous ones. Failures are logged, never thrown.
+   *
+   * @param {Object} entry - The entry: { actor, action, target, before, after }.
+   * @returns {void}
+   * @private
+   */
+  _record(entry) {
+    const entryId = uuidv4();
+    const stamped = { ...entry, timestamp: new Date().toISOString(), requestId: this.getRequestId() };
+    this.writes = this.writes
+      .then(() => this.auditStorage.appendEntry(entryId, stamped))
+      .then(() => undefined, storageError => {
+        console.error(`Failed to record audit entry for ${entry.action} on ${entry.target.id}:`, storageError);
+      });
+  }
+
+  /**
+   * Builds the entry of a `pollVoted` event.
+   *
+   * @param {Object} details - The event payload: { pollId, username, action, createdBy, selection?, previousSelection? }.
+   * @returns {Object} The entry: { actor, action, target, before, after }.
+   * @private
+   */
+  _voteEntry({ pollId, username, action, createdBy, selection, previousSelection }) {
+    const entry = { actor: username, action: VOTE_ACTIONS[action] };
+    // Secret ballots come without selections
+    if (selection === undefined && previousSelection === undefined) {
+      return { ...entry, target: { type: 'poll', id: pollId }, before: null, after: { secretBallot: true } };
+    }
+    return {
+      ...entry,
+      target: { type: 'poll', id: pollId, owner: createdBy },
+      before: previousSelection === null ? null : { selection: previousSelection },
+      after: selection === null ? null : { selection }
+    };
+  }
+
+  /**
+   * Encodes the last entry of a page as an opaque cursor.
+   *
+   * @param {string} entryId - The ID of the entry the next page starts after.
+   * @returns {string} A URL-safe cursor string.
+   * @private
+   */
+  _encodeCursor(entryId) {
+    return Buffer.from(JSON.stringify({ entryId })).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor produced by `_encodeCursor`.
+   *
+   * @param {string} cursor - The cursor sent by the client.
+   * @returns {string} The ID of the entry the page starts after.
+   * @throws {ValidationError} If the cursor is malformed (field 'cursor').
+   * @private
+   */
+  _decodeCursor(cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      decoded = null;
+    }
+    if (typeof decoded?.entryId !== 'string') {
+      throw new ValidationError('Invalid cursor', { field: 'cursor' });
+    }
+    return decoded.entryId;
+  }
+}
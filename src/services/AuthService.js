@@ -0,0 +1,163 @@
+/**
+ * AuthService.js
+ *
+ * This module encapsulates the business logic for logging users in and out.
+ * It checks credentials through the UserService and issues opaque bearer tokens
+ * backed by session records in the session storage.
+ */
+
+import crypto from 'crypto';
+import { ValidationError, UnauthorizedError } from '../errors.js';
+
+// Default lifetime of a session: 24 hours
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hashes a bearer token so it can be used as a storage key without persisting the token itself.
+ *
+ * @param {string} token - The raw bearer token.
+ * @returns {string} The hex-encoded SHA-256 hash of the token.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Service class containing business logic for authentication and sessions.
+ */
+export class AuthService {
+  /**
+   * Creates an instance of AuthService.
+   *
+   * @param {import('./UserService.js').UserService} userService - An instance of the UserService used to verify credentials.
+   * @param {import('../storage/JsonFileSessionStorage.js').JsonFileSessionStorage} sessionStorage - An instance of a session storage implementation.
+   * @param {Object} [options={}] - Optional settings.
+   * @param {number} [options.sessionTtlMs] - How long an issued session stays valid, in milliseconds. Defaults to 24 hours.
+   */
+  constructor(userService, sessionStorage, options = {}) {
+    if (!userService || typeof userService.verifyCredentials !== 'function' || typeof userService.recordActivity !== 'function') {
+      throw new Error('AuthService requires a valid userService instance.');
+    }
+    if (!sessionStorage || typeof sessionStorage.createSession !== 'function') {
+      throw new Error('AuthService requires a valid sessionStorage instance.');
+    }
+    this.userService = userService;
+    this.sessionStorage = sessionStorage;
+    this.sessionTtlMs = options.sessionTtlMs ?? DEFAULT_SESSION_TTL_MS;
+  }
+
+  /**
+   * Verifies a username/password pair and issues a new session token.
+   *
+   * @async
+   * @param {string} username - The username to log in as.
+   * @param {string} password - The user's password.
+   * @returns {Promise<{token: string, expiresAt: string, user: Object}>} A promise that resolves with the bearer token, its expiry time and the public user object.
+   * @throws {UnauthorizedError} If the credentials are missing or invalid (code 'invalid_credentials').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async login(username, password) {
+    const user = await this.userService.verifyCredentials(username, password);
+    if (!user) {
+      // Same message for unknown users and wrong passwords to avoid leaking which usernames exist
+      throw new UnauthorizedError('Invalid username or password', { code: 'invalid_credentials' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expiresAt = new Date(now + this.sessionTtlMs).toISOString();
+
+    try {
+      await this.sessionStorage.createSession(hashToken(token), {
+        username: user.username,
+        createdAt: new Date(now).toISOString(),
+        expiresAt
+      });
+    } catch (storageError) {
+      console.error(`Storage error during login for ${user.username}:`, storageError);
+      throw new Error(`Failed to create session: ${storageError.message}`);
+    }
+
+    // Logging in counts as activity
+    return { token, expiresAt, user: await this.userService.recordActivity(user.username) };
+  }
+
+  /**
+   * Sets the first password of an account that has none, using its setup code, and logs the user in.
+   *
+   * @async
+   * @param {string} username - The username of the account.
+   * @param {string} code - The setup code issued to the user (see `UserService.issuePasswordSetupCodes`).
+   * @param {string} password - The new password.
+   * @returns {Promise<{token: string, expiresAt: string, user: Object}>} A promise that resolves with the new session, like `login`.
+   * @throws {ValidationError} If the password is too short.
+   * @throws {UnauthorizedError} If the code is wrong or expired, or the account already has a password (code 'invalid_setup_code').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async setUpPassword(username, code, password) {
+    await this.userService.setInitialPassword(username, code, password);
+    return this.login(username, password);
+  }
+
+  /**
+   * Ends the session identified by a bearer token.
+   *
+   * @async
+   * @param {string} token - The bearer token of the session to end.
+   * @returns {Promise<boolean>} A promise that resolves with true if a session was removed, false if none existed.
+   * @throws {ValidationError} If the token is not a non-empty string.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async logout(token) {
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError('Invalid token provided to logout.');
+    }
+    return this.sessionStorage.deleteSession(hashToken(token));
+  }
+
+  /**
+   * Ends every session of a user, e.g. before their account is deleted.
+   *
+   * @async
+   * @param {string} username - The username whose sessions are ended.
+   * @returns {Promise<number>} A promise that resolves with the number of sessions ended.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async endSessionsOfUser(username) {
+    try {
+      return await this.sessionStorage.deleteSessionsOfUser(username);
+    } catch (storageError) {
+      console.error(`Storage error during endSessionsOfUser for ${username}:`, storageError);
+      throw new Error(`Failed to end sessions: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Resolves a bearer token to the user it was issued for, recording the user as active.
+   * Expired sessions are removed when they are encountered.
+   *
+   * @async
+   * @param {string} token - The bearer token to resolve.
+   * @returns {Promise<Object|null>} A promise that resolves with the public user object, or null if the token is unknown, expired, or its user no longer exists.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getUserForToken(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+    const tokenHash = hashToken(token);
+    const session = await this.sessionStorage.getSession(tokenHash);
+    if (!session) {
+      return null;
+    }
+    if (Date.parse(session.expiresAt) <= Date.now()) {
+      await this.sessionStorage.deleteSession(tokenHash);
+      return null;
+    }
+    const exists = await this.userService.userExists(session.username);
+    if (!exists) {
+      return null;
+    }
+    return this.userService.recordActivity(session.username);
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * CommentService.js
+ *
+ * This module encapsulates the business logic related to comments on polls: posting comments
+ * and replies, editing and deleting them, and assembling the threads. Comments follow the
+ * visibility of their poll, which this service checks through `PollService`.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ANONYMOUS_VOTER_PREFIX } from './UserService.js';
+import { AppError, ValidationError, ForbiddenError, NotFoundError } from '../errors.js';
+
+// Maximum length of the text of a comment
+export const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Service class containing business logic for comment operations.
+ * A comment either starts a thread or replies to another comment of the same poll (`parentId`);
+ * replies can be nested to any depth. Authors may edit and delete their comments, and the
+ * creator of the poll may delete any comment on it. Deleting a comment deletes its replies too.
+ *
+ * The service listens for `pollDeleted` events of the poll service and removes the comments
+ * of deleted polls, whether the creator deleted the poll or it went with its creator's account.
+ * It also listens for `userDeleted` events of the user service and anonymizes the comments of
+ * deleted users: each gets its own `anonymous:<id>` author, so the replies of others stay in
+ * their threads, and whoever registers the name later cannot edit or delete them.
+ */
+export class CommentService {
+  /**
+   * Creates an instance of CommentService and subscribes it to the poll and user deletions.
+   *
+   * @param {import('../storage/JsonFileCommentStorage.js').JsonFileCommentStorage} commentStorage - An instance of a comment storage implementation.
+   * @param {import('./PollService.js').PollService} pollService - An instance of the PollService to look up polls and listen for their deletion.
+   * @param {import('./UserService.js').UserService} userService - An instance of the UserService to listen for the deletion of users.
+   */
+  constructor(commentStorage, pollService, userService) {
+    if (!commentStorage || typeof commentStorage.createComment !== 'function' || typeof commentStorage.deleteComments !== 'function') {
+        throw new Error('CommentService requires a valid commentStorage instance.');
+    }
+    if (!pollService || typeof pollService.getPoll !== 'function' || !pollService.events) {
+        throw new Error('CommentService requires a valid pollService instance.');
+    }
+    if (!userService || !userService.events) {
+        throw new Error('CommentService requires a valid userService instance.');
+    }
+    this.commentStorage = commentStorage;
+    this.pollService = pollService;
+
+    // Events are emitted synchronously; the removal runs on its own and only logs failures
+    pollService.events.on('pollDeleted', ({ pollId }) => {
+      this.removeCommentsOfPoll(pollId).catch(storageError => {
+        console.error(`Failed to remove the comments of deleted poll ${pollId}:`, storageError);
+      });
+    });
+    userService.events.on('userDeleted', ({ username }) => {
+      this.anonymizeCommentsOfUser(username).catch(storageError => {
+        console.error(`Failed to anonymize the comments of deleted user ${username}:`, storageError);
+      });
+    });
+  }
+
+  /**
+   * Retrieves the comment threads of a poll. Threads are ordered from the oldest comment, and
+   * every comment carries its `replies` in the same order.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} [requester] - The username of the user making the request, if any.
+   * @returns {Promise<Array<Object>>} A promise that resolves with the top-level comments, each { id, pollId, parentId, author, body, createdAt, editedAt, replies }.
+   * @throws {NotFoundError} If the poll does not exist, or the requester may not see it (code 'poll_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async listComments(pollId, requester) {
+    await this.pollService.getPoll(pollId, requester);
+    const comments = await this._getComments(pollId);
+
+    const threads = [];
+    const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    for (const comment of byId.values()) {
+      const parent = comment.parentId ? byId.get(comment.parentId) : null;
+      (parent ? parent.replies : threads).push(comment);
+    }
+    return threads;
+  }
+
+  /**
+   * Posts a comment on a poll, or a reply to one of its comments.
+   *
+   * @async
+   * @param {Object} commentData - The data for the comment.
+   * @param {string} commentData.pollId - The ID of the poll.
+   * @param {string} commentData.author - The username of the author.
+   * @param {string} commentData.body - The text. Must be a non-empty string of at most 2000 characters.
+   * @param {string} [commentData.parentId] - The ID of the comment this one replies to.
+   * @returns {Promise<Object>} A promise that resolves with the created comment: { id, pollId, parentId, author, body, createdAt, editedAt }.
+   * @throws {ValidationError} If the body is invalid (field 'body'), or `parentId` is not a comment of the poll (field 'parentId').
+   * @throws {NotFoundError} If the poll does not exist, or the author may not see it (code 'poll_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async addComment(commentData) {
+    if (!commentData || typeof commentData !== 'object') {
+        throw new ValidationError('Invalid commentData provided.');
+    }
+    const { pollId, author, body, parentId } = commentData;
+    if (!author || typeof author !== 'string' || author.trim() === '') {
+      throw new ValidationError('Author must be a non-empty string', { field: 'author' });
+    }
+    const trimmedAuthor = author.trim();
+    await this.pollService.getPoll(pollId, trimmedAuthor);
+    const trimmedBody = this._validateBody(body);
+
+    if (parentId !== undefined && parentId !== null) {
+      const parent = typeof parentId === 'string' ? await this.commentStorage.getById(parentId) : null;
+      if (!parent || parent.pollId !== pollId) {
+        throw new ValidationError(`Comment '${parentId}' does not exist on poll '${pollId}'`, { field: 'parentId' });
+      }
+    }
+
+    const commentId = uuidv4();
+    try {
+        return await this.commentStorage.createComment(commentId, {
+          pollId,
+          parentId: parentId ?? null,
+          author: trimmedAuthor,
+          body: trimmedBody,
+          createdAt: new Date().toISOString()
+        });
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during addComment for ${commentId}:`, storageError);
+        throw new Error(`Failed to create comment: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Changes the text of a comment. Only its author may edit it.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} commentId - The ID of the comment.
+   * @param {string} requester - The username of the user making the request.
+   * @param {string} body - The new text, validated like a new comment.
+   * @returns {Promise<Object>} A promise that resolves with the updated comment, with `editedAt` set.
+   * @throws {NotFoundError} If the poll does not exist or the requester may not see it (code 'poll_not_found'), or the comment is not on the poll (code 'comment_not_found').
+   * @throws {ForbiddenError} If the requester is not the author (code 'not_comment_author').
+   * @throws {ValidationError} If the body is invalid (field 'body').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async editComment(pollId, commentId, requester, body) {
+    await this.pollService.getPoll(pollId, requester);
+    const comment = await this._getComment(pollId, commentId);
+    if (comment.author !== requester) {
+      throw new ForbiddenError('Only the author can edit this comment', { code: 'not_comment_author' });
+    }
+    const trimmedBody = this._validateBody(body);
+
+    try {
+        return await this.commentStorage.updateCommentBody(commentId, trimmedBody, new Date().toISOString());
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during editComment for ${commentId}:`, storageError);
+        throw new Error(`Failed to edit comment: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Deletes a comment together with all replies below it. The author and the creator of the
+   * poll may delete a comment.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} commentId - The ID of the comment.
+   * @param {string} requester - The username of the user making the request.
+   * @returns {Promise<number>} A promise that resolves with the number of comments deleted, the comment itself included.
+   * @throws {NotFoundError} If the poll does not exist or the requester may not see it (code 'poll_not_found'), or the comment is not on the poll (code 'comment_not_found').
+   * @throws {ForbiddenError} If the requester is neither the author nor the poll's creator (code 'not_comment_author').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async deleteComment(pollId, commentId, requester) {
+    const poll = await this.pollService.getPoll(pollId, requester);
+    const comment = await this._getComment(pollId, commentId);
+    if (comment.author !== requester && poll.createdBy !== requester) {
+      throw new ForbiddenError('Only the author or the creator of the poll can delete this comment', { code: 'not_comment_author' });
+    }
+
+    // Collect the comment and every reply below it
+    const comments = await this._getComments(pollId);
+    const deletedIds = [commentId];
+    for (let index = 0; index < deletedIds.length; index++) {
+      deletedIds.push(...comments.filter(reply => reply.parentId === deletedIds[index]).map(reply => reply.id));
+    }
+
+    try {
+        await this.commentStorage.deleteComments(deletedIds);
+        return deletedIds.length;
+    } catch (storageError) {
+        console.error(`Storage error during deleteComment for ${commentId}:`, storageError);
+        throw new Error(`Failed to delete comment: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Deletes all comments of a poll. Called when the poll is deleted.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @returns {Promise<number>} A promise that resolves with the number of comments deleted.
+   * @throws {Error} If the underlying storage operation fails; no comment is deleted in that case.
+   */
+  async removeCommentsOfPoll(pollId) {
+    const comments = await this.commentStorage.getCommentsOfPoll(pollId);
+    await this.commentStorage.deleteComments(comments.map(comment => comment.id));
+    return comments.length;
+  }
+
+  /**
+   * Replaces the author of all comments of a user with an anonymous name of its own per comment.
+   * Called when the user is deleted.
+   *
+   * @async
+   * @param {string} username - The username of the author.
+   * @returns {Promise<number>} A promise that resolves with the number of comments anonymized.
+   * @throws {Error} If the underlying storage operation fails; no comment is changed in that case.
+   */
+  async anonymizeCommentsOfUser(username) {
+    return this.commentStorage.replaceAuthor(username, () => `${ANONYMOUS_VOTER_PREFIX}${uuidv4()}`);
+  }
+
+  /**
+   * Retrieves the comments of a poll, oldest first.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @returns {Promise<Array<Object>>} The comments, replies included.
+   * @throws {Error} If the underlying storage operation fails.
+   * @private
+   */
+  async _getComments(pollId) {
+    try {
+        const comments = await this.commentStorage.getCommentsOfPoll(pollId);
+        return comments.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+    } catch (storageError) {
+        console.error(`Storage error while retrieving the comments of ${pollId}:`, storageError);
+        throw new Error(`Failed to retrieve comments: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a comment of a poll.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} commentId - The ID of the comment.
+   * @returns {Promise<Object>} The comment.
+   * @throws {NotFoundError} If the comment does not exist or belongs to another poll (code 'comment_not_found').
+   * @private
+   */
+  async _getComment(pollId, commentId) {
+    const comment = typeof commentId === 'string' ? await this.commentStorage.getById(commentId) : null;
+    if (!comment || comment.pollId !== pollId) {
+      throw new NotFoundError(`Comment with ID '${commentId}' not found on poll '${pollId}'`, { code: 'comment_not_found' });
+    }
+    return comment;
+  }
+
+  /**
+   * Validates the text of a comment.
+   *
+   * @param {*} body - The text provided by the caller.
+   * @returns {string} The trimmed text.
+   * @throws {ValidationError} If the text is not a non-empty string of at most `MAX_COMMENT_LENGTH` characters (field 'body').
+   * @private
+   */
+  _validateBody(body) {
+    if (typeof body !== 'string' || body.trim() === '') {
+      throw new ValidationError('body must be a non-empty string', { field: 'body' });
+    }
+    if (body.trim().length > MAX_COMMENT_LENGTH) {
+      throw new ValidationError(`body must be at most ${MAX_COMMENT_LENGTH} characters long`, { field: 'body' });
+    }
+    return body.trim();
+  }
+}
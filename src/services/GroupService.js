@@ -0,0 +1,382 @@
+/**
+ * GroupService.js
+ *
+ * This module encapsulates the business logic related to user groups: creating groups and
+ * managing their members. Polls can be restricted to groups (see `PollService`), which uses
+ * this service to check memberships and group sizes.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { AppError, ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../errors.js';
+
+// Maximum length of a group name and of its description
+export const MAX_GROUP_NAME_LENGTH = 100;
+export const MAX_GROUP_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Removes a user from the stored groups. Groups they own pass to the member who joined next;
+ * groups left without members are deleted. Each affected group gets a change record describing
+ * what was done to it, so `restoreUserInGroupRecords` can undo just that.
+ *
+ * @param {Array<Object>} groups - All stored groups.
+ * @param {string} username - The user being deleted.
+ * @returns {{changes: Array<Object>, put: Array<{id: string, data: Object}>, remove: Array<string>}}
+ *   One change record per affected group, and the writes for `applyBatch`.
+ */
+function removeUserFromGroupRecords(groups, username) {
+  const changes = [];
+  const put = [];
+  const remove = [];
+  for (const { id, ...group } of groups) {
+    const position = group.members.indexOf(username);
+    if (position === -1) {
+      continue;
+    }
+    const members = group.members.filter(member => member !== username);
+    if (members.length === 0) {
+      changes.push({ groupId: id, username, deletedGroup: { id, ...group } });
+      remove.push(id);
+      continue;
+    }
+    const change = { groupId: id, username, position };
+    const changed = { ...group, members };
+    if (group.createdBy === username) {
+      changed.createdBy = members[0];
+      change.transferredTo = members[0];
+    }
+    changes.push(change);
+    put.push({ id, data: changed });
+  }
+  return { changes, put, remove };
+}
+
+/**
+ * Undoes the changes of `removeUserFromGroupRecords` on the groups as they are stored now. Deleted
+ * groups are recreated, and the user gets their place among the members back, and their ownership
+ * if the group still belongs to the member it passed to. Members who joined or left in the meantime
+ * stay as they are, and groups deleted since stay deleted.
+ *
+ * @param {Array<Object>} groups - All stored groups.
+ * @param {Array<Object>} changes - The change records returned by `removeUserFromGroupRecords`.
+ * @returns {{put: Array<{id: string, data: Object}>}} The writes for `applyBatch`.
+ */
+function restoreUserInGroupRecords(groups, changes) {
+  const storedGroups = new Map(groups.map(group => [group.id, group]));
+  const put = [];
+  for (const change of changes) {
+    const group = storedGroups.get(change.groupId);
+    if (change.deletedGroup) {
+      if (!group) {
+        const { id, ...data } = change.deletedGroup;
+        put.push({ id, data });
+      }
+      continue;
+    }
+    if (!group) {
+      continue;
+    }
+
+    const { id, ...restored } = group;
+    if (!group.members.includes(change.username)) {
+      restored.members = [...group.members];
+      restored.members.splice(Math.min(change.position, group.members.length), 0, change.username);
+    }
+    if (change.transferredTo && group.createdBy === change.transferredTo) {
+      restored.createdBy = change.username;
+    }
+    put.push({ id, data: restored });
+  }
+  return { put };
+}
+
+/**
+ * Service class containing business logic for group operations.
+ * The creator of a group owns it: only they may add or remove members, and they cannot leave it.
+ * Any other member may leave on their own.
+ */
+export class GroupService {
+  /**
+   * Creates an instance of GroupService.
+   *
+   * @param {import('../storage/JsonFileGroupStorage.js').JsonFileGroupStorage} groupStorage - An instance of a group storage implementation.
+   * @param {import('./UserService.js').UserService} userService - An instance of the UserService to check for user existence.
+   */
+  constructor(groupStorage, userService) {
+    if (!groupStorage || typeof groupStorage.createGroup !== 'function' || typeof groupStorage.updateMembers !== 'function') {
+        throw new Error('GroupService requires a valid groupStorage instance.');
+    }
+    if (!userService || typeof userService.userExists !== 'function') {
+        throw new Error('GroupService requires a valid userService instance.');
+    }
+    this.groupStorage = groupStorage;
+    this.userService = userService;
+  }
+
+  /**
+   * Validates and creates a new group. The creator becomes its first member.
+   *
+   * @async
+   * @param {Object} groupData - The data for the group to be created.
+   * @param {string} groupData.name - The group name. Must be a non-empty string of at most 100 characters.
+   * @param {string} [groupData.description] - A description of at most 500 characters.
+   * @param {string} groupData.creator - The username of the user creating the group.
+   * @param {Array<string>} [groupData.members=[]] - Further members. Duplicates and the creator are ignored.
+   * @returns {Promise<Object>} A promise that resolves with the created group: { id, name, description, createdBy, members, createdAt }.
+   * @throws {ValidationError} If the name, description or member list is invalid, or a member does not exist (field 'name', 'description' or 'members').
+   * @throws {ValidationError} If the creator is invalid or does not exist (field 'creator').
+   * @throws {Error} If the underlying storage or user service operation fails.
+   */
+  async createGroup(groupData) {
+    if (!groupData || typeof groupData !== 'object') {
+        throw new ValidationError('Invalid groupData provided.');
+    }
+    const { name, description, creator, members = [] } = groupData;
+    const trimmedName = this._validateText(name, 'name', MAX_GROUP_NAME_LENGTH);
+    const trimmedDescription = description === undefined || description === null
+      ? null
+      : this._validateText(description, 'description', MAX_GROUP_DESCRIPTION_LENGTH);
+
+    if (!creator || typeof creator !== 'string' || creator.trim() === '') {
+      throw new ValidationError('Creator must be a non-empty string', { field: 'creator' });
+    }
+    const trimmedCreator = creator.trim();
+    if (!(await this.userService.userExists(trimmedCreator))) {
+      throw new ValidationError(`Creator '${trimmedCreator}' does not exist`, { field: 'creator' });
+    }
+    const otherMembers = await this._validateUsernames(members, 'members');
+
+    const groupId = uuidv4();
+    try {
+        return await this.groupStorage.createGroup(groupId, {
+          name: trimmedName,
+          description: trimmedDescription,
+          createdBy: trimmedCreator,
+          members: [trimmedCreator, ...otherMembers.filter(member => member !== trimmedCreator)],
+          createdAt: new Date().toISOString()
+        });
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during createGroup for ${groupId}:`, storageError);
+        throw new Error(`Failed to create group: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a group by its ID.
+   *
+   * @async
+   * @param {string} groupId - The ID of the group.
+   * @returns {Promise<Object>} A promise that resolves with the group.
+   * @throws {ValidationError} If `groupId` is invalid.
+   * @throws {NotFoundError} If no group with the given ID exists (code 'group_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getGroup(groupId) {
+    if (!groupId || typeof groupId !== 'string') {
+        throw new ValidationError('Invalid groupId provided to getGroup.', { field: 'groupId' });
+    }
+    const group = await this.groupStorage.getById(groupId);
+    if (!group) {
+      throw new NotFoundError(`Group with ID '${groupId}' not found`, { code: 'group_not_found' });
+    }
+    return group;
+  }
+
+  /**
+   * Retrieves the groups a user is a member of, in alphabetical order of their name.
+   *
+   * @async
+   * @param {string} username - The username of the member.
+   * @returns {Promise<Array<Object>>} A promise that resolves with the groups. The array may be empty.
+   * @throws {ValidationError} If the username is invalid.
+   * @throws {NotFoundError} If the user does not exist (code 'user_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getGroupsOfUser(username) {
+    if (!username || typeof username !== 'string' || username.trim() === '') {
+      throw new ValidationError('Invalid username provided to getGroupsOfUser.', { field: 'username' });
+    }
+    const trimmedUsername = username.trim();
+    if (!(await this.userService.userExists(trimmedUsername))) {
+      throw new NotFoundError(`User '${trimmedUsername}' does not exist`, { code: 'user_not_found' });
+    }
+
+    try {
+        const groups = await this.groupStorage.getGroupsOfMember(trimmedUsername);
+        return groups.sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+    } catch (storageError) {
+        console.error(`Storage error during getGroupsOfUser for ${trimmedUsername}:`, storageError);
+        throw new Error(`Failed to retrieve groups of user '${trimmedUsername}': ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Adds members to a group. Only the owner may add members; users who already belong are ignored.
+   *
+   * @async
+   * @param {string} groupId - The ID of the group.
+   * @param {string} requester - The username of the user making the request.
+   * @param {Array<string>} usernames - The users to add.
+   * @returns {Promise<Object>} A promise that resolves with the updated group.
+   * @throws {ValidationError} If `usernames` is not an array of existing users (field 'usernames').
+   * @throws {NotFoundError} If the group does not exist (code 'group_not_found').
+   * @throws {ForbiddenError} If the requester is not the owner of the group (code 'not_group_owner').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async addMembers(groupId, requester, usernames) {
+    const group = await this.getGroup(groupId);
+    if (group.createdBy !== requester) {
+      throw new ForbiddenError('Only the owner can add members to this group', { code: 'not_group_owner' });
+    }
+    const added = await this._validateUsernames(usernames, 'usernames');
+    return this._saveMembers(groupId, [...new Set([...group.members, ...added])]);
+  }
+
+  /**
+   * Removes a member from a group. The owner may remove anyone else; other members may only
+   * remove themselves (leave the group).
+   *
+   * @async
+   * @param {string} groupId - The ID of the group.
+   * @param {string} requester - The username of the user making the request.
+   * @param {string} username - The member to remove.
+   * @returns {Promise<Object>} A promise that resolves with the updated group.
+   * @throws {NotFoundError} If the group does not exist (code 'group_not_found').
+   * @throws {ForbiddenError} If the requester is neither the owner nor the member themselves (code 'not_group_owner').
+   * @throws {ConflictError} If the member is the owner, who cannot leave their group (code 'group_owner').
+   * @throws {NotFoundError} If the user is not a member of the group (code 'member_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async removeMember(groupId, requester, username) {
+    const group = await this.getGroup(groupId);
+    if (group.createdBy !== requester && username !== requester) {
+      throw new ForbiddenError('Only the owner can remove other members from this group', { code: 'not_group_owner' });
+    }
+    if (username === group.createdBy) {
+      throw new ConflictError('The owner cannot leave their group', { code: 'group_owner' });
+    }
+    if (!group.members.includes(username)) {
+      throw new NotFoundError(`User '${username}' is not a member of group '${groupId}'`, { code: 'member_not_found' });
+    }
+    return this._saveMembers(groupId, group.members.filter(member => member !== username));
+  }
+
+  /**
+   * Checks whether a user is a member of a group.
+   *
+   * @async
+   * @param {string} groupId - The ID of the group.
+   * @param {string} username - The username to check.
+   * @returns {Promise<boolean>} True if the group exists and the user is a member.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async isMember(groupId, username) {
+    const group = await this.groupStorage.getById(groupId);
+    return Boolean(group && group.members.includes(username));
+  }
+
+  /**
+   * Removes a user from all groups, as part of deleting their account. Groups they own pass
+   * to the member who joined next, or are deleted if no other member is left. The changes are
+   * worked out from the groups as they are when the batch is written, and stored in one write:
+   * either every change is stored or none is.
+   *
+   * @async
+   * @param {string} username - The user being deleted.
+   * @returns {Promise<{groupsDeleted: number, groupsLeft: number, changes: Array<Object>}>}
+   *   A promise that resolves with the number of changes and one change record per affected group, for `restoreGroups`.
+   * @throws {Error} If the underlying storage operation fails; no group is changed in that case.
+   */
+  async removeUserFromGroups(username) {
+    let removal;
+    try {
+        await this.groupStorage.applyBatch(groups => {
+          removal = removeUserFromGroupRecords(groups, username);
+          return removal;
+        });
+    } catch (storageError) {
+        console.error(`Storage error during removeUserFromGroups for ${username}:`, storageError);
+        throw new Error(`Failed to remove user '${username}' from groups: ${storageError.message}`);
+    }
+    return { groupsDeleted: removal.remove.length, groupsLeft: removal.put.length, changes: removal.changes };
+  }
+
+  /**
+   * Undoes `removeUserFromGroups` on the groups as they are now: deleted groups are recreated and
+   * the user is put back into the others. Changes made to the groups since are kept.
+   *
+   * @async
+   * @param {Array<Object>} changes - The `changes` returned by `removeUserFromGroups`.
+   * @returns {Promise<void>}
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async restoreGroups(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+    await this.groupStorage.applyBatch(groups => restoreUserInGroupRecords(groups, changes));
+  }
+
+  /**
+   * Stores a new member list for a group.
+   *
+   * @async
+   * @param {string} groupId - The ID of the group.
+   * @param {Array<string>} members - The complete member list.
+   * @returns {Promise<Object>} A promise that resolves with the updated group.
+   * @throws {Error} If the underlying storage operation fails.
+   * @private
+   */
+  async _saveMembers(groupId, members) {
+    try {
+        return await this.groupStorage.updateMembers(groupId, members);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during the member update of ${groupId}:`, storageError);
+        throw new Error(`Failed to update the members: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Validates a text field of a group.
+   *
+   * @param {*} value - The value provided by the caller.
+   * @param {string} field - The field name, for errors.
+   * @param {number} maxLength - The maximum length.
+   * @returns {string} The trimmed text.
+   * @throws {ValidationError} If the value is not a non-empty string of at most `maxLength` characters.
+   * @private
+   */
+  _validateText(value, field, maxLength) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new ValidationError(`${field} must be a non-empty string`, { field });
+    }
+    if (value.trim().length > maxLength) {
+      throw new ValidationError(`${field} must be at most ${maxLength} characters long`, { field });
+    }
+    return value.trim();
+  }
+
+  /**
+   * Validates a list of usernames to add to a group.
+   *
+   * @async
+   * @param {*} usernames - The usernames provided by the caller.
+   * @param {string} field - The field to report errors for.
+   * @returns {Promise<Array<string>>} The distinct, trimmed usernames.
+   * @throws {ValidationError} If the usernames are not an array of strings, or a user does not exist.
+   * @private
+   */
+  async _validateUsernames(usernames, field) {
+    if (!Array.isArray(usernames) || usernames.some(name => typeof name !== 'string' || name.trim() === '')) {
+      throw new ValidationError(`${field} must be an array of usernames`, { field });
+    }
+    const distinct = [...new Set(usernames.map(name => name.trim()))];
+    for (const name of distinct) {
+      if (!(await this.userService.userExists(name))) {
+        throw new ValidationError(`User '${name}' does not exist`, { field });
+      }
+    }
+    return distinct;
+  }
+}
@@ -6,11 +6,92 @@
  * and user service, and enforces business rules (like voting restrictions).
  */
 
+import { EventEmitter } from 'events';
+import { createHash, randomBytes } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { TALLY_METHODS, tallyRankedBallots } from './rankedTally.js';
+import { POLL_SORTS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, countVoters, hasVoted, paginatePolls } from './pollListing.js';
+import { toTallyRecords, toBallotRecords } from './pollExport.js';
+import { TIMELINE_BUCKETS, buildResultsTimeline } from './resultsTimeline.js';
+import { crossTabulate } from './crossTabulation.js';
+import { removeUserFromPollRecords, restoreUserInPollRecords } from './userRemoval.js';
+import { newPollRecord } from '../storage/pollRecords.js';
+import { AppError, ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../errors.js';
 
+// Supported poll types: 'standard' (pick one or more options) and 'ranked' (rank options by preference)
+export const POLL_TYPES = ['standard', 'ranked'];
+// Computed poll statuses, derived from the voting window and manual closing
+export const POLL_STATUSES = ['scheduled', 'open', 'closed'];
+// Largest number of polls a single import may contain
+export const MAX_IMPORT_ROWS = 500;
+// What happens to the polls of a deleted user: deleted with them, or handed to another user
+export const USER_POLL_POLICIES = ['delete', 'transfer'];
+// What happens to the votes of a deleted user: removed from the tallies, or kept without their name
+export const USER_VOTE_POLICIES = ['remove', 'anonymize'];
+// How often `start` looks for polls whose `closesAt` time has passed, to announce their closing
+const CLOSE_CHECK_INTERVAL_MS = 10_000;
+// Who can find and open a poll: everyone and in listings ('public'), everyone with its ID but not
+// in listings ('unlisted'), or only its creator and the users on its allowlist ('private')
+export const POLL_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+/**
+ * Computes the status of a poll at a given moment.
+ * A poll is 'closed' once it was closed manually or its `closesAt` time has passed,
+ * 'scheduled' before its `opensAt` time, and 'open' otherwise.
+ * 
+ * @param {Object} poll - The stored poll.
+ * @param {number} [now=Date.now()] - The moment to evaluate, in milliseconds since the epoch.
+ * @returns {string} One of 'scheduled', 'open' or 'closed'.
+ */
+function computeStatus(poll, now = Date.now()) {
+  if (poll.closedAt || (poll.closesAt && Date.parse(poll.closesAt) <= now)) {
+    return 'closed';
+  }
+  if (poll.opensAt && Date.parse(poll.opensAt) > now) {
+    return 'scheduled';
+  }
+  return 'open';
+}
+
+/**
+ * Creates the receipt of a secret ballot: a hash of the poll ID and a random nonce, so it
+ * cannot be guessed and reveals nothing about the voter or the selection.
+ * 
+ * @param {string} pollId - The ID of the poll voted on.
+ * @returns {string} The receipt, 64 hexadecimal characters.
+ */
+function createReceipt(pollId) {
+  return createHash('sha256').update(pollId).update(randomBytes(32)).digest('hex');
+}
+
+// Error message for vote payloads that carry neither a valid optionIndex nor valid optionIndices
+const INVALID_VOTE_DATA_MESSAGE = 'Invalid vote data: requires pollId (string), username (string), and optionIndex (integer) or optionIndices (array of integers).';
 
 /**
  * Service class containing business logic for poll operations.
+ * 
+ * Methods that act for a user take their username (`requester` for reading) and treat a private
+ * poll the user may not see as if it did not exist, so its existence is not revealed either.
+ * 
+ * Polls restricted to groups (`groups`) only accept votes from members of at least one of the
+ * groups, and their results report the participation of each group.
+ * 
+ * Secret-ballot polls (`secretBallot: true`) record who voted separately from what was voted:
+ * the poll's `voters` list the users and its `ballots` hold the selections, keyed by a receipt
+ * that only the voter receives. Ballots are counted in the results but never returned, so
+ * nothing the service hands out links a user to their choice.
+ * 
+ * Polls record when they were created (`createdAt`) and open votes when they were cast or last
+ * changed (`votedAt`, keyed by username like `votes`). Secret ballots carry no time.
+ * 
+ * After a successful change, the service emits an event on `events` so other parts of the
+ * application (e.g. live result streams) can react without the service knowing about them:
+ * - `pollCreated` `{ pollId, createdBy, question, visibility }` after the poll was created, also by an import
+ * - `pollVoted` `{ pollId, username, action, createdBy, selection, previousSelection }` where action is 'cast', 'changed'
+ *   or 'retracted'; the selections are null where there is none, and left out for secret ballots
+ * - `pollUpdated` `{ pollId }` after the question or options were edited, or a deleted user's votes or ownership were removed from the poll
+ * - `pollClosed` `{ pollId }` after the creator closed the poll, or once its `closesAt` time has passed (see `announceScheduledCloses`)
+ * - `pollDeleted` `{ pollId, createdBy, question, visibility }` after the poll was deleted
  */
 export class PollService {
   /**
@@ -18,16 +99,29 @@ export class PollService {
    * 
    * @param {import('../storage/JsonFilePollStorage.js').JsonFilePollStorage} pollStorage - An instance of a poll storage implementation (e.g., JsonFilePollStorage).
    * @param {import('./UserService.js').UserService} userService - An instance of the UserService to check for user existence.
+   * @param {import('./GroupService.js').GroupService} [groupService] - An instance of the GroupService to check group memberships. Without it, polls cannot be restricted to groups.
    */
-  constructor(pollStorage, userService) {
+  constructor(pollStorage, userService, groupService) {
      if (!pollStorage || typeof pollStorage.createPoll !== 'function' /* add other checks */) {
         throw new Error('PollService requires a valid pollStorage instance.');
     }
      if (!userService || typeof userService.userExists !== 'function') {
         throw new Error('PollService requires a valid userService instance.');
     }
+    if (groupService !== undefined && typeof groupService?.getGroup !== 'function') {
+        throw new Error('PollService requires a valid groupService instance, if any.');
+    }
     this.pollStorage = pollStorage;
     this.userService = userService;
+    this.groupService = groupService;
+    /** @type {EventEmitter} Emits the poll change events listed on the class. */
+    this.events = new EventEmitter();
+    // Every open result stream subscribes, so don't warn about many listeners
+    this.events.setMaxListeners(0);
+    /** @type {number} The `closesAt` times up to which the closing of polls has been announced. */
+    this.closesAnnouncedUntil = Date.now();
+    /** @type {NodeJS.Timeout|null} */
+    this.closeTimer = null;
   }
 
   /**
@@ -38,71 +132,256 @@ export class PollService {
    * @param {string} pollData.question - The poll question. Must be a non-empty string.
    * @param {Array<string>} pollData.options - An array of poll options. Must contain at least 2 unique, non-empty strings.
    * @param {string} pollData.creator - The username of the user creating the poll. Must correspond to an existing user.
-   * @returns {Promise<Object>} A promise that resolves with the created poll object (including its generated ID and initial empty votes object).
-   * @throws {Error} If `pollData` is invalid (missing fields, invalid types).
-   * @throws {Error} If the question is empty or not a string.
-   * @throws {Error} If options array is invalid (not an array, < 2 options, contains non-strings, empty strings, or duplicates).
-   * @throws {Error} If the creator username is invalid or does not correspond to an existing user (message includes 'does not exist').
+   * @param {boolean} [pollData.allowVoteChanges=true] - Whether voters may change or retract their vote. Set to false to lock votes once cast.
+   * @param {number} [pollData.minSelections=1] - The minimum number of options a voter must select. Standard polls only.
+   * @param {number} [pollData.maxSelections=minSelections] - The maximum number of options a voter may select. Values above 1 make this a multiple-choice poll. Standard polls only.
+   * @param {string} [pollData.type='standard'] - The poll type: 'standard' or 'ranked' (voters rank some or all options).
+   * @param {string} [pollData.tallyMethod='irv'] - How ranked ballots are counted by default: 'irv', 'borda' or 'schulze'. Ranked polls only.
+   * @param {string} [pollData.opensAt] - ISO 8601 timestamp before which votes are rejected. Defaults to opening immediately.
+   * @param {string} [pollData.closesAt] - ISO 8601 timestamp after which votes are rejected. Must be in the future and after `opensAt`. Defaults to never closing automatically.
+   * @param {boolean} [pollData.secretBallot=false] - Whether votes are cast as secret ballots. Secret ballots cannot be changed or withdrawn, so `allowVoteChanges` defaults to false and may not be true.
+   * @param {string} [pollData.visibility='public'] - One of `POLL_VISIBILITIES`.
+   * @param {Array<string>} [pollData.allowedUsers=[]] - The users besides the creator who may see and vote in a private poll. Private polls only.
+   * @param {Array<string>} [pollData.groups=[]] - The IDs of the groups whose members may vote. The creator must belong to each of them. Defaults to everyone.
+   * @returns {Promise<Object>} A promise that resolves with the created poll object (including its generated ID, initial empty votes object and computed `status`).
+   * @throws {ValidationError} If `pollData` is invalid (missing fields, invalid types).
+   * @throws {ValidationError} If the question is empty or not a string.
+   * @throws {ValidationError} If options array is invalid (not an array, < 2 options, contains non-strings, empty strings, or duplicates).
+   * @throws {ValidationError} If the creator username is invalid or does not correspond to an existing user (message includes 'does not exist').
+   * @throws {ValidationError} If `allowVoteChanges` or `secretBallot` is provided but is not a boolean, or a secret-ballot poll would allow vote changes.
+   * @throws {ValidationError} If the selection limits are not integers satisfying 1 <= minSelections <= maxSelections <= number of options.
+   * @throws {ValidationError} If the poll type or tally method is unknown, or a setting is given that does not apply to the poll type.
+   * @throws {ValidationError} If `opensAt` or `closesAt` is not a valid timestamp, or the voting window is empty or already over.
+   * @throws {ValidationError} If the visibility is unknown, or `allowedUsers` is given for a poll that is not private or names users that do not exist.
+   * @throws {ValidationError} If `groups` names a group that does not exist or the creator does not belong to (field 'groups').
    * @throws {Error} If the underlying storage or user service operation fails.
    */
   async createPoll(pollData) {
-    // Validate pollData structure
-    if (!pollData || typeof pollData !== 'object') {
-        throw new Error('Invalid pollData provided.');
+    const pollRecord = await this._preparePoll(pollData);
+
+    // Generate a unique UUID for the poll
+    const pollId = uuidv4();
+    
+    // Delegate poll creation to the storage layer
+    try {
+        const poll = await this.pollStorage.createPoll(pollId, { ...pollRecord, createdAt: new Date().toISOString() });
+        this._emit('pollCreated', { pollId, createdBy: poll.createdBy, question: poll.question, visibility: poll.visibility });
+        return this._withStatus(poll);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during createPoll for ${pollId}:`, storageError);
+        throw new Error(`Failed to create poll: ${storageError.message}`);
     }
-    const { question, options, creator } = pollData;
+  }
 
-    // Validate question
-    if (!question || typeof question !== 'string' || question.trim() === '') {
-      throw new Error('Question must be a non-empty string');
+  /**
+   * Creates a batch of polls for one creator, e.g. from an import file (see `pollImport.js`).
+   * Every row is validated exactly like `createPoll` before anything is written. By default the
+   * import is all-or-nothing: if any row is invalid, no poll is created. In partial mode the valid
+   * rows are created and the invalid ones reported. A dry run only validates.
+   * The polls are stored in a single batch, so either all of them are created or none.
+   *
+   * @async
+   * @param {Array<Object>} rows - The rows to import: `{ pollData }` for a poll (without `creator`),
+   *   `{ errors }` for a row the converter already rejected, or `{ skipped }` for a row that holds no poll.
+   * @param {string} creator - The username of the user importing the polls; becomes the creator of every poll.
+   * @param {Object} [options={}] - Import options.
+   * @param {boolean} [options.dryRun=false] - Only validate; create nothing.
+   * @param {boolean} [options.partial=false] - Create the valid rows even if other rows are invalid.
+   * @returns {Promise<Object>} A promise that resolves with the report
+   *   `{ dryRun, partial, total, valid, invalid, skipped, created, rows }`, where `rows` holds
+   *   `{ row, question, status, pollId?, errors?, reason? }` per row (`row` counts from 1). `status` is 'valid'
+   *   (dry run), 'created', 'invalid' or 'skipped'.
+   * @throws {ValidationError} If there are no rows or more than `MAX_IMPORT_ROWS` (field 'body').
+   * @throws {ValidationError} If a row is invalid and neither `dryRun` nor `partial` is set (code 'import_invalid';
+   *   `errors` holds each problem with the field prefixed by the row, e.g. 'rows.3.options').
+   * @throws {Error} If the underlying storage or user service operation fails.
+   */
+  async importPolls(rows, creator, options = {}) {
+    const { dryRun = false, partial = false } = options;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError('The import contains no polls', { field: 'body' });
     }
-    
-    // Validate options
-    if (!Array.isArray(options) || options.length < 2) {
-      throw new Error('Poll must have at least 2 options');
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`An import may contain at most ${MAX_IMPORT_ROWS} polls`, { field: 'body' });
     }
-    
-    // Check for empty or duplicate options
-    const uniqueOptions = new Set();
-    for (const option of options) {
-      if (typeof option !== 'string' || option.trim() === '') {
-        throw new Error('All options must be non-empty strings');
+
+    // Validate every row before writing anything
+    const report = [];
+    const prepared = new Map();
+    for (const [index, row] of rows.entries()) {
+      const entry = { row: index + 1, question: row.pollData?.question ?? row.question ?? null };
+      if (row.skipped) {
+        report.push({ ...entry, status: 'skipped', reason: row.skipped });
+        continue;
       }
-      const trimmedOption = option.trim();
-      if (uniqueOptions.has(trimmedOption)) {
-        throw new Error('Options must be unique');
+      if (row.errors) {
+        report.push({ ...entry, status: 'invalid', errors: row.errors });
+        continue;
       }
-      uniqueOptions.add(trimmedOption);
+      try {
+        prepared.set(entry.row, await this._preparePoll({ ...row.pollData, creator }));
+        report.push({ ...entry, status: 'valid' });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        const errors = error.errors.length > 0 ? error.errors : [{ field: 'poll', message: error.message }];
+        report.push({ ...entry, status: 'invalid', errors });
+      }
+    }
+
+    const invalid = report.filter(entry => entry.status === 'invalid');
+    if (invalid.length > 0 && !dryRun && !partial) {
+      throw new ValidationError(`${invalid.length} of ${rows.length} rows are invalid; nothing was imported`, {
+        code: 'import_invalid',
+        errors: invalid.flatMap(entry => entry.errors.map(({ field, message }) => ({ field: `rows.${entry.row}.${field}`, message })))
+      });
     }
-    const validatedOptions = options.map(opt => opt.trim()); // Use trimmed options
+
+    const created = dryRun ? [] : report.filter(entry => entry.status === 'valid').map(entry => ({ entry, id: uuidv4() }));
+    if (created.length > 0) {
+      const createdAt = new Date().toISOString();
+      try {
+        await this.pollStorage.applyBatch({
+          put: created.map(({ entry, id }) => ({ id, data: newPollRecord({ ...prepared.get(entry.row), createdAt }) }))
+        });
+      } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during importPolls of ${created.length} polls:`, storageError);
+        throw new Error(`Failed to import polls: ${storageError.message}`);
+      }
+      created.forEach(({ entry, id }) => Object.assign(entry, { status: 'created', pollId: id }));
+      report.filter(entry => entry.status === 'created').forEach(entry => {
+        const { createdBy, question, visibility } = prepared.get(entry.row);
+        this._emit('pollCreated', { pollId: entry.pollId, createdBy, question, visibility });
+      });
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+    return {
+      dryRun,
+      partial,
+      total: report.length,
+      valid: dryRun ? count('valid') : count('created'),
+      invalid: invalid.length,
+      skipped: count('skipped'),
+      created: count('created'),
+      rows: report
+    };
+  }
+
+  /**
+   * Validates the data of a new poll and builds the record to store, without storing it.
+   * Shared by `createPoll` and `importPolls`, so imported polls follow exactly the same rules.
+   * 
+   * @async
+   * @param {Object} pollData - The data for the poll, as accepted by `createPoll`.
+   * @returns {Promise<Object>} A promise that resolves with the poll record (without ID and votes).
+   * @throws {ValidationError} For the same reasons as `createPoll`.
+   * @throws {Error} If the user service operation fails.
+   * @private
+   */
+  async _preparePoll(pollData) {
+    // Validate pollData structure
+    if (!pollData || typeof pollData !== 'object') {
+        throw new ValidationError('Invalid pollData provided.');
+    }
+    const { question, options, creator, secretBallot = false, type = 'standard', visibility = 'public' } = pollData;
+
+    // Validate question and options
+    const validatedQuestion = this._validateQuestion(question);
+    const validatedOptions = this._validateOptions(options);
     
     // Validate creator
     if (!creator || typeof creator !== 'string' || creator.trim() === '') {
-      throw new Error('Creator must be a non-empty string');
+      throw new ValidationError('Creator must be a non-empty string', { field: 'creator' });
     }
     const trimmedCreator = creator.trim();
+
+    // Validate the ballot secrecy and vote change settings
+    if (typeof secretBallot !== 'boolean') {
+      throw new ValidationError('secretBallot must be a boolean', { field: 'secretBallot' });
+    }
+    const allowVoteChanges = pollData.allowVoteChanges ?? !secretBallot;
+    if (typeof allowVoteChanges !== 'boolean') {
+      throw new ValidationError('allowVoteChanges must be a boolean', { field: 'allowVoteChanges' });
+    }
+    if (secretBallot && allowVoteChanges) {
+      // A secret ballot is not linked to its voter, so it cannot be found again to change it
+      throw new ValidationError('Votes in secret-ballot polls cannot be changed or withdrawn', { field: 'allowVoteChanges' });
+    }
+
+    // Validate poll type and the settings that depend on it
+    if (!POLL_TYPES.includes(type)) {
+      throw new ValidationError(`Poll type must be one of ${POLL_TYPES.join(', ')}`, { field: 'type' });
+    }
+    let minSelections;
+    let maxSelections;
+    let tallyMethod = null;
+    if (type === 'ranked') {
+      if (pollData.minSelections !== undefined || pollData.maxSelections !== undefined) {
+        const field = pollData.minSelections !== undefined ? 'minSelections' : 'maxSelections';
+        throw new ValidationError('Selection limits do not apply to ranked polls', { field });
+      }
+      tallyMethod = pollData.tallyMethod ?? 'irv';
+      if (!TALLY_METHODS.includes(tallyMethod)) {
+        throw new ValidationError(`Invalid tally method: ${tallyMethod}. Must be one of ${TALLY_METHODS.join(', ')}.`, { field: 'tallyMethod' });
+      }
+      // A ranking may be partial (at least one option) or complete
+      minSelections = 1;
+      maxSelections = validatedOptions.length;
+    } else {
+      if (pollData.tallyMethod !== undefined) {
+        throw new ValidationError('Tally methods only apply to ranked polls', { field: 'tallyMethod' });
+      }
+      minSelections = pollData.minSelections ?? 1;
+      maxSelections = pollData.maxSelections ?? minSelections;
+      this._validateSelectionLimits(minSelections, maxSelections, validatedOptions.length);
+    }
+
+    // Validate the voting window
+    const opensAt = this._parseTimestamp(pollData.opensAt, 'opensAt');
+    const closesAt = this._parseTimestamp(pollData.closesAt, 'closesAt');
+    if (closesAt && Date.parse(closesAt) <= Date.now()) {
+      throw new ValidationError('closesAt must be in the future', { field: 'closesAt' });
+    }
+    if (opensAt && closesAt && Date.parse(closesAt) <= Date.parse(opensAt)) {
+      throw new ValidationError('closesAt must be later than opensAt', { field: 'closesAt' });
+    }
+    
+    // Validate who may see the poll
+    if (!POLL_VISIBILITIES.includes(visibility)) {
+      throw new ValidationError(`Invalid visibility: ${visibility}. Must be one of ${POLL_VISIBILITIES.join(', ')}.`, { field: 'visibility' });
+    }
+    if (pollData.allowedUsers !== undefined && visibility !== 'private') {
+      throw new ValidationError('allowedUsers only applies to private polls', { field: 'allowedUsers' });
+    }
     
     // Check if creator exists using UserService
     const creatorExists = await this.userService.userExists(trimmedCreator);
     if (!creatorExists) {
-      // Throw error identifiable by the route layer
-      throw new Error(`Creator '${trimmedCreator}' does not exist`); 
-    }
-    
-    // Generate a unique UUID for the poll
-    const pollId = uuidv4();
-    
-    // Delegate poll creation to the storage layer
-    try {
-        return await this.pollStorage.createPoll(pollId, {
-          question: question.trim(),
-          options: validatedOptions,
-          createdBy: trimmedCreator // Store the creator's username
-        });
-    } catch (storageError) {
-        console.error(`Storage error during createPoll for ${pollId}:`, storageError);
-        throw new Error(`Failed to create poll: ${storageError.message}`);
+      throw new ValidationError(`Creator '${trimmedCreator}' does not exist`, { field: 'creator' });
     }
+    const allowedUsers = visibility === 'private'
+      ? await this._validateAllowedUsers(pollData.allowedUsers ?? [], trimmedCreator, 'allowedUsers')
+      : undefined;
+    const groups = await this._validateGroups(pollData.groups ?? [], trimmedCreator);
+
+    return {
+      question: validatedQuestion,
+      options: validatedOptions,
+      createdBy: trimmedCreator, // Store the creator's username
+      allowVoteChanges,
+      minSelections,
+      maxSelections,
+      type,
+      tallyMethod,
+      opensAt,
+      closesAt,
+      secretBallot,
+      visibility,
+      allowedUsers,
+      groups
+    };
   }
 
   /**
@@ -110,33 +389,31 @@ export class PollService {
    * 
    * @async
    * @param {string} pollId - The unique identifier of the poll to retrieve.
-   * @returns {Promise<Object>} A promise that resolves with the poll object.
-   * @throws {Error} If `pollId` is invalid (e.g., not a string).
-   * @throws {Error} If no poll with the given ID is found (message includes 'not found').
+   * @param {string} [requester] - The username of the user requesting the poll, if authenticated.
+   * @returns {Promise<Object>} A promise that resolves with the poll object, including its computed `status`.
+   * @throws {ValidationError} If `pollId` is invalid (e.g., not a string).
+   * @throws {NotFoundError} If no poll with the given ID is found, or it is private and the requester may not see it (code 'poll_not_found').
    * @throws {Error} If the underlying storage operation fails.
    */
-  async getPoll(pollId) {
-     if (!pollId || typeof pollId !== 'string') {
-        throw new Error('Invalid pollId provided to getPoll.');
-    }
-    const poll = await this.pollStorage.getById(pollId);
-    if (!poll) {
-      // Throw error identifiable by the route layer
-      throw new Error(`Poll with ID '${pollId}' not found`); 
-    }
-    return poll;
+  async getPoll(pollId, requester) {
+    return this._withStatus(await this._getStoredPoll(pollId, requester));
   }
 
   /**
-   * Retrieves all polls currently stored.
+   * Retrieves all polls currently stored, optionally only those with a given status.
    * 
    * @async
-   * @returns {Promise<Array<Object>>} A promise that resolves with an array of all poll objects. The array may be empty.
+   * @param {Object} [filters={}] - Optional filters.
+   * @param {string} [filters.status] - Only return polls with this computed status: 'scheduled', 'open' or 'closed'.
+   * @returns {Promise<Array<Object>>} A promise that resolves with an array of poll objects. The array may be empty.
+   * @throws {ValidationError} If the status filter is unknown (message includes 'Invalid status filter').
    * @throws {Error} If the underlying storage operation fails.
    */
-  async getAllPolls() {
+  async getAllPolls(filters = {}) {
+    this._assertValidStatusFilter(filters.status);
     try {
-        return await this.pollStorage.getAll();
+        const polls = await this.pollStorage.getAll();
+        return this._applyStatusFilter(polls, filters.status);
     } catch (storageError) {
         console.error('Storage error during getAllPolls:', storageError);
         throw new Error(`Failed to retrieve all polls: ${storageError.message}`);
@@ -144,30 +421,37 @@ export class PollService {
   }
 
   /**
-   * Retrieves all polls created by a specific user.
+   * Retrieves all polls created by a specific user that are listed for the requester
+   * (see `listPolls`): unlisted and private polls are only included for those who may see them in listings.
    * 
    * @async
    * @param {string} username - The username of the poll creator.
+   * @param {Object} [filters={}] - Optional filters.
+   * @param {string} [filters.status] - Only return polls with this computed status: 'scheduled', 'open' or 'closed'.
+   * @param {string} [requester] - The username of the user requesting the polls, if authenticated.
    * @returns {Promise<Array<Object>>} A promise that resolves with an array of poll objects created by the user.
-   * @throws {Error} If the username is invalid.
-   * @throws {Error} If the specified user does not exist (message includes 'does not exist').
+   * @throws {ValidationError} If the username is invalid.
+   * @throws {ValidationError} If the status filter is unknown (message includes 'Invalid status filter').
+   * @throws {NotFoundError} If the specified user does not exist (code 'user_not_found').
    * @throws {Error} If the underlying storage or user service operation fails.
    */
-  async getPollsByCreator(username) {
+  async getPollsByCreator(username, filters = {}, requester) {
     if (!username || typeof username !== 'string' || username.trim() === '') {
-      throw new Error('Invalid username provided to getPollsByCreator.');
+      throw new ValidationError('Invalid username provided to getPollsByCreator.', { field: 'username' });
     }
     const trimmedUsername = username.trim();
+    this._assertValidStatusFilter(filters.status);
 
     // Check if user exists first
     const userExists = await this.userService.userExists(trimmedUsername);
     if (!userExists) {
-      throw new Error(`User '${trimmedUsername}' does not exist`);
+      throw new NotFoundError(`User '${trimmedUsername}' does not exist`, { code: 'user_not_found' });
     }
     
     // Delegate filtering to storage layer
     try {
-        return await this.pollStorage.getPollsByCreator(trimmedUsername);
+        const polls = await this.pollStorage.getPollsByCreator(trimmedUsername);
+        return this._applyStatusFilter(polls.filter(poll => this._isListed(poll, requester)), filters.status);
     } catch (storageError) {
         console.error(`Storage error during getPollsByCreator for ${trimmedUsername}:`, storageError);
         throw new Error(`Failed to retrieve polls for creator '${trimmedUsername}': ${storageError.message}`);
@@ -180,30 +464,98 @@ export class PollService {
    * @async
    * @param {string} username - The username of the voter.
    * @returns {Promise<Array<Object>>} A promise that resolves with an array of poll objects the user has voted in.
-   * @throws {Error} If the username is invalid.
-   * @throws {Error} If the specified user does not exist (message includes 'does not exist').
+   * @throws {ValidationError} If the username is invalid.
+   * @throws {NotFoundError} If the specified user does not exist (code 'user_not_found').
    * @throws {Error} If the underlying storage or user service operation fails.
    */
   async getPollsVotedByUser(username) {
      if (!username || typeof username !== 'string' || username.trim() === '') {
-      throw new Error('Invalid username provided to getPollsVotedByUser.');
+      throw new ValidationError('Invalid username provided to getPollsVotedByUser.', { field: 'username' });
     }
      const trimmedUsername = username.trim();
 
     // Check if user exists first
     const userExists = await this.userService.userExists(trimmedUsername);
     if (!userExists) {
-      throw new Error(`User '${trimmedUsername}' does not exist`);
+      throw new NotFoundError(`User '${trimmedUsername}' does not exist`, { code: 'user_not_found' });
     }
     
     // Delegate filtering to storage layer
      try {
-        return await this.pollStorage.getPollsVotedByUser(trimmedUsername);
+        const polls = await this.pollStorage.getPollsVotedByUser(trimmedUsername);
+        return polls.map(poll => this._withStatus(poll));
     } catch (storageError) {
         console.error(`Storage error during getPollsVotedByUser for ${trimmedUsername}:`, storageError);
         throw new Error(`Failed to retrieve polls voted by user '${trimmedUsername}': ${storageError.message}`);
     }
   }
+
+  /**
+   * Retrieves one page of polls matching the given filters, in the requested order.
+   * Only polls listed for the requester are included: public polls, their own polls, and the
+   * private polls they are allowed to see. Unlisted polls only appear to their creator.
+   * 
+   * @async
+   * @param {Object} [query={}] - Filters, sort order and paging options.
+   * @param {string} [query.createdBy] - Only polls created by this user.
+   * @param {string} [query.votedBy] - Only polls this user has voted in.
+   * @param {string} [query.notVotedBy] - Only polls this user has not voted in.
+   * @param {number} [query.minVotes] - Only polls with at least this many voters.
+   * @param {string} [query.status] - Only polls with this computed status: 'scheduled', 'open' or 'closed'.
+   * @param {string} [query.sort='newest'] - 'newest', 'votes' (most voters first) or 'alpha' (by question).
+   * @param {number} [query.limit=20] - The page size, between 1 and 100.
+   * @param {string} [query.cursor] - The `nextCursor` returned with the previous page.
+   * @param {string} [requester] - The username of the user requesting the list, if authenticated.
+   * @returns {Promise<{items: Array<Object>, nextCursor: string|null, total: number}>} A promise that resolves with
+   *   the page of polls, the cursor of the next page (null on the last page) and the number of matching polls.
+   * @throws {ValidationError} If a filter, the sort order or the page size is invalid (messages include 'Invalid status filter',
+   *   'Invalid sort', 'minVotes must be' or 'limit must be').
+   * @throws {ValidationError} If the cursor is malformed or belongs to another sort order (message includes 'Invalid cursor').
+   * @throws {NotFoundError} If a user named in a filter does not exist (code 'user_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async listPolls(query = {}, requester) {
+    const { createdBy, votedBy, notVotedBy, minVotes, status, sort = 'newest', limit = DEFAULT_PAGE_SIZE, cursor } = query;
+
+    this._assertValidStatusFilter(status);
+    if (!POLL_SORTS.includes(sort)) {
+      throw new ValidationError(`Invalid sort: ${sort}. Must be one of ${POLL_SORTS.join(', ')}.`, { field: 'sort' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, { field: 'limit' });
+    }
+    if (minVotes !== undefined && (!Number.isInteger(minVotes) || minVotes < 0)) {
+      throw new ValidationError('minVotes must be a non-negative integer', { field: 'minVotes' });
+    }
+    if (cursor !== undefined && typeof cursor !== 'string') {
+      throw new ValidationError('Invalid cursor', { field: 'cursor' });
+    }
+
+    // Every user named in a filter must exist
+    for (const username of [createdBy, votedBy, notVotedBy]) {
+      if (username !== undefined && !(await this.userService.userExists(username))) {
+        throw new NotFoundError(`User '${username}' does not exist`, { code: 'user_not_found' });
+      }
+    }
+
+    let polls;
+    try {
+        polls = await this.pollStorage.getAll();
+    } catch (storageError) {
+        console.error('Storage error during listPolls:', storageError);
+        throw new Error(`Failed to retrieve polls: ${storageError.message}`);
+    }
+
+    // Who voted in a secret-ballot poll is only told to the voter themselves; for others such polls match neither filter
+    const votedIn = (poll, username) => (poll.secretBallot && username !== requester ? null : hasVoted(poll, username));
+    const listed = polls.filter(poll => this._isListed(poll, requester) &&
+      (createdBy === undefined || poll.createdBy === createdBy) &&
+      (votedBy === undefined || votedIn(poll, votedBy) === true) &&
+      (notVotedBy === undefined || votedIn(poll, notVotedBy) === false) &&
+      (minVotes === undefined || countVoters(poll) >= minVotes)
+    );
+    return paginatePolls(this._applyStatusFilter(listed, status), { sort, limit, cursor });
+  }
   
   /**
    * Records a user's vote on a poll, performing necessary validations.
@@ -212,128 +564,1246 @@ export class PollService {
    * @param {Object} voteData - Data for the vote.
    * @param {string} voteData.pollId - The ID of the poll to vote on.
    * @param {string} voteData.username - The username of the voter.
-   * @param {number} voteData.optionIndex - The 0-based index of the chosen option.
-   * @returns {Promise<Object>} A promise that resolves with the updated poll object after the vote is recorded.
-   * @throws {Error} If `voteData` is invalid or missing required fields/types.
-   * @throws {Error} If the specified user does not exist (message includes 'does not exist').
-   * @throws {Error} If the specified poll does not exist (message includes 'not found').
-   * @throws {Error} If the `optionIndex` is invalid (out of bounds for the poll's options).
-   * @throws {Error} If the user has already voted in this poll (storage layer error, message includes 'already voted').
+   * @param {number} [voteData.optionIndex] - The 0-based index of the chosen option.
+   * @param {Array<number>} [voteData.optionIndices] - The 0-based indices of the chosen options, for multiple-choice polls. Takes precedence over `optionIndex`.
+   * @param {Array<number>} [voteData.ranking] - The 0-based indices of the ranked options, most preferred first, for ranked polls. Takes precedence over the other fields.
+   * @returns {Promise<Object>} A promise that resolves with the updated poll object after the vote is recorded. For secret-ballot polls it
+   *   includes the `receipt` of the ballot, which the voter can pass to `verifyReceipt`; it is not stored with their name and cannot be retrieved again.
+   * @throws {ValidationError} If `voteData` is invalid or missing required fields/types.
+   * @throws {NotFoundError} If the specified user does not exist (code 'user_not_found').
+   * @throws {NotFoundError} If the specified poll does not exist, or is private and the user is not allowed in it (code 'poll_not_found').
+   * @throws {ValidationError} If an option index is invalid (out of bounds for the poll's options).
+   * @throws {ValidationError} If the option indices are not unique, or their number is outside the poll's selection limits.
+   * @throws {ForbiddenError|ConflictError} If the poll has not opened yet (ForbiddenError, code 'poll_not_open') or is closed (ConflictError, code 'poll_closed').
+   * @throws {ForbiddenError} If the poll is restricted to groups the user does not belong to (code 'not_group_member').
+   * @throws {ConflictError} If the user has already voted in this poll (code 'already_voted').
    * @throws {Error} If the underlying storage or user service operation fails.
    */
   async vote(voteData) {
     // Validate required fields and types
-    if (!voteData || typeof voteData !== 'object' || typeof voteData.pollId !== 'string' || typeof voteData.username !== 'string' || typeof voteData.optionIndex !== 'number' || !Number.isInteger(voteData.optionIndex)) {
-      throw new Error('Invalid vote data: requires pollId (string), username (string), and optionIndex (integer).');
+    if (!voteData || typeof voteData !== 'object' || typeof voteData.pollId !== 'string' || typeof voteData.username !== 'string') {
+      throw new ValidationError(INVALID_VOTE_DATA_MESSAGE, { code: 'invalid_vote' });
     }
     
-    const { pollId, username, optionIndex } = voteData;
+    const { pollId, username } = voteData;
+    const optionIndices = this._parseSelection(voteData);
     const trimmedUsername = username.trim();
 
      if (trimmedUsername === '') {
-        throw new Error('Username cannot be empty for voting.');
+        throw new ValidationError('Username cannot be empty for voting.', { field: 'username' });
     }
     
     // Check if user exists
     const userExists = await this.userService.userExists(trimmedUsername);
     if (!userExists) {
-      throw new Error(`User '${trimmedUsername}' does not exist`);
+      throw new NotFoundError(`User '${trimmedUsername}' does not exist`, { code: 'user_not_found' });
     }
     
-    // Check if poll exists (getPoll throws if not found)
-    // This also implicitly validates the optionIndex range within the storage layer's addVote
-    const poll = await this.getPoll(pollId); 
+    // Check if poll exists and the user may see it (getPoll throws if not), and that it is accepting votes
+    const poll = await this.getPoll(pollId, trimmedUsername); 
+    this._assertOpenForVoting(poll);
+    await this._assertGroupMember(poll, trimmedUsername);
     
-    // Validate option index against the retrieved poll (redundant if storage does it, but good practice)
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      throw new Error(`Invalid option index: ${optionIndex}. Must be between 0 and ${poll.options.length - 1}.`);
-    }
+    // Validate the selection against the retrieved poll's options and selection limits
+    const selection = this._validateSelection(poll, optionIndices);
     
     // Delegate adding the vote to the storage layer
     // The storage layer handles the check for duplicate votes
     try {
-        return await this.pollStorage.addVote(pollId, trimmedUsername, optionIndex);
+        if (poll.secretBallot) {
+          const receipt = createReceipt(pollId);
+          const updatedPoll = await this.pollStorage.addSecretBallot(pollId, trimmedUsername, receipt, selection);
+          this._emit('pollVoted', { pollId, username: trimmedUsername, action: 'cast', createdBy: poll.createdBy });
+          return { ...this._withStatus(updatedPoll), receipt };
+        }
+        const updatedPoll = await this.pollStorage.addVote(pollId, trimmedUsername, selection, new Date().toISOString());
+        this._emit('pollVoted', { pollId, username: trimmedUsername, action: 'cast', createdBy: poll.createdBy, selection, previousSelection: null });
+        return this._withStatus(updatedPoll);
     } catch (storageError) {
-         // Make specific errors identifiable if possible
-        if (storageError.message.includes('already voted')) {
-             throw new Error(`User '${trimmedUsername}' has already voted in this poll`); // More specific message
+        if (storageError instanceof ConflictError) {
+             throw new ConflictError(`User '${trimmedUsername}' has already voted in this poll`, { code: storageError.code }); // Message without the poll ID
         }
+        if (storageError instanceof AppError) throw storageError;
         console.error(`Storage error during vote for poll ${pollId} by ${trimmedUsername}:`, storageError);
         throw new Error(`Failed to record vote: ${storageError.message}`);
     }
   }
 
+  /**
+   * Changes a user's existing vote on a poll to a different selection.
+   * 
+   * @async
+   * @param {Object} voteData - Data for the vote change.
+   * @param {string} voteData.pollId - The ID of the poll.
+   * @param {string} voteData.username - The username of the voter.
+   * @param {number} [voteData.optionIndex] - The 0-based index of the newly chosen option.
+   * @param {Array<number>} [voteData.optionIndices] - The 0-based indices of the newly chosen options, for multiple-choice polls.
+   * @param {Array<number>} [voteData.ranking] - The new ranking, most preferred option first, for ranked polls.
+   * @returns {Promise<Object>} A promise that resolves with the updated poll object.
+   * @throws {ValidationError} If `voteData` is invalid or missing required fields/types.
+   * @throws {NotFoundError} If the specified poll does not exist, or is private and the user is not allowed in it (code 'poll_not_found').
+   * @throws {ForbiddenError} If the poll does not allow vote changes (code 'vote_changes_locked').
+   * @throws {ValidationError} If the new selection is invalid (out of bounds, duplicates, or outside the selection limits).
+   * @throws {ForbiddenError|ConflictError} If the poll is not open for voting (ForbiddenError with code 'poll_not_open', or ConflictError with code 'poll_closed').
+   * @throws {ForbiddenError} If the poll is restricted to groups the user no longer belongs to (code 'not_group_member').
+   * @throws {NotFoundError} If the user has not voted in this poll (code 'vote_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async changeVote(voteData) {
+    if (!voteData || typeof voteData !== 'object' || typeof voteData.pollId !== 'string' || typeof voteData.username !== 'string') {
+      throw new ValidationError(INVALID_VOTE_DATA_MESSAGE, { code: 'invalid_vote' });
+    }
+
+    const { pollId, username } = voteData;
+    const optionIndices = this._parseSelection(voteData);
+    const trimmedUsername = username.trim();
+
+    const poll = await this.getPoll(pollId, trimmedUsername);
+    this._assertOpenForVoting(poll);
+    this._assertVoteChangesAllowed(poll);
+    await this._assertGroupMember(poll, trimmedUsername);
+
+    const selection = this._validateSelection(poll, optionIndices);
+    if (!Object.prototype.hasOwnProperty.call(poll.votes || {}, trimmedUsername)) {
+      throw new NotFoundError(`User '${trimmedUsername}' has not voted in this poll`, { code: 'vote_not_found' });
+    }
+
+    try {
+        const updatedPoll = await this.pollStorage.changeVote(pollId, trimmedUsername, selection, new Date().toISOString());
+        this._emit('pollVoted', {
+          pollId, username: trimmedUsername, action: 'changed', createdBy: poll.createdBy, selection, previousSelection: poll.votes[trimmedUsername]
+        });
+        return this._withStatus(updatedPoll);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during changeVote for poll ${pollId} by ${trimmedUsername}:`, storageError);
+        throw new Error(`Failed to change vote: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Withdraws a user's vote from a poll.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} username - The username of the voter.
+   * @returns {Promise<Object>} A promise that resolves with the updated poll object.
+   * @throws {ValidationError} If `pollId` or `username` is invalid.
+   * @throws {NotFoundError} If the specified poll does not exist, or is private and the user is not allowed in it (code 'poll_not_found').
+   * @throws {ForbiddenError} If the poll does not allow vote changes (code 'vote_changes_locked').
+   * @throws {ForbiddenError|ConflictError} If the poll is not open for voting (ForbiddenError with code 'poll_not_open', or ConflictError with code 'poll_closed').
+   * @throws {NotFoundError} If the user has not voted in this poll (code 'vote_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async retractVote(pollId, username) {
+    if (!pollId || typeof pollId !== 'string') {
+        throw new ValidationError('Invalid pollId provided to retractVote.', { field: 'pollId' });
+    }
+    if (!username || typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided to retractVote.', { field: 'username' });
+    }
+    const trimmedUsername = username.trim();
+
+    const poll = await this.getPoll(pollId, trimmedUsername);
+    this._assertOpenForVoting(poll);
+    this._assertVoteChangesAllowed(poll);
+
+    if (!Object.prototype.hasOwnProperty.call(poll.votes || {}, trimmedUsername)) {
+      throw new NotFoundError(`User '${trimmedUsername}' has not voted in this poll`, { code: 'vote_not_found' });
+    }
+
+    try {
+        const updatedPoll = await this.pollStorage.removeVote(pollId, trimmedUsername);
+        this._emit('pollVoted', {
+          pollId, username: trimmedUsername, action: 'retracted', createdBy: poll.createdBy, selection: null, previousSelection: poll.votes[trimmedUsername]
+        });
+        return this._withStatus(updatedPoll);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during retractVote for poll ${pollId} by ${trimmedUsername}:`, storageError);
+        throw new Error(`Failed to retract vote: ${storageError.message}`);
+    }
+  }
+
   /**
    * Retrieves the aggregated results for a specific poll.
+   * Standard polls are counted by the storage layer. Ranked polls are tallied with the poll's
+   * tally method, or with `options.method` when given, and report their winner(s) alongside
+   * method-specific details (IRV rounds, Borda points, or Schulze pairwise preferences).
    * 
    * @async
    * @param {string} pollId - The ID of the poll to get results for.
-   * @returns {Promise<Object>} A promise that resolves with the poll results object (structure defined in storage).
-   * @throws {Error} If `pollId` is invalid.
-   * @throws {Error} If the poll with the given ID is not found (message includes 'not found').
+   * @param {Object} [options={}] - Result options.
+   * @param {string} [options.method] - Overrides the tally method of a ranked poll: 'irv', 'borda' or 'schulze'.
+   * @param {string} [options.requester] - The username of the user requesting the results, if authenticated.
+   * @returns {Promise<Object>} A promise that resolves with the poll results object (structure defined in storage for standard polls), including the poll's computed `status`.
+   *   Polls restricted to groups also report `participation`: `{ groupId, name, members, voted, share }` per group, where
+   *   `share` is the fraction of the group's current members who voted (0 for an empty group). Deleted groups are left out.
+   * @throws {ValidationError} If `pollId` is invalid.
+   * @throws {NotFoundError} If the poll with the given ID is not found, or is private and the requester may not see it (code 'poll_not_found').
+   * @throws {ValidationError} If a tally method is requested for a standard poll, or the method is unknown (message includes 'tally method').
    * @throws {Error} If the underlying storage operation fails.
    */
-  async getPollResults(pollId) {
+  async getPollResults(pollId, options = {}) {
      if (!pollId || typeof pollId !== 'string') {
-        throw new Error('Invalid pollId provided to getPollResults.');
+        throw new ValidationError('Invalid pollId provided to getPollResults.', { field: 'pollId' });
+    }
+    const { method, requester } = options;
+    if (method !== undefined && !TALLY_METHODS.includes(method)) {
+      throw new ValidationError(`Invalid tally method: ${method}. Must be one of ${TALLY_METHODS.join(', ')}.`, { field: 'method' });
+    }
+
+    // The stored poll, since the tally needs the ballots of secret-ballot polls
+    const poll = this._withStatus(await this._getStoredPoll(pollId, requester), { keepBallots: true });
+    if (poll.type === 'ranked') {
+      return this._withParticipation(poll, this._tallyRankedPoll(poll, method ?? poll.tallyMethod));
     }
+    if (method !== undefined) {
+      throw new ValidationError('A tally method can only be chosen for ranked polls', { field: 'method' });
+    }
+
     // Delegate directly to storage, which handles 'not found'
     try {
-        return await this.pollStorage.getPollResults(pollId);
+        const results = await this.pollStorage.getPollResults(pollId);
+        return this._withParticipation(poll, { ...results, status: poll.status });
     } catch (storageError) {
-        // Re-throw 'not found' errors specifically if needed, or handle generally
-        if (storageError.message.includes('not found')) {
-            throw new Error(`Poll with ID '${pollId}' not found`);
-        }
+        if (storageError instanceof AppError) throw storageError;
         console.error(`Storage error during getPollResults for ${pollId}:`, storageError);
         throw new Error(`Failed to retrieve poll results: ${storageError.message}`);
     }
   }
 
   /**
-   * Deletes a poll, but only if the requesting user is the creator.
+   * Retrieves how the results of a poll developed over time: the cumulative per-option counts
+   * of the current votes at the end of each hour or day (UTC) in which votes were cast or changed.
+   * Ranked polls count first preferences. Votes cast before votes carried a time, and the
+   * ballots of secret-ballot polls, are reported apart as `untimed` (see `resultsTimeline.js`).
    * 
    * @async
-   * @param {string} pollId - The ID of the poll to delete.
-   * @param {string} username - The username of the user attempting the deletion.
-   * @returns {Promise<boolean>} A promise that resolves with true if the poll was successfully deleted.
-   * @throws {Error} If `pollId` or `username` is invalid.
-   * @throws {Error} If the poll with the given ID is not found (message includes 'not found').
-   * @throws {Error} If the `username` provided does not match the `createdBy` field of the poll (message includes 'Only the creator').
+   * @param {string} pollId - The ID of the poll.
+   * @param {Object} [options={}] - Timeline options.
+   * @param {string} [options.bucket='day'] - The bucket size: one of `TIMELINE_BUCKETS`.
+   * @param {string} [options.requester] - The username of the user requesting the timeline, if authenticated.
+   * @returns {Promise<Object>} A promise that resolves with `{ id, question, type, bucket, status, timeline, untimed }`, where `timeline` holds
+   *   `{ start, end, totalVotes, totalVoters, results: Array<{ option, votes }> }` per bucket with votes, oldest first, and `untimed` the
+   *   `{ totalVotes, totalVoters, results }` of the votes without a time.
+   * @throws {ValidationError} If `pollId` is invalid or the bucket size is unknown (field 'bucket').
+   * @throws {NotFoundError} If the poll does not exist, or is private and the requester may not see it (code 'poll_not_found').
    * @throws {Error} If the underlying storage operation fails.
    */
-  async deletePoll(pollId, username) {
+  async getResultsTimeline(pollId, options = {}) {
      if (!pollId || typeof pollId !== 'string') {
-        throw new Error('Invalid pollId provided to deletePoll.');
+        throw new ValidationError('Invalid pollId provided to getResultsTimeline.', { field: 'pollId' });
     }
-     if (!username || typeof username !== 'string' || username.trim() === '') {
-        throw new Error('Invalid username provided to deletePoll.');
+    const { bucket = 'day', requester } = options;
+    if (!TIMELINE_BUCKETS.includes(bucket)) {
+      throw new ValidationError(`Invalid bucket: ${bucket}. Must be one of ${TIMELINE_BUCKETS.join(', ')}.`, { field: 'bucket' });
     }
-    const trimmedUsername = username.trim();
 
-    // Check if poll exists first (getPoll throws if not found)
-    const poll = await this.getPoll(pollId);
-    
-    // Authorization check: Ensure the user attempting deletion is the creator
-    if (poll.createdBy !== trimmedUsername) {
-      // Throw error identifiable by the route layer
-      throw new Error('Forbidden: Only the creator can delete this poll'); 
+    // The stored poll, since the untimed counts include the ballots of secret-ballot polls
+    const poll = this._withStatus(await this._getStoredPoll(pollId, requester), { keepBallots: true });
+    return {
+      id: pollId,
+      question: poll.question,
+      type: poll.type || 'standard',
+      bucket,
+      status: poll.status,
+      ...buildResultsTimeline(poll, bucket)
+    };
+  }
+
+  /**
+   * Cross-tabulates the votes of two polls: how the users who voted in both combined the
+   * options of one with the options of the other (see `crossTabulation.js`). Both polls must
+   * be visible to the requester. Secret-ballot polls are refused, since their ballots are not
+   * linked to voters and must not become so through another poll.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll whose options form the rows.
+   * @param {Object} options - Cross-tabulation options.
+   * @param {string} options.withPollId - The ID of the poll whose options form the columns.
+   * @param {string} [options.requester] - The username of the user requesting the table, if authenticated.
+   * @returns {Promise<Object>} A promise that resolves with `{ poll, with, respondents, total, rows, columns, cells }`, where `poll` and
+   *   `with` describe the two polls as `{ id, question, type }` and the rest is the contingency table.
+   * @throws {ValidationError} If `pollId` is invalid, or `withPollId` is missing or the poll itself (field 'with').
+   * @throws {NotFoundError} If either poll does not exist, or is private and the requester may not see it (code 'poll_not_found').
+   * @throws {ConflictError} If either poll is a secret-ballot poll (code 'secret_ballot').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getResultsCrosstab(pollId, options = {}) {
+     if (!pollId || typeof pollId !== 'string') {
+        throw new ValidationError('Invalid pollId provided to getResultsCrosstab.', { field: 'pollId' });
     }
-    
-    // Delegate deletion to storage layer
+    const { withPollId, requester } = options;
+    if (!withPollId || typeof withPollId !== 'string') {
+      throw new ValidationError('The poll to cross-tabulate with is required', { field: 'with' });
+    }
+    if (withPollId === pollId) {
+      throw new ValidationError('A poll cannot be cross-tabulated with itself', { field: 'with' });
+    }
+
+    const polls = [await this.getPoll(pollId, requester), await this.getPoll(withPollId, requester)];
+    const secret = polls.find(poll => poll.secretBallot);
+    if (secret) {
+      throw new ConflictError(`Poll with ID '${secret.id}' uses secret ballots, which cannot be cross-tabulated`, { code: 'secret_ballot' });
+    }
+    const [poll, otherPoll] = polls;
+    const describe = ({ id, question, type }) => ({ id, question, type: type || 'standard' });
+    return { poll: describe(poll), with: describe(otherPoll), ...crossTabulate(poll, otherPoll) };
+  }
+
+  /**
+   * Checks that a secret ballot with the given receipt was counted in a poll.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} receipt - The receipt returned when the ballot was cast.
+   * @param {string} [requester] - The username of the user verifying the receipt, if authenticated.
+   * @returns {Promise<{pollId: string, receipt: string, counted: boolean}>} A promise that resolves with the confirmation (`counted` is always true).
+   * @throws {ValidationError} If `pollId` or `receipt` is invalid.
+   * @throws {NotFoundError} If the poll does not exist, or is private and the requester may not see it (code 'poll_not_found').
+   * @throws {NotFoundError} If the poll holds no ballot with this receipt, or is no secret-ballot poll (code 'receipt_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async verifyReceipt(pollId, receipt, requester) {
+    if (!receipt || typeof receipt !== 'string') {
+        throw new ValidationError('Invalid receipt provided to verifyReceipt.', { field: 'receipt' });
+    }
+    const poll = await this._getStoredPoll(pollId, requester);
+    if (!Object.prototype.hasOwnProperty.call(poll.ballots || {}, receipt)) {
+      throw new NotFoundError(`No ballot with this receipt was counted in poll '${pollId}'`, { code: 'receipt_not_found' });
+    }
+    return { pollId, receipt, counted: true };
+  }
+
+  /**
+   * Yields the export records of polls: first the tally records of every poll, then the ballot
+   * records of the polls created by `requester`. Raw ballots name the voters, so nobody else
+   * receives them; secret-ballot polls have no ballot records at all. Private polls the requester
+   * may not see are skipped like deleted ones. Polls are read one at a time as the records are consumed, so a caller can
+   * stream an export of many polls without building it in memory. Polls that do not exist
+   * (e.g. deleted while the export runs) are skipped; callers check the polls before they start streaming.
+   *
+   * @async
+   * @generator
+   * @param {Array<string>} pollIds - The IDs of the polls to export.
+   * @param {string} [requester] - The username of the user requesting the export, if authenticated.
+   * @yields {Object} Tally records (`record: 'tally'`), then ballot records (`record: 'ballot'`); see `pollExport.js`.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async *exportPolls(pollIds, requester) {
+    for (const pollId of pollIds) {
+      const results = await this._skipIfDeleted(this.getPollResults(pollId, { requester }));
+      if (results) {
+        yield* toTallyRecords(results);
+      }
+    }
+    for (const pollId of pollIds) {
+      const poll = await this._skipIfDeleted(this.getPoll(pollId, requester));
+      if (poll && requester && poll.createdBy === requester) {
+        yield* toBallotRecords(poll);
+      }
+    }
+  }
+
+  /**
+   * Edits the question and/or options of a poll, but only if the requesting user is the creator.
+   * The question and options go through the same validation as in `createPoll`.
+   * `options` is the complete new list: entries at existing positions rename those options and
+   * further entries add new ones. Once votes have been cast, options can no longer be removed or
+   * moved to another position, since stored votes refer to options by index.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll to edit.
+   * @param {string} username - The username of the user attempting the edit.
+   * @param {Object} changes - The fields to change.
+   * @param {string} [changes.question] - The new question.
+   * @param {Array<string>} [changes.options] - The new list of options.
+   * @returns {Promise<Object>} A promise that resolves with the updated poll object.
+   * @throws {ValidationError} If `pollId` or `username` is invalid, or neither field is provided (message includes 'Nothing to update').
+   * @throws {NotFoundError} If the poll with the given ID is not found (code 'poll_not_found').
+   * @throws {ForbiddenError} If the `username` provided is not the creator of the poll (code 'not_poll_creator').
+   * @throws {ValidationError} If the question or options are invalid (same messages as `createPoll`).
+   * @throws {ValidationError} If the new options would leave the selection limits unsatisfiable (message includes 'Selection limits').
+   * @throws {ConflictError} If votes exist and options would be removed or reordered (code 'options_locked').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async updatePoll(pollId, username, changes) {
+    if (!pollId || typeof pollId !== 'string') {
+        throw new ValidationError('Invalid pollId provided to updatePoll.', { field: 'pollId' });
+    }
+    if (!username || typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided to updatePoll.', { field: 'username' });
+    }
+    if (!changes || typeof changes !== 'object' || (changes.question === undefined && changes.options === undefined)) {
+        throw new ValidationError('Nothing to update: provide question and/or options');
+    }
+
+    const poll = await this.getPoll(pollId, username.trim());
+    if (poll.createdBy !== username.trim()) {
+      throw new ForbiddenError('Forbidden: Only the creator can update this poll', { code: 'not_poll_creator' });
+    }
+
+    const update = {};
+    if (changes.question !== undefined) {
+      update.question = this._validateQuestion(changes.question);
+    }
+    if (changes.options !== undefined) {
+      const options = this._validateOptions(changes.options);
+      if (countVoters(poll) > 0) {
+        this._assertOptionIndicesPreserved(poll.options, options);
+      }
+      if (poll.type === 'ranked') {
+        // Rankings may cover every option
+        update.maxSelections = options.length;
+      } else {
+        // Polls created before selection limits existed are single-choice
+        this._validateSelectionLimits(poll.minSelections || 1, poll.maxSelections || 1, options.length, 'options');
+      }
+      update.options = options;
+    }
+
     try {
-        const deleted = await this.pollStorage.delete(pollId);
-        // The storage delete should return true if found and deleted.
-        // If getPoll succeeded, it should be found by delete.
-        if (!deleted) {
-            // This case might indicate an unexpected state (found by getPoll, not by delete)
-            console.warn(`Poll ${pollId} found by getPoll but delete returned false.`);
-            throw new Error(`Failed to delete poll ${pollId} despite finding it initially.`);
-        }
-        return true; 
+        const updatedPoll = await this.pollStorage.updatePoll(pollId, update);
+        this._emit('pollUpdated', { pollId });
+        return this._withStatus(updatedPoll);
     } catch (storageError) {
-        console.error(`Storage error during deletePoll for ${pollId}:`, storageError);
-        throw new Error(`Failed to delete poll: ${storageError.message}`);
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during updatePoll for ${pollId}:`, storageError);
+        throw new Error(`Failed to update poll: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Closes a poll immediately, but only if the requesting user is the creator.
+   * Scheduled polls can be closed before they open, which cancels them.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll to close.
+   * @param {string} username - The username of the user attempting to close the poll.
+   * @returns {Promise<Object>} A promise that resolves with the updated poll object (status 'closed').
+   * @throws {ValidationError} If `pollId` or `username` is invalid.
+   * @throws {NotFoundError} If the poll with the given ID is not found (code 'poll_not_found').
+   * @throws {ForbiddenError} If the `username` provided is not the creator of the poll (code 'not_poll_creator').
+   * @throws {ConflictError} If the poll is already closed (code 'poll_closed').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async closePoll(pollId, username) {
+    if (!pollId || typeof pollId !== 'string') {
+        throw new ValidationError('Invalid pollId provided to closePoll.', { field: 'pollId' });
+    }
+    if (!username || typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided to closePoll.', { field: 'username' });
+    }
+
+    const poll = await this.getPoll(pollId, username.trim());
+    if (poll.createdBy !== username.trim()) {
+      throw new ForbiddenError('Forbidden: Only the creator can close this poll', { code: 'not_poll_creator' });
+    }
+    if (poll.status === 'closed') {
+      throw new ConflictError(`Poll with ID '${pollId}' is already closed`, { code: 'poll_closed' });
+    }
+
+    try {
+        const updatedPoll = await this.pollStorage.closePoll(pollId, new Date().toISOString());
+        this._emit('pollClosed', { pollId });
+        return this._withStatus(updatedPoll);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during closePoll for ${pollId}:`, storageError);
+        throw new Error(`Failed to close poll: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Emits `pollClosed` for every poll whose `closesAt` time has passed since the previous call,
+   * as a manual close does. Polls closed manually before are left out. Polls that closed while
+   * the server was not running are not announced, since the first call looks back only to the
+   * moment the service was created.
+   * 
+   * @async
+   * @param {number} [now=Date.now()] - The moment to look up to, in milliseconds since the epoch.
+   * @returns {Promise<number>} A promise that resolves with the number of polls announced.
+   * @throws {Error} If the underlying storage operation fails; the polls are announced by the next call then.
+   */
+  async announceScheduledCloses(now = Date.now()) {
+    const since = this.closesAnnouncedUntil;
+    let polls;
+    try {
+        polls = await this.pollStorage.getAll();
+    } catch (storageError) {
+        console.error('Storage error during announceScheduledCloses:', storageError);
+        throw new Error(`Failed to retrieve polls: ${storageError.message}`);
+    }
+    // Advanced only now, so a failed lookup leaves the polls for the next call
+    this.closesAnnouncedUntil = Math.max(since, now);
+
+    const closed = polls.filter(poll => {
+      const closesAt = poll.closesAt ? Date.parse(poll.closesAt) : NaN;
+      return !poll.closedAt && closesAt > since && closesAt <= now;
+    });
+    closed.forEach(poll => this._emit('pollClosed', { pollId: poll.id }));
+    return closed.length;
+  }
+
+  /**
+   * Starts announcing the closing of polls whose `closesAt` time passes, in the background.
+   * 
+   * @returns {void}
+   */
+  start() {
+    if (this.closeTimer) {
+      return;
+    }
+    this.closeTimer = setInterval(() => {
+      this.announceScheduledCloses().catch(error => console.error('Failed to announce scheduled poll closes:', error));
+    }, CLOSE_CHECK_INTERVAL_MS);
+    // Don't keep the process alive just for the announcements
+    this.closeTimer.unref();
+  }
+
+  /**
+   * Stops announcing scheduled closes. Polls that close meanwhile are announced once started again.
+   * 
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.closeTimer);
+    this.closeTimer = null;
+  }
+
+  /**
+   * Deletes a poll, but only if the requesting user is the creator.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll to delete.
+   * @param {string} username - The username of the user attempting the deletion.
+   * @returns {Promise<boolean>} A promise that resolves with true if the poll was successfully deleted.
+   * @throws {ValidationError} If `pollId` or `username` is invalid.
+   * @throws {NotFoundError} If the poll with the given ID is not found (code 'poll_not_found').
+   * @throws {ForbiddenError} If the `username` provided does not match the `createdBy` field of the poll (code 'not_poll_creator').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async deletePoll(pollId, username) {
+     if (!pollId || typeof pollId !== 'string') {
+        throw new ValidationError('Invalid pollId provided to deletePoll.', { field: 'pollId' });
+    }
+     if (!username || typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided to deletePoll.', { field: 'username' });
+    }
+    const trimmedUsername = username.trim();
+
+    // Check if poll exists first (getPoll throws if not found)
+    const poll = await this.getPoll(pollId, trimmedUsername);
+    
+    // Authorization check: Ensure the user attempting deletion is the creator
+    if (poll.createdBy !== trimmedUsername) {
+      throw new ForbiddenError('Forbidden: Only the creator can delete this poll', { code: 'not_poll_creator' });
+    }
+    
+    // Delegate deletion to storage layer
+    try {
+        const deleted = await this.pollStorage.delete(pollId);
+        // The storage delete should return true if found and deleted.
+        // If getPoll succeeded, it should be found by delete.
+        if (!deleted) {
+            // This case might indicate an unexpected state (found by getPoll, not by delete)
+            console.warn(`Poll ${pollId} found by getPoll but delete returned false.`);
+            throw new Error(`Failed to delete poll ${pollId} despite finding it initially.`);
+        }
+        this._emit('pollDeleted', { pollId, createdBy: poll.createdBy, question: poll.question, visibility: poll.visibility });
+        return true; 
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during deletePoll for ${pollId}:`, storageError);
+        throw new Error(`Failed to delete poll: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the visibility and access list of a poll. Only the creator may see the access list.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} requester - The username of the user making the request.
+   * @returns {Promise<{pollId: string, visibility: string, allowedUsers: Array<string>}>} A promise that resolves with the access settings (`allowedUsers` is empty unless the poll is private).
+   * @throws {ValidationError} If `pollId` is invalid.
+   * @throws {NotFoundError} If the poll does not exist, or is private and the requester may not see it (code 'poll_not_found').
+   * @throws {ForbiddenError} If the requester is not the creator of the poll (code 'not_poll_creator').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getPollAccess(pollId, requester) {
+    const poll = await this._getCreatedPoll(pollId, requester, 'Only the creator can view the access list of this poll');
+    return this._toPollAccess(poll);
+  }
+
+  /**
+   * Adds users to the access list of a private poll. Users already on the list, and the
+   * creator, are ignored.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} requester - The username of the user making the request.
+   * @param {Array<string>} usernames - The users to allow.
+   * @returns {Promise<{pollId: string, visibility: string, allowedUsers: Array<string>}>} A promise that resolves with the updated access settings.
+   * @throws {ValidationError} If `pollId` is invalid, or `usernames` is not an array of existing users (field 'usernames').
+   * @throws {NotFoundError} If the poll does not exist, or is private and the requester may not see it (code 'poll_not_found').
+   * @throws {ForbiddenError} If the requester is not the creator of the poll (code 'not_poll_creator').
+   * @throws {ConflictError} If the poll is not private (code 'poll_not_private').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async grantPollAccess(pollId, requester, usernames) {
+    const poll = await this._getCreatedPoll(pollId, requester, 'Only the creator can change the access list of this poll');
+    if (poll.visibility !== 'private') {
+      throw new ConflictError(`Poll with ID '${pollId}' is not private`, { code: 'poll_not_private' });
+    }
+    const granted = await this._validateAllowedUsers(usernames, poll.createdBy, 'usernames');
+    const allowedUsers = [...new Set([...(poll.allowedUsers || []), ...granted])];
+    return this._saveAllowedUsers(pollId, allowedUsers);
+  }
+
+  /**
+   * Removes a user from the access list of a private poll. Their votes are kept.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} requester - The username of the user making the request.
+   * @param {string} username - The user to remove.
+   * @returns {Promise<{pollId: string, visibility: string, allowedUsers: Array<string>}>} A promise that resolves with the updated access settings.
+   * @throws {ValidationError} If `pollId` is invalid.
+   * @throws {NotFoundError} If the poll does not exist, or is private and the requester may not see it (code 'poll_not_found').
+   * @throws {ForbiddenError} If the requester is not the creator of the poll (code 'not_poll_creator').
+   * @throws {NotFoundError} If the user is not on the access list (code 'access_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async revokePollAccess(pollId, requester, username) {
+    const poll = await this._getCreatedPoll(pollId, requester, 'Only the creator can change the access list of this poll');
+    const allowedUsers = poll.allowedUsers || [];
+    if (!allowedUsers.includes(username)) {
+      throw new NotFoundError(`User '${username}' is not on the access list of poll '${pollId}'`, { code: 'access_not_found' });
+    }
+    return this._saveAllowedUsers(pollId, allowedUsers.filter(name => name !== username));
+  }
+
+  /**
+   * Removes a user from all polls, as part of deleting their account. Their polls are deleted
+   * or transferred to another user, and their votes in other polls are removed or kept under
+   * an anonymous voter key (`ANONYMOUS_VOTER_PREFIX` followed by a random ID), so the tallies
+   * stay the same. Secret ballots cannot be told apart, so the user is always anonymized among
+   * the voters of secret-ballot polls (and counted in `votesAnonymized`). The user is also removed
+   * from the access lists of private polls. All polls are written in one batch: either every change is stored or none is.
+   * The changes are applied to the polls as stored at the moment of that write (see `userRemoval.js`).
+   * No events are emitted, since the removal may still be undone with `restorePolls`; pass the returned
+   * `events` to `publishEvents` once it is final.
+   * 
+   * @async
+   * @param {string} username - The user being deleted.
+   * @param {Object} [policies={}] - What to do with the user's polls and votes.
+   * @param {string} [policies.polls='delete'] - One of `USER_POLL_POLICIES`.
+   * @param {string} [policies.transferTo] - The new creator of the user's polls; required for the 'transfer' policy.
+   * @param {string} [policies.votes='remove'] - One of `USER_VOTE_POLICIES`.
+   * @returns {Promise<{pollsDeleted: number, pollsTransferred: number, votesRemoved: number, votesAnonymized: number, changes: Array<Object>, events: Array<{event: string, payload: Object}>}>}
+   *   A promise that resolves with the number of changes, a record of what was changed in each poll, for `restorePolls`,
+   *   and the `pollDeleted` and `pollUpdated` events of the changes, for `publishEvents`.
+   * @throws {ValidationError} If a policy is unknown, or `transferTo` is missing or the user themselves (field 'polls', 'votes' or 'transferTo').
+   * @throws {NotFoundError} If the `transferTo` user does not exist (code 'user_not_found').
+   * @throws {Error} If the underlying storage operation fails; no poll is changed in that case.
+   */
+  async removeUserFromPolls(username, policies = {}) {
+    const checkedPolicies = await this.checkUserPolicies(username, policies);
+
+    let removal;
+    try {
+        // Worked out on the polls as stored at the moment of the write, so no concurrent change is overwritten
+        await this.pollStorage.applyBatch(polls => {
+          removal = removeUserFromPollRecords(polls, username, checkedPolicies);
+          return removal;
+        });
+    } catch (storageError) {
+        console.error(`Storage error during removeUserFromPolls for ${username}:`, storageError);
+        throw new Error(`Failed to remove user '${username}' from polls: ${storageError.message}`);
+    }
+
+    const { summary, changes } = removal;
+    const events = changes.map(({ pollId, deletedPoll }) => (deletedPoll
+      ? { event: 'pollDeleted', payload: { pollId, createdBy: deletedPoll.createdBy, question: deletedPoll.question, visibility: deletedPoll.visibility } }
+      : { event: 'pollUpdated', payload: { pollId } }));
+    return { ...summary, changes, events };
+  }
+
+  /**
+   * Emits events whose announcement was held back until the change became final,
+   * such as the `events` returned by `removeUserFromPolls`.
+   * 
+   * @param {Array<{event: string, payload: Object}>} events - The events, in the order they are emitted.
+   * @returns {void}
+   */
+  publishEvents(events) {
+    events.forEach(({ event, payload }) => this._emit(event, payload));
+  }
+
+  /**
+   * Validates the policies for removing a user from the polls, without changing anything.
+   * 
+   * @async
+   * @param {string} username - The user being deleted.
+   * @param {Object} [policies={}] - The policies, as accepted by `removeUserFromPolls`.
+   * @returns {Promise<{polls: string, transferTo?: string, votes: string}>} A promise that resolves with the policies, defaults applied.
+   * @throws {ValidationError} If a policy is unknown, or `transferTo` is missing or the user themselves (field 'polls', 'votes' or 'transferTo').
+   * @throws {NotFoundError} If the `transferTo` user does not exist (code 'user_not_found').
+   */
+  async checkUserPolicies(username, policies = {}) {
+    const { polls = 'delete', transferTo, votes = 'remove' } = policies;
+    if (!USER_POLL_POLICIES.includes(polls)) {
+      throw new ValidationError(`Invalid polls policy: ${polls}. Must be one of ${USER_POLL_POLICIES.join(', ')}.`, { field: 'polls' });
+    }
+    if (!USER_VOTE_POLICIES.includes(votes)) {
+      throw new ValidationError(`Invalid votes policy: ${votes}. Must be one of ${USER_VOTE_POLICIES.join(', ')}.`, { field: 'votes' });
+    }
+    if (polls !== 'transfer') {
+      return { polls, votes };
+    }
+    if (!transferTo || typeof transferTo !== 'string' || transferTo === username) {
+      throw new ValidationError('transferTo must name another user to transfer the polls to', { field: 'transferTo' });
+    }
+    if (!(await this.userService.userExists(transferTo))) {
+      throw new NotFoundError(`User '${transferTo}' does not exist`, { code: 'user_not_found' });
+    }
+    return { polls, transferTo, votes };
+  }
+
+  /**
+   * Undoes the changes of `removeUserFromPolls`, recreating deleted polls and putting the user's
+   * creatorship, access entries and votes back into the others. Fields changed since by anyone
+   * else keep their new values. Used to undo the removal when deleting the user fails afterwards.
+   * The removal was never announced, so neither is its undoing.
+   * 
+   * @async
+   * @param {Array<Object>} changes - The `changes` returned by `removeUserFromPolls`.
+   * @returns {Promise<void>}
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async restorePolls(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+    await this.pollStorage.applyBatch(polls => restoreUserInPollRecords(polls, changes));
+  }
+
+  /**
+   * Emits a poll change event. Errors thrown by listeners are logged, never propagated,
+   * so a failing subscriber cannot make a completed operation look failed.
+   * 
+   * @param {string} event - The event name.
+   * @param {Object} payload - The event payload.
+   * @returns {void}
+   * @private
+   */
+  _emit(event, payload) {
+    try {
+      this.events.emit(event, payload);
+    } catch (listenerError) {
+      console.error(`Listener error for ${event} event:`, listenerError);
+    }
+  }
+
+  /**
+   * Ensures a poll lets voters change or retract their votes.
+   * Polls created before the setting existed are treated as allowing changes.
+   * 
+   * @param {Object} poll - The poll to check.
+   * @returns {void}
+   * @throws {ForbiddenError} If the poll's creator locked votes (code 'vote_changes_locked').
+   * @private
+   */
+  _assertVoteChangesAllowed(poll) {
+    if (poll.allowVoteChanges === false) {
+      throw new ForbiddenError('Vote changes are not allowed on this poll', { code: 'vote_changes_locked' });
+    }
+  }
+
+  /**
+   * Extracts the selected option indices from vote data.
+   * Accepts `ranking` (array, ranked polls), `optionIndices` (array) or a single `optionIndex`.
+   * 
+   * @param {Object} voteData - The vote data passed to `vote` or `changeVote`.
+   * @returns {Array<number>} The selected option indices, in the order given.
+   * @throws {ValidationError} If neither field holds integer indices (message includes 'Invalid vote data').
+   * @private
+   */
+  _parseSelection(voteData) {
+    const { optionIndex, ranking } = voteData;
+    const optionIndices = ranking ?? voteData.optionIndices;
+    if (optionIndices !== undefined) {
+      if (!Array.isArray(optionIndices) || !optionIndices.every(Number.isInteger)) {
+        throw new ValidationError(INVALID_VOTE_DATA_MESSAGE, { code: 'invalid_vote' });
+      }
+      return optionIndices;
+    }
+    if (typeof optionIndex !== 'number' || !Number.isInteger(optionIndex)) {
+      throw new ValidationError(INVALID_VOTE_DATA_MESSAGE, { code: 'invalid_vote' });
+    }
+    return [optionIndex];
+  }
+
+  /**
+   * Validates selected option indices against a poll and converts them to the stored vote format:
+   * a plain index for single-choice polls, a sorted array of indices for multiple-choice polls,
+   * and the array in preference order for ranked polls.
+   * 
+   * @param {Object} poll - The poll being voted on.
+   * @param {Array<number>} optionIndices - The selected option indices.
+   * @returns {number|Array<number>} The vote value to store.
+   * @throws {ValidationError} If an index is out of bounds (message includes 'Invalid option index').
+   * @throws {ValidationError} If an index is selected more than once (message includes 'must be unique').
+   * @throws {ValidationError} If the number of selections is outside the poll's limits (message includes 'Invalid number of selections').
+   * @private
+   */
+  _validateSelection(poll, optionIndices) {
+    for (const optionIndex of optionIndices) {
+      if (optionIndex < 0 || optionIndex >= poll.options.length) {
+        throw new ValidationError(`Invalid option index: ${optionIndex}. Must be between 0 and ${poll.options.length - 1}.`, { code: 'invalid_vote' });
+      }
+    }
+    if (new Set(optionIndices).size !== optionIndices.length) {
+      throw new ValidationError('Selected option indices must be unique', { code: 'invalid_vote' });
+    }
+
+    // Polls created before selection limits existed are single-choice
+    const minSelections = poll.minSelections || 1;
+    const maxSelections = poll.maxSelections || 1;
+    if (optionIndices.length < minSelections || optionIndices.length > maxSelections) {
+      const expected = minSelections === maxSelections ? `exactly ${minSelections}` : `between ${minSelections} and ${maxSelections}`;
+      throw new ValidationError(`Invalid number of selections: this poll requires ${expected} selection(s)`, { code: 'invalid_vote' });
+    }
+
+    if (poll.type === 'ranked') {
+      return [...optionIndices];
+    }
+    return maxSelections === 1 ? optionIndices[0] : [...optionIndices].sort((a, b) => a - b);
+  }
+
+  /**
+   * Builds the results object of a ranked poll.
+   * 
+   * @param {Object} poll - The ranked poll.
+   * @param {string} method - The tally method to apply.
+   * @returns {Object} The results: { id, question, createdBy, type, tallyMethod, totalVotes, totalVoters, winners, results, ...details }.
+   * @throws {Error} If the method is unknown (message includes 'Invalid tally method').
+   * @private
+   */
+  _tallyRankedPoll(poll, method) {
+    const ballots = [...Object.values(poll.votes || {}), ...Object.values(poll.ballots || {})].filter(Array.isArray);
+    const tally = tallyRankedBallots(method, poll.options, ballots);
+    return {
+      id: poll.id,
+      question: poll.question,
+      createdBy: poll.createdBy,
+      type: 'ranked',
+      tallyMethod: method,
+      status: poll.status,
+      totalVotes: ballots.length,
+      totalVoters: ballots.length,
+      ...tally
+    };
+  }
+
+  /**
+   * Resolves a lookup of an export or of a poll's groups, or to null if the poll or group does not exist (anymore).
+   *
+   * @async
+   * @param {Promise<Object>} lookup - The pending `getPoll`, `getPollResults` or `GroupService.getGroup` call.
+   * @returns {Promise<?Object>} The poll, its results or the group, or null if it was not found.
+   * @private
+   */
+  async _skipIfDeleted(lookup) {
+    try {
+      return await lookup;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validates the groups a poll is restricted to.
+   * 
+   * @async
+   * @param {*} groupIds - The group IDs provided by the caller.
+   * @param {string} creator - The creator of the poll, who must belong to every group.
+   * @returns {Promise<Array<string>>} The distinct group IDs.
+   * @throws {ValidationError} If the IDs are not an array of strings, a group does not exist, or the creator is not a member (field 'groups').
+   * @throws {Error} If groups are given but the service has no group service.
+   * @private
+   */
+  async _validateGroups(groupIds, creator) {
+    if (!Array.isArray(groupIds) || groupIds.some(groupId => typeof groupId !== 'string' || groupId === '')) {
+      throw new ValidationError('groups must be an array of group IDs', { field: 'groups' });
+    }
+    const distinct = [...new Set(groupIds)];
+    if (distinct.length > 0 && !this.groupService) {
+      throw new Error('PollService was created without a groupService; polls cannot be restricted to groups.');
+    }
+    for (const groupId of distinct) {
+      if (!(await this.groupService.isMember(groupId, creator))) {
+        throw new ValidationError(`Group '${groupId}' does not exist or '${creator}' is not a member`, { field: 'groups' });
+      }
+    }
+    return distinct;
+  }
+
+  /**
+   * Ensures a user may vote in a poll restricted to groups.
+   * 
+   * @async
+   * @param {Object} poll - The poll.
+   * @param {string} username - The username of the voter.
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError} If the poll is restricted to groups and the user belongs to none of them (code 'not_group_member').
+   * @private
+   */
+  async _assertGroupMember(poll, username) {
+    const groupIds = poll.groups || [];
+    if (groupIds.length === 0) {
+      return;
+    }
+    for (const groupId of groupIds) {
+      if (await this.groupService?.isMember(groupId, username)) {
+        return;
+      }
+    }
+    throw new ForbiddenError(`Only members of the poll's groups can vote in poll '${poll.id}'`, { code: 'not_group_member' });
+  }
+
+  /**
+   * Adds the participation of each group to the results of a poll restricted to groups.
+   * 
+   * @async
+   * @param {Object} poll - The stored poll.
+   * @param {Object} results - The results of the poll.
+   * @returns {Promise<Object>} The results, with `participation` for polls restricted to groups.
+   * @private
+   */
+  async _withParticipation(poll, results) {
+    const groupIds = poll.groups || [];
+    if (groupIds.length === 0 || !this.groupService) {
+      return results;
+    }
+    const participation = [];
+    for (const groupId of groupIds) {
+      const group = await this._skipIfDeleted(this.groupService.getGroup(groupId));
+      if (group) {
+        const voted = group.members.filter(member => hasVoted(poll, member)).length;
+        const members = group.members.length;
+        participation.push({ groupId, name: group.name, members, voted, share: members === 0 ? 0 : voted / members });
+      }
+    }
+    return { ...results, participation };
+  }
+
+  /**
+   * Retrieves a stored poll whose settings only its creator may manage.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} requester - The username of the user making the request.
+   * @param {string} message - The message of the error thrown for other users.
+   * @returns {Promise<Object>} A promise that resolves with the stored poll.
+   * @throws {NotFoundError} If the poll does not exist, or the requester may not see it (code 'poll_not_found').
+   * @throws {ForbiddenError} If the requester is not the creator (code 'not_poll_creator').
+   * @private
+   */
+  async _getCreatedPoll(pollId, requester, message) {
+    const poll = await this._getStoredPoll(pollId, requester);
+    if (poll.createdBy !== requester) {
+      throw new ForbiddenError(message, { code: 'not_poll_creator' });
+    }
+    return poll;
+  }
+
+  /**
+   * Stores a new access list for a poll.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {Array<string>} allowedUsers - The complete access list.
+   * @returns {Promise<{pollId: string, visibility: string, allowedUsers: Array<string>}>} A promise that resolves with the updated access settings.
+   * @throws {Error} If the underlying storage operation fails.
+   * @private
+   */
+  async _saveAllowedUsers(pollId, allowedUsers) {
+    try {
+        const updatedPoll = await this.pollStorage.updatePoll(pollId, { allowedUsers });
+        this._emit('pollUpdated', { pollId });
+        return this._toPollAccess(updatedPoll);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during the access update of ${pollId}:`, storageError);
+        throw new Error(`Failed to update the access list: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Extracts the access settings of a stored poll.
+   * 
+   * @param {Object} poll - The stored poll.
+   * @returns {{pollId: string, visibility: string, allowedUsers: Array<string>}} The access settings.
+   * @private
+   */
+  _toPollAccess(poll) {
+    return { pollId: poll.id, visibility: poll.visibility || 'public', allowedUsers: poll.allowedUsers || [] };
+  }
+
+  /**
+   * Retrieves a stored poll as it is, including the ballots of a secret-ballot poll.
+   * A private poll the requester may not see is reported as not found, so its existence is not revealed.
+   * 
+   * @async
+   * @param {string} pollId - The unique identifier of the poll to retrieve.
+   * @param {string} [requester] - The username of the user requesting the poll, if authenticated.
+   * @returns {Promise<Object>} A promise that resolves with the stored poll.
+   * @throws {ValidationError} If `pollId` is invalid (e.g., not a string).
+   * @throws {NotFoundError} If no poll with the given ID is found, or the requester may not see it (code 'poll_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   * @private
+   */
+  async _getStoredPoll(pollId, requester) {
+     if (!pollId || typeof pollId !== 'string') {
+        throw new ValidationError('Invalid pollId provided to getPoll.', { field: 'pollId' });
+    }
+    const poll = await this.pollStorage.getById(pollId);
+    if (!poll || !this._canView(poll, requester)) {
+      throw new NotFoundError(`Poll with ID '${pollId}' not found`, { code: 'poll_not_found' });
+    }
+    return poll;
+  }
+
+  /**
+   * Checks whether a user may see a poll: anyone may see public and unlisted polls, while
+   * private polls are only visible to their creator and the users on their access list.
+   * 
+   * @param {Object} poll - The stored poll.
+   * @param {string} [requester] - The username of the user, or undefined for anonymous requests.
+   * @returns {boolean} True if the user may see the poll.
+   * @private
+   */
+  _canView(poll, requester) {
+    if (poll.visibility !== 'private') {
+      return true;
+    }
+    return requester !== undefined && (poll.createdBy === requester || (poll.allowedUsers || []).includes(requester));
+  }
+
+  /**
+   * Checks whether a poll is included in the listings shown to a user. Unlisted polls are
+   * only listed for their creator; everyone else needs the ID to find them.
+   * 
+   * @param {Object} poll - The stored poll.
+   * @param {string} [requester] - The username of the user, or undefined for anonymous requests.
+   * @returns {boolean} True if the poll is listed for the user.
+   * @private
+   */
+  _isListed(poll, requester) {
+    if (poll.visibility === 'unlisted') {
+      return requester !== undefined && poll.createdBy === requester;
+    }
+    return this._canView(poll, requester);
+  }
+
+  /**
+   * Validates the usernames for the access list of a private poll.
+   * 
+   * @async
+   * @param {*} usernames - The usernames provided by the caller.
+   * @param {string} creator - The creator of the poll, who needs no entry.
+   * @param {string} field - The field to report errors for.
+   * @returns {Promise<Array<string>>} The distinct usernames, without the creator.
+   * @throws {ValidationError} If the usernames are not an array of strings, or a user does not exist.
+   * @private
+   */
+  async _validateAllowedUsers(usernames, creator, field) {
+    if (!Array.isArray(usernames) || usernames.some(name => typeof name !== 'string' || name.trim() === '')) {
+      throw new ValidationError(`${field} must be an array of usernames`, { field });
+    }
+    const distinct = [...new Set(usernames.map(name => name.trim()))].filter(name => name !== creator);
+    for (const name of distinct) {
+      if (!(await this.userService.userExists(name))) {
+        throw new ValidationError(`User '${name}' does not exist`, { field });
+      }
+    }
+    return distinct;
+  }
+
+  /**
+   * Returns a copy of a stored poll with its computed `status` added. The ballots of a
+   * secret-ballot poll and the access list of a private poll are left out; the access list
+   * is only available to the creator through `getPollAccess`. A secret-ballot poll shows
+   * how many users voted (`voterCount`) instead of who: the results change with every ballot,
+   * so seeing who joined the voters would tell how they voted.
+   * 
+   * @param {Object} poll - The stored poll.
+   * @param {Object} [options={}] - Options.
+   * @param {boolean} [options.keepBallots=false] - Keep the ballots, voters and access list, for tallying.
+   * @returns {Object} The poll including `status` ('scheduled', 'open' or 'closed').
+   * @private
+   */
+  _withStatus(poll, options = {}) {
+    if (options.keepBallots) {
+      return { ...poll, status: computeStatus(poll) };
+    }
+    const { ballots, allowedUsers, voters, ...publicPoll } = poll;
+    return { ...publicPoll, ...(poll.secretBallot ? { voterCount: (voters || []).length } : {}), status: computeStatus(poll) };
+  }
+
+  /**
+   * Adds the computed status to a list of polls and keeps only those with the requested status.
+   * 
+   * @param {Array<Object>} polls - The stored polls.
+   * @param {string} [status] - The status to keep. All polls are kept when omitted.
+   * @returns {Array<Object>} The matching polls, each including `status`.
+   * @private
+   */
+  _applyStatusFilter(polls, status) {
+    const withStatus = polls.map(poll => this._withStatus(poll));
+    return status ? withStatus.filter(poll => poll.status === status) : withStatus;
+  }
+
+  /**
+   * Ensures a status filter, if given, is one of the known poll statuses.
+   * 
+   * @param {string} [status] - The requested status filter.
+   * @returns {void}
+   * @throws {ValidationError} If the status is unknown (message includes 'Invalid status filter').
+   * @private
+   */
+  _assertValidStatusFilter(status) {
+    if (status !== undefined && !POLL_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status filter: ${status}. Must be one of ${POLL_STATUSES.join(', ')}.`, { field: 'status' });
+    }
+  }
+
+  /**
+   * Ensures a poll is currently accepting votes.
+   * 
+   * @param {Object} poll - The poll, including its computed `status`.
+   * @returns {void}
+   * @throws {ForbiddenError} If the poll has not opened yet (code 'poll_not_open').
+   * @throws {ConflictError} If the poll is closed (code 'poll_closed').
+   * @private
+   */
+  _assertOpenForVoting(poll) {
+    if (poll.status === 'scheduled') {
+      throw new ForbiddenError(`Poll with ID '${poll.id}' is not open for voting yet (opens at ${poll.opensAt})`, { code: 'poll_not_open' });
+    }
+    if (poll.status === 'closed') {
+      throw new ConflictError(`Poll with ID '${poll.id}' is closed`, { code: 'poll_closed' });
+    }
+  }
+
+  /**
+   * Validates a poll question.
+   * 
+   * @param {*} question - The question provided by the caller.
+   * @returns {string} The trimmed question.
+   * @throws {ValidationError} If the question is empty or not a string.
+   * @private
+   */
+  _validateQuestion(question) {
+    if (!question || typeof question !== 'string' || question.trim() === '') {
+      throw new ValidationError('Question must be a non-empty string', { field: 'question' });
+    }
+    return question.trim();
+  }
+
+  /**
+   * Validates a list of poll options.
+   * 
+   * @param {*} options - The options provided by the caller.
+   * @returns {Array<string>} The trimmed options.
+   * @throws {ValidationError} If options is not an array of at least 2 unique, non-empty strings.
+   * @private
+   */
+  _validateOptions(options) {
+    if (!Array.isArray(options) || options.length < 2) {
+      throw new ValidationError('Poll must have at least 2 options', { field: 'options' });
+    }
+    
+    // Check for empty or duplicate options
+    const uniqueOptions = new Set();
+    for (const option of options) {
+      if (typeof option !== 'string' || option.trim() === '') {
+        throw new ValidationError('All options must be non-empty strings', { field: 'options' });
+      }
+      const trimmedOption = option.trim();
+      if (uniqueOptions.has(trimmedOption)) {
+        throw new ValidationError('Options must be unique', { field: 'options' });
+      }
+      uniqueOptions.add(trimmedOption);
+    }
+    return options.map(opt => opt.trim()); // Use trimmed options
+  }
+
+  /**
+   * Validates the selection limits of a standard poll against its number of options.
+   * 
+   * @param {*} minSelections - The minimum number of selections.
+   * @param {*} maxSelections - The maximum number of selections.
+   * @param {number} optionCount - The number of options in the poll.
+   * @param {string} [field] - The field reported when the limits don't fit the options. Defaults to the offending limit.
+   * @returns {void}
+   * @throws {ValidationError} If the limits are not integers satisfying 1 <= minSelections <= maxSelections <= optionCount.
+   * @private
+   */
+  _validateSelectionLimits(minSelections, maxSelections, optionCount, field = maxSelections > optionCount ? 'maxSelections' : 'minSelections') {
+    if (!Number.isInteger(minSelections) || !Number.isInteger(maxSelections)) {
+      throw new ValidationError('minSelections and maxSelections must be integers', { field: Number.isInteger(minSelections) ? 'maxSelections' : 'minSelections' });
+    }
+    if (minSelections < 1 || minSelections > maxSelections || maxSelections > optionCount) {
+      throw new ValidationError('Selection limits must satisfy 1 <= minSelections <= maxSelections <= number of options', { field });
+    }
+  }
+
+  /**
+   * Ensures an edited option list keeps every existing option at its index, so stored votes stay valid.
+   * Existing options may be renamed in place and new options appended.
+   * 
+   * @param {Array<string>} currentOptions - The poll's current options.
+   * @param {Array<string>} newOptions - The validated new options.
+   * @returns {void}
+   * @throws {ConflictError} If an option would be removed (code 'options_locked').
+   * @throws {ConflictError} If an existing option would move to another index (code 'options_locked').
+   * @private
+   */
+  _assertOptionIndicesPreserved(currentOptions, newOptions) {
+    if (newOptions.length < currentOptions.length) {
+      throw new ConflictError('Options cannot be removed once votes have been cast', { code: 'options_locked' });
+    }
+    newOptions.forEach((option, index) => {
+      const currentIndex = currentOptions.indexOf(option);
+      if (currentIndex !== -1 && currentIndex !== index) {
+        throw new ConflictError('Options cannot be reordered once votes have been cast', { code: 'options_locked' });
+      }
+    });
+  }
+
+  /**
+   * Validates an optional timestamp setting and normalizes it to an ISO 8601 string.
+   * 
+   * @param {*} value - The value provided by the caller.
+   * @param {string} field - The name of the setting, used in error messages.
+   * @returns {string|null} The normalized timestamp, or null if no value was provided.
+   * @throws {ValidationError} If the value is not a parseable date string (message includes 'must be a valid ISO 8601 timestamp').
+   * @private
+   */
+  _parseTimestamp(value, field) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+      throw new ValidationError(`${field} must be a valid ISO 8601 timestamp`, { field });
     }
+    return new Date(value).toISOString();
   }
 }
\ No newline at end of file
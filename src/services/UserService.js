@@ -6,8 +6,92 @@
  * performing validation and coordinating actions.
  */
 
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { AppError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } from '../errors.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from './pollListing.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Minimum accepted password length for new accounts
+export const MIN_PASSWORD_LENGTH = 8;
+// Length (in bytes) of the derived scrypt key
+const PASSWORD_KEY_LENGTH = 64;
+// How long a password setup code stays valid: 7 days
+const PASSWORD_SETUP_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * The profile fields a user can change, with the maximum length of each.
+ * @type {Readonly<Object<string, number>>}
+ */
+export const PROFILE_FIELD_LIMITS = Object.freeze({ displayName: 50, email: 254, avatarUrl: 2048, bio: 500 });
+
+// `lastActiveAt` is only rewritten once it is older than this, so busy users don't cause a write per request
+const ACTIVITY_RESOLUTION_MS = 5 * 60 * 1000;
+
+/**
+ * Prefix of the voter keys that replace the names of deleted users in anonymized votes.
+ * Usernames may not start with it, so no account can ever claim such a vote.
+ * @type {string}
+ */
+export const ANONYMOUS_VOTER_PREFIX = 'anonymous:';
+
+// A deliberately loose address check: something, an @, and a domain with a dot
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Hashes a password with a random salt using scrypt.
+ * 
+ * @async
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The salt and derived key, hex-encoded and joined as `salt:hash`.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `${salt}:${derivedKey.toString('hex')}`;
+}
+
+/**
+ * Checks a plain-text password against a stored `salt:hash` string.
+ * Uses a constant-time comparison to avoid timing leaks.
+ * 
+ * @async
+ * @param {string} password - The plain-text password to check.
+ * @param {string} storedHash - The stored `salt:hash` string.
+ * @returns {Promise<boolean>} True if the password matches, false otherwise.
+ */
+async function verifyPassword(password, storedHash) {
+  const [salt, hash] = String(storedHash).split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+}
+
+/**
+ * Hashes a password setup code, so that only the hash needs to be stored.
+ * 
+ * @param {string} code - The setup code.
+ * @returns {string} The hex-encoded SHA-256 hash of the code.
+ */
+function hashSetupCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
 /**
  * Service class containing business logic for user operations.
+ * 
+ * Accounts created before passwords existed have no `passwordHash` and cannot log in. The operator
+ * issues each of them a one-time setup code (`issuePasswordSetupCodes`, run by
+ * `src/issuePasswordSetupCodes.js`), with which the user chooses a password (`setInitialPassword`).
+ * 
+ * After a user is created or deleted, the service emits an event on `events`:
+ * - `userCreated` `{ username }` after the user signed up
+ * - `userDeleted` `{ username }` after the user record was deleted
  */
 export class UserService {
   /**
@@ -20,22 +104,34 @@ export class UserService {
         throw new Error('UserService requires a valid userStorage instance.');
     }
     this.userStorage = userStorage;
+    /** @type {EventEmitter} Emits the user events listed on the class. */
+    this.events = new EventEmitter();
   }
 
   /**
-   * Validates and creates a new user.
+   * Validates and creates a new user. The password is stored only as a salted scrypt hash.
    * 
    * @async
    * @param {string} username - The desired username for the new user.
-   * @returns {Promise<Object>} A promise that resolves with the created user object (usually { id: username, username: username }).
-   * @throws {Error} If the username is invalid (null, empty, not a string, or whitespace only).
-   * @throws {Error} If a user with the given username already exists (message includes 'already exists').
+   * @param {string} password - The password for the new user. Must be at least 8 characters long.
+   * @returns {Promise<Object>} A promise that resolves with the created public user object: { id, username, displayName, email, avatarUrl, bio, createdAt, lastActiveAt }, with empty profile fields and `lastActiveAt` null.
+   * @throws {ValidationError} If the username is invalid (null, empty, not a string, or whitespace only), or starts with `ANONYMOUS_VOTER_PREFIX`.
+   * @throws {ValidationError} If the password is missing or shorter than 8 characters.
+   * @throws {ConflictError} If a user with the given username already exists (code 'username_taken').
    * @throws {Error} If the underlying storage operation fails.
    */
-  async createUser(username) {
+  async createUser(username, password) {
     // Validate username: must be a non-empty string
     if (!username || typeof username !== 'string' || username.trim() === '') {
-      throw new Error('Username must be a non-empty string');
+      throw new ValidationError('Username must be a non-empty string', { field: 'username' });
+    }
+    if (username.trim().startsWith(ANONYMOUS_VOTER_PREFIX)) {
+      throw new ValidationError(`Username must not start with '${ANONYMOUS_VOTER_PREFIX}'`, { field: 'username' });
+    }
+
+    // Validate password: must be a string of a minimum length
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be a string of at least ${MIN_PASSWORD_LENGTH} characters`, { field: 'password' });
     }
     
     const trimmedUsername = username.trim(); // Use trimmed username consistently
@@ -43,14 +139,21 @@ export class UserService {
     // Check if username already exists using the storage method
     const exists = await this.userStorage.usernameExists(trimmedUsername);
     if (exists) {
-      // Throw an error that the route layer can potentially identify
-      throw new Error(`Username '${trimmedUsername}' already exists`); 
+      throw new ConflictError(`Username '${trimmedUsername}' already exists`, { code: 'username_taken' });
     }
     
     // Delegate user creation to the storage layer
     try {
-        return await this.userStorage.createUser(trimmedUsername);
+        const passwordHash = await hashPassword(password);
+        const user = await this.userStorage.createUser(trimmedUsername, { passwordHash }, { createdAt: new Date().toISOString() });
+        this._emit('userCreated', { username: trimmedUsername });
+        return this._toPublicUser(user);
     } catch (storageError) {
+        if (storageError instanceof ConflictError) {
+            // Another request created the same username since the check above
+            throw new ConflictError(`Username '${trimmedUsername}' already exists`, { code: 'username_taken' });
+        }
+        if (storageError instanceof AppError) throw storageError;
         console.error(`Storage error during createUser for ${trimmedUsername}:`, storageError);
         // Rethrow or wrap the storage error
         throw new Error(`Failed to create user '${trimmedUsername}': ${storageError.message}`);
@@ -62,23 +165,304 @@ export class UserService {
    * 
    * @async
    * @param {string} username - The username of the user to retrieve.
-   * @returns {Promise<Object>} A promise that resolves with the user object.
-   * @throws {Error} If the username is invalid (null, empty, not a string).
-   * @throws {Error} If no user with the given username is found (message includes 'not found').
+   * @returns {Promise<Object>} A promise that resolves with the public user object (without credentials).
+   * @throws {ValidationError} If the username is invalid (null, empty, not a string).
+   * @throws {NotFoundError} If no user with the given username is found (code 'user_not_found').
    * @throws {Error} If the underlying storage operation fails.
    */
   async getUser(username) {
      // Basic validation
     if (!username || typeof username !== 'string') {
-      throw new Error('Invalid username provided to getUser.');
+      throw new ValidationError('Invalid username provided to getUser.', { field: 'username' });
     }
 
     const user = await this.userStorage.getUserByUsername(username);
     if (!user) {
-      // Throw an error that the route layer can potentially identify
-      throw new Error(`User '${username}' not found`); 
+      throw new NotFoundError(`User '${username}' not found`, { code: 'user_not_found' });
+    }
+    return this._toPublicUser(user);
+  }
+
+  /**
+   * Checks a username/password pair against the stored credentials.
+   * 
+   * @async
+   * @param {string} username - The username to authenticate.
+   * @param {string} password - The plain-text password to check.
+   * @returns {Promise<Object|null>} A promise that resolves with the public user object if the credentials are valid, or null otherwise.
+   *   Users without a stored password hash cannot be authenticated until they set one with `setInitialPassword`.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async verifyCredentials(username, password) {
+    if (!username || typeof username !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+    const user = await this.userStorage.getUserByUsername(username.trim());
+    if (!user || !user.passwordHash) {
+      return null;
+    }
+    const valid = await verifyPassword(password, user.passwordHash);
+    return valid ? this._toPublicUser(user) : null;
+  }
+
+  /**
+   * Issues one-time password setup codes to users who have no password. A new code replaces the
+   * user's previous one; only its hash is stored. Hand each code to its user, who passes it to
+   * `setInitialPassword` (`POST /auth/password-setup`) within 7 days.
+   * 
+   * @async
+   * @param {Array<string>} [usernames] - The users to issue codes to. Defaults to every user without a password.
+   * @returns {Promise<Array<{username: string, code: string, expiresAt: string}>>} A promise that resolves with the issued codes.
+   * @throws {NotFoundError} If one of the given users does not exist (code 'user_not_found').
+   * @throws {ConflictError} If one of the given users already has a password (code 'password_already_set').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async issuePasswordSetupCodes(usernames) {
+    let users;
+    if (usernames === undefined) {
+      users = (await this.userStorage.getAllUsers()).filter(user => !user.passwordHash);
+    } else {
+      users = [];
+      for (const username of usernames) {
+        const user = await this.userStorage.getUserByUsername(username);
+        if (!user) {
+          throw new NotFoundError(`User '${username}' not found`, { code: 'user_not_found' });
+        }
+        if (user.passwordHash) {
+          throw new ConflictError(`User '${username}' already has a password`, { code: 'password_already_set' });
+        }
+        users.push(user);
+      }
+    }
+
+    const expiresAt = new Date(Date.now() + PASSWORD_SETUP_TTL_MS).toISOString();
+    const issued = [];
+    for (const { id, ...stored } of users) {
+      const code = crypto.randomBytes(24).toString('base64url');
+      try {
+          await this.userStorage.update(id, { ...stored, passwordSetup: { codeHash: hashSetupCode(code), expiresAt } });
+      } catch (storageError) {
+          if (storageError instanceof AppError) throw storageError;
+          console.error(`Storage error during issuePasswordSetupCodes for ${stored.username}:`, storageError);
+          throw new Error(`Failed to issue a password setup code to '${stored.username}': ${storageError.message}`);
+      }
+      issued.push({ username: stored.username, code, expiresAt });
+    }
+    return issued;
+  }
+
+  /**
+   * Sets the first password of a user who has none, using the setup code issued to them.
+   * The code is used up by it.
+   * 
+   * @async
+   * @param {string} username - The username of the user.
+   * @param {string} code - The setup code from `issuePasswordSetupCodes`.
+   * @param {string} password - The new password. Must be at least 8 characters long.
+   * @returns {Promise<Object>} A promise that resolves with the public user object.
+   * @throws {ValidationError} If the password is missing or shorter than 8 characters.
+   * @throws {UnauthorizedError} If the user does not exist, already has a password, or the code is wrong or expired (code 'invalid_setup_code').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async setInitialPassword(username, code, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be a string of at least ${MIN_PASSWORD_LENGTH} characters`, { field: 'password' });
+    }
+    const user = typeof username === 'string' ? await this.userStorage.getUserByUsername(username.trim()) : null;
+    const setup = user && !user.passwordHash ? user.passwordSetup : null;
+    const expected = Buffer.from(setup?.codeHash ?? '', 'hex');
+    const given = Buffer.from(hashSetupCode(String(code)), 'hex');
+    const valid = expected.length === given.length && crypto.timingSafeEqual(expected, given) && Date.parse(setup.expiresAt) > Date.now();
+    if (!valid) {
+      // Same message for every reason, so the code cannot be used to probe accounts
+      throw new UnauthorizedError('Invalid or expired password setup code', { code: 'invalid_setup_code' });
+    }
+
+    const { id, passwordSetup, ...stored } = user;
+    try {
+        const passwordHash = await hashPassword(password);
+        return this._toPublicUser(await this.userStorage.update(id, { ...stored, passwordHash }));
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during setInitialPassword for ${user.username}:`, storageError);
+        throw new Error(`Failed to set the password of '${user.username}': ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the profile of a user as others see it: the email address is only included
+   * when the user looks at their own profile.
+   * 
+   * @async
+   * @param {string} username - The username of the user to retrieve.
+   * @param {string} [requester] - The username of the user asking, if authenticated.
+   * @returns {Promise<Object>} A promise that resolves with the profile.
+   * @throws {ValidationError} If the username is invalid (null, empty, not a string).
+   * @throws {NotFoundError} If no user with the given username is found (code 'user_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getProfile(username, requester) {
+    const user = await this.getUser(username);
+    return this._toProfile(user, requester);
+  }
+
+  /**
+   * Lists users in alphabetical order of their username, one page at a time.
+   * 
+   * @async
+   * @param {Object} [query={}] - The search and paging options.
+   * @param {string} [query.q] - Only users whose username or display name contains this text (case-insensitive).
+   * @param {number} [query.limit=DEFAULT_PAGE_SIZE] - The maximum number of users on the page (1-100).
+   * @param {string} [query.cursor] - The `nextCursor` of the previous page. Omit for the first page.
+   * @param {string} [requester] - The username of the user asking, whose own entry includes the email address.
+   * @returns {Promise<{items: Array<Object>, nextCursor: string|null, total: number}>} A promise that resolves with the page of profiles.
+   *   `total` counts all matching users; `nextCursor` is null on the last page.
+   * @throws {ValidationError} If `q` is not a string, `limit` is out of range, or the cursor is invalid (field 'q', 'limit' or 'cursor').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async listUsers(query = {}, requester) {
+    const { q, limit = DEFAULT_PAGE_SIZE, cursor } = query;
+    if (q !== undefined && typeof q !== 'string') {
+      throw new ValidationError('q must be a string', { field: 'q' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, { field: 'limit' });
+    }
+    const after = cursor === undefined ? undefined : this._decodeCursor(cursor);
+
+    let users;
+    try {
+        users = await this.userStorage.getAllUsers();
+    } catch (storageError) {
+        console.error('Storage error during listUsers:', storageError);
+        throw new Error(`Failed to retrieve users: ${storageError.message}`);
+    }
+
+    const search = q?.trim().toLowerCase();
+    const matching = users
+      .filter(user => !search || [user.username, user.displayName].some(text => text?.toLowerCase().includes(search)))
+      .sort((a, b) => (a.username < b.username ? -1 : a.username > b.username ? 1 : 0));
+    // Usernames are unique, so the first one after the cursor's is where the page starts
+    const start = after === undefined ? 0 : matching.filter(user => user.username <= after).length;
+    const page = matching.slice(start, start + limit);
+    const hasMore = start + limit < matching.length;
+    return {
+      items: page.map(user => this._toProfile(this._toPublicUser(user), requester)),
+      nextCursor: hasMore ? this._encodeCursor(page[page.length - 1].username) : null,
+      total: matching.length
+    };
+  }
+
+  /**
+   * Changes the profile of a user. Only the user themselves may do so.
+   * Each field is trimmed; null or an empty string clears it. Fields other than the
+   * profile fields (username, password, timestamps, ...) are ignored.
+   * 
+   * @async
+   * @param {string} username - The username of the user whose profile is changed.
+   * @param {string} requester - The username of the user making the change.
+   * @param {Object} changes - The fields to change.
+   * @param {?string} [changes.displayName] - The name shown instead of the username (at most 50 characters).
+   * @param {?string} [changes.email] - The email address (at most 254 characters).
+   * @param {?string} [changes.avatarUrl] - An http(s) URL of the user's picture (at most 2048 characters).
+   * @param {?string} [changes.bio] - A short text about the user (at most 500 characters).
+   * @returns {Promise<Object>} A promise that resolves with the updated public user object.
+   * @throws {ValidationError} If no profile field is given, or a field is not a string, too long or malformed (with the offending fields in `errors`).
+   * @throws {NotFoundError} If the user does not exist (code 'user_not_found').
+   * @throws {ForbiddenError} If the requester is not the user (code 'not_profile_owner').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async updateProfile(username, requester, changes) {
+    const user = await this.userStorage.getUserByUsername(username);
+    if (!user) {
+      throw new NotFoundError(`User '${username}' not found`, { code: 'user_not_found' });
+    }
+    if (requester !== username) {
+      throw new ForbiddenError('Only the user can change their profile', { code: 'not_profile_owner' });
+    }
+
+    const fields = Object.keys(PROFILE_FIELD_LIMITS).filter(field => changes && changes[field] !== undefined);
+    if (fields.length === 0) {
+      throw new ValidationError(`Nothing to update: provide at least one of ${Object.keys(PROFILE_FIELD_LIMITS).join(', ')}`, { field: 'body' });
+    }
+    const errors = [];
+    const updated = {};
+    for (const field of fields) {
+      try {
+        updated[field] = this._validateProfileField(field, changes[field]);
+      } catch (error) {
+        errors.push({ field, message: error.message });
+      }
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors.map(error => error.message).join('; '), { errors });
+    }
+
+    try {
+        const { id, ...stored } = user;
+        const saved = await this.userStorage.update(username, { ...stored, ...updated });
+        return this._toPublicUser(saved);
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during updateProfile for ${username}:`, storageError);
+        throw new Error(`Failed to update user '${username}': ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Deletes a user. Their polls, votes and sessions are not touched; `AccountService.deleteAccount`
+   * takes care of those.
+   * 
+   * @async
+   * @param {string} username - The username of the user to delete.
+   * @returns {Promise<boolean>} A promise that resolves with true once the user is deleted.
+   * @throws {NotFoundError} If the user does not exist (code 'user_not_found').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async deleteUser(username) {
+    let deleted;
+    try {
+        deleted = await this.userStorage.delete(username);
+    } catch (storageError) {
+        console.error(`Storage error during deleteUser for ${username}:`, storageError);
+        throw new Error(`Failed to delete user '${username}': ${storageError.message}`);
+    }
+    if (!deleted) {
+      throw new NotFoundError(`User '${username}' not found`, { code: 'user_not_found' });
+    }
+    this._emit('userDeleted', { username });
+    return true;
+  }
+
+  /**
+   * Records that a user is active now, updating their `lastActiveAt` if it is more than
+   * a few minutes old. Failing to store the time is logged but not thrown, so it never
+   * fails the request that triggered it.
+   * 
+   * @async
+   * @param {string} username - The username of the active user.
+   * @returns {Promise<Object>} A promise that resolves with the public user object.
+   * @throws {NotFoundError} If the user does not exist (code 'user_not_found').
+   * @throws {Error} If reading the user from storage fails.
+   */
+  async recordActivity(username) {
+    const user = await this.userStorage.getUserByUsername(username);
+    if (!user) {
+      throw new NotFoundError(`User '${username}' not found`, { code: 'user_not_found' });
+    }
+    const now = Date.now();
+    if (user.lastActiveAt && now - Date.parse(user.lastActiveAt) < ACTIVITY_RESOLUTION_MS) {
+      return this._toPublicUser(user);
+    }
+
+    const { id, ...stored } = user;
+    const active = { ...stored, lastActiveAt: new Date(now).toISOString() };
+    try {
+        return this._toPublicUser(await this.userStorage.update(username, active));
+    } catch (storageError) {
+        console.error(`Storage error during recordActivity for ${username}:`, storageError);
+        return this._toPublicUser(user);
     }
-    return user;
   }
 
   /**
@@ -87,7 +471,7 @@ export class UserService {
    * @async
    * @param {string} username - The username to check.
    * @returns {Promise<boolean>} A promise that resolves with true if the user exists, false otherwise.
-   * @throws {Error} If the username is invalid (null, empty, not a string).
+   * @throws {ValidationError} If the username is invalid (null, empty, not a string).
    * @throws {Error} If the underlying storage operation fails.
    */
   async userExists(username) {
@@ -95,7 +479,7 @@ export class UserService {
     if (!username || typeof username !== 'string') {
       // Depending on requirements, might return false or throw
       // Throwing might be better to indicate invalid input vs. user not found
-      throw new Error('Invalid username provided to userExists.'); 
+      throw new ValidationError('Invalid username provided to userExists.', { field: 'username' });
     }
     try {
         return await this.userStorage.usernameExists(username);
@@ -105,4 +489,133 @@ export class UserService {
         throw new Error(`Failed to check existence for user '${username}': ${storageError.message}`);
     }
   }
+
+  /**
+   * Validates and normalizes the new value of a profile field.
+   * 
+   * @param {string} field - The name of the field, a key of `PROFILE_FIELD_LIMITS`.
+   * @param {?string} value - The new value; null or an empty string clears the field.
+   * @returns {?string} The trimmed value, or null to clear the field.
+   * @throws {Error} If the value is not a string, too long or malformed (the message names the field).
+   * @private
+   */
+  _validateProfileField(field, value) {
+    if (value === null) {
+      return null;
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`${field} must be a string or null`);
+    }
+    const trimmed = value.trim();
+    if (trimmed === '') {
+      return null;
+    }
+    if (trimmed.length > PROFILE_FIELD_LIMITS[field]) {
+      throw new Error(`${field} must be at most ${PROFILE_FIELD_LIMITS[field]} characters long`);
+    }
+    if (field === 'email' && !EMAIL_PATTERN.test(trimmed)) {
+      throw new Error('email must be a valid email address');
+    }
+    if (field === 'avatarUrl') {
+      let url;
+      try {
+        url = new URL(trimmed);
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('avatarUrl must be an http or https URL');
+      }
+    }
+    return trimmed;
+  }
+
+  /**
+   * Encodes the last username of a page as an opaque cursor.
+   * 
+   * @param {string} username - The username the next page starts after.
+   * @returns {string} A URL-safe cursor string.
+   * @private
+   */
+  _encodeCursor(username) {
+    return Buffer.from(JSON.stringify({ username })).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor produced by `_encodeCursor`.
+   * 
+   * @param {string} cursor - The cursor sent by the client.
+   * @returns {string} The username the page starts after.
+   * @throws {ValidationError} If the cursor is malformed (field 'cursor').
+   * @private
+   */
+  _decodeCursor(cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      decoded = null;
+    }
+    if (typeof decoded?.username !== 'string') {
+      throw new ValidationError('Invalid cursor', { field: 'cursor' });
+    }
+    return decoded.username;
+  }
+
+  /**
+   * Strips credential fields from a stored user record before it leaves the service.
+   * Profile fields and timestamps the record lacks (users created before profiles existed) are null.
+   * 
+   * @param {Object} user - The stored user record.
+   * @returns {Object} A copy of the user without the `passwordHash` and `passwordSetup` fields.
+   * @private
+   */
+  _toPublicUser(user) {
+    const { passwordHash, passwordSetup, ...publicUser } = user;
+    return {
+      id: publicUser.id,
+      username: publicUser.username,
+      displayName: null,
+      email: null,
+      avatarUrl: null,
+      bio: null,
+      createdAt: null,
+      lastActiveAt: null,
+      ...publicUser
+    };
+  }
+
+  /**
+   * Turns a public user object into the profile shown to a requester, leaving out the
+   * email address unless the requester is the user.
+   * 
+   * @param {Object} user - The public user object.
+   * @param {string} [requester] - The username of the user asking, if authenticated.
+   * @returns {Object} The profile.
+   * @private
+   */
+  _toProfile(user, requester) {
+    if (requester === user.username) {
+      return user;
+    }
+    const { email, ...profile } = user;
+    return profile;
+  }
+
+  /**
+   * Emits a user event. Errors thrown by listeners are logged, never propagated,
+   * so a failing subscriber cannot make a completed operation look failed.
+   * 
+   * @param {string} event - The event name.
+   * @param {Object} payload - The event payload.
+   * @returns {void}
+   * @private
+   */
+  _emit(event, payload) {
+    try {
+      this.events.emit(event, payload);
+    } catch (listenerError) {
+      console.error(`Listener error for ${event} event:`, listenerError);
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,520 @@
+/**
+ * WebhookService.js
+ *
+ * This module encapsulates outgoing webhooks: subscriptions that have poll and user events
+ * posted to a URL. It listens for the events of `PollService` and `UserService`, queues one
+ * delivery per matching subscription in storage and delivers the queue in the background,
+ * retrying failed deliveries with exponential backoff. Every attempt is kept in the delivery log.
+ *
+ * Each delivery is a POST of a JSON body `{ id, event, createdAt, data }` with the headers
+ * `X-PollBuilder-Event`, `X-PollBuilder-Delivery` and `X-PollBuilder-Signature`, the latter
+ * being `sha256=` followed by the hex HMAC-SHA256 of the raw body, keyed with the subscription's
+ * secret. Receivers recompute it to check that the request came from this server.
+ *
+ * Deliveries are never sent to loopback, private or link-local addresses, so a subscription
+ * cannot reach services inside the server's own network. The host of a URL is resolved when the
+ * subscription is created and again before every delivery, since its addresses may change.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import { AppError, ValidationError, ForbiddenError, NotFoundError } from '../errors.js';
+
+/**
+ * The events a subscription can receive.
+ * @type {ReadonlyArray<string>}
+ */
+export const WEBHOOK_EVENTS = Object.freeze(['poll.created', 'poll.voted', 'poll.closed', 'poll.deleted', 'user.created']);
+
+// Longest accepted webhook URL
+export const MAX_WEBHOOK_URL_LENGTH = 2048;
+
+// Finished deliveries kept in the log of each subscription; older ones are dropped
+export const MAX_DELIVERY_LOG_SIZE = 100;
+
+// Delivery defaults: attempts before giving up, the delay before the first retry (doubled for
+// every further retry), how long to wait for a response and how often to look for due deliveries
+const DEFAULT_OPTIONS = Object.freeze({ maxAttempts: 6, retryDelayMs: 30_000, timeoutMs: 10_000, pollIntervalMs: 5_000, allowPrivateAddresses: false });
+
+// Addresses deliveries may not go to: unspecified, loopback, private (including shared address space)
+// and link-local. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Service class containing business logic for webhook subscriptions and their deliveries.
+ *
+ * Users see their own subscriptions only. Poll events are delivered for public polls and for the
+ * polls the subscription's owner created; `data.poll` holds the poll as its owner would get it from
+ * `GET /polls/{id}`, so secret-ballot polls carry only their `voterCount`. `poll.voted` names the voter, except in secret-ballot polls. `user.created`
+ * holds the new user's public profile. Subscriptions are removed with their owner's account.
+ */
+export class WebhookService {
+  /**
+   * Creates an instance of WebhookService and subscribes it to the poll and user events.
+   * Call `start` to have the queue delivered in the background.
+   *
+   * @param {import('../storage/JsonFileWebhookStorage.js').JsonFileWebhookStorage} webhookStorage - An instance of a webhook storage implementation.
+   * @param {import('../storage/JsonFileWebhookDeliveryStorage.js').JsonFileWebhookDeliveryStorage} deliveryStorage - An instance of a delivery storage implementation.
+   * @param {import('./PollService.js').PollService} pollService - An instance of the PollService whose events are delivered.
+   * @param {import('./UserService.js').UserService} userService - An instance of the UserService whose events are delivered.
+   * @param {Object} [options={}] - Delivery options.
+   * @param {number} [options.maxAttempts=6] - Attempts before a delivery is marked as failed.
+   * @param {number} [options.retryDelayMs=30000] - Delay before the first retry; every further retry waits twice as long.
+   * @param {number} [options.timeoutMs=10000] - How long to wait for the receiver to respond.
+   * @param {number} [options.pollIntervalMs=5000] - How often `start` looks for due deliveries.
+   * @param {boolean} [options.allowPrivateAddresses=false] - Allow URLs on loopback, private and link-local addresses, e.g. for local development.
+   */
+  constructor(webhookStorage, deliveryStorage, pollService, userService, options = {}) {
+    if (!webhookStorage || typeof webhookStorage.createWebhook !== 'function' || typeof webhookStorage.getWebhooksForEvent !== 'function') {
+        throw new Error('WebhookService requires a valid webhookStorage instance.');
+    }
+    if (!deliveryStorage || typeof deliveryStorage.getDueDeliveries !== 'function' || typeof deliveryStorage.recordAttempt !== 'function') {
+        throw new Error('WebhookService requires a valid deliveryStorage instance.');
+    }
+    if (!pollService || typeof pollService.getPoll !== 'function' || !pollService.events) {
+        throw new Error('WebhookService requires a valid pollService instance.');
+    }
+    if (!userService || typeof userService.getProfile !== 'function' || !userService.events) {
+        throw new Error('WebhookService requires a valid userService instance.');
+    }
+    this.webhookStorage = webhookStorage;
+    this.deliveryStorage = deliveryStorage;
+    this.pollService = pollService;
+    this.userService = userService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    /** @type {Promise<void>} The current delivery run; runs never overlap. */
+    this.deliveryRun = Promise.resolve();
+    /** @type {NodeJS.Timeout|null} */
+    this.timer = null;
+
+    // Events are emitted synchronously; queueing runs on its own and only logs failures
+    const on = (emitter, name, handler) => emitter.on(name, payload => {
+      handler(payload).catch(error => console.error(`Failed to handle ${name} event for webhooks:`, error));
+    });
+    on(pollService.events, 'pollCreated', ({ pollId }) => this.dispatch('poll.created', { pollId }));
+    on(pollService.events, 'pollVoted', ({ pollId, username, action }) => this.dispatch('poll.voted', { pollId, username, action }));
+    on(pollService.events, 'pollClosed', ({ pollId }) => this.dispatch('poll.closed', { pollId }));
+    on(pollService.events, 'pollDeleted', details => this.dispatch('poll.deleted', details));
+    on(userService.events, 'userCreated', ({ username }) => this.dispatch('user.created', { username }));
+    on(userService.events, 'userDeleted', ({ username }) => this.removeWebhooksOfUser(username));
+  }
+
+  /**
+   * Validates and creates a subscription. The returned `secret` signs the deliveries; it is
+   * returned only this once.
+   *
+   * @async
+   * @param {Object} webhookData - The data for the subscription.
+   * @param {string} webhookData.url - The http or https URL deliveries are posted to.
+   * @param {Array<string>} webhookData.events - The events to receive, from `WEBHOOK_EVENTS`.
+   * @param {string} webhookData.owner - The username of the user creating the subscription.
+   * @returns {Promise<Object>} A promise that resolves with the subscription: { id, url, events, owner, createdAt, secret }.
+   * @throws {ValidationError} If the URL or the event list is invalid, or the URL points to a loopback, private or link-local address (field 'url' or 'events').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async createWebhook(webhookData) {
+    if (!webhookData || typeof webhookData !== 'object') {
+        throw new ValidationError('Invalid webhookData provided.');
+    }
+    const { url, events, owner } = webhookData;
+    if (!owner || typeof owner !== 'string') {
+      throw new ValidationError('Owner must be a non-empty string', { field: 'owner' });
+    }
+    const targetUrl = this._validateUrl(url);
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw new ValidationError(`events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`, { field: 'events' });
+    }
+    const blockedAddress = await this._findBlockedAddress(targetUrl);
+    if (blockedAddress) {
+      throw new ValidationError(`url must not point to a loopback, private or link-local address (${blockedAddress})`, { field: 'url' });
+    }
+
+    const webhookId = uuidv4();
+    try {
+        const webhook = await this.webhookStorage.createWebhook(webhookId, {
+          url: targetUrl,
+          events: WEBHOOK_EVENTS.filter(event => events.includes(event)),
+          secret: crypto.randomBytes(32).toString('hex'),
+          owner,
+          createdAt: new Date().toISOString()
+        });
+        return { ...this._toPublicWebhook(webhook), secret: webhook.secret };
+    } catch (storageError) {
+        if (storageError instanceof AppError) throw storageError;
+        console.error(`Storage error during createWebhook for ${webhookId}:`, storageError);
+        throw new Error(`Failed to create webhook: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the subscriptions of a user, oldest first, without their secrets.
+   *
+   * @async
+   * @param {string} owner - The username of the owner.
+   * @returns {Promise<Array<Object>>} A promise that resolves with the subscriptions: { id, url, events, owner, createdAt }.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async listWebhooks(owner) {
+    const webhooks = await this.webhookStorage.getWebhooksOfOwner(owner);
+    return webhooks
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id))
+      .map(webhook => this._toPublicWebhook(webhook));
+  }
+
+  /**
+   * Deletes a subscription with its pending deliveries and delivery log.
+   *
+   * @async
+   * @param {string} webhookId - The ID of the subscription.
+   * @param {string} requester - The username of the user making the request.
+   * @returns {Promise<boolean>} A promise that resolves with true once the subscription is deleted.
+   * @throws {NotFoundError} If the subscription does not exist (code 'webhook_not_found').
+   * @throws {ForbiddenError} If the requester is not the owner (code 'not_webhook_owner').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async deleteWebhook(webhookId, requester) {
+    await this._getOwnWebhook(webhookId, requester);
+    const deliveries = await this.deliveryStorage.getDeliveriesOfWebhook(webhookId);
+    try {
+        await this.deliveryStorage.applyBatch({ remove: deliveries.map(delivery => delivery.id) });
+        await this.webhookStorage.delete(webhookId);
+        return true;
+    } catch (storageError) {
+        console.error(`Storage error during deleteWebhook for ${webhookId}:`, storageError);
+        throw new Error(`Failed to delete webhook: ${storageError.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the delivery log of a subscription, newest first.
+   *
+   * @async
+   * @param {string} webhookId - The ID of the subscription.
+   * @param {string} requester - The username of the user making the request.
+   * @returns {Promise<Array<Object>>} A promise that resolves with the deliveries:
+   *   { id, webhookId, event, payload, status, attempts, nextAttemptAt, createdAt, completedAt },
+   *   where `status` is 'pending', 'delivered' or 'failed' and `attempts` lists { attemptedAt, responseStatus, error }.
+   * @throws {NotFoundError} If the subscription does not exist (code 'webhook_not_found').
+   * @throws {ForbiddenError} If the requester is not the owner (code 'not_webhook_owner').
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async getDeliveries(webhookId, requester) {
+    await this._getOwnWebhook(webhookId, requester);
+    const deliveries = await this.deliveryStorage.getDeliveriesOfWebhook(webhookId);
+    return deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Queues an event for every subscription that receives it, then starts delivering.
+   * Called by the event listeners; poll events are left out for subscriptions whose owner may
+   * not be told about the poll.
+   *
+   * @async
+   * @param {string} event - One of `WEBHOOK_EVENTS`.
+   * @param {Object} details - The event details: `{ pollId, ... }` for poll events, `{ username }` for user events.
+   * @returns {Promise<number>} A promise that resolves with the number of deliveries queued.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async dispatch(event, details) {
+    const webhooks = await this.webhookStorage.getWebhooksForEvent(event);
+    const createdAt = new Date().toISOString();
+    const put = [];
+    const remove = [];
+    for (const webhook of webhooks) {
+      const data = await this._eventData(event, details, webhook.owner);
+      if (!data) {
+        continue;
+      }
+      const id = uuidv4();
+      put.push({
+        id,
+        data: {
+          webhookId: webhook.id,
+          event,
+          payload: { id, event, createdAt, data },
+          status: 'pending',
+          attempts: [],
+          nextAttemptAt: createdAt,
+          createdAt,
+          completedAt: null
+        }
+      });
+      remove.push(...await this._expiredDeliveries(webhook.id));
+    }
+
+    if (put.length > 0) {
+      await this.deliveryStorage.applyBatch({ put, remove });
+      this.processDueDeliveries();
+    }
+    return put.length;
+  }
+
+  /**
+   * Attempts every queued delivery that is due. Runs one at a time: a call made while a run
+   * is in progress starts another run once it has finished.
+   *
+   * @returns {Promise<void>} A promise that resolves when this run has finished. Failures are logged, never thrown.
+   */
+  processDueDeliveries() {
+    this.deliveryRun = this.deliveryRun
+      .then(() => this._deliverDue())
+      .catch(error => console.error('Failed to process webhook deliveries:', error));
+    return this.deliveryRun;
+  }
+
+  /**
+   * Removes the subscriptions of a user, with their deliveries. Called when the user is deleted.
+   *
+   * @async
+   * @param {string} username - The username of the owner.
+   * @returns {Promise<number>} A promise that resolves with the number of subscriptions removed.
+   * @throws {Error} If the underlying storage operation fails.
+   */
+  async removeWebhooksOfUser(username) {
+    const webhooks = await this.webhookStorage.getWebhooksOfOwner(username);
+    for (const webhook of webhooks) {
+      const deliveries = await this.deliveryStorage.getDeliveriesOfWebhook(webhook.id);
+      await this.deliveryStorage.applyBatch({ remove: deliveries.map(delivery => delivery.id) });
+    }
+    await this.webhookStorage.applyBatch({ remove: webhooks.map(webhook => webhook.id) });
+    return webhooks.length;
+  }
+
+  /**
+   * Starts delivering the queue in the background, including deliveries left pending before a restart.
+   *
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.processDueDeliveries(), this.options.pollIntervalMs);
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+    this.processDueDeliveries();
+  }
+
+  /**
+   * Stops the background delivery. Pending deliveries stay queued for the next start.
+   *
+   * @returns {Promise<void>} A promise that resolves when the current run has finished.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.deliveryRun;
+  }
+
+  /**
+   * Attempts the due deliveries one after the other.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deliverDue() {
+    const due = await this.deliveryStorage.getDueDeliveries(new Date().toISOString());
+    for (const delivery of due) {
+      const webhook = await this.webhookStorage.getById(delivery.webhookId);
+      if (!webhook) {
+        // The subscription was deleted while the delivery was queued
+        await this.deliveryStorage.delete(delivery.id);
+        continue;
+      }
+      const attempt = await this._send(webhook, delivery.payload);
+      const attemptCount = delivery.attempts.length + 1;
+      let state;
+      if (attempt.error === null) {
+        state = { status: 'delivered', nextAttemptAt: null, completedAt: attempt.attemptedAt };
+      } else if (attemptCount >= this.options.maxAttempts) {
+        state = { status: 'failed', nextAttemptAt: null, completedAt: attempt.attemptedAt };
+      } else {
+        const delayMs = this.options.retryDelayMs * 2 ** (attemptCount - 1);
+        state = { status: 'pending', nextAttemptAt: new Date(Date.now() + delayMs).toISOString(), completedAt: null };
+      }
+      await this.deliveryStorage.recordAttempt(delivery.id, attempt, state);
+    }
+  }
+
+  /**
+   * Posts a payload to a subscription's URL, signed with its secret. The URL's host is checked
+   * again first; a blocked address counts as a failed attempt.
+   *
+   * @async
+   * @param {Object} webhook - The stored subscription.
+   * @param {Object} payload - The delivery body.
+   * @returns {Promise<{attemptedAt: string, responseStatus: number|null, error: string|null}>}
+   *   The outcome; `error` is null if the receiver answered with a 2xx status.
+   * @private
+   */
+  async _send(webhook, payload) {
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+    const attemptedAt = new Date().toISOString();
+    const blockedAddress = await this._findBlockedAddress(webhook.url);
+    if (blockedAddress) {
+      return { attemptedAt, responseStatus: null, error: `Delivery to ${blockedAddress} is not allowed` };
+    }
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PollBuilder-Webhooks',
+          'X-PollBuilder-Event': payload.event,
+          'X-PollBuilder-Delivery': payload.id,
+          'X-PollBuilder-Signature': `sha256=${signature}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+      // The response body is not used
+      await response.body?.cancel();
+      return { attemptedAt, responseStatus: response.status, error: response.ok ? null : `Receiver responded with status ${response.status}` };
+    } catch (requestError) {
+      return { attemptedAt, responseStatus: null, error: requestError.message };
+    }
+  }
+
+  /**
+   * Builds the `data` of an event for a subscription's owner.
+   *
+   * @async
+   * @param {string} event - One of `WEBHOOK_EVENTS`.
+   * @param {Object} details - The event details from the listener.
+   * @param {string} owner - The username of the subscription's owner.
+   * @returns {Promise<Object|null>} The event data, or null if the owner may not be told about the event.
+   * @private
+   */
+  async _eventData(event, details, owner) {
+    if (event === 'user.created') {
+      return { user: await this.userService.getProfile(details.username) };
+    }
+    if (event === 'poll.deleted') {
+      const { pollId, createdBy, visibility = 'public' } = details;
+      return visibility === 'public' || createdBy === owner ? { pollId, createdBy } : null;
+    }
+
+    let poll;
+    try {
+      poll = await this.pollService.getPoll(details.pollId, owner);
+    } catch (error) {
+      // The poll was deleted since, or the owner may not see it
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+    if ((poll.visibility ?? 'public') !== 'public' && poll.createdBy !== owner) {
+      return null;
+    }
+    if (event === 'poll.voted') {
+      return poll.secretBallot ? { poll, action: details.action } : { poll, action: details.action, username: details.username };
+    }
+    return { poll };
+  }
+
+  /**
+   * Lists the finished deliveries of a subscription that fall out of the log once another one is added.
+   *
+   * @async
+   * @param {string} webhookId - The ID of the subscription.
+   * @returns {Promise<Array<string>>} The IDs of the deliveries to drop.
+   * @private
+   */
+  async _expiredDeliveries(webhookId) {
+    const deliveries = await this.deliveryStorage.getDeliveriesOfWebhook(webhookId);
+    const finished = deliveries
+      .filter(delivery => delivery.status !== 'pending')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    return finished.slice(MAX_DELIVERY_LOG_SIZE - 1).map(delivery => delivery.id);
+  }
+
+  /**
+   * Retrieves a subscription the requester owns.
+   *
+   * @async
+   * @param {string} webhookId - The ID of the subscription.
+   * @param {string} requester - The username of the user making the request.
+   * @returns {Promise<Object>} The stored subscription.
+   * @throws {NotFoundError} If the subscription does not exist (code 'webhook_not_found').
+   * @throws {ForbiddenError} If the requester is not the owner (code 'not_webhook_owner').
+   * @private
+   */
+  async _getOwnWebhook(webhookId, requester) {
+    const webhook = typeof webhookId === 'string' ? await this.webhookStorage.getById(webhookId) : null;
+    if (!webhook) {
+      throw new NotFoundError(`Webhook with ID '${webhookId}' not found`, { code: 'webhook_not_found' });
+    }
+    if (webhook.owner !== requester) {
+      throw new ForbiddenError('Only the owner can manage this webhook', { code: 'not_webhook_owner' });
+    }
+    return webhook;
+  }
+
+  /**
+   * Validates a webhook URL.
+   *
+   * @param {*} url - The URL provided by the caller.
+   * @returns {string} The normalized URL.
+   * @throws {ValidationError} If the URL is not an absolute http or https URL of at most `MAX_WEBHOOK_URL_LENGTH` characters (field 'url').
+   * @private
+   */
+  _validateUrl(url) {
+    let parsed = null;
+    if (typeof url === 'string' && url.length <= MAX_WEBHOOK_URL_LENGTH) {
+      try {
+        parsed = new URL(url);
+      } catch {
+        parsed = null;
+      }
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError(`url must be an http or https URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`, { field: 'url' });
+    }
+    return parsed.href;
+  }
+
+  /**
+   * Resolves the host of a webhook URL and looks for an address deliveries may not go to.
+   * Hosts that cannot be resolved pass, since nothing can be delivered to them anyway.
+   *
+   * @async
+   * @param {string} url - A URL accepted by `_validateUrl`.
+   * @returns {Promise<string|null>} The first blocked address of the host, or null if there is none or private addresses are allowed.
+   * @private
+   */
+  async _findBlockedAddress(url) {
+    if (this.options.allowPrivateAddresses) {
+      return null;
+    }
+    // IPv6 literals keep their brackets in `hostname`
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch {
+      return null;
+    }
+    const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    return blocked ? blocked.address : null;
+  }
+
+  /**
+   * Strips the secret from a stored subscription.
+   *
+   * @param {Object} webhook - The stored subscription.
+   * @returns {Object} The subscription without `secret`.
+   * @private
+   */
+  _toPublicWebhook(webhook) {
+    const { secret, ...publicWebhook } = webhook;
+    return publicWebhook;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * crossTabulation.js
+ *
+ * This module cross-tabulates the votes of two polls: for the users who voted in both, how
+ * often each option of the first poll was chosen together with each option of the second.
+ * Votes are matched by username, so only open votes take part. Secret ballots are not linked
+ * to their voters, and the anonymous votes of deleted users have a different key in every poll,
+ * so neither can be matched.
+ */
+
+/**
+ * Returns the counted selections of a vote: the first preference of a ranked vote, every
+ * selected option otherwise. Indices outside the options are ignored, like in the results.
+ *
+ * @param {Object} poll - The poll the vote belongs to.
+ * @param {number|Array<number>} vote - The stored vote value.
+ * @returns {Array<number>} The counted option indices.
+ */
+function countedSelections(poll, vote) {
+  const selections = Array.isArray(vote) ? vote : [vote];
+  return (poll.type === 'ranked' ? selections.slice(0, 1) : selections)
+    .filter(optionIndex => Number.isInteger(optionIndex) && optionIndex >= 0 && optionIndex < poll.options.length);
+}
+
+/**
+ * Expresses a count as a percentage of a total, rounded to two decimals.
+ *
+ * @param {number} count - The count.
+ * @param {number} total - The total; 0 gives 0.
+ * @returns {number} The percentage, between 0 and 100.
+ */
+function percentage(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 10000) / 100;
+}
+
+/**
+ * Builds the contingency table of two polls. Rows are the options of `poll`, columns those of
+ * `otherPoll`. Every pair of counted selections of a respondent adds one to its cell, so a
+ * multiple-choice vote adds to several cells.
+ *
+ * @param {Object} poll - The poll whose options form the rows, including its `votes`.
+ * @param {Object} otherPoll - The poll whose options form the columns, including its `votes`.
+ * @returns {{respondents: number, total: number, rows: Array<Object>, columns: Array<Object>, cells: Array<Object>}}
+ *   `respondents` counts the users who voted in both polls and `total` the pairs counted. `rows` and `columns` hold
+ *   `{ option, total }` per option. `cells` holds `{ row, column, count, rowPercentage, columnPercentage }` per pair
+ *   of options, row by row, where the percentages relate `count` to the total of its row and of its column.
+ */
+export function crossTabulate(poll, otherPoll) {
+  const counts = poll.options.map(() => new Array(otherPoll.options.length).fill(0));
+  let respondents = 0;
+  Object.entries(poll.votes || {}).forEach(([username, vote]) => {
+    if (!Object.prototype.hasOwnProperty.call(otherPoll.votes || {}, username)) {
+      return;
+    }
+    const rowIndices = countedSelections(poll, vote);
+    const columnIndices = countedSelections(otherPoll, otherPoll.votes[username]);
+    if (rowIndices.length === 0 || columnIndices.length === 0) {
+      return;
+    }
+    respondents++;
+    rowIndices.forEach(row => columnIndices.forEach(column => counts[row][column]++));
+  });
+
+  const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+  const columnTotals = otherPoll.options.map((_, column) => counts.reduce((sum, row) => sum + row[column], 0));
+  return {
+    respondents,
+    total: rowTotals.reduce((sum, count) => sum + count, 0),
+    rows: poll.options.map((option, index) => ({ option, total: rowTotals[index] })),
+    columns: otherPoll.options.map((option, index) => ({ option, total: columnTotals[index] })),
+    cells: poll.options.flatMap((row, rowIndex) => otherPoll.options.map((column, columnIndex) => ({
+      row,
+      column,
+      count: counts[rowIndex][columnIndex],
+      rowPercentage: percentage(counts[rowIndex][columnIndex], rowTotals[rowIndex]),
+      columnPercentage: percentage(counts[rowIndex][columnIndex], columnTotals[columnIndex])
+    })))
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * pollExport.js
+ *
+ * This module turns poll results and ballots into flat export records, one per option tally
+ * and one per selection of a ballot. `PollService.exportPolls` yields them and the export
+ * writers (`../routes/exportFormats.js`) serialize them as CSV, JSON Lines or XLSX.
+ */
+
+/**
+ * Fields of a tally record: one option of a poll's results. `measure` names what `count`
+ * counts: 'votes' for standard polls and instant-runoff first preferences, 'points' for Borda
+ * and 'wins' (pairwise) for Schulze.
+ * @type {ReadonlyArray<string>}
+ */
+export const TALLY_FIELDS = Object.freeze(['pollId', 'question', 'optionIndex', 'option', 'measure', 'count']);
+
+/**
+ * Fields of a ballot record: one selected option of one voter. `rank` is the position in a
+ * ranked ballot (1 = most preferred) and null otherwise. `votedAt` is when the vote was cast or
+ * last changed, and null for votes stored before votes carried a time.
+ * @type {ReadonlyArray<string>}
+ */
+export const BALLOT_FIELDS = Object.freeze(['pollId', 'question', 'voter', 'optionIndex', 'option', 'rank', 'votedAt']);
+
+// Result fields holding an option's tally, in order of preference
+const MEASURES = ['votes', 'points', 'wins'];
+
+/**
+ * Converts the results of a poll into tally records.
+ *
+ * @param {Object} results - The results, as returned by `PollService.getPollResults`.
+ * @returns {Array<Object>} One record per option, with `record: 'tally'` and the `TALLY_FIELDS`.
+ */
+export function toTallyRecords(results) {
+  return results.results.map((result, optionIndex) => {
+    const measure = MEASURES.find(name => typeof result[name] === 'number');
+    return {
+      record: 'tally',
+      pollId: results.id,
+      question: results.question,
+      optionIndex,
+      option: result.option,
+      measure,
+      count: result[measure]
+    };
+  });
+}
+
+/**
+ * Converts the votes of a poll into ballot records.
+ *
+ * @param {Object} poll - The poll, including its `votes` and `votedAt`.
+ * @returns {Array<Object>} One record per selected option, with `record: 'ballot'` and the `BALLOT_FIELDS`.
+ */
+export function toBallotRecords(poll) {
+  const ranked = poll.type === 'ranked';
+  return Object.entries(poll.votes || {}).flatMap(([voter, vote]) => {
+    const selections = Array.isArray(vote) ? vote : [vote];
+    return selections.map((optionIndex, position) => ({
+      record: 'ballot',
+      pollId: poll.id,
+      question: poll.question,
+      voter,
+      optionIndex,
+      option: poll.options[optionIndex],
+      rank: ranked ? position + 1 : null,
+      votedAt: poll.votedAt?.[voter] ?? null
+    }));
+  });
+}
@@ -0,0 +1,250 @@
+/**
+ * pollImport.js
+ *
+ * This module converts import files into the poll data accepted by `PollService.createPoll`.
+ * It understands four formats:
+ * - `csv`: one poll per row, with a `question` column, one column per option (`option1`,
+ *   `option2`, ...) and optional columns for the other poll settings.
+ * - `json`: an array of poll objects (the body of `POST /polls`), or `{ "polls": [...] }`.
+ * - `google-forms`: the responses CSV of a Google Form. Every question column becomes a poll
+ *   whose options are the distinct answers given.
+ * - `typeform`: a Typeform form definition (as returned by its Create API). Choice, dropdown,
+ *   yes/no and ranking fields become polls; other fields are skipped.
+ *
+ * The converters only reshape the data; validating it is left to the poll service.
+ */
+
+import { ValidationError } from '../errors.js';
+
+/**
+ * The supported import formats.
+ * @type {ReadonlyArray<string>}
+ */
+export const IMPORT_FORMATS = Object.freeze(['csv', 'json', 'google-forms', 'typeform']);
+
+/** Formats whose files are CSV text; the others are JSON. */
+export const CSV_IMPORT_FORMATS = Object.freeze(['csv', 'google-forms']);
+
+// Columns of the `csv` format besides `question` and the option columns
+const INTEGER_COLUMNS = ['minSelections', 'maxSelections'];
+const BOOLEAN_COLUMNS = ['allowVoteChanges', 'secretBallot'];
+const TEXT_COLUMNS = ['type', 'tallyMethod', 'opensAt', 'closesAt', 'visibility'];
+
+// Google Forms columns that hold response metadata rather than answers
+const GOOGLE_FORMS_METADATA_COLUMNS = ['timestamp', 'email address', 'score', 'total score'];
+
+// Typeform field types holding a list of choices
+const TYPEFORM_CHOICE_TYPES = ['multiple_choice', 'dropdown', 'picture_choice'];
+// Typeform field types that group other fields
+const TYPEFORM_GROUP_TYPES = ['group', 'inline_group'];
+
+/**
+ * Parses CSV text (RFC 4180: comma-separated, fields optionally quoted with double quotes,
+ * quotes inside quoted fields doubled). Lines that are entirely empty are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows, each an array of fields.
+ * @throws {ValidationError} If a quoted field is not closed (field 'body').
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip a byte order mark
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError('Invalid CSV: a quoted field is not closed', { field: 'body' });
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Converts a cell of the `csv` format to the type of its column. Values that cannot be
+ * converted are passed on as text, so the poll service reports them.
+ *
+ * @param {string} column - The column name.
+ * @param {string} value - The cell text.
+ * @returns {*} The converted value.
+ */
+function convertCell(column, value) {
+  if (INTEGER_COLUMNS.includes(column) && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (BOOLEAN_COLUMNS.includes(column) && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return value;
+}
+
+/**
+ * Converts a file of the `csv` format.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<{pollData: Object}>} One entry per data row.
+ * @throws {ValidationError} If the header has no `question` column (field 'body').
+ */
+function fromCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+  if (!columns.includes('question')) {
+    throw new ValidationError('The CSV header must contain a question column', { field: 'body' });
+  }
+  const settingColumns = [...INTEGER_COLUMNS, ...BOOLEAN_COLUMNS, ...TEXT_COLUMNS];
+
+  return rows.map(cells => {
+    const pollData = { options: [] };
+    columns.forEach((column, index) => {
+      const value = (cells[index] ?? '').trim();
+      if (value === '') {
+        return;
+      }
+      if (column === 'question') {
+        pollData.question = value;
+      } else if (/^option\d*$/.test(column)) {
+        pollData.options.push(value);
+      } else if (settingColumns.includes(column)) {
+        pollData[column] = convertCell(column, value);
+      }
+    });
+    return { pollData };
+  });
+}
+
+/**
+ * Converts a file of the `json` format.
+ *
+ * @param {*} body - The parsed JSON.
+ * @returns {Array<{pollData: Object}|{errors: Array<{field: string, message: string}>}>} One entry per poll.
+ * @throws {ValidationError} If the JSON is neither an array nor an object with a `polls` array (field 'body').
+ */
+function fromJson(body) {
+  const polls = Array.isArray(body) ? body : body?.polls;
+  if (!Array.isArray(polls)) {
+    throw new ValidationError('Expected an array of polls or an object with a polls array', { field: 'body' });
+  }
+  return polls.map(poll => (poll && typeof poll === 'object' && !Array.isArray(poll)
+    ? { pollData: poll }
+    : { errors: [{ field: 'poll', message: 'Each poll must be an object' }] }));
+}
+
+/**
+ * Converts the responses CSV of a Google Form. Each distinct answer becomes an option, in the
+ * order first given. Google joins the choices of a checkbox answer into one cell, so such a
+ * combination becomes a single option; checkbox questions should be checked before importing.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<{pollData: Object}>} One entry per question column.
+ */
+function fromGoogleForms(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  return header.flatMap((column, index) => {
+    const question = column.trim();
+    if (GOOGLE_FORMS_METADATA_COLUMNS.includes(question.toLowerCase())) {
+      return [];
+    }
+    const answers = rows.map(cells => (cells[index] ?? '').trim()).filter(answer => answer !== '');
+    return [{ pollData: { question, options: [...new Set(answers)] } }];
+  });
+}
+
+/**
+ * Lists the fields of a Typeform form, with the fields of groups in place of the group.
+ *
+ * @param {Array<Object>} fields - The `fields` of a form or group.
+ * @returns {Array<Object>} The fields, flattened.
+ */
+function flattenTypeformFields(fields = []) {
+  return fields.flatMap(field => (TYPEFORM_GROUP_TYPES.includes(field?.type)
+    ? flattenTypeformFields(field.properties?.fields)
+    : [field]));
+}
+
+/**
+ * Converts a Typeform form definition. Fields that are not questions with choices
+ * (text, rating, statements, ...) are marked as skipped.
+ *
+ * @param {*} body - The parsed form definition.
+ * @returns {Array<{pollData: Object}|{skipped: string}>} One entry per field.
+ * @throws {ValidationError} If the form has no `fields` array (field 'body').
+ */
+function fromTypeform(body) {
+  if (!Array.isArray(body?.fields)) {
+    throw new ValidationError('Expected a Typeform form definition with a fields array', { field: 'body' });
+  }
+  return flattenTypeformFields(body.fields).map(field => {
+    const question = field?.title;
+    const choices = (field?.properties?.choices ?? []).map(choice => choice?.label);
+    switch (field?.type) {
+      case 'yes_no':
+        return { pollData: { question, options: ['Yes', 'No'] } };
+      case 'ranking':
+        return { pollData: { question, options: choices, type: 'ranked' } };
+      default:
+        if (!TYPEFORM_CHOICE_TYPES.includes(field?.type)) {
+          return { question, skipped: `Typeform field type '${field?.type}' is not a choice question` };
+        }
+        return {
+          pollData: field.properties?.allow_multiple_selection
+            ? { question, options: choices, maxSelections: choices.length }
+            : { question, options: choices }
+        };
+    }
+  });
+}
+
+// Converter of each import format
+const CONVERTERS = { csv: fromCsv, json: fromJson, 'google-forms': fromGoogleForms, typeform: fromTypeform };
+
+/**
+ * Converts an import file into entries for `PollService.importPolls`.
+ *
+ * @param {string} format - One of `IMPORT_FORMATS`.
+ * @param {string|Object|Array} body - The file: CSV text for the CSV formats, parsed JSON otherwise.
+ * @returns {Array<Object>} One entry per poll of the file: `{ pollData }` for a poll to create,
+ *   `{ errors }` for an entry that cannot be a poll, or `{ skipped }` for a part of the file that holds no poll.
+ * @throws {ValidationError} If the format is unknown, the body does not match it, or the file as a whole is malformed (field 'format' or 'body').
+ */
+export function convertImport(format, body) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid import format: ${format}. Must be one of ${IMPORT_FORMATS.join(', ')}.`, { field: 'format' });
+  }
+  const expectsCsv = CSV_IMPORT_FORMATS.includes(format);
+  if (expectsCsv !== (typeof body === 'string')) {
+    throw new ValidationError(`The ${format} format expects a ${expectsCsv ? 'CSV (text/csv)' : 'JSON (application/json)'} body`, { field: 'body' });
+  }
+  return CONVERTERS[format](body);
+}
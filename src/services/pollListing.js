@@ -0,0 +1,147 @@
+/**
+ * pollListing.js
+ *
+ * This module sorts poll lists and splits them into cursor-based pages.
+ * A cursor is an opaque string that records the sort order and the position of the
+ * last poll on the previous page, so later pages stay stable while polls are added.
+ */
+
+import { ValidationError } from '../errors.js';
+
+/**
+ * The supported sort orders for poll lists.
+ * - `newest`: Most recently created polls first.
+ * - `votes`: Polls with the most voters first.
+ * - `alpha`: Alphabetical by question (case-insensitive).
+ * @type {ReadonlyArray<string>}
+ */
+export const POLL_SORTS = Object.freeze(['newest', 'votes', 'alpha']);
+
+/** Number of polls per page when no limit is given. */
+export const DEFAULT_PAGE_SIZE = 20;
+
+/** Largest page size a client may request. */
+export const MAX_PAGE_SIZE = 100;
+
+// How each sort order derives its key from a listing entry, and in which direction it sorts
+const SORT_KEYS = {
+  newest: { key: entry => entry.position, descending: true },
+  votes: { key: entry => entry.voters, descending: true },
+  alpha: { key: entry => entry.poll.question.toLowerCase(), descending: false }
+};
+
+/**
+ * Counts the users who voted in a poll, openly or by secret ballot.
+ *
+ * @param {Object} poll - The stored poll, or the poll as returned by the service (with `voterCount` instead of `voters`).
+ * @returns {number} The number of voters.
+ */
+export function countVoters(poll) {
+  return Object.keys(poll.votes || {}).length + (poll.voters ? poll.voters.length : poll.voterCount ?? 0);
+}
+
+/**
+ * Checks whether a user voted in a poll, openly or by secret ballot.
+ *
+ * @param {Object} poll - The poll.
+ * @param {string} username - The username of the voter.
+ * @returns {boolean} True if the user has voted.
+ */
+export function hasVoted(poll, username) {
+  return Object.prototype.hasOwnProperty.call(poll.votes || {}, username) || (poll.voters || []).includes(username);
+}
+
+/**
+ * Compares two sort positions, falling back to the poll ID so the order is total.
+ *
+ * @param {string} sort - One of `POLL_SORTS`.
+ * @param {{key: *, id: string}} a - The first position.
+ * @param {{key: *, id: string}} b - The second position.
+ * @returns {number} A negative number if `a` comes first, positive if `b` does, 0 if equal.
+ */
+function comparePositions(sort, a, b) {
+  const { descending } = SORT_KEYS[sort];
+  if (a.key !== b.key) {
+    const ascending = a.key < b.key ? -1 : 1;
+    return descending ? -ascending : ascending;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Encodes the position of a poll in a sorted list as an opaque cursor.
+ *
+ * @param {string} sort - The sort order of the list.
+ * @param {{key: *, id: string}} position - The poll's sort key and ID.
+ * @returns {string} A URL-safe cursor string.
+ */
+function encodeCursor(sort, position) {
+  return Buffer.from(JSON.stringify({ sort, key: position.key, id: position.id })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by `encodeCursor`.
+ *
+ * @param {string} cursor - The cursor sent by the client.
+ * @param {string} sort - The sort order of the requested list.
+ * @returns {{key: *, id: string}} The position the next page starts after.
+ * @throws {ValidationError} If the cursor is malformed or was issued for another sort order (message includes 'Invalid cursor').
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('Invalid cursor', { field: 'cursor' });
+  }
+  if (!decoded || typeof decoded.id !== 'string' || !('key' in decoded)) {
+    throw new ValidationError('Invalid cursor', { field: 'cursor' });
+  }
+  if (decoded.sort !== sort) {
+    throw new ValidationError(`Invalid cursor: it was issued for sort '${decoded.sort}', not '${sort}'`, { field: 'cursor' });
+  }
+  return { key: decoded.key, id: decoded.id };
+}
+
+/**
+ * Sorts polls and returns one page of them.
+ * The polls must be given in creation order (the order storage returns them in),
+ * which the `newest` sort relies on.
+ *
+ * @param {Array<Object>} polls - The polls to page through, in creation order.
+ * @param {Object} [options={}] - Paging options.
+ * @param {string} [options.sort='newest'] - One of `POLL_SORTS`.
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - The maximum number of polls on the page.
+ * @param {string} [options.cursor] - The `nextCursor` of the previous page. Omit for the first page.
+ * @returns {{items: Array<Object>, nextCursor: string|null, total: number}}
+ *   `total` counts all polls across all pages; `nextCursor` is null on the last page.
+ * @throws {Error} If the cursor is invalid (message includes 'Invalid cursor').
+ */
+export function paginatePolls(polls, { sort = 'newest', limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const { key } = SORT_KEYS[sort];
+  const entries = polls.map((poll, position) => {
+    const entry = { poll, position, voters: countVoters(poll) };
+    return { poll, key: key(entry), id: poll.id };
+  });
+  entries.sort((a, b) => comparePositions(sort, a, b));
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, sort);
+    // Positions shift when older polls are deleted, so prefer the current position of the cursor's poll
+    const current = sort === 'newest' ? entries.find(entry => entry.id === after.id) : undefined;
+    const boundary = current || after;
+    start = entries.findIndex(entry => comparePositions(sort, entry, boundary) > 0);
+    if (start === -1) {
+      start = entries.length;
+    }
+  }
+
+  const page = entries.slice(start, start + limit);
+  const hasMore = start + limit < entries.length;
+  return {
+    items: page.map(entry => entry.poll),
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+    total: entries.length
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * rankedTally.js
+ *
+ * This module contains the tallying algorithms for ranked-choice polls.
+ * Each ballot is an array of option indices in order of preference (most preferred first).
+ * Ballots may be partial: options left out are ranked below every ranked option and
+ * are considered equal to each other.
+ */
+
+/**
+ * The tally methods supported for ranked-choice polls.
+ * - `irv`: Instant-runoff voting. Repeatedly eliminates the option with the fewest first preferences.
+ * - `borda`: Borda count. An option ranked at position p (0-based) of n options earns n - 1 - p points.
+ * - `schulze`: Schulze method. Finds the Condorcet winner, or resolves cycles using strongest beatpaths.
+ * @type {ReadonlyArray<string>}
+ */
+export const TALLY_METHODS = Object.freeze(['irv', 'borda', 'schulze']);
+
+/**
+ * Tallies ranked ballots with instant-runoff voting.
+ * In every round each ballot counts for its highest-ranked option that is still in the race.
+ * An option with more than half of the non-exhausted ballots wins; otherwise the option(s)
+ * with the fewest votes are eliminated. Ties for last place are broken by comparing the
+ * tied options' counts in earlier rounds (latest first); options still tied are eliminated together.
+ * If every remaining option is tied, they all share the win.
+ *
+ * @param {Array<string>} options - The poll options.
+ * @param {Array<Array<number>>} ballots - The ranked ballots.
+ * @returns {{ winners: Array<string>, results: Array<{option: string, votes: number}>, rounds: Array<Object>, exhaustedBallots: number }}
+ *   `results` holds the first-round (first preference) counts. Each round is
+ *   `{ round: number, tallies: Array<{option: string, votes: number}>, exhausted: number, eliminated: Array<string>, winners: Array<string> }`.
+ */
+export function tallyInstantRunoff(options, ballots) {
+  const remaining = new Set(options.map((_, index) => index));
+  const rounds = [];
+  // Vote counts per round, indexed by option, used for tie-breaking
+  const history = [];
+  let winners = [];
+
+  while (remaining.size > 0 && ballots.length > 0) {
+    const counts = new Array(options.length).fill(0);
+    let exhausted = 0;
+    for (const ballot of ballots) {
+      const choice = ballot.find(optionIndex => remaining.has(optionIndex));
+      if (choice === undefined) {
+        exhausted++;
+      } else {
+        counts[choice]++;
+      }
+    }
+    history.push(counts);
+
+    const active = ballots.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      tallies: [...remaining].map(optionIndex => ({ option: options[optionIndex], votes: counts[optionIndex] })),
+      exhausted,
+      eliminated: [],
+      winners: []
+    };
+    rounds.push(round);
+
+    const leader = [...remaining].reduce((best, optionIndex) => (counts[optionIndex] > counts[best] ? optionIndex : best));
+    if (active > 0 && counts[leader] * 2 > active) {
+      winners = [options[leader]];
+      round.winners = winners;
+      break;
+    }
+
+    const toEliminate = findLastPlace([...remaining], history);
+    if (toEliminate.length === remaining.size) {
+      // Every remaining option is tied: nobody can be eliminated fairly
+      winners = toEliminate.map(optionIndex => options[optionIndex]);
+      round.winners = winners;
+      break;
+    }
+    toEliminate.forEach(optionIndex => remaining.delete(optionIndex));
+    round.eliminated = toEliminate.map(optionIndex => options[optionIndex]);
+  }
+
+  const firstRound = history[0] || new Array(options.length).fill(0);
+  return {
+    winners,
+    results: options.map((option, index) => ({ option, votes: firstRound[index] })),
+    rounds,
+    exhaustedBallots: rounds.length > 0 ? rounds[rounds.length - 1].exhausted : 0
+  };
+}
+
+/**
+ * Finds the options to eliminate in an instant-runoff round.
+ *
+ * @param {Array<number>} candidates - The option indices still in the race.
+ * @param {Array<Array<number>>} history - Per-round vote counts, the current round last.
+ * @returns {Array<number>} The option indices tied for last place after tie-breaking.
+ */
+function findLastPlace(candidates, history) {
+  let tied = candidates;
+  for (let round = history.length - 1; round >= 0 && tied.length > 1; round--) {
+    const counts = history[round];
+    const lowest = Math.min(...tied.map(optionIndex => counts[optionIndex]));
+    tied = tied.filter(optionIndex => counts[optionIndex] === lowest);
+  }
+  return tied;
+}
+
+/**
+ * Tallies ranked ballots with the Borda count.
+ * With n options, the option at position p (0-based) of a ballot earns n - 1 - p points.
+ * Options missing from a partial ballot earn no points from it.
+ *
+ * @param {Array<string>} options - The poll options.
+ * @param {Array<Array<number>>} ballots - The ranked ballots.
+ * @returns {{ winners: Array<string>, results: Array<{option: string, points: number}> }}
+ *   `winners` holds every option with the highest score (empty when there are no ballots).
+ */
+export function tallyBorda(options, ballots) {
+  const points = new Array(options.length).fill(0);
+  for (const ballot of ballots) {
+    ballot.forEach((optionIndex, position) => {
+      points[optionIndex] += options.length - 1 - position;
+    });
+  }
+
+  const best = Math.max(...points);
+  return {
+    winners: ballots.length > 0 ? options.filter((_, index) => points[index] === best) : [],
+    results: options.map((option, index) => ({ option, points: points[index] }))
+  };
+}
+
+/**
+ * Tallies ranked ballots with the Schulze method.
+ * Builds the pairwise preference matrix (how many voters rank option i above option j),
+ * then computes the strength of the strongest path between every pair of options.
+ * The winners are the options whose strongest path to every other option is at least as
+ * strong as the path back. A Condorcet winner, if one exists, is always the sole Schulze winner.
+ *
+ * @param {Array<string>} options - The poll options.
+ * @param {Array<Array<number>>} ballots - The ranked ballots.
+ * @returns {{ winners: Array<string>, condorcetWinner: string|null, results: Array<{option: string, wins: number}>, pairwise: Array<Array<number>> }}
+ *   `wins` counts the options each option beats by strongest path; `pairwise[i][j]` is the
+ *   number of voters preferring option i over option j.
+ */
+export function tallySchulze(options, ballots) {
+  const n = options.length;
+  const pairwise = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (const ballot of ballots) {
+    // Position of each option on this ballot; unranked options come after all ranked ones
+    const rank = new Array(n).fill(Infinity);
+    ballot.forEach((optionIndex, position) => {
+      rank[optionIndex] = position;
+    });
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j && rank[i] < rank[j]) {
+          pairwise[i][j]++;
+        }
+      }
+    }
+  }
+
+  // Strongest path strengths (Floyd-Warshall style widest path)
+  const strength = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i !== j && pairwise[i][j] > pairwise[j][i] ? pairwise[i][j] : 0))
+  );
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      if (i === k) continue;
+      for (let j = 0; j < n; j++) {
+        if (j === i || j === k) continue;
+        strength[i][j] = Math.max(strength[i][j], Math.min(strength[i][k], strength[k][j]));
+      }
+    }
+  }
+
+  const wins = options.map((_, i) => options.reduce((count, _, j) => count + (strength[i][j] > strength[j][i] ? 1 : 0), 0));
+  const winners = ballots.length > 0
+    ? options.filter((_, i) => options.every((_, j) => i === j || strength[i][j] >= strength[j][i]))
+    : [];
+  const condorcetIndex = options.findIndex((_, i) => options.every((_, j) => i === j || pairwise[i][j] > pairwise[j][i]));
+
+  return {
+    winners,
+    condorcetWinner: ballots.length > 0 && condorcetIndex !== -1 ? options[condorcetIndex] : null,
+    results: options.map((option, index) => ({ option, wins: wins[index] })),
+    pairwise
+  };
+}
+
+/**
+ * Tallies ranked ballots with the given method.
+ *
+ * @param {string} method - One of `TALLY_METHODS`.
+ * @param {Array<string>} options - The poll options.
+ * @param {Array<Array<number>>} ballots - The ranked ballots.
+ * @returns {Object} The method-specific tally (see the individual tally functions).
+ * @throws {Error} If the method is not supported (message includes 'Invalid tally method').
+ */
+export function tallyRankedBallots(method, options, ballots) {
+  switch (method) {
+    case 'irv':
+      return tallyInstantRunoff(options, ballots);
+    case 'borda':
+      return tallyBorda(options, ballots);
+    case 'schulze':
+      return tallySchulze(options, ballots);
+    default:
+      throw new Error(`Invalid tally method: ${method}. Must be one of ${TALLY_METHODS.join(', ')}.`);
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * resultsTimeline.js
+ *
+ * This module builds the results timeline of a poll: the cumulative per-option counts at the
+ * end of each hour or day in which votes were cast. Votes are placed by their `votedAt`, the
+ * time they were cast or last changed, so a changed vote moves to the time of its change.
+ * Votes without a time (stored before votes carried one) and secret ballots, which are never
+ * timed so the order of ballots cannot be matched to the order of voters, are counted apart.
+ */
+
+/**
+ * The supported bucket sizes of a timeline. Buckets start at UTC hour or day boundaries.
+ * @type {ReadonlyArray<string>}
+ */
+export const TIMELINE_BUCKETS = Object.freeze(['hour', 'day']);
+
+// The length of each bucket size, in milliseconds
+const BUCKET_LENGTHS = { hour: 60 * 60_000, day: 24 * 60 * 60_000 };
+
+/**
+ * Adds the counted selections of a vote to a tally. Ranked votes count their first preference,
+ * other votes every selected option. Indices outside the options are ignored, like in the results.
+ *
+ * @param {Object} tally - The tally to update: { counts: Array<number>, totalVotes: number, totalVoters: number }.
+ * @param {Object} poll - The poll the vote belongs to.
+ * @param {number|Array<number>} vote - The stored vote value.
+ * @returns {void}
+ */
+function countVote(tally, poll, vote) {
+  const selections = Array.isArray(vote) ? vote : [vote];
+  const counted = (poll.type === 'ranked' ? selections.slice(0, 1) : selections)
+    .filter(optionIndex => Number.isInteger(optionIndex) && optionIndex >= 0 && optionIndex < poll.options.length);
+  counted.forEach(optionIndex => tally.counts[optionIndex]++);
+  tally.totalVotes += counted.length;
+  if (counted.length > 0) {
+    tally.totalVoters++;
+  }
+}
+
+/**
+ * Converts a tally into the `{ totalVotes, totalVoters, results }` shape of the poll results.
+ *
+ * @param {Object} poll - The poll.
+ * @param {Object} tally - The tally: { counts, totalVotes, totalVoters }.
+ * @returns {{totalVotes: number, totalVoters: number, results: Array<{option: string, votes: number}>}} The counts.
+ */
+function toCounts(poll, tally) {
+  return {
+    totalVotes: tally.totalVotes,
+    totalVoters: tally.totalVoters,
+    results: poll.options.map((option, index) => ({ option, votes: tally.counts[index] }))
+  };
+}
+
+/**
+ * Builds the timeline of a poll's current votes.
+ *
+ * @param {Object} poll - The stored poll, including `votes`, `votedAt` and, for secret-ballot polls, `ballots`.
+ * @param {string} bucket - One of `TIMELINE_BUCKETS`.
+ * @returns {{timeline: Array<Object>, untimed: Object}} `timeline` holds one entry per bucket in which votes were cast, oldest first:
+ *   `{ start, end, totalVotes, totalVoters, results: Array<{ option, votes }> }` with the counts of all timed votes cast before `end`.
+ *   Buckets without votes are left out; their counts equal those of the entry before. `untimed` holds
+ *   `{ totalVotes, totalVoters, results }` for the votes without a time and the secret ballots.
+ */
+export function buildResultsTimeline(poll, bucket) {
+  const length = BUCKET_LENGTHS[bucket];
+  const newTally = () => ({ counts: new Array(poll.options.length).fill(0), totalVotes: 0, totalVoters: 0 });
+
+  const untimed = newTally();
+  const timed = [];
+  Object.entries(poll.votes || {}).forEach(([username, vote]) => {
+    const time = Date.parse(poll.votedAt?.[username] ?? '');
+    if (Number.isNaN(time)) {
+      countVote(untimed, poll, vote);
+    } else {
+      timed.push({ time, vote });
+    }
+  });
+  Object.values(poll.ballots || {}).forEach(ballot => countVote(untimed, poll, ballot));
+
+  const tally = newTally();
+  const timeline = [];
+  timed.sort((a, b) => a.time - b.time).forEach(({ time, vote }, index) => {
+    countVote(tally, poll, vote);
+    const start = Math.floor(time / length) * length;
+    const next = timed[index + 1];
+    // An entry closes each bucket, after its last vote
+    if (!next || Math.floor(next.time / length) * length !== start) {
+      timeline.push({
+        start: new Date(start).toISOString(),
+        end: new Date(start + length).toISOString(),
+        ...toCounts(poll, tally)
+      });
+    }
+  });
+
+  return { timeline, untimed: toCounts(poll, untimed) };
+}
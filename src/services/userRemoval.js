@@ -0,0 +1,134 @@
+/**
+ * userRemoval.js
+ *
+ * This module works out how the polls change when a user is deleted, and how to undo that.
+ * Every affected poll gets a change record describing what was done to it rather than a copy
+ * of the poll, so undoing the removal puts back only the user's own entries and keeps every
+ * other change made to the poll in the meantime (votes, edits, closing).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { hasVoted } from './pollListing.js';
+import { ANONYMOUS_VOTER_PREFIX } from './UserService.js';
+
+/**
+ * Removes a user from the stored polls. Their polls are deleted or transferred, their votes
+ * removed or anonymized (always anonymized among the voters of secret-ballot polls), and they
+ * are taken off the access lists of private polls.
+ *
+ * @param {Array<Object>} polls - All stored polls.
+ * @param {string} username - The user being deleted.
+ * @param {Object} policies - The checked policies.
+ * @param {string} policies.polls - One of `USER_POLL_POLICIES`.
+ * @param {string} [policies.transferTo] - The new creator of the user's polls, for the 'transfer' policy.
+ * @param {string} policies.votes - One of `USER_VOTE_POLICIES`.
+ * @returns {{summary: Object, changes: Array<Object>, put: Array<{id: string, data: Object}>, remove: Array<string>}}
+ *   The counts (`pollsDeleted`, `pollsTransferred`, `votesRemoved`, `votesAnonymized`), one change record per
+ *   affected poll for `restoreUserInPollRecords`, and the writes for `applyBatch`.
+ */
+export function removeUserFromPollRecords(polls, username, { polls: pollPolicy, transferTo, votes: votePolicy }) {
+  const summary = { pollsDeleted: 0, pollsTransferred: 0, votesRemoved: 0, votesAnonymized: 0 };
+  const changes = [];
+  const put = [];
+  const remove = [];
+  for (const poll of polls) {
+    const created = poll.createdBy === username;
+    if (created && pollPolicy === 'delete') {
+      changes.push({ pollId: poll.id, username, deletedPoll: poll });
+      remove.push(poll.id);
+      summary.pollsDeleted++;
+      continue;
+    }
+    const voted = hasVoted(poll, username);
+    const allowed = (poll.allowedUsers || []).includes(username);
+    if (!created && !voted && !allowed) {
+      continue;
+    }
+
+    const change = { pollId: poll.id, username };
+    const { id, ...changed } = poll;
+    if (created) {
+      changed.createdBy = transferTo;
+      change.transferredTo = transferTo;
+      summary.pollsTransferred++;
+    }
+    if (poll.allowedUsers) {
+      // The new creator needs no entry of their own
+      changed.allowedUsers = poll.allowedUsers.filter(name => name !== username && name !== changed.createdBy);
+      change.removedAccess = poll.allowedUsers.filter(name => !changed.allowedUsers.includes(name));
+    }
+    if (voted && poll.secretBallot) {
+      change.anonymousVoter = `${ANONYMOUS_VOTER_PREFIX}${uuidv4()}`;
+      changed.voters = poll.voters.map(voter => (voter === username ? change.anonymousVoter : voter)).sort();
+      summary.votesAnonymized++;
+    } else if (voted) {
+      const { [username]: vote, ...otherVotes } = poll.votes;
+      const { [username]: votedAt = null, ...otherTimes } = poll.votedAt || {};
+      changed.votes = otherVotes;
+      changed.votedAt = otherTimes;
+      if (votePolicy === 'anonymize') {
+        // The anonymous vote keeps its time, so the results timeline stays the same too
+        change.anonymousVoter = `${ANONYMOUS_VOTER_PREFIX}${uuidv4()}`;
+        changed.votes[change.anonymousVoter] = vote;
+        changed.votedAt[change.anonymousVoter] = votedAt;
+        summary.votesAnonymized++;
+      } else {
+        change.removedVote = { vote, votedAt };
+        summary.votesRemoved++;
+      }
+    }
+    changes.push(change);
+    put.push({ id, data: changed });
+  }
+  return { summary, changes, put, remove };
+}
+
+/**
+ * Undoes the changes of `removeUserFromPollRecords` on the polls as they are stored now. Deleted polls
+ * are recreated, and the user's creatorship, access entries and votes are put back where they
+ * were taken; any other field keeps its current value. Polls deleted since are left deleted.
+ *
+ * @param {Array<Object>} polls - All stored polls.
+ * @param {Array<Object>} changes - The change records returned by `removeUserFromPollRecords`.
+ * @returns {{put: Array<{id: string, data: Object}>}} The writes for `applyBatch`.
+ */
+export function restoreUserInPollRecords(polls, changes) {
+  const storedPolls = new Map(polls.map(poll => [poll.id, poll]));
+  const put = [];
+  for (const change of changes) {
+    const poll = storedPolls.get(change.pollId);
+    if (change.deletedPoll) {
+      if (!poll) {
+        const { id, ...data } = change.deletedPoll;
+        put.push({ id, data });
+      }
+      continue;
+    }
+    if (!poll) {
+      continue;
+    }
+
+    const { username } = change;
+    const { id, ...restored } = poll;
+    if (change.transferredTo && poll.createdBy === change.transferredTo) {
+      restored.createdBy = username;
+    }
+    if (change.removedAccess && poll.allowedUsers) {
+      restored.allowedUsers = [...new Set([...poll.allowedUsers, ...change.removedAccess])];
+    }
+    if (change.anonymousVoter && poll.secretBallot) {
+      restored.voters = (poll.voters || []).map(voter => (voter === change.anonymousVoter ? username : voter)).sort();
+    } else if (change.anonymousVoter && Object.prototype.hasOwnProperty.call(poll.votes || {}, change.anonymousVoter)) {
+      const { [change.anonymousVoter]: vote, ...otherVotes } = poll.votes;
+      const { [change.anonymousVoter]: votedAt = null, ...otherTimes } = poll.votedAt || {};
+      restored.votes = { ...otherVotes, [username]: vote };
+      restored.votedAt = { ...otherTimes, [username]: votedAt };
+    }
+    if (change.removedVote && !hasVoted(poll, username)) {
+      restored.votes = { ...poll.votes, [username]: change.removedVote.vote };
+      restored.votedAt = { ...poll.votedAt, [username]: change.removedVote.votedAt };
+    }
+    put.push({ id, data: restored });
+  }
+  return { put };
+}
@@ -0,0 +1,133 @@
+/**
+ * JsonFileAuditStorage.js
+ *
+ * This module provides a specialized JSON file storage implementation for the audit log.
+ * It extends the generic JsonFileStorage. The log is append-only: entries are created and
+ * read, and every method that would change or remove one is refused.
+ */
+
+import { JsonFileStorage } from './JsonFileStorage.js';
+import { ValidationError } from '../errors.js';
+
+/**
+ * Concrete storage implementation for audit entries using JSON files.
+ * Extends JsonFileStorage to leverage common file handling logic.
+ *
+ * @extends JsonFileStorage
+ */
+export class JsonFileAuditStorage extends JsonFileStorage {
+  /**
+   * Creates an instance of JsonFileAuditStorage.
+   *
+   * @param {string} dataFolder - The absolute path to the directory where the 'audit.json' file will be stored.
+   */
+  constructor(dataFolder) {
+    // Pass 'audit' as the entityType to the base class constructor
+    super(dataFolder, 'audit');
+  }
+
+  /**
+   * Appends an entry to the log.
+   *
+   * @async
+   * @param {string} id - The unique identifier (UUID) for the new entry.
+   * @param {Object} entryData - Data for the new entry.
+   * @param {string} entryData.timestamp - ISO timestamp of when the action happened.
+   * @param {string|null} entryData.requestId - The ID of the request that caused the action, if any.
+   * @param {string} entryData.actor - The username of the user who acted.
+   * @param {string} entryData.action - What was done, e.g. 'poll.delete'.
+   * @param {Object} entryData.target - What it was done to: { type, id, owner? }.
+   * @param {Object|null} entryData.before - A summary of the target before the action; null if it did not exist.
+   * @param {Object|null} entryData.after - A summary of the target after the action; null if it no longer exists.
+   * @returns {Promise<Object>} The created entry object.
+   * @throws {ValidationError} If the timestamp, actor, action or target is missing.
+   * @throws {ConflictError} If an entry with the same ID already exists (via `_formatDuplicateError`).
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async appendEntry(id, entryData) {
+    if (!entryData || !entryData.timestamp || !entryData.actor || !entryData.action || !entryData.target?.id) {
+      throw new ValidationError('Invalid entry data provided to appendEntry storage method.');
+    }
+    return this.create(id, {
+      timestamp: entryData.timestamp,
+      requestId: entryData.requestId ?? null,
+      actor: entryData.actor,
+      action: entryData.action,
+      target: entryData.target,
+      before: entryData.before ?? null,
+      after: entryData.after ?? null
+    });
+  }
+
+  /**
+   * Retrieves the entries matching all of the given criteria.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {Object} [criteria={}] - The criteria; omitted ones match every entry.
+   * @param {string} [criteria.actor] - Only entries of this actor.
+   * @param {string} [criteria.target] - Only entries whose target has this ID.
+   * @param {string} [criteria.from] - Only entries at or after this ISO timestamp.
+   * @param {string} [criteria.to] - Only entries before this ISO timestamp.
+   * @returns {Promise<Array<Object>>} An array of the matching entries, in the order they were appended.
+   * @throws {Error} If initialization fails.
+   */
+  async getEntries({ actor, target, from, to } = {}) {
+    const fromTime = from === undefined ? -Infinity : Date.parse(from);
+    const toTime = to === undefined ? Infinity : Date.parse(to);
+    return this.filter(entry => (actor === undefined || entry.actor === actor)
+      && (target === undefined || entry.target.id === target)
+      && Date.parse(entry.timestamp) >= fromTime
+      && Date.parse(entry.timestamp) < toTime);
+  }
+
+  /**
+   * Refuses to change an entry: the log is append-only.
+   *
+   * @async
+   * @returns {Promise<never>}
+   * @throws {Error} Always.
+   * @override
+   */
+  async update() {
+    throw new Error('Audit entries cannot be changed');
+  }
+
+  /**
+   * Refuses to delete an entry: the log is append-only.
+   *
+   * @async
+   * @returns {Promise<never>}
+   * @throws {Error} Always.
+   * @override
+   */
+  async delete() {
+    throw new Error('Audit entries cannot be deleted');
+  }
+
+  /**
+   * Refuses batches, which could change or delete entries: the log is append-only.
+   *
+   * @async
+   * @returns {Promise<never>}
+   * @throws {Error} Always.
+   * @override
+   */
+  async applyBatch() {
+    throw new Error('Audit entries cannot be changed');
+  }
+
+  /**
+   * Overrides the base class method to provide an audit-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The entry ID that already exists.
+   * @returns {string} The audit-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Audit entry with ID '${id}' already exists`;
+  }
+}
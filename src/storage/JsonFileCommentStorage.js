@@ -0,0 +1,161 @@
+/**
+ * JsonFileCommentStorage.js
+ *
+ * This module provides a specialized JSON file storage implementation for poll comments.
+ * It extends the generic JsonFileStorage. Comments are stored flat; a reply points to the
+ * comment it answers with `parentId`, and the service assembles the threads.
+ */
+
+import { JsonFileStorage } from './JsonFileStorage.js';
+import { ValidationError, NotFoundError } from '../errors.js';
+
+/**
+ * Concrete storage implementation for comment data using JSON files.
+ * Extends JsonFileStorage to leverage common file handling logic.
+ *
+ * @extends JsonFileStorage
+ */
+export class JsonFileCommentStorage extends JsonFileStorage {
+  /**
+   * Creates an instance of JsonFileCommentStorage.
+   *
+   * @param {string} dataFolder - The absolute path to the directory where the 'comments.json' file will be stored.
+   */
+  constructor(dataFolder) {
+    // Pass 'comments' as the entityType to the base class constructor
+    super(dataFolder, 'comments');
+  }
+
+  /**
+   * Creates a new comment entity.
+   *
+   * @async
+   * @param {string} id - The unique identifier (UUID) for the new comment.
+   * @param {Object} commentData - Data for the new comment.
+   * @param {string} commentData.pollId - The ID of the poll the comment belongs to.
+   * @param {string|null} [commentData.parentId=null] - The ID of the comment this one replies to; null for a top-level comment.
+   * @param {string} commentData.author - The username of the author.
+   * @param {string} commentData.body - The text of the comment.
+   * @param {string} commentData.createdAt - ISO timestamp of when the comment was posted.
+   * @returns {Promise<Object>} The created comment object, with `editedAt` null.
+   * @throws {ValidationError} If the poll ID, author or body is missing.
+   * @throws {ConflictError} If a comment with the same ID already exists (via `_formatDuplicateError`).
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async createComment(id, commentData) {
+    if (!commentData || !commentData.pollId || !commentData.author || !commentData.body) {
+      throw new ValidationError('Invalid comment data provided to createComment storage method.');
+    }
+    return this.create(id, {
+      pollId: commentData.pollId,
+      parentId: commentData.parentId || null,
+      author: commentData.author,
+      body: commentData.body,
+      createdAt: commentData.createdAt,
+      editedAt: null
+    });
+  }
+
+  /**
+   * Retrieves all comments on a poll, replies included.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @returns {Promise<Array<Object>>} An array of the poll's comments, in no particular order.
+   * @throws {Error} If initialization fails.
+   */
+  async getCommentsOfPoll(pollId) {
+    return this.filter(comment => comment.pollId === pollId);
+  }
+
+  /**
+   * Replaces the text of a comment and records when it was edited.
+   *
+   * @async
+   * @param {string} commentId - The ID of the comment to update.
+   * @param {string} body - The new text.
+   * @param {string} editedAt - ISO timestamp of the edit.
+   * @returns {Promise<Object>} The updated comment object.
+   * @throws {NotFoundError} If the comment with the given ID is not found (via `_formatNotFoundError`, code 'comment_not_found').
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated comment to the file fails.
+   */
+  async updateCommentBody(commentId, body, editedAt) {
+    const comment = await this.getById(commentId);
+    if (!comment) {
+      throw new NotFoundError(this._formatNotFoundError(commentId), { code: 'comment_not_found' });
+    }
+    comment.body = body;
+    comment.editedAt = editedAt;
+    return this.update(commentId, comment);
+  }
+
+  /**
+   * Deletes several comments in one write: either all of them are deleted or none is.
+   *
+   * @async
+   * @param {Array<string>} commentIds - The IDs of the comments to delete.
+   * @returns {Promise<void>}
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async deleteComments(commentIds) {
+    if (commentIds.length > 0) {
+      await this.applyBatch({ remove: commentIds });
+    }
+  }
+
+  /**
+   * Gives every comment of an author a new author name, in one write.
+   *
+   * @async
+   * @param {string} author - The username of the current author.
+   * @param {function(): string} nextAuthor - Returns the new author name; called once per comment.
+   * @returns {Promise<number>} The number of comments changed.
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails; no comment is changed in that case.
+   */
+  async replaceAuthor(author, nextAuthor) {
+    if ((await this.filter(comment => comment.author === author)).length === 0) {
+      return 0;
+    }
+    let changed = 0;
+    // Picked from the comments as stored when the write happens, so no concurrent comment is missed
+    await this.applyBatch(comments => {
+      const put = comments
+        .filter(comment => comment.author === author)
+        .map(({ id, ...comment }) => ({ id, data: { ...comment, author: nextAuthor() } }));
+      changed = put.length;
+      return { put };
+    });
+    return changed;
+  }
+
+  /**
+   * Overrides the base class method to provide a comment-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The comment ID that already exists.
+   * @returns {string} The comment-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Comment with ID '${id}' already exists`;
+  }
+
+  /**
+   * Overrides the base class method to provide a comment-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The comment ID that was not found.
+   * @returns {string} The comment-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return `Comment with ID '${id}' not found`;
+  }
+}
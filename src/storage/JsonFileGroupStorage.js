@@ -0,0 +1,117 @@
+/**
+ * JsonFileGroupStorage.js
+ *
+ * This module provides a specialized JSON file storage implementation for user groups.
+ * It extends the generic JsonFileStorage. A group lists its members by username, in the
+ * order they joined; the creator is always the first member.
+ */
+
+import { JsonFileStorage } from './JsonFileStorage.js';
+import { ValidationError, NotFoundError } from '../errors.js';
+
+/**
+ * Concrete storage implementation for group data using JSON files.
+ * Extends JsonFileStorage to leverage common file handling logic.
+ *
+ * @extends JsonFileStorage
+ */
+export class JsonFileGroupStorage extends JsonFileStorage {
+  /**
+   * Creates an instance of JsonFileGroupStorage.
+   *
+   * @param {string} dataFolder - The absolute path to the directory where the 'groups.json' file will be stored.
+   */
+  constructor(dataFolder) {
+    // Pass 'groups' as the entityType to the base class constructor
+    super(dataFolder, 'groups');
+  }
+
+  /**
+   * Creates a new group entity.
+   *
+   * @async
+   * @param {string} id - The unique identifier (UUID) for the new group.
+   * @param {Object} groupData - Data for the new group.
+   * @param {string} groupData.name - The group name.
+   * @param {string|null} [groupData.description=null] - A description of the group.
+   * @param {string} groupData.createdBy - The username of the group creator.
+   * @param {Array<string>} groupData.members - The usernames of the members, starting with the creator.
+   * @param {string} groupData.createdAt - ISO timestamp of when the group was created.
+   * @returns {Promise<Object>} The created group object.
+   * @throws {ValidationError} If the name, creator or members are missing.
+   * @throws {ConflictError} If a group with the same ID already exists (via `_formatDuplicateError`).
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async createGroup(id, groupData) {
+    if (!groupData || !groupData.name || !groupData.createdBy || !Array.isArray(groupData.members)) {
+      throw new ValidationError('Invalid group data provided to createGroup storage method.');
+    }
+    return this.create(id, {
+      name: groupData.name,
+      description: groupData.description || null,
+      createdBy: groupData.createdBy,
+      members: groupData.members,
+      createdAt: groupData.createdAt
+    });
+  }
+
+  /**
+   * Retrieves all groups a user is a member of.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {string} username - The username of the member.
+   * @returns {Promise<Array<Object>>} An array of the groups the user belongs to.
+   * @throws {Error} If initialization fails.
+   */
+  async getGroupsOfMember(username) {
+    return this.filter(group => group.members.includes(username));
+  }
+
+  /**
+   * Replaces the member list of a group.
+   *
+   * @async
+   * @param {string} groupId - The ID of the group to update.
+   * @param {Array<string>} members - The complete new member list.
+   * @returns {Promise<Object>} The updated group object.
+   * @throws {NotFoundError} If the group with the given ID is not found (via `_formatNotFoundError`, code 'group_not_found').
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated group to the file fails.
+   */
+  async updateMembers(groupId, members) {
+    const group = await this.getById(groupId);
+    if (!group) {
+      throw new NotFoundError(this._formatNotFoundError(groupId), { code: 'group_not_found' });
+    }
+    group.members = members;
+    return this.update(groupId, group);
+  }
+
+  /**
+   * Overrides the base class method to provide a group-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The group ID that already exists.
+   * @returns {string} The group-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Group with ID '${id}' already exists`;
+  }
+
+  /**
+   * Overrides the base class method to provide a group-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The group ID that was not found.
+   * @returns {string} The group-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return `Group with ID '${id}' not found`;
+  }
+}
@@ -4,9 +4,15 @@
  * This module provides a specialized JSON file storage implementation for poll entities.
  * It extends the generic JsonFileStorage and includes poll-specific logic for creation,
  * filtering, voting, and retrieving results.
+ * 
+ * The ballots of secret-ballot polls are kept out of `polls.json` and its backups, in
+ * `ballots.json`, which has no backups: two consecutive versions of a file holding both
+ * the voters and the ballots would show which ballot came with which voter.
  */
 
 import { JsonFileStorage } from './JsonFileStorage.js';
+import { toSelections, assertValidSelection, newPollRecord, hasVoted, withSecretBallot, withTimestampDefaults } from './pollRecords.js';
+import { ValidationError, NotFoundError, ConflictError } from '../errors.js';
 
 /**
  * Concrete storage implementation for poll data using JSON files.
@@ -23,6 +29,10 @@ export class JsonFilePollStorage extends JsonFileStorage {
   constructor(dataFolder) {
     // Pass 'polls' as the entityType to the base class constructor
     super(dataFolder, 'polls');
+    // The ballots of each secret-ballot poll, keyed by poll ID, without backups
+    this.ballotStorage = new JsonFileStorage(dataFolder, 'ballots', { backupCount: 0 });
+    /** @type {Map<string, Object>|null} */
+    this.storedBallots = null; // The stored ballots while the polls are loaded
   }
 
   /**
@@ -34,25 +44,26 @@ export class JsonFilePollStorage extends JsonFileStorage {
    * @param {string} pollData.question - The poll question.
    * @param {Array<string>} pollData.options - The poll options.
    * @param {string} pollData.createdBy - The username of the poll creator.
-   * @returns {Promise<Object>} The created poll object, including the `votes` property initialized to {}.
-   * @throws {Error} If a poll with the same ID already exists (via `_formatDuplicateError`).
+   * @param {boolean} [pollData.allowVoteChanges=true] - Whether voters may change or retract their vote after casting it.
+   * @param {number} [pollData.minSelections=1] - The minimum number of options a voter must select.
+   * @param {number} [pollData.maxSelections=1] - The maximum number of options a voter may select. Values above 1 make this a multiple-choice poll.
+   * @param {string} [pollData.type='standard'] - The poll type: 'standard' or 'ranked'.
+   * @param {string|null} [pollData.tallyMethod=null] - The default tally method of a ranked poll.
+   * @param {string|null} [pollData.opensAt=null] - ISO timestamp at which voting opens.
+   * @param {string|null} [pollData.closesAt=null] - ISO timestamp at which voting closes automatically.
+   * @param {boolean} [pollData.secretBallot=false] - Whether votes are recorded as secret ballots (see `addSecretBallot`).
+   * @param {string} [pollData.visibility='public'] - 'public', 'unlisted' or 'private'.
+   * @param {Array<string>} [pollData.allowedUsers=[]] - The users allowed to see a private poll besides its creator.
+   * @param {Array<string>} [pollData.groups=[]] - The IDs of the groups whose members may vote; empty for everyone.
+   * @param {string|null} [pollData.createdAt=null] - ISO timestamp of the moment the poll was created.
+   * @returns {Promise<Object>} The created poll object, including the `votes` and `votedAt` properties initialized to {}.
+   * @throws {ConflictError} If a poll with the same ID already exists (via `_formatDuplicateError`).
    * @throws {Error} If initialization fails.
    * @throws {Error} If saving to the file fails.
    */
   async createPoll(id, pollData) {
-    // Basic validation (more comprehensive validation should be in the service layer)
-    if (!pollData || !pollData.question || !Array.isArray(pollData.options) || !pollData.createdBy) {
-        throw new Error('Invalid poll data provided to createPoll storage method.');
-    }
-    
-    const poll = {
-      question: pollData.question,
-      options: pollData.options,
-      createdBy: pollData.createdBy,
-      votes: {} // Initialize votes as an empty object: { username: optionIndex }
-    };
     // Use the provided ID for the generic create method
-    return this.create(id, poll);
+    return this.create(id, newPollRecord(pollData));
   }
 
   /**
@@ -67,7 +78,7 @@ export class JsonFilePollStorage extends JsonFileStorage {
    */
   async getPollsByCreator(username) {
     if (typeof username !== 'string' || username.trim() === '') {
-        throw new Error('Invalid username provided to getPollsByCreator.');
+        throw new ValidationError('Invalid username provided to getPollsByCreator.', { field: 'username' });
     }
     return this.filter(poll => poll.createdBy === username);
   }
@@ -84,10 +95,10 @@ export class JsonFilePollStorage extends JsonFileStorage {
    */
   async getPollsVotedByUser(username) {
      if (typeof username !== 'string' || username.trim() === '') {
-        throw new Error('Invalid username provided to getPollsVotedByUser.');
+        throw new ValidationError('Invalid username provided to getPollsVotedByUser.', { field: 'username' });
     }
-    // Check if the username exists as a key in the poll's votes object
-    return this.filter(poll => poll && poll.votes && Object.prototype.hasOwnProperty.call(poll.votes, username));
+    // Check if the username exists as a key in the poll's votes object, or among the voters of a secret-ballot poll
+    return this.filter(poll => poll && hasVoted(poll, username));
   }
 
   /**
@@ -98,75 +109,221 @@ export class JsonFilePollStorage extends JsonFileStorage {
    * @async
    * @param {string} pollId - The ID of the poll to vote on.
    * @param {string} username - The username of the voter.
-   * @param {number} optionIndex - The 0-based index of the option being voted for.
+   * @param {number|Array<number>} selection - The 0-based index of the option being voted for, or an array of indices for multiple-choice polls. Stored as given.
+   * @param {string|null} [votedAt=null] - ISO timestamp of the moment the vote was cast, stored in the poll's `votedAt`.
    * @returns {Promise<Object>} The updated poll object after the vote has been recorded.
-   * @throws {Error} If the poll with the given ID is not found (via `_formatNotFoundError`).
-   * @throws {Error} If the user has already voted in this poll.
-   * @throws {Error} If the provided `optionIndex` is invalid (out of bounds).
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {ConflictError} If the user has already voted in this poll (code 'already_voted').
+   * @throws {Error} If any provided option index is invalid (not an integer or out of bounds).
    * @throws {Error} If initialization fails.
    * @throws {Error} If saving the updated poll to the file fails.
    */
-  async addVote(pollId, username, optionIndex) {
+  async addVote(pollId, username, selection, votedAt = null) {
     // Retrieve the poll first using getById to ensure it exists
     // getById ensures initialization and returns a deep copy or null
     const poll = await this.getById(pollId); 
     if (!poll) {
       // Use the specific not found error format
-      throw new Error(this._formatNotFoundError(pollId)); 
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' }); 
     }
 
     // Validate inputs (basic checks)
     if (typeof username !== 'string' || username.trim() === '') {
-        throw new Error('Invalid username provided for voting.');
-    }
-     if (typeof optionIndex !== 'number' || !Number.isInteger(optionIndex)) {
-        throw new Error('Invalid optionIndex provided for voting: must be an integer.');
+        throw new ValidationError('Invalid username provided for voting.', { field: 'username' });
     }
 
     // Check if user has already voted
-    if (poll.votes && Object.prototype.hasOwnProperty.call(poll.votes, username)) {
-      throw new Error(`User '${username}' has already voted in this poll (ID: ${pollId})`);
+    if (hasVoted(poll, username)) {
+      throw new ConflictError(`User '${username}' has already voted in this poll (ID: ${pollId})`, { code: 'already_voted' });
     }
 
-    // Check if option index is valid
-    if (optionIndex < 0 || !poll.options || optionIndex >= poll.options.length) {
-      const maxIndex = poll.options ? poll.options.length - 1 : 'N/A';
-      throw new Error(`Invalid option index: ${optionIndex}. Must be between 0 and ${maxIndex}.`);
-    }
+    // Check that every option index is valid
+    assertValidSelection(poll, selection);
 
     // Add or update the vote (ensure votes object exists)
     if (!poll.votes) {
         poll.votes = {};
     }
-    poll.votes[username] = optionIndex;
+    poll.votes[username] = selection;
+    poll.votedAt = { ...poll.votedAt, [username]: votedAt };
     
     // Use the generic update method to save the modified poll object
     // Pass the entire poll object (including the ID which update ignores in payload)
     return this.update(pollId, poll); 
   }
 
+  /**
+   * Records a secret ballot on a specific poll: the user is added to the poll's `voters` and the
+   * selection to its `ballots` under the given receipt, without any link between the two.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll to vote on.
+   * @param {string} username - The username of the voter.
+   * @param {string} receipt - The unique receipt of the ballot.
+   * @param {number|Array<number>} selection - The 0-based index of the option being voted for, or an array of indices. Stored as given.
+   * @returns {Promise<Object>} The updated poll object after the ballot has been recorded.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {ConflictError} If the user has already voted in this poll (code 'already_voted').
+   * @throws {Error} If any provided option index is invalid (not an integer or out of bounds).
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated poll to the file fails.
+   */
+  async addSecretBallot(pollId, username, receipt, selection) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    if (typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided for voting.', { field: 'username' });
+    }
+
+    if (hasVoted(poll, username)) {
+      throw new ConflictError(`User '${username}' has already voted in this poll (ID: ${pollId})`, { code: 'already_voted' });
+    }
+
+    assertValidSelection(poll, selection);
+
+    return this.update(pollId, withSecretBallot(poll, username, receipt, selection));
+  }
+
+  /**
+   * Replaces an existing vote of a user on a specific poll with a new option.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} username - The username of the voter.
+   * @param {number|Array<number>} selection - The 0-based index of the newly chosen option, or an array of indices for multiple-choice polls.
+   * @param {string|null} [votedAt=null] - ISO timestamp of the moment the vote was changed; replaces the vote's `votedAt`.
+   * @returns {Promise<Object>} The updated poll object after the vote has been changed.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {NotFoundError} If the user has not voted in this poll (code 'vote_not_found').
+   * @throws {Error} If any provided option index is invalid (not an integer or out of bounds).
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated poll to the file fails.
+   */
+  async changeVote(pollId, username, selection, votedAt = null) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    if (!poll.votes || !Object.prototype.hasOwnProperty.call(poll.votes, username)) {
+      throw new NotFoundError(`User '${username}' has not voted in this poll (ID: ${pollId})`, { code: 'vote_not_found' });
+    }
+
+    assertValidSelection(poll, selection);
+
+    poll.votes[username] = selection;
+    poll.votedAt = { ...poll.votedAt, [username]: votedAt };
+    return this.update(pollId, poll);
+  }
+
+  /**
+   * Removes a user's vote from a specific poll.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} username - The username of the voter whose vote is removed.
+   * @returns {Promise<Object>} The updated poll object after the vote has been removed.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {NotFoundError} If the user has not voted in this poll (code 'vote_not_found').
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated poll to the file fails.
+   */
+  async removeVote(pollId, username) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    if (!poll.votes || !Object.prototype.hasOwnProperty.call(poll.votes, username)) {
+      throw new NotFoundError(`User '${username}' has not voted in this poll (ID: ${pollId})`, { code: 'vote_not_found' });
+    }
+
+    delete poll.votes[username];
+    if (poll.votedAt) {
+      delete poll.votedAt[username];
+    }
+    return this.update(pollId, poll);
+  }
+
+  /**
+   * Updates the editable details of a poll.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll to update.
+   * @param {Object} changes - The validated changes.
+   * @param {string} [changes.question] - The new question.
+   * @param {Array<string>} [changes.options] - The new options. Existing votes must still refer to the same options.
+   * @param {number} [changes.maxSelections] - The new maximum number of selections.
+   * @param {Array<string>} [changes.allowedUsers] - The new access list of a private poll.
+   * @returns {Promise<Object>} The updated poll object.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated poll to the file fails.
+   */
+  async updatePoll(pollId, changes) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    for (const field of ['question', 'options', 'maxSelections', 'allowedUsers']) {
+      if (changes[field] !== undefined) {
+        poll[field] = changes[field];
+      }
+    }
+    return this.update(pollId, poll);
+  }
+
+  /**
+   * Marks a poll as manually closed.
+   * 
+   * @async
+   * @param {string} pollId - The ID of the poll to close.
+   * @param {string} closedAt - ISO timestamp of the moment the poll was closed.
+   * @returns {Promise<Object>} The updated poll object.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated poll to the file fails.
+   */
+  async closePoll(pollId, closedAt) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    poll.closedAt = closedAt;
+    return this.update(pollId, poll);
+  }
+
   /**
    * Calculates and retrieves the voting results for a specific poll.
    * 
    * @async
    * @param {string} pollId - The ID of the poll to get results for.
    * @returns {Promise<Object>} An object containing the poll details and the aggregated results.
-   *   The results object structure is:
+   *   Votes and the ballots of a secret-ballot poll are counted alike. Every selected option counts once, so on multiple-choice polls `totalVotes` (selections)
+   *   can exceed `totalVoters` (people who voted). The results object structure is:
    *   {
    *     id: string,
    *     question: string,
    *     createdBy: string,
+   *     minSelections: number,
+   *     maxSelections: number,
    *     totalVotes: number,
+   *     totalVoters: number,
    *     results: Array<{ option: string, votes: number }>
    *   }
-   * @throws {Error} If the poll with the given ID is not found (via `_formatNotFoundError`).
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
    * @throws {Error} If initialization fails.
    */
   async getPollResults(pollId) {
     // Retrieve the poll first
     const poll = await this.getById(pollId);
     if (!poll) {
-      throw new Error(this._formatNotFoundError(pollId));
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
     }
 
     // Ensure options and votes exist and are in expected format
@@ -183,15 +340,23 @@ export class JsonFilePollStorage extends JsonFileStorage {
     // Initialize vote counts for each option to 0
     const voteCounts = new Array(poll.options.length).fill(0);
     let totalVotes = 0;
+    let totalVoters = 0;
     
-    // Count votes for each option
-    Object.values(poll.votes).forEach(optionIndex => {
-      // Ensure the recorded vote index is valid before counting
-      if (typeof optionIndex === 'number' && optionIndex >= 0 && optionIndex < voteCounts.length) {
-        voteCounts[optionIndex]++;
-        totalVotes++;
-      } else {
-          console.warn(`Invalid vote index ${optionIndex} found in poll ${pollId} for user. Skipping.`);
+    // Count each selected option of every vote
+    [...Object.values(poll.votes), ...Object.values(poll.ballots || {})].forEach(vote => {
+      let counted = false;
+      toSelections(vote).forEach(optionIndex => {
+        // Ensure the recorded vote index is valid before counting
+        if (typeof optionIndex === 'number' && optionIndex >= 0 && optionIndex < voteCounts.length) {
+          voteCounts[optionIndex]++;
+          totalVotes++;
+          counted = true;
+        } else {
+            console.warn(`Invalid vote index ${optionIndex} found in poll ${pollId} for user. Skipping.`);
+        }
+      });
+      if (counted) {
+        totalVoters++;
       }
     });
 
@@ -206,11 +371,88 @@ export class JsonFilePollStorage extends JsonFileStorage {
       id: pollId,
       question: poll.question,
       createdBy: poll.createdBy,
+      minSelections: poll.minSelections || 1,
+      maxSelections: poll.maxSelections || 1,
       totalVotes: totalVotes, // Use the counted total
+      totalVoters: totalVoters,
       results: results
     };
   }
 
+  /**
+   * Loads the stored ballots before the polls, so they can be merged into them.
+   * 
+   * @async
+   * @private
+   * @override
+   * @returns {Promise<void>}
+   * @throws {Error} If the ballots or the polls cannot be loaded.
+   */
+  async _load() {
+    const stored = await this.ballotStorage.getAll();
+    this.storedBallots = new Map(stored.map(({ id, ballots }) => [id, ballots]));
+    try {
+      await super._load();
+    } finally {
+      this.storedBallots = null;
+    }
+  }
+
+  /**
+   * Saves the polls, then the ballots that changed. A ballot is thus never stored without its
+   * voter; if the ballots cannot be saved, the voter is dropped from the file again with the next save.
+   * 
+   * @async
+   * @private
+   * @override
+   * @returns {Promise<void>}
+   * @throws {Error} If writing either file fails.
+   */
+  async _saveToFile() {
+    await super._saveToFile();
+
+    const stored = new Map((await this.ballotStorage.getAll()).map(({ id, ballots }) => [id, JSON.stringify(ballots)]));
+    const put = [];
+    this.data.forEach((poll, id) => {
+      if (poll.ballots && stored.get(id) !== JSON.stringify(poll.ballots)) {
+        put.push({ id, data: { ballots: poll.ballots } });
+      }
+    });
+    const remove = [...stored.keys()].filter(id => !this.data.get(id)?.ballots);
+    if (put.length > 0 || remove.length > 0) {
+      await this.ballotStorage.applyBatch({ put, remove });
+    }
+  }
+
+  /**
+   * Gives polls stored before polls and votes carried timestamps a null `createdAt` and `votedAt`,
+   * and secret-ballot polls their stored ballots. Polls stored before the ballots had a file of
+   * their own keep their inline ballots, which move to `ballots.json` with the next save.
+   * 
+   * @param {Object} entity - The poll as read from the file.
+   * @returns {Object} The poll with every timestamp field present.
+   * @protected
+   * @override
+   */
+  _upgradeEntity(entity) {
+    const poll = withTimestampDefaults(entity);
+    const ballots = this.storedBallots?.get(String(poll.id));
+    return ballots ? { ...poll, ballots } : poll;
+  }
+
+  /**
+   * Leaves the ballots of secret-ballot polls out of `polls.json`; they are saved to `ballots.json`.
+   * 
+   * @param {Object} entity - The cached poll.
+   * @returns {Object} The poll without `ballots`.
+   * @protected
+   * @override
+   */
+  _toStoredEntity(entity) {
+    const { ballots, ...poll } = entity;
+    return poll;
+  }
+
   /**
    * Overrides the base class method to provide a poll-specific error message
    * for duplicate entries.
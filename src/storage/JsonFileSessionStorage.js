@@ -0,0 +1,120 @@
+/**
+ * JsonFileSessionStorage.js
+ *
+ * This module provides a specialized JSON file storage implementation for login sessions.
+ * It extends the generic JsonFileStorage. Sessions are keyed by a SHA-256 hash of the
+ * bearer token, so the raw tokens handed to clients are never written to disk.
+ */
+
+import { JsonFileStorage } from './JsonFileStorage.js';
+
+/**
+ * Concrete storage implementation for session data using JSON files.
+ * Extends JsonFileStorage to leverage common file handling logic.
+ *
+ * @extends JsonFileStorage
+ */
+export class JsonFileSessionStorage extends JsonFileStorage {
+  /**
+   * Creates an instance of JsonFileSessionStorage.
+   *
+   * @param {string} dataFolder - The absolute path to the directory where the 'sessions.json' file will be stored.
+   */
+  constructor(dataFolder) {
+    // Pass 'sessions' as the entityType to the base class constructor
+    super(dataFolder, 'sessions');
+  }
+
+  /**
+   * Creates a new session entity.
+   *
+   * @async
+   * @param {string} tokenHash - The SHA-256 hash of the session token. Used as the session ID.
+   * @param {Object} sessionData - Data for the new session.
+   * @param {string} sessionData.username - The username the session belongs to.
+   * @param {string} sessionData.createdAt - ISO timestamp of when the session was issued.
+   * @param {string} sessionData.expiresAt - ISO timestamp after which the session is no longer valid.
+   * @returns {Promise<Object>} The created session object.
+   * @throws {ConflictError} If a session with the same token hash already exists.
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async createSession(tokenHash, sessionData) {
+    if (!sessionData || !sessionData.username || !sessionData.expiresAt) {
+      throw new Error('Invalid session data provided to createSession storage method.');
+    }
+    return this.create(tokenHash, {
+      username: sessionData.username,
+      createdAt: sessionData.createdAt,
+      expiresAt: sessionData.expiresAt
+    });
+  }
+
+  /**
+   * Retrieves a session by its token hash.
+   *
+   * @async
+   * @param {string} tokenHash - The SHA-256 hash of the session token.
+   * @returns {Promise<Object|null>} The session object if found, or null otherwise.
+   * @throws {Error} If initialization fails.
+   */
+  async getSession(tokenHash) {
+    return this.getById(tokenHash);
+  }
+
+  /**
+   * Deletes a session by its token hash.
+   *
+   * @async
+   * @param {string} tokenHash - The SHA-256 hash of the session token.
+   * @returns {Promise<boolean>} True if the session was deleted, false if it was not found.
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async deleteSession(tokenHash) {
+    return this.delete(tokenHash);
+  }
+
+  /**
+   * Deletes every session of a user, with a single write of the file.
+   *
+   * @async
+   * @param {string} username - The username whose sessions are deleted.
+   * @returns {Promise<number>} The number of sessions deleted.
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async deleteSessionsOfUser(username) {
+    const sessions = await this.filter(session => session.username === username);
+    if (sessions.length > 0) {
+      await this.applyBatch({ remove: sessions.map(session => session.id) });
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Overrides the base class method to provide a session-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The token hash that already exists.
+   * @returns {string} The session-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return 'Session already exists';
+  }
+
+  /**
+   * Overrides the base class method to provide a session-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The token hash that was not found.
+   * @returns {string} The session-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return 'Session not found';
+  }
+}
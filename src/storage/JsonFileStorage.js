@@ -4,13 +4,63 @@
  * This module provides a concrete implementation of the StorageInterface using JSON files
  * for persistence. It handles reading from and writing to a specific JSON file,
  * maintaining an in-memory cache for performance.
+ * 
+ * Writes are crash-safe: the data is written to a temporary file, flushed to disk and then
+ * renamed over the data file, so the file always holds either the old or the new content.
+ * Writes to the same file are serialized, and the previous versions are kept as rotating
+ * backups (`<entityType>.json.bak.1` being the most recent) that are used to recover from a
+ * corrupt data file. A corrupt or missing file is never silently replaced with empty data.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { StorageInterface } from './StorageInterface.js';
-// Note: Concurrency handling (locking) is not implemented in this version.
-// Concurrent writes might lead to race conditions or data loss.
+import { NotFoundError, ConflictError } from '../errors.js';
+
+// Number of backups kept per data file unless configured otherwise
+const DEFAULT_BACKUP_COUNT = 3;
+
+// Pending write of each data file, keyed by file path. Writes to one file run one after another,
+// even across storage instances that share the file.
+const writeQueues = new Map();
+
+/**
+ * Runs a write operation after all previously queued writes to the same file have finished.
+ * 
+ * @param {string} filePath - The file being written.
+ * @param {Function} operation - An async function performing the write.
+ * @returns {Promise<void>} A promise that settles with the outcome of this operation.
+ */
+function enqueueWrite(filePath, operation) {
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(operation);
+  writeQueues.set(filePath, current);
+  // Drop the queue entry once idle so the map does not grow with every file ever written
+  current.catch(() => {}).finally(() => {
+    if (writeQueues.get(filePath) === current) {
+      writeQueues.delete(filePath);
+    }
+  });
+  return current;
+}
+
+/**
+ * Reads and parses a data file.
+ * 
+ * @async
+ * @param {string} filePath - The file to read.
+ * @returns {Promise<Array<Object>>} The entities stored in the file.
+ * @throws {Error} If the file cannot be read (the original error, e.g. ENOENT).
+ * @throws {SyntaxError} If the file is not valid JSON or does not contain an array.
+ */
+async function readEntities(filePath) {
+  const fileContent = await fs.readFile(filePath, 'utf8');
+  const entities = JSON.parse(fileContent);
+  if (!Array.isArray(entities)) {
+    throw new SyntaxError(`Invalid data format in ${filePath}. Expected an array.`);
+  }
+  return entities;
+}
 
 /**
  * Implements the StorageInterface using a single JSON file for persistence.
@@ -24,8 +74,10 @@ export class JsonFileStorage extends StorageInterface {
    * 
    * @param {string} dataFolder - The absolute path to the directory where the JSON file will be stored.
    * @param {string} entityType - A string identifying the type of entity this instance manages (e.g., 'users'). Used to name the JSON file (`<entityType>.json`).
+   * @param {Object} [options={}] - Storage options.
+   * @param {number} [options.backupCount=3] - How many previous versions of the file to keep as backups.
    */
-  constructor(dataFolder, entityType) {
+  constructor(dataFolder, entityType, options = {}) {
     super();
     if (!dataFolder || !entityType) {
       throw new Error('JsonFileStorage requires dataFolder and entityType arguments.');
@@ -33,66 +85,90 @@ export class JsonFileStorage extends StorageInterface {
     this.dataFolder = dataFolder;
     this.entityType = entityType;
     this.filePath = path.join(dataFolder, `${entityType}.json`);
+    this.backupCount = options.backupCount ?? DEFAULT_BACKUP_COUNT;
     /** @type {Map<string, Object>} */
     this.data = new Map(); // In-memory cache
     this.initialized = false;
+    /** @type {Promise<void>|null} */
+    this.initializing = null; // Pending initialization, shared by concurrent callers
   }
 
   /**
    * Initializes the storage by creating the data folder if it doesn't exist
    * and loading existing data from the JSON file into the in-memory cache.
-   * If the file doesn't exist, it creates an empty file.
+   * If neither the file nor a backup exists, it creates an empty file.
+   * If the file is corrupt but a backup is readable, the latest good backup is restored
+   * (the corrupt file is kept next to it as `<file>.corrupt-<timestamp>`).
    * 
    * @async
    * @returns {Promise<void>} A promise that resolves when initialization is complete.
+   * @throws {Error} If the file is corrupt and no valid backup exists (message includes 'is corrupt'). The file is left untouched.
+   * @throws {Error} If the file is missing but backups exist (message includes 'is missing'). Nothing is written.
    * @throws {Error} If there's an error creating the directory or reading/writing the initial file.
    */
   async initialize() {
     if (this.initialized) return;
-    
+    // Concurrent first operations must not each reload (and reset) the cache
+    if (!this.initializing) {
+      this.initializing = this._load().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Loads the data file into the in-memory cache, recovering from a corrupt file
+   * where possible. Called once through `initialize`.
+   * 
+   * @async
+   * @private
+   * @returns {Promise<void>} A promise that resolves when the cache is populated.
+   * @throws {Error} See `initialize`.
+   */
+  async _load() {
     try {
       // Create data folder if it doesn't exist
       await fs.mkdir(this.dataFolder, { recursive: true });
       
+      let entities;
       try {
         // Try to load existing data
-        const fileContent = await fs.readFile(this.filePath, 'utf8');
-        const entities = JSON.parse(fileContent);
-        
-        // Populate in-memory cache
-        this.data.clear(); // Ensure cache is empty before loading
-        if (Array.isArray(entities)) {
-          entities.forEach(entity => {
-            // Basic check for ID presence
-            if (entity && typeof entity.id !== 'undefined') {
-              this.data.set(String(entity.id), { ...entity }); // Store a shallow copy
-            } else {
-              console.warn(`Skipping entity without ID during load: ${JSON.stringify(entity)}`);
-            }
-          });
-        } else {
-           console.warn(`Invalid data format in ${this.filePath}. Expected an array.`);
-           // Initialize with empty data and save
-           this.data.clear();
-           await this._saveToFile();
-        }
+        entities = await readEntities(this.filePath);
       } catch (error) {
         if (error.code === 'ENOENT') {
-          // If file doesn't exist, initialize with empty array and save
+          if (await this._hasBackups()) {
+            // The file was removed or not yet copied back; an old backup may be far behind, so don't guess
+            throw new Error(`Data file ${this.filePath} is missing but backups of it exist. Restore the file manually.`);
+          }
+          // If neither the file nor a backup exists, initialize with empty array and save
           console.log(`Data file ${this.filePath} not found. Creating a new one.`);
-          this.data.clear();
+          entities = [];
           await this._saveToFile();
         } else if (error instanceof SyntaxError) {
-           console.error(`Error parsing JSON in ${this.filePath}. Initializing with empty data.`, error);
-           // Handle corrupt JSON file by starting fresh
-           this.data.clear();
-           await this._saveToFile();
+          console.error(`Error parsing JSON in ${this.filePath}.`, error);
+          entities = await this._restoreFromBackup(error);
+          if (!entities) {
+            // Refuse to start rather than overwrite the only copy of the data
+            throw new Error(`Data file ${this.filePath} is corrupt and no valid backup was found. Fix or restore the file manually.`);
+          }
         } else {
           // Rethrow other read errors (e.g., permissions)
           console.error(`Error loading ${this.entityType} data from ${this.filePath}:`, error);
           throw error;
         }
       }
+
+      // Populate in-memory cache
+      this.data.clear(); // Ensure cache is empty before loading
+      entities.forEach(entity => {
+        // Basic check for ID presence
+        if (entity && typeof entity.id !== 'undefined') {
+          this.data.set(String(entity.id), this._upgradeEntity({ ...entity })); // Store a shallow copy
+        } else {
+          console.warn(`Skipping entity without ID during load: ${JSON.stringify(entity)}`);
+        }
+      });
       
       this.initialized = true;
       console.log(`${this.entityType} storage initialized from ${this.filePath}`);
@@ -103,9 +179,41 @@ export class JsonFileStorage extends StorageInterface {
     }
   }
 
+  /**
+   * Restores the corrupt data file from the most recent readable backup.
+   * 
+   * @async
+   * @private
+   * @param {Error} corruption - The parse error of the data file.
+   * @returns {Promise<Array<Object>|null>} The restored entities, or null if no readable backup exists.
+   * @throws {Error} If the restored file cannot be written.
+   */
+  async _restoreFromBackup(corruption) {
+    for (let index = 1; index <= this.backupCount; index++) {
+      const backupPath = this._backupPath(index);
+      let entities;
+      try {
+        entities = await readEntities(backupPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Backup ${backupPath} is not readable, trying an older one.`, error.message);
+        }
+        continue;
+      }
+
+      // Keep the corrupt file for inspection instead of overwriting it
+      await fs.rename(this.filePath, `${this.filePath}.corrupt-${Date.now()}`);
+      await this._writeAtomically(JSON.stringify(entities, null, 2));
+      console.warn(`Restored ${this.filePath} from backup ${backupPath} (${corruption.message}).`);
+      return entities;
+    }
+    return null;
+  }
+
   /**
    * Saves the current state of the in-memory cache to the JSON file.
-   * This method overwrites the entire file.
+   * The write is queued behind pending writes to the same file. The previous file
+   * content is kept as the newest backup, and the new content replaces the file atomically.
    * 
    * @async
    * @private
@@ -114,8 +222,12 @@ export class JsonFileStorage extends StorageInterface {
    */
   async _saveToFile() {
     try {
-      const entities = Array.from(this.data.values());
-      await fs.writeFile(this.filePath, JSON.stringify(entities, null, 2), 'utf8');
+      await enqueueWrite(this.filePath, async () => {
+        // Serialize when the write runs, so it captures every change made while it was queued
+        const content = JSON.stringify(Array.from(this.data.values(), entity => this._toStoredEntity(entity)), null, 2);
+        await this._rotateBackups();
+        await this._writeAtomically(content);
+      });
     } catch (error) {
       console.error(`Error saving ${this.entityType} data to ${this.filePath}:`, error);
       // Propagate the error so calling operations know the save failed
@@ -123,6 +235,87 @@ export class JsonFileStorage extends StorageInterface {
     }
   }
 
+  /**
+   * Writes content to a temporary file, flushes it to disk and renames it over the data file.
+   * 
+   * @async
+   * @private
+   * @param {string} content - The new file content.
+   * @returns {Promise<void>}
+   * @throws {Error} If writing or renaming fails. The data file is unchanged in that case.
+   */
+  async _writeAtomically(content) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    try {
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Shifts the backups by one (dropping the oldest) and copies the current data file to the newest backup slot.
+   * 
+   * @async
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} If a backup cannot be written.
+   */
+  async _rotateBackups() {
+    if (this.backupCount < 1) return;
+    for (let index = this.backupCount - 1; index >= 1; index--) {
+      try {
+        await fs.rename(this._backupPath(index), this._backupPath(index + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    try {
+      await fs.copyFile(this.filePath, this._backupPath(1));
+    } catch (error) {
+      // Nothing to back up before the first write
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Checks whether any backup of the data file exists, readable or not.
+   * 
+   * @async
+   * @private
+   * @returns {Promise<boolean>} True if at least one backup file exists.
+   */
+  async _hasBackups() {
+    for (let index = 1; index <= this.backupCount; index++) {
+      try {
+        await fs.access(this._backupPath(index));
+        return true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Returns the path of a backup file.
+   * 
+   * @private
+   * @param {number} index - The backup number, 1 being the most recent.
+   * @returns {string} The backup file path.
+   */
+  _backupPath(index) {
+    return `${this.filePath}.bak.${index}`;
+  }
+
   /**
    * Ensures the storage has been initialized before performing an operation.
    * Calls `initialize()` if it hasn't been called yet.
@@ -145,16 +338,16 @@ export class JsonFileStorage extends StorageInterface {
    * @param {string} id - The unique identifier for the new entity.
    * @param {Object} data - The data object for the entity (ID should not be included here).
    * @returns {Promise<Object>} The created entity object (including ID).
-   * @throws {Error} If an entity with the same ID already exists.
+   * @throws {ConflictError} If an entity with the same ID already exists (code 'already_exists').
    * @throws {Error} If initialization fails.
-   * @throws {Error} If saving to the file fails.
+   * @throws {Error} If saving to the file fails. The entity is removed from the cache again in that case.
    */
   async create(id, data) {
     await this._ensureInitialized();
     
     const stringId = String(id); // Ensure ID is a string for map key consistency
     if (this.data.has(stringId)) {
-      throw new Error(this._formatDuplicateError(stringId));
+      throw new ConflictError(this._formatDuplicateError(stringId), { code: 'already_exists' });
     }
     
     // Store a deep copy to prevent external mutations affecting the cache/file
@@ -163,7 +356,7 @@ export class JsonFileStorage extends StorageInterface {
     this.data.set(stringId, newEntity);
     
     // Save to file
-    await this._saveToFile();
+    await this._saveOrRollBack([{ id: stringId, current: newEntity, previous: undefined }]);
     
     // Return a deep copy of the newly created entity
     return JSON.parse(JSON.stringify(newEntity));
@@ -197,26 +390,27 @@ export class JsonFileStorage extends StorageInterface {
    * @param {string} id - The ID of the entity to update.
    * @param {Object} data - The updated data object for the entity (ID should not be included here). This replaces the existing data.
    * @returns {Promise<Object>} The updated entity object (including ID).
-   * @throws {Error} If no entity with the specified ID is found.
+   * @throws {NotFoundError} If no entity with the specified ID is found (code 'not_found').
    * @throws {Error} If initialization fails.
-   * @throws {Error} If saving to the file fails.
+   * @throws {Error} If saving to the file fails. The cache keeps the previous entity in that case.
    */
   async update(id, data) {
     await this._ensureInitialized();
     
     const stringId = String(id);
     if (!this.data.has(stringId)) {
-      throw new Error(this._formatNotFoundError(stringId));
+      throw new NotFoundError(this._formatNotFoundError(stringId));
     }
     
     // Store a deep copy of the new data
     const storedData = JSON.parse(JSON.stringify(data));
     // Ensure the ID from the path parameter is preserved, not overwritten by data payload
     const updatedEntity = { id: stringId, ...storedData }; 
+    const previousEntity = this.data.get(stringId);
     this.data.set(stringId, updatedEntity);
     
     // Save to file
-    await this._saveToFile();
+    await this._saveOrRollBack([{ id: stringId, current: updatedEntity, previous: previousEntity }]);
     
     // Return a deep copy of the updated entity
     return JSON.parse(JSON.stringify(updatedEntity));
@@ -229,7 +423,7 @@ export class JsonFileStorage extends StorageInterface {
    * @param {string} id - The ID of the entity to delete.
    * @returns {Promise<boolean>} True if the entity was deleted, false if it was not found.
    * @throws {Error} If initialization fails.
-   * @throws {Error} If saving to the file fails.
+   * @throws {Error} If saving to the file fails. The entity is put back into the cache in that case.
    */
   async delete(id) {
     await this._ensureInitialized();
@@ -239,14 +433,86 @@ export class JsonFileStorage extends StorageInterface {
       return false;
     }
     
+    const previousEntity = this.data.get(stringId);
     this.data.delete(stringId);
     
     // Save to file
-    await this._saveToFile();
+    await this._saveOrRollBack([{ id: stringId, current: undefined, previous: previousEntity }]);
     
     return true;
   }
 
+  /**
+   * Saves the cache after a change of some entities, and undoes that change in the cache if
+   * the save fails, so the cache never holds data the file does not. Only the changed entities
+   * are reverted, and only those no later operation has changed again in the meantime; every
+   * other write stays in place.
+   * 
+   * @async
+   * @private
+   * @param {Array<{id: string, current: (Object|undefined), previous: (Object|undefined)}>} changes - Per changed entity, its ID,
+   *   the entity as set by the change (undefined if it was deleted) and the entity before it (undefined if it was created).
+   * @returns {Promise<void>}
+   * @throws {Error} If saving to the file fails.
+   */
+  async _saveOrRollBack(changes) {
+    try {
+      await this._saveToFile();
+    } catch (error) {
+      // Latest change first, so an entity changed twice ends up as it was before the first change
+      for (const { id, current, previous } of [...changes].reverse()) {
+        if (this.data.get(id) !== current) {
+          continue;
+        }
+        if (previous === undefined) {
+          this.data.delete(id);
+        } else {
+          this.data.set(id, previous);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Applies several writes to the cache and saves them with a single write of the file,
+   * so either all of them are stored or none is. If saving fails, the batch's own writes are
+   * undone in the cache, like in `_saveOrRollBack`.
+   * A function passed as `changes` is called with copies of the cached entities and applied
+   * at once, so no other change can slip in between.
+   * 
+   * @async
+   * @param {Object|Function} changes - The writes to apply, or a function that receives all entities and returns them.
+   * @param {Array<{id: string, data: Object}>} [changes.put=[]] - Entities to store; existing ones are replaced, missing ones created.
+   * @param {Array<string>} [changes.remove=[]] - The IDs of entities to delete. IDs that don't exist are ignored.
+   * @returns {Promise<void>}
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails. Neither the file nor the cache is changed in that case.
+   */
+  async applyBatch(changes = {}) {
+    await this._ensureInitialized();
+
+    const { put = [], remove = [] } = typeof changes === 'function'
+      ? changes(Array.from(this.data.values(), entity => JSON.parse(JSON.stringify(entity))))
+      : changes;
+    const applied = [];
+    for (const { id, data } of put) {
+      const stringId = String(id);
+      const entity = { id: stringId, ...JSON.parse(JSON.stringify(data)) };
+      applied.push({ id: stringId, current: entity, previous: this.data.get(stringId) });
+      this.data.set(stringId, entity);
+    }
+    for (const id of remove) {
+      const stringId = String(id);
+      if (this.data.has(stringId)) {
+        applied.push({ id: stringId, current: undefined, previous: this.data.get(stringId) });
+        this.data.delete(stringId);
+      }
+    }
+
+    await this._saveOrRollBack(applied);
+  }
+
   /**
    * Gets all entities from the in-memory cache.
    * 
@@ -295,6 +561,33 @@ export class JsonFileStorage extends StorageInterface {
     
     return filteredEntities;
   }
+
+  /**
+   * Brings an entity read from the file up to the current record format, e.g. by filling in
+   * fields added since it was stored. Runs for every entity on load; the upgraded records are
+   * written back with the next save. Can be overridden by subclasses whose records gained fields.
+   * 
+   * @param {Object} entity - The entity as read from the file (a copy that may be modified).
+   * @returns {Object} The entity in the current format.
+   * @protected
+   */
+  _upgradeEntity(entity) {
+    // Records are stored in the current format by default
+    return entity;
+  }
+
+  /**
+   * Returns the part of a cached entity that is written to the file. Runs for every entity on
+   * each save. Can be overridden by subclasses that keep some fields of their records elsewhere.
+   * 
+   * @param {Object} entity - The cached entity (must not be modified).
+   * @returns {Object} The entity as written to the file.
+   * @protected
+   */
+  _toStoredEntity(entity) {
+    // Entities are written as cached by default
+    return entity;
+  }
   
   /**
    * Formats the error message for a duplicate entity scenario.
@@ -29,14 +29,21 @@ export class JsonFileUserStorage extends JsonFileStorage {
    * 
    * @async
    * @param {string} username - The username for the new user. This will also be used as the user's ID.
-   * @returns {Promise<Object>} The created user object { id: username, username: username }.
-   * @throws {Error} If a user with the same username (ID) already exists (via `_formatDuplicateError`).
+   * @param {Object} [credentials={}] - Credential fields stored alongside the user.
+   * @param {string} [credentials.passwordHash] - The hashed password (`salt:hash`). Never the plain-text password.
+   * @param {Object} [fields={}] - Further fields stored with the user, such as `createdAt`.
+   * @returns {Promise<Object>} The created user object { id: username, username: username, passwordHash?: string, ...fields }.
+   * @throws {ConflictError} If a user with the same username (ID) already exists (via `_formatDuplicateError`).
    * @throws {Error} If initialization fails.
    * @throws {Error} If saving to the file fails.
    */
-  async createUser(username) {
+  async createUser(username, credentials = {}, fields = {}) {
+    const user = { ...fields, username };
+    if (credentials.passwordHash) {
+      user.passwordHash = credentials.passwordHash;
+    }
     // Use the username as the ID for the generic create method
-    return this.create(username, { username });
+    return this.create(username, user);
   }
 
   /**
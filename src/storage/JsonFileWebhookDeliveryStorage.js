@@ -0,0 +1,102 @@
+/**
+ * JsonFileWebhookDeliveryStorage.js
+ *
+ * This module provides a specialized JSON file storage implementation for webhook deliveries.
+ * It extends the generic JsonFileStorage. The stored deliveries are both the queue (those
+ * still 'pending', with the time of their next attempt) and the delivery log (every attempt
+ * with its outcome), so queued deliveries survive a restart.
+ */
+
+import { JsonFileStorage } from './JsonFileStorage.js';
+import { NotFoundError } from '../errors.js';
+
+/**
+ * Concrete storage implementation for webhook deliveries using JSON files.
+ * Extends JsonFileStorage to leverage common file handling logic.
+ *
+ * @extends JsonFileStorage
+ */
+export class JsonFileWebhookDeliveryStorage extends JsonFileStorage {
+  /**
+   * Creates an instance of JsonFileWebhookDeliveryStorage.
+   *
+   * @param {string} dataFolder - The absolute path to the directory where the 'webhook-deliveries.json' file will be stored.
+   */
+  constructor(dataFolder) {
+    // Pass 'webhook-deliveries' as the entityType to the base class constructor
+    super(dataFolder, 'webhook-deliveries');
+  }
+
+  /**
+   * Retrieves the pending deliveries whose next attempt is due, oldest first.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {string} now - ISO timestamp of the current time.
+   * @returns {Promise<Array<Object>>} An array of the due deliveries.
+   * @throws {Error} If initialization fails.
+   */
+  async getDueDeliveries(now) {
+    const due = await this.filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now);
+    return due.sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt) || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Retrieves all deliveries of a subscription, pending or finished.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {string} webhookId - The ID of the subscription.
+   * @returns {Promise<Array<Object>>} An array of the subscription's deliveries, in no particular order.
+   * @throws {Error} If initialization fails.
+   */
+  async getDeliveriesOfWebhook(webhookId) {
+    return this.filter(delivery => delivery.webhookId === webhookId);
+  }
+
+  /**
+   * Records an attempt of a delivery and its resulting state.
+   *
+   * @async
+   * @param {string} deliveryId - The ID of the delivery.
+   * @param {Object} attempt - The attempt: { attemptedAt, responseStatus, error }.
+   * @param {Object} state - The state after the attempt: { status, nextAttemptAt, completedAt }.
+   * @returns {Promise<Object>} The updated delivery object.
+   * @throws {NotFoundError} If the delivery with the given ID is not found (via `_formatNotFoundError`, code 'delivery_not_found').
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving the updated delivery to the file fails.
+   */
+  async recordAttempt(deliveryId, attempt, state) {
+    const delivery = await this.getById(deliveryId);
+    if (!delivery) {
+      throw new NotFoundError(this._formatNotFoundError(deliveryId), { code: 'delivery_not_found' });
+    }
+    return this.update(deliveryId, { ...delivery, ...state, attempts: [...delivery.attempts, attempt] });
+  }
+
+  /**
+   * Overrides the base class method to provide a delivery-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The delivery ID that already exists.
+   * @returns {string} The delivery-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Webhook delivery with ID '${id}' already exists`;
+  }
+
+  /**
+   * Overrides the base class method to provide a delivery-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The delivery ID that was not found.
+   * @returns {string} The delivery-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return `Webhook delivery with ID '${id}' not found`;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * JsonFileWebhookStorage.js
+ *
+ * This module provides a specialized JSON file storage implementation for webhook subscriptions.
+ * It extends the generic JsonFileStorage. A subscription holds the target URL, the events it
+ * receives and the secret its deliveries are signed with.
+ */
+
+import { JsonFileStorage } from './JsonFileStorage.js';
+import { ValidationError } from '../errors.js';
+
+/**
+ * Concrete storage implementation for webhook subscriptions using JSON files.
+ * Extends JsonFileStorage to leverage common file handling logic.
+ *
+ * @extends JsonFileStorage
+ */
+export class JsonFileWebhookStorage extends JsonFileStorage {
+  /**
+   * Creates an instance of JsonFileWebhookStorage.
+   *
+   * @param {string} dataFolder - The absolute path to the directory where the 'webhooks.json' file will be stored.
+   */
+  constructor(dataFolder) {
+    // Pass 'webhooks' as the entityType to the base class constructor
+    super(dataFolder, 'webhooks');
+  }
+
+  /**
+   * Creates a new webhook subscription.
+   *
+   * @async
+   * @param {string} id - The unique identifier (UUID) for the new subscription.
+   * @param {Object} webhookData - Data for the new subscription.
+   * @param {string} webhookData.url - The URL deliveries are posted to.
+   * @param {Array<string>} webhookData.events - The events the subscription receives.
+   * @param {string} webhookData.secret - The key deliveries are signed with.
+   * @param {string} webhookData.owner - The username of the user who created the subscription.
+   * @param {string} webhookData.createdAt - ISO timestamp of when the subscription was created.
+   * @returns {Promise<Object>} The created subscription object.
+   * @throws {ValidationError} If the URL, events, secret or owner are missing.
+   * @throws {ConflictError} If a subscription with the same ID already exists (via `_formatDuplicateError`).
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If saving to the file fails.
+   */
+  async createWebhook(id, webhookData) {
+    if (!webhookData || !webhookData.url || !Array.isArray(webhookData.events) || !webhookData.secret || !webhookData.owner) {
+      throw new ValidationError('Invalid webhook data provided to createWebhook storage method.');
+    }
+    return this.create(id, {
+      url: webhookData.url,
+      events: webhookData.events,
+      secret: webhookData.secret,
+      owner: webhookData.owner,
+      createdAt: webhookData.createdAt
+    });
+  }
+
+  /**
+   * Retrieves all subscriptions of a user.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {string} username - The username of the owner.
+   * @returns {Promise<Array<Object>>} An array of the user's subscriptions.
+   * @throws {Error} If initialization fails.
+   */
+  async getWebhooksOfOwner(username) {
+    return this.filter(webhook => webhook.owner === username);
+  }
+
+  /**
+   * Retrieves all subscriptions that receive an event.
+   * Uses the generic `filter` method.
+   *
+   * @async
+   * @param {string} event - The event name, e.g. 'poll.created'.
+   * @returns {Promise<Array<Object>>} An array of the subscriptions whose event filter includes the event.
+   * @throws {Error} If initialization fails.
+   */
+  async getWebhooksForEvent(event) {
+    return this.filter(webhook => webhook.events.includes(event));
+  }
+
+  /**
+   * Overrides the base class method to provide a webhook-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The subscription ID that already exists.
+   * @returns {string} The webhook-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Webhook with ID '${id}' already exists`;
+  }
+
+  /**
+   * Overrides the base class method to provide a webhook-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The subscription ID that was not found.
+   * @returns {string} The webhook-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return `Webhook with ID '${id}' not found`;
+  }
+}
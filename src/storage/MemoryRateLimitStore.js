@@ -0,0 +1,82 @@
+/**
+ * MemoryRateLimitStore.js
+ *
+ * This module provides a rate limit store that keeps its counters in the memory of the
+ * server process. Counters are lost on restart and not shared between processes.
+ */
+
+import { RateLimitStore } from './RateLimitStore.js';
+
+// How often counters whose window has passed are dropped, at most
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Rate limit store keeping the counters in a Map.
+ * Expired counters are dropped while counting, at most once per `SWEEP_INTERVAL_MS`,
+ * so keys that are never used again do not pile up.
+ *
+ * @extends RateLimitStore
+ */
+export class MemoryRateLimitStore extends RateLimitStore {
+  /**
+   * Creates an instance of MemoryRateLimitStore with no counters.
+   */
+  constructor() {
+    super();
+    /** @type {Map<string, {count: number, resetAt: number}>} */
+    this.counters = new Map();
+    this.nextSweepAt = 0;
+  }
+
+  /**
+   * Counts a request for a key, starting a new window if there is none or it has passed.
+   *
+   * @async
+   * @param {string} key - The counter to increment.
+   * @param {number} windowMs - The length of a new window, in milliseconds.
+   * @param {number} [cost=1] - How much the request counts.
+   * @returns {Promise<{count: number, resetAt: number}>} The count in the current window and when the window ends.
+   */
+  async increment(key, windowMs, cost = 1) {
+    const now = Date.now();
+    this._sweep(now);
+
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += cost;
+    return { ...counter };
+  }
+
+  /**
+   * Forgets the counter of a key.
+   *
+   * @async
+   * @param {string} key - The counter to reset.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Drops the counters whose window has passed, unless that was done recently.
+   *
+   * @param {number} now - The current time, in milliseconds since the epoch.
+   * @returns {void}
+   * @private
+   */
+  _sweep(now) {
+    if (now < this.nextSweepAt) {
+      return;
+    }
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+    this.nextSweepAt = now + SWEEP_INTERVAL_MS;
+  }
+}
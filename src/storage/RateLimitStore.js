@@ -0,0 +1,44 @@
+/**
+ * RateLimitStore.js
+ * 
+ * This module defines the abstract interface for the stores that keep the request counters
+ * of the rate limiter. Counters are kept per key for a fixed window: the first request of a
+ * key starts its window, and the count starts over once the window has passed.
+ * A store shared by several server processes (e.g. Redis) only has to implement these methods.
+ */
+
+/**
+ * Abstract base class defining the contract for rate limit stores.
+ * Methods in this class throw 'Method not implemented' errors and should be overridden
+ * by concrete subclasses.
+ */
+export class RateLimitStore {
+  /**
+   * Counts a request for a key.
+   * 
+   * @async
+   * @param {string} key - The counter to increment, e.g. 'voting:user:alice'.
+   * @param {number} windowMs - The length of the window, in milliseconds, used when the request starts a new window.
+   * @param {number} [cost=1] - How much the request counts, e.g. the number of polls an import creates.
+   * @returns {Promise<{count: number, resetAt: number}>} A promise that resolves with the count of the current window,
+   *   this request included, and the time (milliseconds since the epoch) at which the window ends.
+   * @throws {Error} If the 'increment' method is not implemented by the subclass.
+   * @throws {Error} Potentially throws if the store cannot be reached.
+   */
+  async increment(key, windowMs, cost = 1) {
+    throw new Error('Method not implemented: increment');
+  }
+
+  /**
+   * Forgets the counter of a key, so that its next request starts a new window.
+   * 
+   * @async
+   * @param {string} key - The counter to reset.
+   * @returns {Promise<void>}
+   * @throws {Error} If the 'reset' method is not implemented by the subclass.
+   * @throws {Error} Potentially throws if the store cannot be reached.
+   */
+  async reset(key) {
+    throw new Error('Method not implemented: reset');
+  }
+}
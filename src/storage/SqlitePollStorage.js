@@ -0,0 +1,486 @@
+/**
+ * SqlitePollStorage.js
+ *
+ * This module provides a SQLite storage implementation for poll entities.
+ * It extends the generic SqliteStorage and offers the same poll-specific methods
+ * and error messages as JsonFilePollStorage, so the two are interchangeable.
+ * Votes live in normalized tables: one `votes` row per voter and poll (with the time it was
+ * cast or last changed), and one `vote_selections` row per selected option (in ballot order for ranked polls).
+ * The voters and ballots of secret-ballot polls stay in the poll's JSON document, where
+ * nothing links them (see `withSecretBallot`).
+ */
+
+import { SqliteStorage } from './SqliteStorage.js';
+import { toSelections, assertValidSelection, newPollRecord, hasVoted, withSecretBallot, withTimestampDefaults } from './pollRecords.js';
+import { ValidationError, NotFoundError, ConflictError } from '../errors.js';
+
+/**
+ * Concrete storage implementation for poll data using SQLite.
+ *
+ * @extends SqliteStorage
+ */
+export class SqlitePollStorage extends SqliteStorage {
+  /**
+   * Creates an instance of SqlitePollStorage.
+   *
+   * @param {string} databasePath - The path of the SQLite database file holding the 'polls' and vote tables.
+   */
+  constructor(databasePath) {
+    // Pass 'polls' as the entityType (table name) to the base class constructor
+    super(databasePath, 'polls');
+  }
+
+  /**
+   * Creates a new poll entity with no votes.
+   *
+   * @async
+   * @param {string} id - The unique identifier (UUID) for the new poll.
+   * @param {Object} pollData - Data for the new poll (same fields as `JsonFilePollStorage.createPoll`).
+   * @returns {Promise<Object>} The created poll object, including the `votes` and `votedAt` properties initialized to {}.
+   * @throws {ConflictError} If a poll with the same ID already exists (via `_formatDuplicateError`).
+   * @throws {Error} If initialization fails.
+   */
+  async createPoll(id, pollData) {
+    return this.create(id, newPollRecord(pollData));
+  }
+
+  /**
+   * Retrieves all polls created by a specific user.
+   *
+   * @async
+   * @param {string} username - The username of the creator.
+   * @returns {Promise<Array<Object>>} An array of poll objects created by the specified user, in creation order.
+   * @throws {Error} If initialization fails.
+   */
+  async getPollsByCreator(username) {
+    if (typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided to getPollsByCreator.', { field: 'username' });
+    }
+    await this._ensureInitialized();
+    return this.db.prepare(`SELECT * FROM polls WHERE json_extract(data, '$.createdBy') = ? ORDER BY seq`)
+      .all(username)
+      .map(row => this._toEntity(row));
+  }
+
+  /**
+   * Retrieves all polls in which a specific user has voted.
+   *
+   * @async
+   * @param {string} username - The username of the voter.
+   * @returns {Promise<Array<Object>>} An array of poll objects where the user has cast a vote, in creation order.
+   * @throws {Error} If initialization fails.
+   */
+  async getPollsVotedByUser(username) {
+     if (typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided to getPollsVotedByUser.', { field: 'username' });
+    }
+    await this._ensureInitialized();
+    return this.db.prepare(`
+      SELECT * FROM polls
+      WHERE EXISTS (SELECT 1 FROM votes WHERE votes.poll_id = polls.id AND votes.username = ?)
+         OR EXISTS (SELECT 1 FROM json_each(polls.data, '$.voters') WHERE json_each.value = ?)
+      ORDER BY seq
+    `).all(username, username).map(row => this._toEntity(row));
+  }
+
+  /**
+   * Records a user's vote on a specific poll. Only the vote rows are written.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll to vote on.
+   * @param {string} username - The username of the voter.
+   * @param {number|Array<number>} selection - The 0-based index of the option being voted for, or an array of indices for multiple-choice and ranked polls. Stored as given.
+   * @param {string|null} [votedAt=null] - ISO timestamp of the moment the vote was cast.
+   * @returns {Promise<Object>} The updated poll object after the vote has been recorded.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {ConflictError} If the user has already voted in this poll (code 'already_voted').
+   * @throws {Error} If any provided option index is invalid (not an integer or out of bounds).
+   * @throws {Error} If initialization fails.
+   */
+  async addVote(pollId, username, selection, votedAt = null) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    if (typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided for voting.', { field: 'username' });
+    }
+
+    if (hasVoted(poll, username)) {
+      throw new ConflictError(`User '${username}' has already voted in this poll (ID: ${pollId})`, { code: 'already_voted' });
+    }
+
+    assertValidSelection(poll, selection);
+
+    this.db.transaction(() => this._insertVote(pollId, username, selection, votedAt))();
+    return this.getById(pollId);
+  }
+
+  /**
+   * Records a secret ballot on a specific poll. Voter and ballot are written to the poll's
+   * JSON document in one statement, inside a transaction that also reads it.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll to vote on.
+   * @param {string} username - The username of the voter.
+   * @param {string} receipt - The unique receipt of the ballot.
+   * @param {number|Array<number>} selection - The 0-based index of the option being voted for, or an array of indices. Stored as given.
+   * @returns {Promise<Object>} The updated poll object after the ballot has been recorded.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {ConflictError} If the user has already voted in this poll (code 'already_voted').
+   * @throws {Error} If any provided option index is invalid (not an integer or out of bounds).
+   * @throws {Error} If initialization fails.
+   */
+  async addSecretBallot(pollId, username, receipt, selection) {
+    if (typeof username !== 'string' || username.trim() === '') {
+        throw new ValidationError('Invalid username provided for voting.', { field: 'username' });
+    }
+    await this._ensureInitialized();
+
+    this.db.transaction(() => {
+      const row = this._selectRow(pollId);
+      if (!row) {
+        throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+      }
+      const poll = JSON.parse(row.data);
+      if (hasVoted(poll, username)) {
+        throw new ConflictError(`User '${username}' has already voted in this poll (ID: ${pollId})`, { code: 'already_voted' });
+      }
+      assertValidSelection(poll, selection);
+      this.db.prepare('UPDATE polls SET data = ? WHERE id = ?')
+        .run(JSON.stringify(withSecretBallot(poll, username, receipt, selection)), pollId);
+    })();
+    return this.getById(pollId);
+  }
+
+  /**
+   * Replaces an existing vote of a user on a specific poll with a new selection.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} username - The username of the voter.
+   * @param {number|Array<number>} selection - The 0-based index of the newly chosen option, or an array of indices.
+   * @param {string|null} [votedAt=null] - ISO timestamp of the moment the vote was changed; replaces the vote's time.
+   * @returns {Promise<Object>} The updated poll object after the vote has been changed.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {NotFoundError} If the user has not voted in this poll (code 'vote_not_found').
+   * @throws {Error} If any provided option index is invalid (not an integer or out of bounds).
+   * @throws {Error} If initialization fails.
+   */
+  async changeVote(pollId, username, selection, votedAt = null) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(poll.votes, username)) {
+      throw new NotFoundError(`User '${username}' has not voted in this poll (ID: ${pollId})`, { code: 'vote_not_found' });
+    }
+
+    assertValidSelection(poll, selection);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM vote_selections WHERE poll_id = ? AND username = ?').run(pollId, username);
+      this.db.prepare('UPDATE votes SET is_list = ?, voted_at = ? WHERE poll_id = ? AND username = ?')
+        .run(Array.isArray(selection) ? 1 : 0, votedAt, pollId, username);
+      this._insertSelections(pollId, username, selection);
+    })();
+    return this.getById(pollId);
+  }
+
+  /**
+   * Removes a user's vote from a specific poll.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll.
+   * @param {string} username - The username of the voter whose vote is removed.
+   * @returns {Promise<Object>} The updated poll object after the vote has been removed.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {NotFoundError} If the user has not voted in this poll (code 'vote_not_found').
+   * @throws {Error} If initialization fails.
+   */
+  async removeVote(pollId, username) {
+    await this._ensureInitialized();
+    if (!this._selectRow(pollId)) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    // Selections are removed by the foreign key cascade
+    const { changes } = this.db.prepare('DELETE FROM votes WHERE poll_id = ? AND username = ?').run(pollId, username);
+    if (changes === 0) {
+      throw new NotFoundError(`User '${username}' has not voted in this poll (ID: ${pollId})`, { code: 'vote_not_found' });
+    }
+    return this.getById(pollId);
+  }
+
+  /**
+   * Updates the editable details of a poll. Votes are left untouched.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll to update.
+   * @param {Object} changes - The validated changes.
+   * @param {string} [changes.question] - The new question.
+   * @param {Array<string>} [changes.options] - The new options. Existing votes must still refer to the same options.
+   * @param {number} [changes.maxSelections] - The new maximum number of selections.
+   * @param {Array<string>} [changes.allowedUsers] - The new access list of a private poll.
+   * @returns {Promise<Object>} The updated poll object.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {Error} If initialization fails.
+   */
+  async updatePoll(pollId, changes) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    for (const field of ['question', 'options', 'maxSelections', 'allowedUsers']) {
+      if (changes[field] !== undefined) {
+        poll[field] = changes[field];
+      }
+    }
+    return this._saveDetails(poll);
+  }
+
+  /**
+   * Marks a poll as manually closed.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll to close.
+   * @param {string} closedAt - ISO timestamp of the moment the poll was closed.
+   * @returns {Promise<Object>} The updated poll object.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {Error} If initialization fails.
+   */
+  async closePoll(pollId, closedAt) {
+    const poll = await this.getById(pollId);
+    if (!poll) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+
+    poll.closedAt = closedAt;
+    return this._saveDetails(poll);
+  }
+
+  /**
+   * Calculates the voting results for a specific poll by counting the stored selections.
+   * The result has the same structure as `JsonFilePollStorage.getPollResults`.
+   *
+   * @async
+   * @param {string} pollId - The ID of the poll to get results for.
+   * @returns {Promise<Object>} `{ id, question, createdBy, minSelections, maxSelections, totalVotes, totalVoters, results: Array<{ option, votes }> }`.
+   * @throws {NotFoundError} If the poll with the given ID is not found (via `_formatNotFoundError`, code 'poll_not_found').
+   * @throws {Error} If initialization fails.
+   */
+  async getPollResults(pollId) {
+    await this._ensureInitialized();
+    const row = this._selectRow(pollId);
+    if (!row) {
+      throw new NotFoundError(this._formatNotFoundError(pollId), { code: 'poll_not_found' });
+    }
+    const poll = JSON.parse(row.data);
+    const maxIndex = poll.options.length - 1;
+
+    // Selections outside the options are ignored, like in the JSON storage
+    const counts = this.db.prepare(`
+      SELECT option_index, COUNT(*) AS votes FROM vote_selections
+      WHERE poll_id = ? AND option_index BETWEEN 0 AND ?
+      GROUP BY option_index
+    `).all(pollId, maxIndex);
+    const { voters } = this.db.prepare(`
+      SELECT COUNT(DISTINCT username) AS voters FROM vote_selections
+      WHERE poll_id = ? AND option_index BETWEEN 0 AND ?
+    `).get(pollId, maxIndex);
+
+    const voteCounts = new Array(poll.options.length).fill(0);
+    counts.forEach(count => {
+      voteCounts[count.option_index] = count.votes;
+    });
+    // The ballots of a secret-ballot poll live in its JSON document
+    let ballotVoters = 0;
+    Object.values(poll.ballots || {}).forEach(ballot => {
+      const indices = toSelections(ballot).filter(optionIndex => optionIndex >= 0 && optionIndex <= maxIndex);
+      indices.forEach(optionIndex => voteCounts[optionIndex]++);
+      if (indices.length > 0) ballotVoters++;
+    });
+
+    return {
+      id: pollId,
+      question: poll.question,
+      createdBy: poll.createdBy,
+      minSelections: poll.minSelections || 1,
+      maxSelections: poll.maxSelections || 1,
+      totalVotes: voteCounts.reduce((sum, votes) => sum + votes, 0),
+      totalVoters: voters + ballotVoters,
+      results: poll.options.map((option, index) => ({ option, votes: voteCounts[index] }))
+    };
+  }
+
+  /**
+   * Creates the vote tables. Databases created before votes carried a time get the `voted_at`
+   * column added, holding null for the votes already stored.
+   *
+   * @param {import('better-sqlite3').Database} db - The open database.
+   * @returns {void}
+   * @protected
+   * @override
+   */
+  _createTables(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS votes (
+        poll_id TEXT NOT NULL REFERENCES polls (id) ON DELETE CASCADE,
+        username TEXT NOT NULL,
+        is_list INTEGER NOT NULL, -- 1 if the vote is an array of indices, 0 for a single index
+        voted_at TEXT, -- ISO timestamp of the moment the vote was cast or last changed
+        PRIMARY KEY (poll_id, username)
+      );
+      CREATE INDEX IF NOT EXISTS votes_by_username ON votes (username);
+      CREATE TABLE IF NOT EXISTS vote_selections (
+        poll_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        option_index INTEGER NOT NULL,
+        PRIMARY KEY (poll_id, username, position),
+        FOREIGN KEY (poll_id, username) REFERENCES votes (poll_id, username) ON DELETE CASCADE
+      );
+    `);
+    if (!db.prepare('PRAGMA table_info(votes)').all().some(column => column.name === 'voted_at')) {
+      db.exec('ALTER TABLE votes ADD COLUMN voted_at TEXT');
+    }
+  }
+
+  /**
+   * Keeps the votes and their times out of the poll's JSON document; they are stored in the vote tables.
+   *
+   * @param {Object} data - The poll data.
+   * @returns {Object} The poll fields without ID, votes and vote times.
+   * @protected
+   * @override
+   */
+  _rowData(data) {
+    const { id, votes, votedAt, ...rest } = data;
+    return rest;
+  }
+
+  /**
+   * Writes every vote of a poll to the vote tables.
+   *
+   * @param {string} id - The poll ID.
+   * @param {Object} data - The poll data.
+   * @returns {void}
+   * @protected
+   * @override
+   */
+  _writeChildren(id, data) {
+    Object.entries(data.votes || {}).forEach(([username, selection]) => this._insertVote(id, username, selection, data.votedAt?.[username] ?? null));
+  }
+
+  /**
+   * Removes every vote of a poll from the vote tables.
+   *
+   * @param {string} id - The poll ID.
+   * @returns {void}
+   * @protected
+   * @override
+   */
+  _deleteChildren(id) {
+    this.db.prepare('DELETE FROM votes WHERE poll_id = ?').run(id);
+  }
+
+  /**
+   * Builds a poll object from its row, reading its votes back into the `{ username: selection }` shape
+   * and their times into `{ username: votedAt }`. Polls stored before they carried a time get a null `createdAt`.
+   *
+   * @param {{id: string, data: string}} row - The polls table row.
+   * @returns {Object} The poll, including its ID, votes and vote times.
+   * @protected
+   * @override
+   */
+  _toEntity(row) {
+    const votes = {};
+    const votedAt = {};
+    const selections = this.db.prepare(`
+      SELECT votes.username, votes.is_list, votes.voted_at, vote_selections.option_index FROM votes
+      JOIN vote_selections USING (poll_id, username)
+      WHERE votes.poll_id = ?
+      ORDER BY votes.rowid, vote_selections.position
+    `).all(row.id);
+    selections.forEach(({ username, is_list: isList, voted_at: time, option_index: optionIndex }) => {
+      votedAt[username] = time;
+      if (isList) {
+        (votes[username] ??= []).push(optionIndex);
+      } else {
+        votes[username] = optionIndex;
+      }
+    });
+    return withTimestampDefaults({ ...super._toEntity(row), votes, votedAt });
+  }
+
+  /**
+   * Inserts one vote and its selections.
+   *
+   * @param {string} pollId - The poll ID.
+   * @param {string} username - The voter.
+   * @param {number|Array<number>} selection - The stored vote value.
+   * @param {string|null} votedAt - ISO timestamp of the moment the vote was cast, or null if unknown.
+   * @returns {void}
+   * @private
+   */
+  _insertVote(pollId, username, selection, votedAt) {
+    this.db.prepare('INSERT INTO votes (poll_id, username, is_list, voted_at) VALUES (?, ?, ?, ?)')
+      .run(pollId, username, Array.isArray(selection) ? 1 : 0, votedAt);
+    this._insertSelections(pollId, username, selection);
+  }
+
+  /**
+   * Inserts the selections of a vote in ballot order.
+   *
+   * @param {string} pollId - The poll ID.
+   * @param {string} username - The voter.
+   * @param {number|Array<number>} selection - The stored vote value.
+   * @returns {void}
+   * @private
+   */
+  _insertSelections(pollId, username, selection) {
+    const insert = this.db.prepare('INSERT INTO vote_selections (poll_id, username, position, option_index) VALUES (?, ?, ?, ?)');
+    toSelections(selection).forEach((optionIndex, position) => insert.run(pollId, username, position, optionIndex));
+  }
+
+  /**
+   * Saves the poll fields of the JSON document without rewriting its votes.
+   *
+   * @param {Object} poll - The poll to save.
+   * @returns {Promise<Object>} The saved poll object.
+   * @private
+   */
+  async _saveDetails(poll) {
+    this.db.prepare('UPDATE polls SET data = ? WHERE id = ?').run(JSON.stringify(this._rowData(poll)), poll.id);
+    return this.getById(poll.id);
+  }
+
+  /**
+   * Overrides the base class method to provide a poll-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The poll ID that already exists.
+   * @returns {string} The poll-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Poll with ID '${id}' already exists`;
+  }
+
+  /**
+   * Overrides the base class method to provide a poll-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The poll ID that was not found.
+   * @returns {string} The poll-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return `Poll with ID '${id}' not found`;
+  }
+}
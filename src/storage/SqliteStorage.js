@@ -0,0 +1,349 @@
+/**
+ * SqliteStorage.js
+ *
+ * This module provides a concrete implementation of the StorageInterface backed by a SQLite
+ * database (via better-sqlite3). Each instance manages one entity table; every write touches
+ * only the affected rows instead of rewriting the whole data set.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { StorageInterface } from './StorageInterface.js';
+import { NotFoundError, ConflictError } from '../errors.js';
+
+/**
+ * Implements the StorageInterface using a SQLite table per entity type.
+ * The table keeps the entity ID, an insertion sequence (so `getAll` returns entities
+ * in creation order, like the JSON storage) and the remaining fields as a JSON document.
+ * Subclasses can move parts of an entity into their own normalized tables through the
+ * `_createTables`, `_rowData`, `_writeChildren`, `_deleteChildren` and `_toEntity` hooks.
+ *
+ * @extends StorageInterface
+ */
+export class SqliteStorage extends StorageInterface {
+  /**
+   * Creates an instance of SqliteStorage.
+   *
+   * @param {string} databasePath - The path of the SQLite database file. Created on initialization if missing.
+   * @param {string} entityType - A string identifying the type of entity this instance manages (e.g., 'users'). Used as the table name.
+   */
+  constructor(databasePath, entityType) {
+    super();
+    if (!databasePath || !entityType) {
+      throw new Error('SqliteStorage requires databasePath and entityType arguments.');
+    }
+    this.databasePath = databasePath;
+    this.entityType = entityType;
+    /** @type {import('better-sqlite3').Database|null} */
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Opens the database and creates the tables if they don't exist yet.
+   *
+   * @async
+   * @returns {Promise<void>} A promise that resolves when initialization is complete.
+   * @throws {Error} If the database cannot be opened or the schema cannot be created.
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.databasePath), { recursive: true });
+      this.db = new Database(this.databasePath);
+      // WAL lets readers continue while a vote is written; foreign keys enable cascading deletes
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${this.entityType} (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          id TEXT NOT NULL UNIQUE,
+          data TEXT NOT NULL
+        )
+      `);
+      this._createTables(this.db);
+
+      this.initialized = true;
+      console.log(`${this.entityType} storage initialized from ${this.databasePath}`);
+    } catch (error) {
+      console.error(`FATAL: Error initializing ${this.entityType} storage:`, error);
+      throw new Error(`Failed to initialize ${this.entityType} storage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Closes the database connection. The storage initializes again on next use.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.initialized = false;
+  }
+
+  /**
+   * Ensures the storage has been initialized before performing an operation.
+   *
+   * @async
+   * @private
+   * @returns {Promise<void>} A promise that resolves when initialization is confirmed.
+   * @throws {Error} If initialization fails.
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+  }
+
+  /**
+   * Creates a new entity.
+   *
+   * @async
+   * @param {string} id - The unique identifier for the new entity.
+   * @param {Object} data - The data object for the entity (ID should not be included here).
+   * @returns {Promise<Object>} The created entity object (including ID).
+   * @throws {ConflictError} If an entity with the same ID already exists (code 'already_exists').
+   * @throws {Error} If initialization fails.
+   */
+  async create(id, data) {
+    await this._ensureInitialized();
+
+    const stringId = String(id);
+    this.db.transaction(() => {
+      if (this._selectRow(stringId)) {
+        throw new ConflictError(this._formatDuplicateError(stringId), { code: 'already_exists' });
+      }
+      this.db.prepare(`INSERT INTO ${this.entityType} (id, data) VALUES (?, ?)`)
+        .run(stringId, JSON.stringify(this._rowData(data)));
+      this._writeChildren(stringId, data);
+    })();
+
+    return this.getById(stringId);
+  }
+
+  /**
+   * Gets an entity by ID.
+   *
+   * @async
+   * @param {string} id - The ID of the entity to retrieve.
+   * @returns {Promise<Object|null>} The entity object if found, or null otherwise.
+   * @throws {Error} If initialization fails.
+   */
+  async getById(id) {
+    await this._ensureInitialized();
+
+    const row = this._selectRow(String(id));
+    return row ? this._toEntity(row) : null;
+  }
+
+  /**
+   * Replaces an existing entity.
+   *
+   * @async
+   * @param {string} id - The ID of the entity to update.
+   * @param {Object} data - The updated data object for the entity (ID should not be included here). This replaces the existing data.
+   * @returns {Promise<Object>} The updated entity object (including ID).
+   * @throws {NotFoundError} If no entity with the specified ID is found (code 'not_found').
+   * @throws {Error} If initialization fails.
+   */
+  async update(id, data) {
+    await this._ensureInitialized();
+
+    const stringId = String(id);
+    this.db.transaction(() => {
+      const { changes } = this.db.prepare(`UPDATE ${this.entityType} SET data = ? WHERE id = ?`)
+        .run(JSON.stringify(this._rowData(data)), stringId);
+      if (changes === 0) {
+        throw new NotFoundError(this._formatNotFoundError(stringId));
+      }
+      this._deleteChildren(stringId);
+      this._writeChildren(stringId, data);
+    })();
+
+    return this.getById(stringId);
+  }
+
+  /**
+   * Applies several writes in one transaction, so either all of them are stored or none is.
+   * A function passed as `changes` is called with all entities, read inside the transaction.
+   *
+   * @async
+   * @param {Object|Function} changes - The writes to apply, or a function that receives all entities and returns them.
+   * @param {Array<{id: string, data: Object}>} [changes.put=[]] - Entities to store; existing ones are replaced, missing ones created.
+   * @param {Array<string>} [changes.remove=[]] - The IDs of entities to delete. IDs that don't exist are ignored.
+   * @returns {Promise<void>}
+   * @throws {Error} If initialization fails or a write fails; the transaction is rolled back in that case.
+   */
+  async applyBatch(changes = {}) {
+    await this._ensureInitialized();
+
+    this.db.transaction(() => {
+      const { put = [], remove = [] } = typeof changes === 'function'
+        ? changes(this.db.prepare(`SELECT * FROM ${this.entityType} ORDER BY seq`).all().map(row => this._toEntity(row)))
+        : changes;
+      for (const { id, data } of put) {
+        const stringId = String(id);
+        if (this._selectRow(stringId)) {
+          this.db.prepare(`UPDATE ${this.entityType} SET data = ? WHERE id = ?`).run(JSON.stringify(this._rowData(data)), stringId);
+          this._deleteChildren(stringId);
+        } else {
+          this.db.prepare(`INSERT INTO ${this.entityType} (id, data) VALUES (?, ?)`).run(stringId, JSON.stringify(this._rowData(data)));
+        }
+        this._writeChildren(stringId, data);
+      }
+      const deleteRow = this.db.prepare(`DELETE FROM ${this.entityType} WHERE id = ?`);
+      remove.forEach(id => deleteRow.run(String(id)));
+    })();
+  }
+
+  /**
+   * Deletes an entity by ID. Rows in child tables are removed by their foreign keys.
+   *
+   * @async
+   * @param {string} id - The ID of the entity to delete.
+   * @returns {Promise<boolean>} True if the entity was deleted, false if it was not found.
+   * @throws {Error} If initialization fails.
+   */
+  async delete(id) {
+    await this._ensureInitialized();
+
+    const { changes } = this.db.prepare(`DELETE FROM ${this.entityType} WHERE id = ?`).run(String(id));
+    return changes > 0;
+  }
+
+  /**
+   * Gets all entities in creation order.
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} An array containing all entities.
+   * @throws {Error} If initialization fails.
+   */
+  async getAll() {
+    await this._ensureInitialized();
+
+    return this.db.prepare(`SELECT * FROM ${this.entityType} ORDER BY seq`).all()
+      .map(row => this._toEntity(row));
+  }
+
+  /**
+   * Filters all entities based on a criteria function.
+   *
+   * @async
+   * @param {Function} filterFn - A function that takes an entity object and returns true if it should be included.
+   * @returns {Promise<Array<Object>>} An array containing the filtered entities.
+   * @throws {Error} If initialization fails.
+   * @throws {Error} If the provided filterFn is not a function or throws an error during execution.
+   */
+  async filter(filterFn) {
+    if (typeof filterFn !== 'function') {
+        throw new Error('filterFn must be a function');
+    }
+
+    const entities = await this.getAll();
+    try {
+        return entities.filter(entity => filterFn(entity));
+    } catch (error) {
+        console.error(`Error during filter execution for ${this.entityType}:`, error);
+        throw new Error(`Filter function failed during execution: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the main table row of an entity.
+   *
+   * @param {string} id - The entity ID.
+   * @returns {{seq: number, id: string, data: string}|undefined} The row, or undefined if not found.
+   * @private
+   */
+  _selectRow(id) {
+    return this.db.prepare(`SELECT * FROM ${this.entityType} WHERE id = ?`).get(id);
+  }
+
+  /**
+   * Creates additional tables for normalized parts of the entity. Runs during initialization.
+   *
+   * @param {import('better-sqlite3').Database} db - The open database.
+   * @returns {void}
+   * @protected
+   */
+  _createTables(db) {
+    // No additional tables by default
+  }
+
+  /**
+   * Selects the fields of an entity that are stored in the main table's JSON document.
+   *
+   * @param {Object} data - The entity data.
+   * @returns {Object} The fields to store as JSON.
+   * @protected
+   */
+  _rowData(data) {
+    const { id, ...rest } = data;
+    return rest;
+  }
+
+  /**
+   * Writes the normalized parts of an entity to their tables. Runs inside the write transaction.
+   *
+   * @param {string} id - The entity ID.
+   * @param {Object} data - The entity data.
+   * @returns {void}
+   * @protected
+   */
+  _writeChildren(id, data) {
+    // Nothing to write by default
+  }
+
+  /**
+   * Removes the normalized parts of an entity before they are rewritten. Runs inside the write transaction.
+   *
+   * @param {string} id - The entity ID.
+   * @returns {void}
+   * @protected
+   */
+  _deleteChildren(id) {
+    // Nothing to delete by default
+  }
+
+  /**
+   * Builds an entity object from its main table row.
+   *
+   * @param {{id: string, data: string}} row - The main table row.
+   * @returns {Object} The entity, including its ID.
+   * @protected
+   */
+  _toEntity(row) {
+    return { id: row.id, ...JSON.parse(row.data) };
+  }
+
+  /**
+   * Formats the error message for a duplicate entity scenario.
+   * Can be overridden by subclasses for more specific messages.
+   *
+   * @param {string} id - The ID of the entity that already exists.
+   * @returns {string} The formatted error message.
+   * @protected
+   */
+  _formatDuplicateError(id) {
+    return `Entity with ID '${id}' already exists in ${this.entityType}`;
+  }
+
+  /**
+   * Formats the error message for an entity not found scenario.
+   * Can be overridden by subclasses for more specific messages.
+   *
+   * @param {string} id - The ID of the entity that was not found.
+   * @returns {string} The formatted error message.
+   * @protected
+   */
+  _formatNotFoundError(id) {
+    return `Entity with ID '${id}' not found in ${this.entityType}`;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * SqliteUserStorage.js
+ *
+ * This module provides a SQLite storage implementation for user entities.
+ * It extends the generic SqliteStorage and offers the same user-specific methods
+ * and error messages as JsonFileUserStorage, so the two are interchangeable.
+ */
+
+import { SqliteStorage } from './SqliteStorage.js';
+
+/**
+ * Concrete storage implementation for user data using SQLite.
+ *
+ * @extends SqliteStorage
+ */
+export class SqliteUserStorage extends SqliteStorage {
+  /**
+   * Creates an instance of SqliteUserStorage.
+   *
+   * @param {string} databasePath - The path of the SQLite database file holding the 'users' table.
+   */
+  constructor(databasePath) {
+    // Pass 'users' as the entityType (table name) to the base class constructor
+    super(databasePath, 'users');
+  }
+
+  /**
+   * Creates a new user entity. Uses the username as the unique ID.
+   *
+   * @async
+   * @param {string} username - The username for the new user. This will also be used as the user's ID.
+   * @param {Object} [credentials={}] - Credential fields stored alongside the user.
+   * @param {string} [credentials.passwordHash] - The hashed password (`salt:hash`). Never the plain-text password.
+   * @param {Object} [fields={}] - Further fields stored with the user, such as `createdAt`.
+   * @returns {Promise<Object>} The created user object { id: username, username: username, passwordHash?: string, ...fields }.
+   * @throws {ConflictError} If a user with the same username (ID) already exists (via `_formatDuplicateError`).
+   * @throws {Error} If initialization fails.
+   */
+  async createUser(username, credentials = {}, fields = {}) {
+    const user = { ...fields, username };
+    if (credentials.passwordHash) {
+      user.passwordHash = credentials.passwordHash;
+    }
+    return this.create(username, user);
+  }
+
+  /**
+   * Retrieves a user by their username (which is also their ID).
+   *
+   * @async
+   * @param {string} username - The username of the user to retrieve.
+   * @returns {Promise<Object|null>} The user object if found, or null otherwise.
+   * @throws {Error} If initialization fails.
+   */
+  async getUserByUsername(username) {
+    return this.getById(username);
+  }
+
+  /**
+   * Checks if a user with the given username exists.
+   *
+   * @async
+   * @param {string} username - The username to check for existence.
+   * @returns {Promise<boolean>} True if a user with the username exists, false otherwise.
+   * @throws {Error} If initialization fails.
+   */
+  async usernameExists(username) {
+    await this._ensureInitialized();
+    return this._selectRow(String(username)) !== undefined;
+  }
+
+  /**
+   * Retrieves all user entities.
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} An array containing all user objects.
+   * @throws {Error} If initialization fails.
+   */
+  async getAllUsers() {
+    return this.getAll();
+  }
+
+  /**
+   * Overrides the base class method to provide a user-specific error message
+   * for duplicate entries.
+   *
+   * @param {string} id - The username (ID) that already exists.
+   * @returns {string} The user-specific error message.
+   * @protected
+   * @override
+   */
+  _formatDuplicateError(id) {
+    return `Username '${id}' already exists, try a different one`;
+  }
+
+  /**
+   * Overrides the base class method to provide a user-specific error message
+   * when an entity is not found.
+   *
+   * @param {string} id - The username (ID) that was not found.
+   * @returns {string} The user-specific error message.
+   * @protected
+   * @override
+   */
+  _formatNotFoundError(id) {
+    return `User '${id}' not found`;
+  }
+}
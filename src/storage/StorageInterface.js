@@ -68,6 +68,23 @@ export class StorageInterface {
     throw new Error('Method not implemented: delete');
   }
 
+  /**
+   * Applies several writes as one: either all of them are stored or none is.
+   * The writes can also be computed from the stored entities by passing a function, which is
+   * called with all entities right before they are written, so no other write comes in between.
+   * 
+   * @async
+   * @param {Object|Function} changes - The writes to apply, or a function that receives the stored entities and returns them.
+   * @param {Array<{id: string, data: Object}>} [changes.put=[]] - Entities to store; existing ones are replaced, missing ones created.
+   * @param {Array<string>} [changes.remove=[]] - The IDs of entities to delete. IDs that don't exist are ignored.
+   * @returns {Promise<void>} A promise that resolves when all writes are stored.
+   * @throws {Error} If the 'applyBatch' method is not implemented by the subclass.
+   * @throws {Error} Potentially throws if there's an issue writing to the storage medium; nothing is changed in that case.
+   */
+  async applyBatch(changes) {
+    throw new Error('Method not implemented: applyBatch');
+  }
+
   /**
    * Retrieves all entities of this type from the storage.
    * 
@@ -0,0 +1,121 @@
+/**
+ * migrateJsonToSqlite.js
+ *
+ * This module imports the JSON data files (`users.json`, `polls.json` with `ballots.json`) into a new SQLite
+ * database, so an installation can switch from the JSON file storage to the SQLite storage
+ * without losing data. It can be imported or run directly:
+ *
+ *   node src/storage/migrateJsonToSqlite.js [dataDir] [databasePath]
+ *
+ * Sessions are not migrated; users simply log in again.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SqliteUserStorage } from './SqliteUserStorage.js';
+import { SqlitePollStorage } from './SqlitePollStorage.js';
+
+/**
+ * Reads the entities of a JSON data file.
+ *
+ * @async
+ * @param {string} filePath - The path of the JSON file.
+ * @returns {Promise<Array<Object>>} The entities, or an empty array if the file does not exist.
+ * @throws {Error} If the file cannot be read or does not contain a JSON array.
+ */
+async function readEntities(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const entities = JSON.parse(content);
+  if (!Array.isArray(entities)) {
+    throw new Error(`Invalid data format in ${filePath}. Expected an array.`);
+  }
+  return entities;
+}
+
+/**
+ * Removes a SQLite database file together with its WAL side files.
+ *
+ * @async
+ * @param {string} databasePath - The path of the database file.
+ * @returns {Promise<void>}
+ */
+async function removeDatabase(databasePath) {
+  await Promise.all(['', '-wal', '-shm'].map(suffix => fs.rm(`${databasePath}${suffix}`, { force: true })));
+}
+
+/**
+ * Imports the users and polls of a JSON data directory into a new SQLite database.
+ * The data is written to a temporary file that replaces `databasePath` only after
+ * everything was imported, so a failed migration leaves no half-filled database behind.
+ *
+ * @async
+ * @param {string} dataDir - The directory holding `users.json` and `polls.json`.
+ * @param {string} databasePath - The path of the SQLite database to create.
+ * @returns {Promise<{users: number, polls: number, votes: number}>} The number of imported records.
+ * @throws {Error} If the database already exists (message includes 'already exists').
+ * @throws {Error} If a JSON file cannot be parsed or contains duplicate IDs.
+ */
+export async function migrateJsonToSqlite(dataDir, databasePath) {
+  const exists = await fs.access(databasePath).then(() => true, () => false);
+  if (exists) {
+    throw new Error(`SQLite database ${databasePath} already exists; the migration only runs once`);
+  }
+
+  const users = await readEntities(path.join(dataDir, 'users.json'));
+  const polls = await readEntities(path.join(dataDir, 'polls.json'));
+  // The ballots of secret-ballot polls are stored apart from the polls
+  const ballots = new Map((await readEntities(path.join(dataDir, 'ballots.json'))).map(entry => [entry.id, entry.ballots]));
+
+  const tempPath = `${databasePath}.migrating`;
+  await removeDatabase(tempPath);
+  const userStorage = new SqliteUserStorage(tempPath);
+  const pollStorage = new SqlitePollStorage(tempPath);
+  let votes = 0;
+  try {
+    for (const { id, ...user } of users) {
+      await userStorage.create(id, user);
+    }
+    for (const { id, ...poll } of polls) {
+      const pollBallots = ballots.get(id) ?? poll.ballots;
+      await pollStorage.create(id, { ...poll, votes: poll.votes || {}, ...(pollBallots ? { ballots: pollBallots } : {}) });
+      votes += Object.keys(poll.votes || {}).length + Object.keys(pollBallots || {}).length;
+    }
+    // Closing checkpoints the WAL into the database file before it is moved into place
+    await userStorage.close();
+    await pollStorage.close();
+    await fs.rename(tempPath, databasePath);
+  } catch (error) {
+    await userStorage.close();
+    await pollStorage.close();
+    await removeDatabase(tempPath);
+    throw error;
+  }
+
+  return { users: users.length, polls: polls.length, votes };
+}
+
+// --- Direct Execution ---
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const defaultDataDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data');
+  const dataDir = process.argv[2] || defaultDataDir;
+  const databasePath = process.argv[3] || path.join(dataDir, 'pollbuilder.db');
+
+  migrateJsonToSqlite(dataDir, databasePath)
+    .then(({ users, polls, votes }) => {
+      console.log(`Imported ${users} users, ${polls} polls and ${votes} votes into ${databasePath}`);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,130 @@
+/**
+ * pollRecords.js
+ * 
+ * This module contains the helpers shared by the poll storage implementations:
+ * building the stored record of a new poll and interpreting stored votes.
+ *
+ * Open votes carry the time they were cast or last changed in `votedAt`, keyed by username
+ * like `votes`. Records stored before polls and votes carried a time hold null instead.
+ *
+ * Secret-ballot polls keep no `username -> selection` votes. Their record lists who voted in
+ * `voters` and what was voted in `ballots` (keyed by the receipt handed to the voter), with
+ * nothing linking one to the other.
+ */
+
+import { ValidationError } from '../errors.js';
+
+/**
+ * Builds the stored record of a new poll, applying the defaults of optional settings.
+ * 
+ * @param {Object} pollData - Data for the new poll (see `createPoll` of the poll storages).
+ * @returns {Object} The poll record without ID, with `createdAt` (null if not given), empty `votes` and `votedAt` objects
+ *   (and empty `voters` and `ballots` for secret-ballot polls, and an `allowedUsers` access list for private polls).
+ * @throws {ValidationError} If the question, options or creator are missing.
+ */
+export function newPollRecord(pollData) {
+  // Basic validation (more comprehensive validation should be in the service layer)
+  if (!pollData || !pollData.question || !Array.isArray(pollData.options) || !pollData.createdBy) {
+      throw new ValidationError('Invalid poll data provided to createPoll storage method.');
+  }
+
+  return {
+    question: pollData.question,
+    options: pollData.options,
+    createdBy: pollData.createdBy,
+    allowVoteChanges: pollData.allowVoteChanges !== false,
+    minSelections: pollData.minSelections || 1,
+    maxSelections: pollData.maxSelections || 1,
+    type: pollData.type || 'standard',
+    tallyMethod: pollData.tallyMethod || null,
+    opensAt: pollData.opensAt || null,
+    closesAt: pollData.closesAt || null,
+    secretBallot: pollData.secretBallot === true,
+    visibility: pollData.visibility || 'public',
+    ...(pollData.visibility === 'private' ? { allowedUsers: pollData.allowedUsers || [] } : {}),
+    groups: pollData.groups || [], // IDs of the groups whose members may vote; empty for everyone
+    createdAt: pollData.createdAt || null,
+    closedAt: null, // Set when the creator closes the poll manually
+    votes: {}, // Initialize votes as an empty object: { username: optionIndex | optionIndex[] } (ranked: indices in preference order)
+    votedAt: {}, // { username: ISO timestamp } of every vote in `votes`
+    ...(pollData.secretBallot === true ? { voters: [], ballots: {} } : {})
+  };
+}
+
+/**
+ * Fills in the timestamps missing from a poll stored before polls and votes carried them:
+ * `createdAt` and the `votedAt` of every vote become null. Recorded times are kept.
+ * 
+ * @param {Object} poll - The stored poll.
+ * @returns {Object} A copy of the poll with `createdAt` and a `votedAt` entry for every vote.
+ */
+export function withTimestampDefaults(poll) {
+  const votedAt = Object.fromEntries(Object.keys(poll.votes || {}).map(username => [username, poll.votedAt?.[username] ?? null]));
+  return { ...poll, createdAt: poll.createdAt ?? null, votedAt };
+}
+
+/**
+ * Checks whether a user has voted in a poll, openly or by secret ballot.
+ * 
+ * @param {Object} poll - The stored poll.
+ * @param {string} username - The username of the voter.
+ * @returns {boolean} True if the user has voted.
+ */
+export function hasVoted(poll, username) {
+  return Object.prototype.hasOwnProperty.call(poll.votes || {}, username) || (poll.voters || []).includes(username);
+}
+
+/**
+ * Adds a secret ballot to a poll record: the voter to `voters` and the selection to `ballots`
+ * under its receipt. Both are kept sorted (voters by name, ballots by receipt) instead of in the
+ * order votes arrive, so the position of a ballot cannot be matched to the position of its voter.
+ * 
+ * @param {Object} poll - The stored poll.
+ * @param {string} username - The username of the voter.
+ * @param {string} receipt - The receipt of the ballot.
+ * @param {number|Array<number>} selection - The stored vote value.
+ * @returns {Object} A copy of the poll including the ballot.
+ */
+export function withSecretBallot(poll, username, receipt, selection) {
+  const ballots = Object.entries({ ...poll.ballots, [receipt]: selection }).sort(([a], [b]) => (a < b ? -1 : 1));
+  return {
+    ...poll,
+    voters: [...(poll.voters || []), username].sort(),
+    ballots: Object.fromEntries(ballots)
+  };
+}
+
+/**
+ * Normalizes a stored vote into an array of selected option indices.
+ * Single-choice votes are stored as a plain index, multiple-choice votes as an array of indices.
+ * 
+ * @param {number|Array<number>} vote - The stored vote value.
+ * @returns {Array<number>} The selected option indices.
+ */
+export function toSelections(vote) {
+  return Array.isArray(vote) ? vote : [vote];
+}
+
+/**
+ * Checks that every index of a selection is an integer within the poll's options.
+ * 
+ * @param {Object} poll - The poll being voted on.
+ * @param {number|Array<number>} selection - A single option index or an array of option indices.
+ * @returns {void}
+ * @throws {ValidationError} If any index is not an integer or is out of bounds (code 'invalid_vote').
+ */
+export function assertValidSelection(poll, selection) {
+  const indices = toSelections(selection);
+  if (indices.length === 0) {
+    throw new ValidationError('Invalid selection provided for voting: at least one option index is required.', { code: 'invalid_vote' });
+  }
+  for (const optionIndex of indices) {
+    if (typeof optionIndex !== 'number' || !Number.isInteger(optionIndex)) {
+      throw new ValidationError('Invalid optionIndex provided for voting: must be an integer.', { code: 'invalid_vote' });
+    }
+    if (optionIndex < 0 || !poll.options || optionIndex >= poll.options.length) {
+      const maxIndex = poll.options ? poll.options.length - 1 : 'N/A';
+      throw new ValidationError(`Invalid option index: ${optionIndex}. Must be between 0 and ${maxIndex}.`, { code: 'invalid_vote' });
+    }
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * AccountService.test.js
+ *
+ * Unit tests for the AccountService class
+ */
+
+import { jest } from '@jest/globals';
+import { AccountService } from '../src/services/AccountService.js';
+import { AuthService } from '../src/services/AuthService.js';
+import { GroupService } from '../src/services/GroupService.js';
+import { PollService } from '../src/services/PollService.js';
+import { UserService } from '../src/services/UserService.js';
+// Use JsonFile storage for tests, requires cleanup
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { JsonFilePollStorage } from '../src/storage/JsonFilePollStorage.js';
+import { JsonFileSessionStorage } from '../src/storage/JsonFileSessionStorage.js';
+import { JsonFileGroupStorage } from '../src/storage/JsonFileGroupStorage.js';
+import fs from 'fs/promises'; // Import fs for cleanup
+import path from 'path'; // Import path for cleanup
+import { fileURLToPath } from 'url'; // Import url for cleanup
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_accountservice'); // Use separate test data dir
+
+describe('AccountService', () => {
+  let accountService;
+  let authService;
+  let groupService;
+  let pollService;
+  let userService;
+  let ownPoll;
+  let otherPoll;
+  const testUser = 'leavinguser';
+  const otherUser = 'stayinguser';
+  const testPassword = 'password123';
+
+  // Set up fresh instances, two users with a poll each and a vote on each other's poll
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+
+    userService = new UserService(new JsonFileUserStorage(testDataDir));
+    groupService = new GroupService(new JsonFileGroupStorage(testDataDir), userService);
+    pollService = new PollService(new JsonFilePollStorage(testDataDir), userService, groupService);
+    authService = new AuthService(userService, new JsonFileSessionStorage(testDataDir));
+    accountService = new AccountService(userService, pollService, authService, groupService);
+
+    await userService.createUser(testUser, testPassword);
+    await userService.createUser(otherUser, testPassword);
+    ownPoll = await pollService.createPoll({ question: 'Mine?', options: ['A', 'B'], creator: testUser });
+    otherPoll = await pollService.createPoll({ question: 'Theirs?', options: ['A', 'B'], creator: otherUser });
+    await pollService.vote({ pollId: ownPoll.id, username: otherUser, optionIndex: 1 });
+    await pollService.vote({ pollId: otherPoll.id, username: testUser, optionIndex: 0 });
+  });
+
+  // Clean up test data directory after all tests
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('deleteAccount', () => {
+    it('should delete the user, their polls, votes and sessions', async () => {
+      await authService.login(testUser, testPassword);
+
+      const summary = await accountService.deleteAccount(testUser, testUser);
+
+      expect(summary).toEqual({ username: testUser, pollsDeleted: 1, pollsTransferred: 0, votesRemoved: 1, votesAnonymized: 0, groupsDeleted: 0, groupsLeft: 0 });
+      expect(await userService.userExists(testUser)).toBe(false);
+      expect(await pollService.getAllPolls()).toEqual([expect.objectContaining({ id: otherPoll.id, votes: {} })]);
+      expect(await authService.sessionStorage.getAll()).toEqual([]);
+    });
+
+    it('should transfer polls and anonymize votes when asked to', async () => {
+      const summary = await accountService.deleteAccount(testUser, testUser, { polls: 'transfer', transferTo: otherUser, votes: 'anonymize' });
+
+      expect(summary).toMatchObject({ pollsTransferred: 1, votesAnonymized: 1 });
+      expect((await pollService.getPoll(ownPoll.id)).createdBy).toBe(otherUser);
+      expect((await pollService.getPollResults(otherPoll.id)).results[0].votes).toBe(1);
+    });
+
+    it('should leave shared groups and delete those the user was alone in', async () => {
+      const shared = await groupService.createGroup({ name: 'Shared', creator: testUser, members: [otherUser] });
+      const alone = await groupService.createGroup({ name: 'Alone', creator: testUser });
+
+      const summary = await accountService.deleteAccount(testUser, testUser);
+
+      expect(summary).toMatchObject({ groupsDeleted: 1, groupsLeft: 1 });
+      expect(await groupService.getGroup(shared.id)).toMatchObject({ createdBy: otherUser, members: [otherUser] });
+      await expect(groupService.getGroup(alone.id)).rejects.toMatchObject({ code: 'group_not_found' });
+    });
+
+    it('should only let users delete their own account', async () => {
+      await expect(accountService.deleteAccount(testUser, otherUser)).rejects.toMatchObject({ code: 'not_profile_owner' });
+      await expect(accountService.deleteAccount('nobody', 'nobody')).rejects.toMatchObject({ code: 'user_not_found' });
+      expect(await userService.userExists(testUser)).toBe(true);
+    });
+
+    it('should keep the sessions when a policy is invalid', async () => {
+      await authService.login(testUser, testPassword);
+
+      await expect(accountService.deleteAccount(testUser, testUser, { polls: 'transfer' })).rejects.toMatchObject({ errors: [{ field: 'transferTo', message: expect.any(String) }] });
+      expect(await authService.sessionStorage.getAll()).toHaveLength(1);
+    });
+
+    it('should restore the polls and announce nothing when the user cannot be deleted', async () => {
+      const emitted = [];
+      pollService.events.on('pollDeleted', () => emitted.push('pollDeleted'));
+      pollService.events.on('pollUpdated', () => emitted.push('pollUpdated'));
+      jest.spyOn(userService, 'deleteUser').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(accountService.deleteAccount(testUser, testUser)).rejects.toThrow('disk full');
+
+      expect(await userService.userExists(testUser)).toBe(true);
+      expect((await pollService.getPoll(ownPoll.id)).votes).toEqual({ [otherUser]: 1 });
+      expect((await pollService.getPoll(otherPoll.id)).votes).toEqual({ [testUser]: 0 });
+      expect(emitted).toEqual([]);
+    });
+
+    it('should announce the poll changes once the user is deleted', async () => {
+      const emitted = [];
+      userService.events.on('userDeleted', () => emitted.push('userDeleted'));
+      pollService.events.on('pollDeleted', ({ pollId }) => emitted.push(`pollDeleted ${pollId}`));
+      pollService.events.on('pollUpdated', ({ pollId }) => emitted.push(`pollUpdated ${pollId}`));
+
+      await accountService.deleteAccount(testUser, testUser);
+
+      expect(emitted).toEqual(['userDeleted', `pollDeleted ${ownPoll.id}`, `pollUpdated ${otherPoll.id}`]);
+    });
+
+    it('should restore the groups when the user cannot be deleted', async () => {
+      const group = await groupService.createGroup({ name: 'Shared', creator: testUser, members: [otherUser] });
+      jest.spyOn(userService, 'deleteUser').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(accountService.deleteAccount(testUser, testUser)).rejects.toThrow('disk full');
+
+      expect(await groupService.getGroup(group.id)).toMatchObject({ createdBy: testUser, members: [testUser, otherUser] });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * AuditService.test.js
+ *
+ * Unit tests for the AuditService class and its append-only storage
+ */
+
+import { AuditService } from '../src/services/AuditService.js';
+import { PollService } from '../src/services/PollService.js';
+import { UserService } from '../src/services/UserService.js';
+// Use JsonFile storage for tests, requires cleanup
+import { JsonFileAuditStorage } from '../src/storage/JsonFileAuditStorage.js';
+import { JsonFilePollStorage } from '../src/storage/JsonFilePollStorage.js';
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { ValidationError } from '../src/errors.js';
+import fs from 'fs/promises'; // Import fs for cleanup
+import path from 'path'; // Import path for cleanup
+import { fileURLToPath } from 'url'; // Import url for cleanup
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_auditservice'); // Use separate test data dir
+
+describe('AuditService', () => {
+  let auditService;
+  let auditStorage;
+  let pollService;
+  let userService;
+  let requestId;
+  const creator = 'creator';
+  const voter = 'voter';
+  const testPassword = 'password123';
+
+  // Set up fresh instances and two users before each test
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+
+    requestId = 'request-1';
+    auditStorage = new JsonFileAuditStorage(testDataDir);
+    userService = new UserService(new JsonFileUserStorage(testDataDir));
+    pollService = new PollService(new JsonFilePollStorage(testDataDir), userService);
+    auditService = new AuditService(auditStorage, pollService, userService, { getRequestId: () => requestId });
+
+    await userService.createUser(creator, testPassword);
+    await userService.createUser(voter, testPassword);
+  });
+
+  // Clean up test data directory after all tests
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('recording', () => {
+    it('should record user creation, poll creation and deletion, and votes with before/after summaries', async () => {
+      const poll = await pollService.createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi'], creator });
+      requestId = 'request-2';
+      await pollService.vote({ pollId: poll.id, username: voter, optionIndex: 0 });
+      await pollService.changeVote({ pollId: poll.id, username: voter, optionIndex: 1 });
+      await pollService.retractVote(poll.id, voter);
+      await pollService.deletePoll(poll.id, creator);
+
+      const { items, total } = await auditService.listEntries({}, creator);
+      expect(total).toBe(6);
+      expect(items.map(({ actor, action, target, before, after }) => ({ actor, action, target, before, after })).reverse()).toEqual([
+        { actor: creator, action: 'user.create', target: { type: 'user', id: creator, owner: creator }, before: null, after: { username: creator } },
+        { actor: creator, action: 'poll.create', target: { type: 'poll', id: poll.id, owner: creator }, before: null, after: { question: 'Lunch?', visibility: 'public' } },
+        { actor: voter, action: 'vote.cast', target: { type: 'poll', id: poll.id, owner: creator }, before: null, after: { selection: 0 } },
+        { actor: voter, action: 'vote.change', target: { type: 'poll', id: poll.id, owner: creator }, before: { selection: 0 }, after: { selection: 1 } },
+        { actor: voter, action: 'vote.retract', target: { type: 'poll', id: poll.id, owner: creator }, before: { selection: 1 }, after: null },
+        { actor: creator, action: 'poll.delete', target: { type: 'poll', id: poll.id, owner: creator }, before: { question: 'Lunch?', visibility: 'public' }, after: null }
+      ]);
+      expect(items[0]).toEqual(expect.objectContaining({ id: expect.any(String), timestamp: expect.any(String), requestId: 'request-2' }));
+      expect(items[items.length - 1].requestId).toBe('request-1');
+    });
+
+    it('should keep secret ballots out of the entries and away from the poll creator', async () => {
+      const poll = await pollService.createPoll({ question: 'Secret?', options: ['A', 'B'], creator, secretBallot: true });
+      await pollService.vote({ pollId: poll.id, username: voter, optionIndex: 1 });
+
+      const [vote] = (await auditService.listEntries({ target: poll.id }, voter)).items;
+      expect(vote).toMatchObject({ actor: voter, action: 'vote.cast', target: { type: 'poll', id: poll.id }, before: null, after: { secretBallot: true } });
+      expect(vote.target).not.toHaveProperty('owner');
+      expect((await auditService.listEntries({ target: poll.id }, creator)).items.map(entry => entry.action)).toEqual(['poll.create']);
+    });
+
+    it('should not let the log be changed', async () => {
+      const [entry] = (await auditService.listEntries({}, creator)).items;
+
+      await expect(auditStorage.update(entry.id, { ...entry, actor: voter })).rejects.toThrow('cannot be changed');
+      await expect(auditStorage.delete(entry.id)).rejects.toThrow('cannot be deleted');
+      await expect(auditStorage.applyBatch({ remove: [entry.id] })).rejects.toThrow('cannot be changed');
+    });
+  });
+
+  describe('listEntries', () => {
+    it('should only list the entries the requester made or that concern them', async () => {
+      await pollService.createPoll({ question: 'Mine?', options: ['A', 'B'], creator: voter });
+
+      expect((await auditService.listEntries({}, voter)).items.map(entry => entry.action)).toEqual(['poll.create', 'user.create']);
+      expect((await auditService.listEntries({ actor: voter }, creator)).items).toEqual([]);
+    });
+
+    it('should not show the entries of a deleted account to a new user of the same name', async () => {
+      await pollService.createPoll({ question: 'Mine?', options: ['A', 'B'], creator: voter });
+      await userService.deleteUser(voter);
+      await userService.createUser(voter, testPassword);
+
+      const { items } = await auditService.listEntries({}, voter);
+
+      expect(items.map(entry => entry.action)).toEqual(['user.create']);
+      expect((await auditStorage.getEntries({ actor: voter })).map(entry => entry.action)).toEqual(['user.create', 'poll.create', 'user.delete', 'user.create']);
+    });
+
+    it('should filter by actor, target and time range and page through the entries', async () => {
+      const first = await pollService.createPoll({ question: 'First?', options: ['A', 'B'], creator });
+      const second = await pollService.createPoll({ question: 'Second?', options: ['A', 'B'], creator });
+      await pollService.vote({ pollId: second.id, username: voter, optionIndex: 0 });
+
+      expect((await auditService.listEntries({ actor: voter }, creator)).items.map(entry => entry.target.id)).toEqual([second.id]);
+      expect((await auditService.listEntries({ target: first.id }, creator)).total).toBe(1);
+
+      const { items } = await auditService.listEntries({}, creator);
+      const cast = items[0];
+      expect((await auditService.listEntries({ from: cast.timestamp }, creator)).items.map(entry => entry.id)).toContain(cast.id);
+      expect((await auditService.listEntries({ to: cast.timestamp }, creator)).items.map(entry => entry.id)).not.toContain(cast.id);
+
+      const page = await auditService.listEntries({ limit: 2 }, creator);
+      expect(page).toEqual({ items: items.slice(0, 2), nextCursor: expect.any(String), total: 4 });
+      expect(await auditService.listEntries({ limit: 2, cursor: page.nextCursor }, creator)).toEqual({ items: items.slice(2), nextCursor: null, total: 4 });
+    });
+
+    it('should reject invalid filters', async () => {
+      await expect(auditService.listEntries({ from: 'yesterday' }, creator)).rejects.toMatchObject({ errors: [{ field: 'from', message: expect.any(String) }] });
+      await expect(auditService.listEntries({ from: '2030-01-02T00:00:00Z', to: '2030-01-01T00:00:00Z' }, creator)).rejects.toThrow(ValidationError);
+      await expect(auditService.listEntries({ limit: 0 }, creator)).rejects.toThrow(ValidationError);
+      await expect(auditService.listEntries({ cursor: 'nonsense' }, creator)).rejects.toMatchObject({ errors: [{ field: 'cursor', message: expect.any(String) }] });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * AuthService.test.js
+ *
+ * Unit tests for the AuthService class
+ */
+
+import { AuthService } from '../src/services/AuthService.js';
+import { UserService } from '../src/services/UserService.js';
+// Use JsonFile storage for tests, requires cleanup
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { JsonFileSessionStorage } from '../src/storage/JsonFileSessionStorage.js';
+import fs from 'fs/promises'; // Import fs for cleanup
+import path from 'path'; // Import path for cleanup
+import { fileURLToPath } from 'url'; // Import url for cleanup
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_authservice'); // Use separate test data dir
+
+describe('AuthService', () => {
+  let authService;
+  let userService;
+  let sessionStorage;
+  const testUser = 'testuser';
+  const testPassword = 'password123';
+
+  // Set up fresh instances and cleanup before each test
+  beforeEach(async () => {
+    // Clean up test data directory before each test
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+
+    userService = new UserService(new JsonFileUserStorage(testDataDir));
+    sessionStorage = new JsonFileSessionStorage(testDataDir);
+    authService = new AuthService(userService, sessionStorage);
+
+    await userService.createUser(testUser, testPassword);
+  });
+
+  // Clean up test data directory after all tests
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('login', () => {
+    it('should issue a token for valid credentials', async () => {
+      const session = await authService.login(testUser, testPassword);
+
+      expect(typeof session.token).toBe('string');
+      expect(session.user).toMatchObject({ id: testUser, username: testUser, lastActiveAt: expect.any(String) });
+      expect(session.user.passwordHash).toBeUndefined();
+      expect(Date.parse(session.expiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    it('should not store the raw token', async () => {
+      const { token } = await authService.login(testUser, testPassword);
+
+      const sessions = await sessionStorage.getAll();
+      expect(sessions).toHaveLength(1);
+      expect(JSON.stringify(sessions)).not.toContain(token);
+    });
+
+    it('should reject a wrong password', async () => {
+      await expect(authService.login(testUser, 'wrongpassword'))
+        .rejects.toThrow('Invalid username or password');
+    });
+
+    it('should reject a non-existent user', async () => {
+      await expect(authService.login('nonexistentuser', testPassword))
+        .rejects.toThrow('Invalid username or password');
+    });
+  });
+
+  describe('setUpPassword', () => {
+    it('should set the first password of a user without one and log them in', async () => {
+      await userService.userStorage.createUser('legacyuser');
+      await expect(authService.login('legacyuser', testPassword)).rejects.toMatchObject({ code: 'invalid_credentials' });
+      const [{ code }] = await userService.issuePasswordSetupCodes();
+
+      const session = await authService.setUpPassword('legacyuser', code, testPassword);
+
+      expect(await authService.getUserForToken(session.token)).toMatchObject({ username: 'legacyuser' });
+      expect((await authService.login('legacyuser', testPassword)).user.username).toBe('legacyuser');
+      await expect(authService.setUpPassword(testUser, code, testPassword)).rejects.toMatchObject({ code: 'invalid_setup_code' });
+    });
+  });
+
+  describe('getUserForToken', () => {
+    it('should resolve a valid token to its user', async () => {
+      const { token } = await authService.login(testUser, testPassword);
+
+      const user = await authService.getUserForToken(token);
+
+      expect(user).toMatchObject({ id: testUser, username: testUser });
+      expect(user.passwordHash).toBeUndefined();
+    });
+
+    it('should return null for an unknown token', async () => {
+      const user = await authService.getUserForToken('not-a-real-token');
+
+      expect(user).toBeNull();
+    });
+
+    it('should return null and remove the session once it has expired', async () => {
+      const shortLived = new AuthService(userService, sessionStorage, { sessionTtlMs: -1 });
+      const { token } = await shortLived.login(testUser, testPassword);
+
+      const user = await shortLived.getUserForToken(token);
+
+      expect(user).toBeNull();
+      expect(await sessionStorage.getAll()).toEqual([]);
+    });
+  });
+
+  describe('logout', () => {
+    it('should invalidate the token', async () => {
+      const { token } = await authService.login(testUser, testPassword);
+
+      const removed = await authService.logout(token);
+
+      expect(removed).toBe(true);
+      expect(await authService.getUserForToken(token)).toBeNull();
+    });
+  });
+});
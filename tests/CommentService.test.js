@@ -0,0 +1,150 @@
+/**
+ * CommentService.test.js
+ *
+ * Unit tests for the CommentService class
+ */
+
+import { jest } from '@jest/globals';
+import { CommentService, MAX_COMMENT_LENGTH } from '../src/services/CommentService.js';
+import { PollService } from '../src/services/PollService.js';
+import { UserService, ANONYMOUS_VOTER_PREFIX } from '../src/services/UserService.js';
+// Use JsonFile storage for tests, requires cleanup
+import { JsonFileCommentStorage } from '../src/storage/JsonFileCommentStorage.js';
+import { JsonFilePollStorage } from '../src/storage/JsonFilePollStorage.js';
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { ValidationError, ForbiddenError, NotFoundError } from '../src/errors.js';
+import fs from 'fs/promises'; // Import fs for cleanup
+import path from 'path'; // Import path for cleanup
+import { fileURLToPath } from 'url'; // Import url for cleanup
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_commentservice'); // Use separate test data dir
+
+describe('CommentService', () => {
+  let commentService;
+  let pollService;
+  let userService;
+  let poll;
+  const creator = 'creator';
+  const commenter = 'commenter';
+  const testPassword = 'password123';
+
+  // Set up fresh instances, two users and a poll before each test
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+
+    userService = new UserService(new JsonFileUserStorage(testDataDir));
+    pollService = new PollService(new JsonFilePollStorage(testDataDir), userService);
+    commentService = new CommentService(new JsonFileCommentStorage(testDataDir), pollService, userService);
+
+    await userService.createUser(creator, testPassword);
+    await userService.createUser(commenter, testPassword);
+    poll = await pollService.createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi'], creator });
+  });
+
+  // Clean up test data directory after all tests
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('addComment and listComments', () => {
+    it('should nest replies below the comments they answer', async () => {
+      const first = await commentService.addComment({ pollId: poll.id, author: commenter, body: ' Sushi is pricey ' });
+      const second = await commentService.addComment({ pollId: poll.id, author: creator, body: 'Pizza again?' });
+      const reply = await commentService.addComment({ pollId: poll.id, author: creator, body: 'There is a deal on Fridays', parentId: first.id });
+      const nested = await commentService.addComment({ pollId: poll.id, author: commenter, body: 'Friday it is', parentId: reply.id });
+
+      expect(first).toEqual({
+        id: expect.any(String), pollId: poll.id, parentId: null, author: commenter, body: 'Sushi is pricey', createdAt: expect.any(String), editedAt: null
+      });
+      const threads = await commentService.listComments(poll.id);
+      expect(threads.map(comment => comment.id)).toEqual([first.id, second.id]);
+      expect(threads[0].replies).toEqual([{ ...reply, replies: [{ ...nested, replies: [] }] }]);
+      expect(threads[1].replies).toEqual([]);
+    });
+
+    it('should reject invalid comments', async () => {
+      const otherPoll = await pollService.createPoll({ question: 'Dinner?', options: ['Yes', 'No'], creator });
+      const elsewhere = await commentService.addComment({ pollId: otherPoll.id, author: creator, body: 'Elsewhere' });
+
+      await expect(commentService.addComment({ pollId: poll.id, author: commenter, body: '  ' })).rejects.toMatchObject({ errors: [{ field: 'body', message: expect.any(String) }] });
+      await expect(commentService.addComment({ pollId: poll.id, author: commenter, body: 'x'.repeat(MAX_COMMENT_LENGTH + 1) })).rejects.toThrow(ValidationError);
+      await expect(commentService.addComment({ pollId: poll.id, author: commenter, body: 'Hi', parentId: elsewhere.id })).rejects.toMatchObject({ errors: [{ field: 'parentId', message: expect.any(String) }] });
+      await expect(commentService.addComment({ pollId: 'missing', author: commenter, body: 'Hi' })).rejects.toMatchObject({ code: 'poll_not_found' });
+    });
+
+    it('should follow the visibility of the poll', async () => {
+      const privatePoll = await pollService.createPoll({ question: 'Secret?', options: ['A', 'B'], creator, visibility: 'private' });
+
+      await expect(commentService.addComment({ pollId: privatePoll.id, author: commenter, body: 'Hi' })).rejects.toThrow(NotFoundError);
+      await expect(commentService.listComments(privatePoll.id, commenter)).rejects.toMatchObject({ code: 'poll_not_found' });
+      expect(await commentService.listComments(privatePoll.id, creator)).toEqual([]);
+    });
+  });
+
+  describe('editComment and deleteComment', () => {
+    let comment;
+    let reply;
+
+    beforeEach(async () => {
+      comment = await commentService.addComment({ pollId: poll.id, author: commenter, body: 'Sushi!' });
+      reply = await commentService.addComment({ pollId: poll.id, author: creator, body: 'Why?', parentId: comment.id });
+    });
+
+    it('should let only the author edit a comment', async () => {
+      await expect(commentService.editComment(poll.id, comment.id, creator, 'Pizza!')).rejects.toMatchObject({ code: 'not_comment_author' });
+      await expect(commentService.editComment(poll.id, 'missing', commenter, 'Pizza!')).rejects.toMatchObject({ code: 'comment_not_found' });
+
+      const edited = await commentService.editComment(poll.id, comment.id, commenter, 'Sushi, please!');
+      expect(edited).toMatchObject({ body: 'Sushi, please!', editedAt: expect.any(String) });
+    });
+
+    it('should let the author and the poll creator delete a comment with its replies', async () => {
+      await expect(commentService.deleteComment(poll.id, reply.id, commenter)).rejects.toThrow(ForbiddenError);
+
+      expect(await commentService.deleteComment(poll.id, comment.id, creator)).toBe(2);
+      expect(await commentService.listComments(poll.id)).toEqual([]);
+
+      const own = await commentService.addComment({ pollId: poll.id, author: commenter, body: 'Again' });
+      expect(await commentService.deleteComment(poll.id, own.id, commenter)).toBe(1);
+      await expect(commentService.deleteComment(poll.id, own.id, commenter)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('removeCommentsOfPoll', () => {
+    it('should remove the comments when the poll is deleted', async () => {
+      await commentService.addComment({ pollId: poll.id, author: commenter, body: 'Sushi!' });
+      const removal = jest.spyOn(commentService, 'removeCommentsOfPoll');
+
+      await pollService.deletePoll(poll.id, creator);
+
+      expect(removal).toHaveBeenCalledWith(poll.id);
+      expect(await removal.mock.results[0].value).toBe(1);
+      expect(await commentService.commentStorage.getAll()).toEqual([]);
+    });
+  });
+
+  describe('anonymizeCommentsOfUser', () => {
+    it('should anonymize the comments of a deleted user and keep the replies of others', async () => {
+      const first = await commentService.addComment({ pollId: poll.id, author: commenter, body: 'Sushi!' });
+      await commentService.addComment({ pollId: poll.id, author: creator, body: 'Why?', parentId: first.id });
+      await commentService.addComment({ pollId: poll.id, author: commenter, body: 'Fresh fish.' });
+      const anonymization = jest.spyOn(commentService, 'anonymizeCommentsOfUser');
+
+      await userService.deleteUser(commenter);
+
+      expect(await anonymization.mock.results[0].value).toBe(2);
+      const [thread, other] = await commentService.listComments(poll.id);
+      expect(thread.author).toMatch(new RegExp(`^${ANONYMOUS_VOTER_PREFIX}`));
+      expect(other.author).toMatch(new RegExp(`^${ANONYMOUS_VOTER_PREFIX}`));
+      expect(other.author).not.toBe(thread.author);
+      expect(thread.replies).toEqual([expect.objectContaining({ author: creator, body: 'Why?' })]);
+
+      // Whoever takes the name next cannot edit the old comments
+      await userService.createUser(commenter, testPassword);
+      await expect(commentService.editComment(poll.id, first.id, commenter, 'Mine now')).rejects.toMatchObject({ code: 'not_comment_author' });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * GroupService.test.js
+ *
+ * Unit tests for the GroupService class
+ */
+
+import { GroupService, MAX_GROUP_NAME_LENGTH } from '../src/services/GroupService.js';
+import { UserService } from '../src/services/UserService.js';
+// Use JsonFile storage for tests, requires cleanup
+import { JsonFileGroupStorage } from '../src/storage/JsonFileGroupStorage.js';
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../src/errors.js';
+import fs from 'fs/promises'; // Import fs for cleanup
+import path from 'path'; // Import path for cleanup
+import { fileURLToPath } from 'url'; // Import url for cleanup
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_groupservice'); // Use separate test data dir
+
+describe('GroupService', () => {
+  let groupService;
+  let userService;
+  const owner = 'owner';
+  const testPassword = 'password123';
+
+  // Set up fresh instances with three users before each test
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+
+    userService = new UserService(new JsonFileUserStorage(testDataDir));
+    groupService = new GroupService(new JsonFileGroupStorage(testDataDir), userService);
+
+    await userService.createUser(owner, testPassword);
+    await userService.createUser('alice', testPassword);
+    await userService.createUser('bob', testPassword);
+  });
+
+  // Clean up test data directory after all tests
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('createGroup', () => {
+    it('should create a group with the creator as owner and first member', async () => {
+      const group = await groupService.createGroup({ name: ' Team ', creator: owner, members: ['alice', owner, 'alice'] });
+
+      expect(group).toEqual({
+        id: expect.any(String),
+        name: 'Team',
+        description: null,
+        createdBy: owner,
+        members: [owner, 'alice'],
+        createdAt: expect.any(String)
+      });
+      expect(await groupService.getGroup(group.id)).toEqual(group);
+    });
+
+    it('should reject invalid group data', async () => {
+      await expect(groupService.createGroup({ name: '', creator: owner })).rejects.toMatchObject({ errors: [{ field: 'name', message: expect.any(String) }] });
+      await expect(groupService.createGroup({ name: 'x'.repeat(MAX_GROUP_NAME_LENGTH + 1), creator: owner })).rejects.toThrow(ValidationError);
+      await expect(groupService.createGroup({ name: 'Team', creator: 'ghost' })).rejects.toMatchObject({ errors: [{ field: 'creator', message: expect.any(String) }] });
+      await expect(groupService.createGroup({ name: 'Team', creator: owner, members: ['ghost'] })).rejects.toMatchObject({ errors: [{ field: 'members', message: expect.any(String) }] });
+    });
+  });
+
+  describe('getGroup and getGroupsOfUser', () => {
+    it('should throw NotFoundError for a missing group', async () => {
+      await expect(groupService.getGroup('missing')).rejects.toThrow(NotFoundError);
+      await expect(groupService.getGroup('missing')).rejects.toMatchObject({ code: 'group_not_found' });
+    });
+
+    it('should list the groups of a member by name', async () => {
+      const zeta = await groupService.createGroup({ name: 'Zeta', creator: owner, members: ['alice'] });
+      const alpha = await groupService.createGroup({ name: 'Alpha', creator: 'alice' });
+      await groupService.createGroup({ name: 'Other', creator: 'bob' });
+
+      expect((await groupService.getGroupsOfUser('alice')).map(group => group.id)).toEqual([alpha.id, zeta.id]);
+      expect(await groupService.getGroupsOfUser(owner)).toHaveLength(1);
+      await expect(groupService.getGroupsOfUser('ghost')).rejects.toMatchObject({ code: 'user_not_found' });
+    });
+  });
+
+  describe('addMembers and removeMember', () => {
+    let group;
+
+    beforeEach(async () => {
+      group = await groupService.createGroup({ name: 'Team', creator: owner });
+    });
+
+    it('should let only the owner add members', async () => {
+      await expect(groupService.addMembers(group.id, 'alice', ['alice'])).rejects.toThrow(ForbiddenError);
+      await expect(groupService.addMembers(group.id, owner, ['ghost'])).rejects.toMatchObject({ errors: [{ field: 'usernames', message: expect.any(String) }] });
+
+      const updated = await groupService.addMembers(group.id, owner, ['bob', 'alice', 'bob']);
+      expect(updated.members).toEqual([owner, 'bob', 'alice']);
+      expect(await groupService.isMember(group.id, 'alice')).toBe(true);
+    });
+
+    it('should let the owner remove members and members leave', async () => {
+      await groupService.addMembers(group.id, owner, ['alice', 'bob']);
+
+      await expect(groupService.removeMember(group.id, 'alice', 'bob')).rejects.toMatchObject({ code: 'not_group_owner' });
+      expect((await groupService.removeMember(group.id, owner, 'bob')).members).toEqual([owner, 'alice']);
+      expect((await groupService.removeMember(group.id, 'alice', 'alice')).members).toEqual([owner]);
+      await expect(groupService.removeMember(group.id, owner, 'alice')).rejects.toMatchObject({ code: 'member_not_found' });
+      await expect(groupService.removeMember(group.id, owner, owner)).rejects.toThrow(ConflictError);
+      expect(await groupService.isMember(group.id, 'alice')).toBe(false);
+    });
+  });
+
+  describe('removeUserFromGroups', () => {
+    it('should pass owned groups to the next member and delete empty ones', async () => {
+      const shared = await groupService.createGroup({ name: 'Shared', creator: owner, members: ['alice', 'bob'] });
+      const alone = await groupService.createGroup({ name: 'Alone', creator: owner });
+      const joined = await groupService.createGroup({ name: 'Joined', creator: 'bob', members: [owner] });
+
+      const { groupsDeleted, groupsLeft, changes } = await groupService.removeUserFromGroups(owner);
+
+      expect({ groupsDeleted, groupsLeft }).toEqual({ groupsDeleted: 1, groupsLeft: 2 });
+      expect(await groupService.getGroup(shared.id)).toMatchObject({ createdBy: 'alice', members: ['alice', 'bob'] });
+      expect(await groupService.getGroup(joined.id)).toMatchObject({ createdBy: 'bob', members: ['bob'] });
+      await expect(groupService.getGroup(alone.id)).rejects.toThrow(NotFoundError);
+
+      await groupService.restoreGroups(changes);
+      expect(await groupService.getGroupsOfUser(owner)).toHaveLength(3);
+      expect(await groupService.getGroup(shared.id)).toMatchObject({ createdBy: owner, members: [owner, 'alice', 'bob'] });
+      expect(await groupService.getGroup(joined.id)).toMatchObject({ createdBy: 'bob', members: ['bob', owner] });
+    });
+
+    it('should keep changes made to the groups after the removal when restoring', async () => {
+      const shared = await groupService.createGroup({ name: 'Shared', creator: owner, members: ['alice', 'bob'] });
+      const joined = await groupService.createGroup({ name: 'Joined', creator: 'bob', members: [owner] });
+      const { changes } = await groupService.removeUserFromGroups(owner);
+
+      await groupService.removeMember(shared.id, 'alice', 'bob');
+      await groupService.addMembers(joined.id, 'bob', ['alice']);
+      await groupService.restoreGroups(changes);
+
+      expect(await groupService.getGroup(shared.id)).toMatchObject({ createdBy: owner, members: [owner, 'alice'] });
+      expect(await groupService.getGroup(joined.id)).toMatchObject({ createdBy: 'bob', members: ['bob', owner, 'alice'] });
+    });
+  });
+});
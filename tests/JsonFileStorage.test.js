@@ -0,0 +1,172 @@
+/**
+ * JsonFileStorage.test.js
+ *
+ * Unit tests for the crash-safe writes, backups and corruption recovery of JsonFileStorage
+ */
+
+import { jest } from '@jest/globals';
+import { JsonFileStorage } from '../src/storage/JsonFileStorage.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_jsonfilestorage');
+const filePath = path.join(testDataDir, 'items.json');
+
+const readFile = async file => JSON.parse(await fs.readFile(file, 'utf8'));
+
+describe('JsonFileStorage', () => {
+  let storage;
+
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+    storage = new JsonFileStorage(testDataDir, 'items', { backupCount: 2 });
+  });
+
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('writes', () => {
+    it('should persist every one of many concurrent writes', async () => {
+      await Promise.all(Array.from({ length: 20 }, (_, index) => storage.create(`item${index}`, { index })));
+
+      const saved = await readFile(filePath);
+      expect(saved).toHaveLength(20);
+      expect(await fs.readdir(testDataDir)).not.toContainEqual(expect.stringMatching(/\.tmp$/));
+    });
+
+    it('should serialize writes of separate instances sharing a file', async () => {
+      const other = new JsonFileStorage(testDataDir, 'items');
+      await storage.initialize();
+      await other.initialize();
+
+      await Promise.all([storage.create('a', {}), other.create('b', {})]);
+
+      // Each instance writes its own cache, so the later write wins as a whole file, never a mix of both
+      const saved = await readFile(filePath);
+      expect([['a'], ['b']]).toContainEqual(saved.map(item => item.id));
+    });
+
+    it('should keep the previous versions as rotating backups', async () => {
+      await storage.create('first', {});
+      await storage.create('second', {});
+      await storage.create('third', {});
+
+      expect((await readFile(`${filePath}.bak.1`)).map(item => item.id)).toEqual(['first', 'second']);
+      expect((await readFile(`${filePath}.bak.2`)).map(item => item.id)).toEqual(['first']);
+      await expect(fs.access(`${filePath}.bak.3`)).rejects.toThrow();
+    });
+
+    it('should apply a batch with a single write', async () => {
+      await storage.create('kept', { value: 1 });
+      await storage.create('removed', {});
+
+      await storage.applyBatch({ put: [{ id: 'kept', data: { value: 2 } }, { id: 'added', data: {} }], remove: ['removed', 'missing'] });
+
+      expect(await readFile(filePath)).toEqual([{ id: 'kept', value: 2 }, { id: 'added' }]);
+      expect((await readFile(`${filePath}.bak.1`)).map(item => item.id)).toEqual(['kept', 'removed']);
+    });
+
+    it('should compute a batch from the entities as they are when it is written', async () => {
+      await storage.create('counter', { value: 1 });
+
+      await Promise.all([1, 2, 3].map(() => storage.applyBatch(items => ({
+        put: items.map(({ id, value }) => ({ id, data: { value: value + 1 } }))
+      }))));
+
+      expect(await readFile(filePath)).toEqual([{ id: 'counter', value: 4 }]);
+    });
+
+    it('should change nothing when the write of a batch fails', async () => {
+      await storage.create('kept', { value: 1 });
+      jest.spyOn(storage, '_writeAtomically').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(storage.applyBatch({ put: [{ id: 'kept', data: { value: 2 } }], remove: [] })).rejects.toThrow('disk full');
+
+      expect(await storage.getAll()).toEqual([{ id: 'kept', value: 1 }]);
+      expect(await readFile(filePath)).toEqual([{ id: 'kept', value: 1 }]);
+    });
+
+    it('should undo only its own writes when the save of a batch fails', async () => {
+      await storage.create('kept', { value: 1 });
+      await storage.create('changed', { value: 1 });
+      await storage.create('removed', {});
+      jest.spyOn(storage, '_saveToFile').mockImplementationOnce(async () => {
+        // Other operations finish while the batch is being saved
+        await storage.create('other', {});
+        await storage.update('changed', { value: 3 });
+        throw new Error('disk full');
+      });
+
+      await expect(storage.applyBatch({
+        put: [{ id: 'kept', data: { value: 2 } }, { id: 'changed', data: { value: 2 } }, { id: 'added', data: {} }],
+        remove: ['removed']
+      })).rejects.toThrow('disk full');
+
+      const expected = [{ id: 'kept', value: 1 }, { id: 'changed', value: 3 }, { id: 'other' }, { id: 'removed' }];
+      expect(await storage.getAll()).toEqual(expected);
+      await storage.update('kept', { value: 1 });
+      expect(await readFile(filePath)).toEqual(expected);
+    });
+
+    it('should roll back the cache when the write of a create, update or delete fails', async () => {
+      await storage.create('kept', { value: 1 });
+      jest.spyOn(storage, '_writeAtomically').mockRejectedValue(new Error('disk full'));
+
+      await expect(storage.create('added', {})).rejects.toThrow('disk full');
+      await expect(storage.update('kept', { value: 2 })).rejects.toThrow('disk full');
+      await expect(storage.delete('kept')).rejects.toThrow('disk full');
+
+      expect(await storage.getAll()).toEqual([{ id: 'kept', value: 1 }]);
+      expect(await readFile(filePath)).toEqual([{ id: 'kept', value: 1 }]);
+    });
+  });
+
+  describe('corruption recovery', () => {
+    it('should restore the latest good backup when the file is corrupt', async () => {
+      await storage.create('first', {});
+      await storage.create('second', {});
+      await storage.create('third', {});
+      await fs.writeFile(filePath, '[{"id": "first"');
+      await fs.writeFile(`${filePath}.bak.1`, 'not json');
+
+      const restarted = new JsonFileStorage(testDataDir, 'items', { backupCount: 2 });
+      const items = await restarted.getAll();
+
+      // .bak.1 is unreadable too, so the older .bak.2 is used
+      expect(items.map(item => item.id)).toEqual(['first']);
+      expect((await readFile(filePath)).map(item => item.id)).toEqual(['first']);
+      const files = await fs.readdir(testDataDir);
+      expect(files).toContainEqual(expect.stringMatching(/^items\.json\.corrupt-\d+$/));
+    });
+
+    it('should refuse to start and write nothing when the file is missing but backups exist', async () => {
+      await storage.create('first', {});
+      await storage.create('second', {});
+      await fs.rm(filePath);
+
+      const restarted = new JsonFileStorage(testDataDir, 'items');
+      await expect(restarted.initialize()).rejects.toThrow('is missing');
+      expect(await fs.readdir(testDataDir)).not.toContain('items.json');
+      expect(await readFile(`${filePath}.bak.1`)).toEqual([{ id: 'first' }]);
+    });
+
+    it('should start empty when neither the file nor a backup exists', async () => {
+      expect(await storage.getAll()).toEqual([]);
+      expect(await readFile(filePath)).toEqual([]);
+    });
+
+    it('should refuse to start and leave the file untouched when no backup is valid', async () => {
+      await fs.writeFile(filePath, '{"id": "not an array"}');
+
+      await expect(storage.initialize()).rejects.toThrow('is corrupt');
+      expect(await fs.readFile(filePath, 'utf8')).toBe('{"id": "not an array"}');
+      await expect(storage.create('item', {})).rejects.toThrow('is corrupt');
+      expect(await fs.readFile(filePath, 'utf8')).toBe('{"id": "not an array"}');
+    });
+  });
+});
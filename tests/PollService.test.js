@@ -4,11 +4,15 @@
  * Unit tests for the PollService class
  */
 
-import { PollService } from '../src/services/PollService.js';
-import { UserService } from '../src/services/UserService.js';
+import { jest } from '@jest/globals';
+import { PollService, MAX_IMPORT_ROWS } from '../src/services/PollService.js';
+import { UserService, ANONYMOUS_VOTER_PREFIX } from '../src/services/UserService.js';
+import { GroupService } from '../src/services/GroupService.js';
 // Use JsonFile storage for tests, requires cleanup
 import { JsonFilePollStorage } from '../src/storage/JsonFilePollStorage.js'; 
 import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { JsonFileGroupStorage } from '../src/storage/JsonFileGroupStorage.js';
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../src/errors.js';
 import fs from 'fs/promises'; // Import fs for cleanup
 import path from 'path'; // Import path for cleanup
 import { fileURLToPath } from 'url'; // Import url for cleanup
@@ -21,9 +25,11 @@ const testDataDir = path.join(__dirname, 'test_data_pollservice'); // Use separa
 describe('PollService', () => {
   let pollService;
   let userService;
+  let groupService;
   let pollStorage;
   let userStorage;
   const testCreator = 'testuser';
+  const testPassword = 'password123';
   const testPollData = {
     question: 'Test question?',
     options: ['Option 1', 'Option 2', 'Option 3'],
@@ -40,10 +46,11 @@ describe('PollService', () => {
     pollStorage = new JsonFilePollStorage(testDataDir); 
     userStorage = new JsonFileUserStorage(testDataDir);
     userService = new UserService(userStorage);
-    pollService = new PollService(pollStorage, userService);
+    groupService = new GroupService(new JsonFileGroupStorage(testDataDir), userService);
+    pollService = new PollService(pollStorage, userService, groupService);
     
     // Create a test user for all tests to use
-    await userService.createUser(testCreator);
+    await userService.createUser(testCreator, testPassword);
   });
 
   // Clean up test data directory after all tests
@@ -101,7 +108,7 @@ describe('PollService', () => {
       
       // Create a voter
       voter = 'testvoter';
-      await userService.createUser(voter);
+      await userService.createUser(voter, testPassword);
     });
 
     it('should record a valid vote', async () => {
@@ -144,6 +151,307 @@ describe('PollService', () => {
     });
   });
 
+  describe('changeVote and retractVote', () => {
+    let pollId;
+    const voter = 'testvoter';
+
+    beforeEach(async () => {
+      const poll = await pollService.createPoll(testPollData);
+      pollId = poll.id;
+      await userService.createUser(voter, testPassword);
+      await pollService.vote({ pollId, username: voter, optionIndex: 0 });
+    });
+
+    it('should default to allowing vote changes', async () => {
+      const poll = await pollService.getPoll(pollId);
+
+      expect(poll.allowVoteChanges).toBe(true);
+    });
+
+    it('should change an existing vote', async () => {
+      const updatedPoll = await pollService.changeVote({ pollId, username: voter, optionIndex: 2 });
+
+      expect(updatedPoll.votes[voter]).toBe(2);
+    });
+
+    it('should reject changing a vote to an invalid option index', async () => {
+      await expect(pollService.changeVote({ pollId, username: voter, optionIndex: 5 }))
+        .rejects.toThrow('Invalid option index');
+    });
+
+    it('should reject changing a vote the user never cast', async () => {
+      await expect(pollService.changeVote({ pollId, username: testCreator, optionIndex: 1 }))
+        .rejects.toThrow('has not voted');
+    });
+
+    it('should retract a vote and allow voting again', async () => {
+      const updatedPoll = await pollService.retractVote(pollId, voter);
+      expect(updatedPoll.votes).not.toHaveProperty(voter);
+
+      const revotedPoll = await pollService.vote({ pollId, username: voter, optionIndex: 1 });
+      expect(revotedPoll.votes[voter]).toBe(1);
+    });
+
+    it('should reject retracting a vote the user never cast', async () => {
+      await expect(pollService.retractVote(pollId, testCreator))
+        .rejects.toThrow('has not voted');
+    });
+
+    it('should reject changes and retractions when the creator locked votes', async () => {
+      const lockedPoll = await pollService.createPoll({ ...testPollData, allowVoteChanges: false });
+      await pollService.vote({ pollId: lockedPoll.id, username: voter, optionIndex: 0 });
+
+      await expect(pollService.changeVote({ pollId: lockedPoll.id, username: voter, optionIndex: 1 }))
+        .rejects.toThrow('Vote changes are not allowed');
+      await expect(pollService.retractVote(lockedPoll.id, voter))
+        .rejects.toThrow('Vote changes are not allowed');
+    });
+
+    it('should reject a non-boolean allowVoteChanges setting', async () => {
+      await expect(pollService.createPoll({ ...testPollData, allowVoteChanges: 'no' }))
+        .rejects.toThrow('allowVoteChanges must be a boolean');
+    });
+  });
+
+  describe('multiple-choice polls', () => {
+    let pollId;
+    const voter = 'testvoter';
+    const multiPollData = {
+      ...testPollData,
+      options: ['A', 'B', 'C', 'D'],
+      minSelections: 1,
+      maxSelections: 3
+    };
+
+    beforeEach(async () => {
+      const poll = await pollService.createPoll(multiPollData);
+      pollId = poll.id;
+      await userService.createUser(voter, testPassword);
+    });
+
+    it('should default to a single-choice poll', async () => {
+      const poll = await pollService.createPoll(testPollData);
+
+      expect(poll.minSelections).toBe(1);
+      expect(poll.maxSelections).toBe(1);
+    });
+
+    it('should reject invalid selection limits', async () => {
+      await expect(pollService.createPoll({ ...multiPollData, minSelections: 0 }))
+        .rejects.toThrow('Selection limits must satisfy');
+      await expect(pollService.createPoll({ ...multiPollData, minSelections: 3, maxSelections: 2 }))
+        .rejects.toThrow('Selection limits must satisfy');
+      await expect(pollService.createPoll({ ...multiPollData, maxSelections: 5 }))
+        .rejects.toThrow('Selection limits must satisfy');
+      await expect(pollService.createPoll({ ...multiPollData, maxSelections: 1.5 }))
+        .rejects.toThrow('must be integers');
+    });
+
+    it('should record a multiple-choice vote as a sorted array of indices', async () => {
+      const updatedPoll = await pollService.vote({ pollId, username: voter, optionIndices: [3, 0] });
+
+      expect(updatedPoll.votes[voter]).toEqual([0, 3]);
+    });
+
+    it('should reject more selections than allowed', async () => {
+      await expect(pollService.vote({ pollId, username: voter, optionIndices: [0, 1, 2, 3] }))
+        .rejects.toThrow('Invalid number of selections');
+    });
+
+    it('should reject fewer selections than required', async () => {
+      const strictPoll = await pollService.createPoll({ ...multiPollData, minSelections: 2 });
+
+      await expect(pollService.vote({ pollId: strictPoll.id, username: voter, optionIndices: [1] }))
+        .rejects.toThrow('Invalid number of selections');
+    });
+
+    it('should reject repeated option indices', async () => {
+      await expect(pollService.vote({ pollId, username: voter, optionIndices: [1, 1] }))
+        .rejects.toThrow('must be unique');
+    });
+
+    it('should reject out-of-range option indices', async () => {
+      await expect(pollService.vote({ pollId, username: voter, optionIndices: [0, 4] }))
+        .rejects.toThrow('Invalid option index');
+    });
+
+    it('should count each selection and the number of voters in the results', async () => {
+      await pollService.vote({ pollId, username: voter, optionIndices: [0, 1, 2] });
+      await pollService.vote({ pollId, username: testCreator, optionIndices: [1] });
+
+      const results = await pollService.getPollResults(pollId);
+
+      expect(results.totalVotes).toBe(4);
+      expect(results.totalVoters).toBe(2);
+      expect(results.results.map(r => r.votes)).toEqual([1, 2, 1, 0]);
+    });
+
+    it('should change a multiple-choice vote', async () => {
+      await pollService.vote({ pollId, username: voter, optionIndices: [0] });
+
+      const updatedPoll = await pollService.changeVote({ pollId, username: voter, optionIndices: [2, 3] });
+
+      expect(updatedPoll.votes[voter]).toEqual([2, 3]);
+    });
+  });
+
+  describe('ranked polls', () => {
+    let pollId;
+    const voters = ['voter1', 'voter2', 'voter3'];
+    const rankedPollData = { ...testPollData, type: 'ranked' };
+
+    beforeEach(async () => {
+      const poll = await pollService.createPoll(rankedPollData);
+      pollId = poll.id;
+      for (const voter of voters) {
+        await userService.createUser(voter, testPassword);
+      }
+    });
+
+    it('should create a ranked poll with instant-runoff as the default tally method', async () => {
+      const poll = await pollService.getPoll(pollId);
+
+      expect(poll.type).toBe('ranked');
+      expect(poll.tallyMethod).toBe('irv');
+    });
+
+    it('should reject invalid ranked poll settings', async () => {
+      await expect(pollService.createPoll({ ...rankedPollData, tallyMethod: 'plurality' }))
+        .rejects.toThrow('Invalid tally method');
+      await expect(pollService.createPoll({ ...rankedPollData, maxSelections: 2 }))
+        .rejects.toThrow('Selection limits do not apply to ranked polls');
+      await expect(pollService.createPoll({ ...testPollData, tallyMethod: 'borda' }))
+        .rejects.toThrow('Tally methods only apply to ranked polls');
+      await expect(pollService.createPoll({ ...testPollData, type: 'approval' }))
+        .rejects.toThrow('Poll type must be one of');
+    });
+
+    it('should store a ranking in preference order', async () => {
+      const updatedPoll = await pollService.vote({ pollId, username: voters[0], ranking: [2, 0] });
+
+      expect(updatedPoll.votes[voters[0]]).toEqual([2, 0]);
+    });
+
+    it('should reject rankings that repeat an option', async () => {
+      await expect(pollService.vote({ pollId, username: voters[0], ranking: [1, 1] }))
+        .rejects.toThrow('must be unique');
+    });
+
+    it('should tally with the poll method and allow overriding it', async () => {
+      await pollService.vote({ pollId, username: voters[0], ranking: [0, 1, 2] });
+      await pollService.vote({ pollId, username: voters[1], ranking: [1, 0, 2] });
+      await pollService.vote({ pollId, username: voters[2], ranking: [2, 1, 0] });
+
+      const irv = await pollService.getPollResults(pollId);
+      expect(irv.tallyMethod).toBe('irv');
+      expect(irv.totalVoters).toBe(3);
+      expect(irv.rounds.length).toBeGreaterThan(0);
+
+      const borda = await pollService.getPollResults(pollId, { method: 'borda' });
+      expect(borda.tallyMethod).toBe('borda');
+      expect(borda.winners).toEqual(['Option 2']);
+
+      const schulze = await pollService.getPollResults(pollId, { method: 'schulze' });
+      expect(schulze.condorcetWinner).toBe('Option 2');
+    });
+
+    it('should reject a tally method for a standard poll', async () => {
+      const standardPoll = await pollService.createPoll(testPollData);
+
+      await expect(pollService.getPollResults(standardPoll.id, { method: 'borda' }))
+        .rejects.toThrow('tally method');
+    });
+  });
+
+  describe('scheduling and closing', () => {
+    const voter = 'voter1';
+    const hourMs = 60 * 60 * 1000;
+    const inAnHour = () => new Date(Date.now() + hourMs).toISOString();
+    const anHourAgo = () => new Date(Date.now() - hourMs).toISOString();
+
+    beforeEach(async () => {
+      await userService.createUser(voter, testPassword);
+    });
+
+    it('should compute the status from the voting window', async () => {
+      const openPoll = await pollService.createPoll(testPollData);
+      const scheduledPoll = await pollService.createPoll({ ...testPollData, opensAt: inAnHour() });
+
+      expect(openPoll.status).toBe('open');
+      expect(openPoll.closedAt).toBeNull();
+      expect(scheduledPoll.status).toBe('scheduled');
+
+      // Simulate a closing time that has passed since creation
+      await pollStorage.update(openPoll.id, { ...openPoll, closesAt: anHourAgo() });
+      expect((await pollService.getPoll(openPoll.id)).status).toBe('closed');
+    });
+
+    it('should announce polls once their closing time has passed', async () => {
+      const closed = [];
+      pollService.events.on('pollClosed', ({ pollId }) => closed.push(pollId));
+      const scheduled = await pollService.createPoll({ ...testPollData, closesAt: inAnHour() });
+      const closedEarly = await pollService.createPoll({ ...testPollData, closesAt: inAnHour() });
+      const later = await pollService.createPoll({ ...testPollData, closesAt: new Date(Date.now() + 3 * hourMs).toISOString() });
+      await pollService.closePoll(closedEarly.id, testCreator);
+
+      expect(await pollService.announceScheduledCloses()).toBe(0);
+      expect(await pollService.announceScheduledCloses(Date.now() + 2 * hourMs)).toBe(1);
+      // Each closing is announced once
+      expect(await pollService.announceScheduledCloses(Date.now() + 2 * hourMs)).toBe(0);
+      expect(await pollService.announceScheduledCloses(Date.now() + 4 * hourMs)).toBe(1);
+      expect(closed).toEqual([closedEarly.id, scheduled.id, later.id]);
+    });
+
+    it('should reject an invalid voting window', async () => {
+      await expect(pollService.createPoll({ ...testPollData, opensAt: 'tomorrow-ish' }))
+        .rejects.toThrow('opensAt must be a valid ISO 8601 timestamp');
+      await expect(pollService.createPoll({ ...testPollData, closesAt: anHourAgo() }))
+        .rejects.toThrow('closesAt must be in the future');
+      await expect(pollService.createPoll({ ...testPollData, opensAt: inAnHour(), closesAt: new Date(Date.now() + 1000).toISOString() }))
+        .rejects.toThrow('closesAt must be later than opensAt');
+    });
+
+    it('should reject votes before the poll opens', async () => {
+      const poll = await pollService.createPoll({ ...testPollData, opensAt: inAnHour() });
+
+      await expect(pollService.vote({ pollId: poll.id, username: voter, optionIndex: 0 }))
+        .rejects.toThrow('not open for voting yet');
+    });
+
+    it('should let only the creator close a poll and then reject votes', async () => {
+      const poll = await pollService.createPoll(testPollData);
+      await pollService.vote({ pollId: poll.id, username: voter, optionIndex: 0 });
+
+      await expect(pollService.closePoll(poll.id, voter)).rejects.toThrow('Only the creator');
+
+      const closedPoll = await pollService.closePoll(poll.id, testCreator);
+      expect(closedPoll.status).toBe('closed');
+      expect(closedPoll.closedAt).not.toBeNull();
+
+      await expect(pollService.closePoll(poll.id, testCreator)).rejects.toThrow('already closed');
+      await expect(pollService.changeVote({ pollId: poll.id, username: voter, optionIndex: 1 }))
+        .rejects.toThrow('is closed');
+      await expect(pollService.retractVote(poll.id, voter)).rejects.toThrow('is closed');
+
+      const results = await pollService.getPollResults(poll.id);
+      expect(results.status).toBe('closed');
+      expect(results.totalVoters).toBe(1);
+    });
+
+    it('should filter polls by status', async () => {
+      const openPoll = await pollService.createPoll(testPollData);
+      const scheduledPoll = await pollService.createPoll({ ...testPollData, opensAt: inAnHour() });
+
+      const scheduled = await pollService.getAllPolls({ status: 'scheduled' });
+      expect(scheduled.map(poll => poll.id)).toEqual([scheduledPoll.id]);
+
+      const open = await pollService.getPollsByCreator(testCreator, { status: 'open' });
+      expect(open.map(poll => poll.id)).toEqual([openPoll.id]);
+
+      await expect(pollService.getAllPolls({ status: 'archived' })).rejects.toThrow('Invalid status filter');
+    });
+  });
+
   describe('getPollsByCreator', () => {
     beforeEach(async () => {
       // Create several polls with different creators
@@ -152,7 +460,7 @@ describe('PollService', () => {
       
       // Create another user and their poll
       const otherCreator = 'otheruser';
-      await userService.createUser(otherCreator);
+      await userService.createUser(otherCreator, testPassword);
       await pollService.createPoll({
         ...testPollData,
         creator: otherCreator
@@ -171,7 +479,7 @@ describe('PollService', () => {
 
     it('should return empty array when user has no polls', async () => {
       const newUser = 'newuser';
-      await userService.createUser(newUser);
+      await userService.createUser(newUser, testPassword);
       
       const polls = await pollService.getPollsByCreator(newUser);
       
@@ -195,7 +503,7 @@ describe('PollService', () => {
       
       // Create a voter and let them vote on some polls
       voter = 'testvoter';
-      await userService.createUser(voter);
+      await userService.createUser(voter, testPassword);
       
       // Vote on two polls
       await pollService.vote({ pollId: poll1.id, username: voter, optionIndex: 0 });
@@ -216,7 +524,7 @@ describe('PollService', () => {
 
     it('should return empty array when user has no votes', async () => {
       const newUser = 'newvoter';
-      await userService.createUser(newUser);
+      await userService.createUser(newUser, testPassword);
       
       const polls = await pollService.getPollsVotedByUser(newUser);
       
@@ -229,6 +537,179 @@ describe('PollService', () => {
     });
   });
 
+  describe('updatePoll', () => {
+    const voter = 'testvoter';
+    let pollId;
+
+    beforeEach(async () => {
+      await userService.createUser(voter, testPassword);
+      const poll = await pollService.createPoll(testPollData);
+      pollId = poll.id;
+    });
+
+    it('should edit the options of polls stored before selection limits existed', async () => {
+      await fs.writeFile(path.join(testDataDir, 'polls.json'), JSON.stringify([
+        { id: 'legacy', question: 'Old?', options: ['A', 'B'], createdBy: testCreator, votes: { [voter]: 1 } }
+      ]));
+      pollService = new PollService(new JsonFilePollStorage(testDataDir), userService, groupService);
+
+      const updated = await pollService.updatePoll('legacy', testCreator, { options: ['A', 'B', 'C'] });
+
+      expect(updated.options).toEqual(['A', 'B', 'C']);
+      expect(updated.votes).toEqual({ [voter]: 1 });
+    });
+
+    it('should let the creator fix the question and rename or add options', async () => {
+      await pollService.vote({ pollId, username: voter, optionIndex: 1 });
+
+      const updatedPoll = await pollService.updatePoll(pollId, testCreator, {
+        question: '  Fixed question?  ',
+        options: ['Option 1', 'Option Two', 'Option 3', 'Option 4']
+      });
+
+      expect(updatedPoll.question).toBe('Fixed question?');
+      expect(updatedPoll.options).toEqual(['Option 1', 'Option Two', 'Option 3', 'Option 4']);
+      expect(updatedPoll.votes[voter]).toBe(1);
+    });
+
+    it('should allow any valid option list before votes exist', async () => {
+      const updatedPoll = await pollService.updatePoll(pollId, testCreator, { options: ['Option 3', 'Option 1'] });
+
+      expect(updatedPoll.options).toEqual(['Option 3', 'Option 1']);
+    });
+
+    it('should block removing or reordering options once votes exist', async () => {
+      await pollService.vote({ pollId, username: voter, optionIndex: 0 });
+
+      await expect(pollService.updatePoll(pollId, testCreator, { options: ['Option 1', 'Option 2'] }))
+        .rejects.toThrow('cannot be removed once votes have been cast');
+      await expect(pollService.updatePoll(pollId, testCreator, { options: ['Option 2', 'Option 1', 'Option 3'] }))
+        .rejects.toThrow('cannot be reordered once votes have been cast');
+    });
+
+    it('should apply the poll creation validation', async () => {
+      await expect(pollService.updatePoll(pollId, testCreator, { question: '   ' }))
+        .rejects.toThrow('Question must be a non-empty string');
+      await expect(pollService.updatePoll(pollId, testCreator, { options: ['Option 1', 'Option 1'] }))
+        .rejects.toThrow('Options must be unique');
+      await expect(pollService.updatePoll(pollId, testCreator, {}))
+        .rejects.toThrow('Nothing to update');
+
+      const multiPoll = await pollService.createPoll({ ...testPollData, minSelections: 3 });
+      await expect(pollService.updatePoll(multiPoll.id, testCreator, { options: ['Option 1', 'Option 2'] }))
+        .rejects.toThrow('Selection limits');
+    });
+
+    it('should let ranked voters rank added options', async () => {
+      const rankedPoll = await pollService.createPoll({ ...testPollData, type: 'ranked' });
+
+      const updatedPoll = await pollService.updatePoll(rankedPoll.id, testCreator, {
+        options: [...testPollData.options, 'Option 4']
+      });
+
+      expect(updatedPoll.maxSelections).toBe(4);
+    });
+
+    it('should only allow the creator to edit', async () => {
+      await expect(pollService.updatePoll(pollId, voter, { question: 'Hijacked?' }))
+        .rejects.toThrow('Only the creator');
+    });
+  });
+
+  describe('change events', () => {
+    it('should emit an event after each successful change', async () => {
+      const voter = 'testvoter';
+      await userService.createUser(voter, testPassword);
+      const events = [];
+      for (const name of ['pollCreated', 'pollVoted', 'pollUpdated', 'pollClosed', 'pollDeleted']) {
+        pollService.events.on(name, payload => events.push({ name, ...payload }));
+      }
+      const poll = await pollService.createPoll(testPollData);
+
+      await pollService.vote({ pollId: poll.id, username: voter, optionIndex: 0 });
+      await expect(pollService.vote({ pollId: poll.id, username: voter, optionIndex: 1 })).rejects.toThrow();
+      await pollService.changeVote({ pollId: poll.id, username: voter, optionIndex: 1 });
+      await pollService.updatePoll(poll.id, testCreator, { question: 'Edited?' });
+      await pollService.closePoll(poll.id, testCreator);
+      await pollService.deletePoll(poll.id, testCreator);
+
+      expect(events).toEqual([
+        { name: 'pollCreated', pollId: poll.id, createdBy: testCreator, question: poll.question, visibility: 'public' },
+        { name: 'pollVoted', pollId: poll.id, username: voter, action: 'cast', createdBy: testCreator, selection: 0, previousSelection: null },
+        { name: 'pollVoted', pollId: poll.id, username: voter, action: 'changed', createdBy: testCreator, selection: 1, previousSelection: 0 },
+        { name: 'pollUpdated', pollId: poll.id },
+        { name: 'pollClosed', pollId: poll.id },
+        { name: 'pollDeleted', pollId: poll.id, createdBy: testCreator, question: 'Edited?', visibility: 'public' }
+      ]);
+    });
+  });
+
+  describe('listPolls', () => {
+    const voter = 'testvoter';
+    let polls;
+
+    beforeEach(async () => {
+      await userService.createUser(voter, testPassword);
+      // Created in this order: Banana, apple, Cherry
+      polls = [];
+      for (const question of ['Banana?', 'apple?', 'Cherry?']) {
+        polls.push(await pollService.createPoll({ ...testPollData, question }));
+      }
+      await pollService.vote({ pollId: polls[1].id, username: voter, optionIndex: 0 });
+      await pollService.vote({ pollId: polls[1].id, username: testCreator, optionIndex: 1 });
+      await pollService.vote({ pollId: polls[2].id, username: voter, optionIndex: 0 });
+    });
+
+    it('should list the newest polls first in an envelope', async () => {
+      const page = await pollService.listPolls();
+
+      expect(page.items.map(poll => poll.question)).toEqual(['Cherry?', 'apple?', 'Banana?']);
+      expect(page.total).toBe(3);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('should sort by votes and alphabetically', async () => {
+      const byVotes = await pollService.listPolls({ sort: 'votes' });
+      expect(byVotes.items.map(poll => poll.question)).toEqual(['apple?', 'Cherry?', 'Banana?']);
+
+      const byQuestion = await pollService.listPolls({ sort: 'alpha' });
+      expect(byQuestion.items.map(poll => poll.question)).toEqual(['apple?', 'Banana?', 'Cherry?']);
+    });
+
+    it('should page through all polls with the cursor', async () => {
+      const first = await pollService.listPolls({ limit: 2 });
+      expect(first.items).toHaveLength(2);
+      expect(first.total).toBe(3);
+
+      // A poll created between requests must not shift the next page
+      await pollService.createPoll({ ...testPollData, question: 'Date?' });
+
+      const second = await pollService.listPolls({ limit: 2, cursor: first.nextCursor });
+      expect(second.items.map(poll => poll.question)).toEqual(['Banana?']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should filter by voter and vote count', async () => {
+      const voted = await pollService.listPolls({ votedBy: voter });
+      expect(voted.items.map(poll => poll.question)).toEqual(['Cherry?', 'apple?']);
+
+      const notVoted = await pollService.listPolls({ notVotedBy: voter });
+      expect(notVoted.items.map(poll => poll.question)).toEqual(['Banana?']);
+
+      const popular = await pollService.listPolls({ minVotes: 2 });
+      expect(popular.total).toBe(1);
+      expect(popular.items[0].question).toBe('apple?');
+    });
+
+    it('should reject invalid parameters', async () => {
+      await expect(pollService.listPolls({ limit: 101 })).rejects.toThrow('limit must be');
+      await expect(pollService.listPolls({ sort: 'oldest' })).rejects.toThrow('Invalid sort');
+      await expect(pollService.listPolls({ minVotes: -1 })).rejects.toThrow('minVotes must be');
+      await expect(pollService.listPolls({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+      await expect(pollService.listPolls({ votedBy: 'nonexistentuser' })).rejects.toThrow('does not exist');
+    });
+  });
+
   describe('deletePoll', () => {
     let pollId;
     
@@ -251,7 +732,7 @@ describe('PollService', () => {
     it('should not allow non-creator to delete poll', async () => {
       // Create another user
       const otherUser = 'otheruser';
-      await userService.createUser(otherUser);
+      await userService.createUser(otherUser, testPassword);
       
       // Try to delete another user's poll
       await expect(pollService.deletePoll(pollId, otherUser))
@@ -263,4 +744,575 @@ describe('PollService', () => {
         .rejects.toThrow('not found');
     });
   });
+
+  describe('exportPolls', () => {
+    // Collects the records of an export
+    const collect = async (records) => {
+      const collected = [];
+      for await (const record of records) collected.push(record);
+      return collected;
+    };
+
+    it('should yield the tallies of all polls before the ballots of the requester\'s polls', async () => {
+      await userService.createUser('otheruser', testPassword);
+      const ownPoll = await pollService.createPoll({ ...testPollData, type: 'ranked' });
+      const otherPoll = await pollService.createPoll({ ...testPollData, creator: 'otheruser' });
+      await pollService.vote({ pollId: ownPoll.id, username: 'otheruser', ranking: [1, 0] });
+      await pollService.vote({ pollId: otherPoll.id, username: testCreator, optionIndex: 2 });
+
+      const records = await collect(pollService.exportPolls([ownPoll.id, otherPoll.id], testCreator));
+
+      expect(records.map(record => record.record)).toEqual(['tally', 'tally', 'tally', 'tally', 'tally', 'tally', 'ballot', 'ballot']);
+      expect(records[0]).toEqual({ record: 'tally', pollId: ownPoll.id, question: testPollData.question, optionIndex: 0, option: 'Option 1', measure: 'votes', count: 0 });
+      const { votedAt } = await pollService.getPoll(ownPoll.id);
+      expect(records.slice(6)).toEqual([
+        { record: 'ballot', pollId: ownPoll.id, question: testPollData.question, voter: 'otheruser', optionIndex: 1, option: 'Option 2', rank: 1, votedAt: votedAt.otheruser },
+        { record: 'ballot', pollId: ownPoll.id, question: testPollData.question, voter: 'otheruser', optionIndex: 0, option: 'Option 1', rank: 2, votedAt: votedAt.otheruser }
+      ]);
+      expect(await collect(pollService.exportPolls([otherPoll.id]))).toHaveLength(3);
+    });
+
+    it('should skip polls that no longer exist', async () => {
+      const poll = await pollService.createPoll(testPollData);
+
+      const records = await collect(pollService.exportPolls(['deleted-poll', poll.id], testCreator));
+      expect(records.map(record => record.pollId)).toEqual([poll.id, poll.id, poll.id]);
+    });
+  });
+
+  describe('timestamps and results timeline', () => {
+    // Sets the time of each vote of a poll directly in storage
+    const setVoteTimes = async (pollId, votedAt) => {
+      const { id, ...stored } = await pollStorage.getById(pollId);
+      await pollStorage.update(pollId, { ...stored, votedAt: { ...stored.votedAt, ...votedAt } });
+    };
+
+    beforeEach(async () => {
+      for (const voter of ['voter1', 'voter2', 'voter3']) {
+        await userService.createUser(voter, testPassword);
+      }
+    });
+
+    it('should record when polls are created and votes are cast, changed and retracted', async () => {
+      const before = new Date().toISOString();
+      const poll = await pollService.createPoll(testPollData);
+      expect(poll.createdAt >= before).toBe(true);
+      expect(poll.votedAt).toEqual({});
+
+      const voted = await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 0 });
+      expect(voted.votedAt.voter1 >= poll.createdAt).toBe(true);
+      await setVoteTimes(poll.id, { voter1: '2020-01-01T00:00:00.000Z' });
+      const changed = await pollService.changeVote({ pollId: poll.id, username: 'voter1', optionIndex: 1 });
+      expect(changed.votedAt.voter1 > '2020-01-01T00:00:00.000Z').toBe(true);
+      expect((await pollService.retractVote(poll.id, 'voter1')).votedAt).toEqual({});
+    });
+
+    it('should record no time for secret ballots', async () => {
+      const poll = await pollService.createPoll({ ...testPollData, secretBallot: true });
+      await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 0 });
+
+      expect((await pollStorage.getById(poll.id)).votedAt).toEqual({});
+    });
+
+    it('should give polls and votes stored without timestamps a null time', async () => {
+      await fs.writeFile(path.join(testDataDir, 'polls.json'), JSON.stringify([
+        { id: 'legacy', question: 'Old?', options: ['A', 'B'], createdBy: testCreator, votes: { voter1: 1 } }
+      ]));
+
+      const poll = await new JsonFilePollStorage(testDataDir).getById('legacy');
+
+      expect(poll).toMatchObject({ createdAt: null, votes: { voter1: 1 }, votedAt: { voter1: null } });
+    });
+
+    it('should count the current votes cumulatively per bucket', async () => {
+      const poll = await pollService.createPoll({ ...testPollData, maxSelections: 2 });
+      await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 0 });
+      await pollService.vote({ pollId: poll.id, username: 'voter2', optionIndices: [0, 1] });
+      await pollService.vote({ pollId: poll.id, username: 'voter3', optionIndex: 2 });
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 1 });
+      await setVoteTimes(poll.id, {
+        voter1: '2030-05-01T09:15:00.000Z',
+        voter2: '2030-05-01T09:45:00.000Z',
+        voter3: '2030-05-02T13:00:00.000Z',
+        [testCreator]: null
+      });
+      const counts = entry => entry.results.map(result => result.votes);
+
+      const byDay = await pollService.getResultsTimeline(poll.id);
+      expect(byDay).toMatchObject({ id: poll.id, type: 'standard', bucket: 'day', status: 'open' });
+      expect(byDay.timeline.map(entry => [entry.start, entry.end, counts(entry), entry.totalVoters])).toEqual([
+        ['2030-05-01T00:00:00.000Z', '2030-05-02T00:00:00.000Z', [2, 1, 0], 2],
+        ['2030-05-02T00:00:00.000Z', '2030-05-03T00:00:00.000Z', [2, 1, 1], 3]
+      ]);
+      expect(byDay.untimed).toMatchObject({ totalVotes: 1, totalVoters: 1, results: [{ votes: 0 }, { votes: 1 }, { votes: 0 }] });
+
+      const byHour = await pollService.getResultsTimeline(poll.id, { bucket: 'hour' });
+      expect(byHour.timeline.map(entry => [entry.start, entry.totalVotes])).toEqual([
+        ['2030-05-01T09:00:00.000Z', 3],
+        ['2030-05-02T13:00:00.000Z', 4]
+      ]);
+    });
+
+    it('should count first preferences of ranked polls and leave secret ballots untimed', async () => {
+      const ranked = await pollService.createPoll({ ...testPollData, type: 'ranked' });
+      await pollService.vote({ pollId: ranked.id, username: 'voter1', ranking: [2, 0] });
+      const secret = await pollService.createPoll({ ...testPollData, secretBallot: true });
+      await pollService.vote({ pollId: secret.id, username: 'voter1', optionIndex: 1 });
+
+      const rankedTimeline = await pollService.getResultsTimeline(ranked.id);
+      expect(rankedTimeline.type).toBe('ranked');
+      expect(rankedTimeline.timeline).toHaveLength(1);
+      expect(rankedTimeline.timeline[0]).toMatchObject({ totalVotes: 1, totalVoters: 1, results: [{ votes: 0 }, { votes: 0 }, { votes: 1 }] });
+
+      const secretTimeline = await pollService.getResultsTimeline(secret.id);
+      expect(secretTimeline.timeline).toEqual([]);
+      expect(secretTimeline.untimed).toMatchObject({ totalVotes: 1, results: [{ votes: 0 }, { votes: 1 }, { votes: 0 }] });
+    });
+
+    it('should reject unknown buckets and hide polls the requester may not see', async () => {
+      const poll = await pollService.createPoll({ ...testPollData, visibility: 'private' });
+
+      await expect(pollService.getResultsTimeline(poll.id, { bucket: 'week', requester: testCreator })).rejects.toMatchObject({ errors: [{ field: 'bucket', message: expect.any(String) }] });
+      await expect(pollService.getResultsTimeline(poll.id, { requester: 'voter1' })).rejects.toMatchObject({ code: 'poll_not_found' });
+      expect((await pollService.getResultsTimeline(poll.id, { requester: testCreator })).timeline).toEqual([]);
+    });
+  });
+
+  describe('getResultsCrosstab', () => {
+    let colours;
+    let answer;
+
+    beforeEach(async () => {
+      for (const voter of ['voter1', 'voter2', 'voter3']) {
+        await userService.createUser(voter, testPassword);
+      }
+      colours = await pollService.createPoll({ question: 'Colour?', options: ['Red', 'Blue'], creator: testCreator, maxSelections: 2 });
+      answer = await pollService.createPoll({ question: 'Yes or no?', options: ['Yes', 'No'], creator: testCreator });
+    });
+
+    it('should count the option pairs of users who voted in both polls', async () => {
+      await pollService.vote({ pollId: colours.id, username: 'voter1', optionIndex: 0 });
+      await pollService.vote({ pollId: colours.id, username: 'voter2', optionIndices: [0, 1] });
+      await pollService.vote({ pollId: colours.id, username: 'voter3', optionIndex: 1 });
+      await pollService.vote({ pollId: answer.id, username: 'voter1', optionIndex: 0 });
+      await pollService.vote({ pollId: answer.id, username: 'voter2', optionIndex: 1 });
+      await pollService.vote({ pollId: answer.id, username: testCreator, optionIndex: 0 });
+
+      const crosstab = await pollService.getResultsCrosstab(colours.id, { withPollId: answer.id });
+
+      expect(crosstab).toMatchObject({
+        poll: { id: colours.id, question: 'Colour?', type: 'standard' },
+        with: { id: answer.id, question: 'Yes or no?', type: 'standard' },
+        respondents: 2,
+        total: 3,
+        rows: [{ option: 'Red', total: 2 }, { option: 'Blue', total: 1 }],
+        columns: [{ option: 'Yes', total: 1 }, { option: 'No', total: 2 }]
+      });
+      expect(crosstab.cells).toEqual([
+        { row: 'Red', column: 'Yes', count: 1, rowPercentage: 50, columnPercentage: 100 },
+        { row: 'Red', column: 'No', count: 1, rowPercentage: 50, columnPercentage: 50 },
+        { row: 'Blue', column: 'Yes', count: 0, rowPercentage: 0, columnPercentage: 0 },
+        { row: 'Blue', column: 'No', count: 1, rowPercentage: 100, columnPercentage: 50 }
+      ]);
+    });
+
+    it('should refuse secret-ballot polls and the poll itself', async () => {
+      const secret = await pollService.createPoll({ ...testPollData, secretBallot: true });
+
+      await expect(pollService.getResultsCrosstab(colours.id, { withPollId: secret.id })).rejects.toMatchObject({ code: 'secret_ballot' });
+      await expect(pollService.getResultsCrosstab(secret.id, { withPollId: colours.id })).rejects.toThrow(ConflictError);
+      await expect(pollService.getResultsCrosstab(colours.id, { withPollId: colours.id })).rejects.toMatchObject({ errors: [{ field: 'with', message: expect.any(String) }] });
+      await expect(pollService.getResultsCrosstab(colours.id, {})).rejects.toThrow(ValidationError);
+    });
+
+    it('should hide polls the requester may not see', async () => {
+      const hidden = await pollService.createPoll({ ...testPollData, visibility: 'private' });
+
+      await expect(pollService.getResultsCrosstab(colours.id, { withPollId: hidden.id, requester: 'voter1' })).rejects.toMatchObject({ code: 'poll_not_found' });
+      await expect(pollService.getResultsCrosstab(hidden.id, { withPollId: colours.id })).rejects.toMatchObject({ code: 'poll_not_found' });
+      expect((await pollService.getResultsCrosstab(hidden.id, { withPollId: colours.id, requester: testCreator })).respondents).toBe(0);
+    });
+  });
+
+  describe('importPolls', () => {
+    const validRow = { pollData: { question: 'Imported?', options: ['Yes', 'No'] } };
+    const invalidRow = { pollData: { question: 'Broken?', options: ['Only one'] } };
+
+    it('should create every valid poll for the importing user', async () => {
+      const report = await pollService.importPolls([validRow, { question: 'Notes', skipped: 'not a choice question' }], testCreator);
+
+      expect(report).toMatchObject({ dryRun: false, partial: false, total: 2, valid: 1, invalid: 0, skipped: 1, created: 1 });
+      expect(report.rows[1]).toEqual({ row: 2, question: 'Notes', status: 'skipped', reason: 'not a choice question' });
+      const poll = await pollService.getPoll(report.rows[0].pollId);
+      expect(poll).toMatchObject({ question: 'Imported?', createdBy: testCreator });
+    });
+
+    it('should write nothing if a row is invalid, naming the row in each error', async () => {
+      await expect(pollService.importPolls([validRow, invalidRow], testCreator)).rejects.toMatchObject({
+        code: 'import_invalid',
+        errors: [{ field: 'rows.2.options', message: expect.any(String) }]
+      });
+      expect(await pollService.getAllPolls()).toHaveLength(0);
+    });
+
+    it('should only validate in a dry run and skip invalid rows in partial mode', async () => {
+      const dryRun = await pollService.importPolls([validRow, invalidRow], testCreator, { dryRun: true });
+      expect(dryRun).toMatchObject({ valid: 1, invalid: 1, created: 0 });
+      expect(await pollService.getAllPolls()).toHaveLength(0);
+
+      const partial = await pollService.importPolls([validRow, invalidRow], testCreator, { partial: true });
+      expect(partial.rows.map(row => row.status)).toEqual(['created', 'invalid']);
+      expect(await pollService.getAllPolls()).toHaveLength(1);
+    });
+
+    it('should store all polls with one write and create none if it fails', async () => {
+      const batch = jest.spyOn(pollService.pollStorage, 'applyBatch');
+      const created = jest.fn();
+      pollService.events.on('pollCreated', created);
+
+      batch.mockRejectedValueOnce(new Error('disk full'));
+      await expect(pollService.importPolls([validRow, validRow, validRow], testCreator)).rejects.toThrow('Failed to import polls: disk full');
+      expect(await pollService.getAllPolls()).toHaveLength(0);
+      expect(created).not.toHaveBeenCalled();
+
+      const report = await pollService.importPolls([validRow, validRow, validRow], testCreator);
+      expect(report.created).toBe(3);
+      expect(batch).toHaveBeenCalledTimes(2);
+      expect(await pollService.getAllPolls()).toHaveLength(3);
+      expect(created).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject empty and oversized imports', async () => {
+      await expect(pollService.importPolls([], testCreator)).rejects.toThrow(ValidationError);
+      await expect(pollService.importPolls(Array(MAX_IMPORT_ROWS + 1).fill(validRow), testCreator)).rejects.toThrow('at most');
+    });
+  });
+
+  describe('secret ballots', () => {
+    let poll;
+
+    beforeEach(async () => {
+      await userService.createUser('voter1', testPassword);
+      poll = await pollService.createPoll({ ...testPollData, secretBallot: true });
+    });
+
+    it('should lock votes and reject polls that allow vote changes', async () => {
+      expect(poll).toMatchObject({ secretBallot: true, allowVoteChanges: false, votes: {}, voterCount: 0 });
+      await expect(pollService.createPoll({ ...testPollData, secretBallot: true, allowVoteChanges: true }))
+        .rejects.toMatchObject({ errors: [{ field: 'allowVoteChanges', message: expect.any(String) }] });
+      await expect(pollService.createPoll({ ...testPollData, secretBallot: 'yes' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should record who voted apart from the ballots and hand out a receipt', async () => {
+      const voted = await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 2 });
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 0 });
+
+      expect(voted.receipt).toMatch(/^[0-9a-f]{64}$/);
+      expect((await pollService.pollStorage.getById(poll.id)).voters).toEqual(['testuser', 'voter1']);
+      const read = await pollService.getPoll(poll.id);
+      expect(read.votes).toEqual({});
+      expect(read.voterCount).toBe(2);
+      expect(read).not.toHaveProperty('ballots');
+      expect(read).not.toHaveProperty('receipt');
+      expect(JSON.stringify(await pollService.getPollsVotedByUser('voter1'))).not.toContain(voted.receipt);
+
+      const results = await pollService.getPollResults(poll.id);
+      expect(results.results.map(result => result.votes)).toEqual([1, 0, 1]);
+      expect(results.totalVoters).toBe(2);
+      expect((await pollService.listPolls({ votedBy: 'voter1' }, 'voter1')).total).toBe(1);
+    });
+
+    it('should not tell others who voted', async () => {
+      await userService.createUser('voter2', testPassword);
+      await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 2 });
+      await pollService.vote({ pollId: poll.id, username: 'voter2', optionIndex: 0 });
+
+      // Even the creator, who sees the results change after each ballot, gets only the count
+      const reads = [
+        await pollService.getPoll(poll.id, testCreator),
+        await pollService.listPolls({}, testCreator),
+        await pollService.listPolls({ votedBy: 'voter1' }, testCreator),
+        await pollService.listPolls({ notVotedBy: 'voter1' }, testCreator),
+        await pollService.getPollsByCreator(testCreator, {}, testCreator)
+      ];
+      for (const read of reads) {
+        expect(JSON.stringify(read)).not.toMatch(/voter1|voter2/);
+      }
+      expect(reads[0]).not.toHaveProperty('voters');
+      expect(reads[0].voterCount).toBe(2);
+      expect(reads[2].total).toBe(0);
+      expect(reads[3].items.map(item => item.id)).not.toContain(poll.id);
+      expect((await pollService.listPolls({ sort: 'votes', minVotes: 2 })).items.map(item => item.id)).toEqual([poll.id]);
+    });
+
+    it('should keep ballots out of the poll file and its backups', async () => {
+      const { receipt } = await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 2 });
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 0 });
+
+      // Consecutive versions of the poll file differ only by the voter who joined
+      const pollsFile = path.join(testDataDir, 'polls.json');
+      const versions = [];
+      for (const file of [`${pollsFile}.bak.2`, `${pollsFile}.bak.1`, pollsFile]) {
+        versions.push(JSON.parse(await fs.readFile(file, 'utf8')).find(stored => stored.id === poll.id));
+      }
+      for (let index = 1; index < versions.length; index++) {
+        const { voters: before, ...previous } = versions[index - 1];
+        const { voters: after, ...current } = versions[index];
+        expect(current).toEqual(previous);
+        expect(after.length).toBe(before.length + 1);
+        expect(current).not.toHaveProperty('ballots');
+      }
+
+      const files = await fs.readdir(testDataDir);
+      expect(files.filter(file => file.startsWith('ballots.json.'))).toEqual([]);
+      const ballotsFile = JSON.parse(await fs.readFile(path.join(testDataDir, 'ballots.json'), 'utf8'));
+      expect(ballotsFile).toEqual([{ id: poll.id, ballots: expect.objectContaining({ [receipt]: 2 }) }]);
+
+      const restarted = new JsonFilePollStorage(testDataDir);
+      expect((await restarted.getById(poll.id)).ballots).toEqual(ballotsFile[0].ballots);
+    });
+
+    it('should reject a second ballot and any change', async () => {
+      await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 1 });
+
+      await expect(pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 0 })).rejects.toMatchObject({ code: 'already_voted' });
+      await expect(pollService.changeVote({ pollId: poll.id, username: 'voter1', optionIndex: 0 })).rejects.toMatchObject({ code: 'vote_changes_locked' });
+      await expect(pollService.retractVote(poll.id, 'voter1')).rejects.toMatchObject({ code: 'vote_changes_locked' });
+    });
+
+    it('should verify receipts', async () => {
+      const { receipt } = await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 1 });
+
+      expect(await pollService.verifyReceipt(poll.id, receipt)).toEqual({ pollId: poll.id, receipt, counted: true });
+      await expect(pollService.verifyReceipt(poll.id, 'f'.repeat(64))).rejects.toMatchObject({ code: 'receipt_not_found' });
+    });
+
+    it('should tally ranked secret ballots and export no ballot records', async () => {
+      const ranked = await pollService.createPoll({ ...testPollData, type: 'ranked', secretBallot: true });
+      await pollService.vote({ pollId: ranked.id, username: 'voter1', ranking: [2, 0] });
+
+      expect((await pollService.getPollResults(ranked.id)).winners).toEqual(['Option 3']);
+      const records = [];
+      for await (const record of pollService.exportPolls([ranked.id], testCreator)) {
+        records.push(record);
+      }
+      expect(records.every(record => record.record === 'tally')).toBe(true);
+    });
+
+    it('should anonymize a deleted user among the voters whatever the vote policy', async () => {
+      await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 1 });
+
+      const { votesAnonymized, votesRemoved } = await pollService.removeUserFromPolls('voter1', { votes: 'remove' });
+
+      expect({ votesAnonymized, votesRemoved }).toEqual({ votesAnonymized: 1, votesRemoved: 0 });
+      expect((await pollService.pollStorage.getById(poll.id)).voters).toEqual([expect.stringMatching(new RegExp(`^${ANONYMOUS_VOTER_PREFIX}`))]);
+      expect((await pollService.getPollResults(poll.id)).totalVoters).toBe(1);
+    });
+  });
+
+  describe('visibility', () => {
+    let privatePoll;
+    let unlistedPoll;
+
+    beforeEach(async () => {
+      await userService.createUser('friend', testPassword);
+      await userService.createUser('stranger', testPassword);
+      privatePoll = await pollService.createPoll({ ...testPollData, visibility: 'private', allowedUsers: ['friend', testCreator, 'friend'] });
+      unlistedPoll = await pollService.createPoll({ ...testPollData, visibility: 'unlisted' });
+      await pollService.createPoll(testPollData);
+    });
+
+    it('should validate the visibility and access list', async () => {
+      expect(privatePoll.visibility).toBe('private');
+      expect(privatePoll).not.toHaveProperty('allowedUsers');
+      expect(await pollService.getPollAccess(privatePoll.id, testCreator)).toEqual({ pollId: privatePoll.id, visibility: 'private', allowedUsers: ['friend'] });
+      await expect(pollService.createPoll({ ...testPollData, visibility: 'hidden' })).rejects.toMatchObject({ errors: [{ field: 'visibility', message: expect.any(String) }] });
+      await expect(pollService.createPoll({ ...testPollData, allowedUsers: ['friend'] })).rejects.toMatchObject({ errors: [{ field: 'allowedUsers', message: expect.any(String) }] });
+      await expect(pollService.createPoll({ ...testPollData, visibility: 'private', allowedUsers: ['ghost'] })).rejects.toThrow(ValidationError);
+    });
+
+    it('should hide private polls from users not on the access list', async () => {
+      expect((await pollService.getPoll(privatePoll.id, 'friend')).id).toBe(privatePoll.id);
+      await expect(pollService.getPoll(privatePoll.id, 'stranger')).rejects.toMatchObject({ code: 'poll_not_found' });
+      await expect(pollService.getPoll(privatePoll.id)).rejects.toThrow(NotFoundError);
+      await expect(pollService.getPollResults(privatePoll.id, { requester: 'stranger' })).rejects.toThrow(NotFoundError);
+      await expect(pollService.vote({ pollId: privatePoll.id, username: 'stranger', optionIndex: 0 })).rejects.toMatchObject({ code: 'poll_not_found' });
+
+      await pollService.vote({ pollId: privatePoll.id, username: 'friend', optionIndex: 1 });
+      expect((await pollService.getPollResults(privatePoll.id, { requester: 'friend' })).totalVoters).toBe(1);
+    });
+
+    it('should leave unlisted polls out of listings but serve them by ID', async () => {
+      expect((await pollService.getPoll(unlistedPoll.id, 'stranger')).visibility).toBe('unlisted');
+      expect((await pollService.listPolls({}, 'stranger')).total).toBe(1);
+      expect((await pollService.listPolls({}, 'friend')).total).toBe(2);
+      expect((await pollService.listPolls({ createdBy: testCreator }, testCreator)).total).toBe(3);
+      expect(await pollService.getPollsByCreator(testCreator)).toHaveLength(1);
+    });
+
+    it('should let only the creator manage the access list', async () => {
+      await expect(pollService.getPollAccess(privatePoll.id, 'friend')).rejects.toMatchObject({ code: 'not_poll_creator' });
+      await expect(pollService.grantPollAccess(unlistedPoll.id, testCreator, ['friend'])).rejects.toMatchObject({ code: 'poll_not_private' });
+      await expect(pollService.grantPollAccess(privatePoll.id, testCreator, ['ghost'])).rejects.toMatchObject({ errors: [{ field: 'usernames', message: expect.any(String) }] });
+
+      const granted = await pollService.grantPollAccess(privatePoll.id, testCreator, ['stranger', 'friend']);
+      expect(granted.allowedUsers).toEqual(['friend', 'stranger']);
+      expect((await pollService.getPoll(privatePoll.id, 'stranger')).id).toBe(privatePoll.id);
+
+      await pollService.revokePollAccess(privatePoll.id, testCreator, 'stranger');
+      await expect(pollService.getPoll(privatePoll.id, 'stranger')).rejects.toThrow(NotFoundError);
+      await expect(pollService.revokePollAccess(privatePoll.id, testCreator, 'stranger')).rejects.toMatchObject({ code: 'access_not_found' });
+    });
+
+    it('should remove a deleted user from access lists', async () => {
+      const { changes } = await pollService.removeUserFromPolls('friend');
+
+      expect(changes.map(change => change.pollId)).toEqual([privatePoll.id]);
+      expect((await pollService.getPollAccess(privatePoll.id, testCreator)).allowedUsers).toEqual([]);
+    });
+  });
+
+  describe('groups', () => {
+    let group;
+    let groupPoll;
+
+    beforeEach(async () => {
+      await userService.createUser('member', testPassword);
+      await userService.createUser('outsider', testPassword);
+      group = await groupService.createGroup({ name: 'Team', creator: testCreator, members: ['member', 'outsider'] });
+      await groupService.removeMember(group.id, 'outsider', 'outsider');
+      groupPoll = await pollService.createPoll({ ...testPollData, groups: [group.id, group.id] });
+    });
+
+    it('should only restrict polls to groups the creator belongs to', async () => {
+      expect(groupPoll.groups).toEqual([group.id]);
+      const otherGroup = await groupService.createGroup({ name: 'Others', creator: 'outsider' });
+      await expect(pollService.createPoll({ ...testPollData, groups: [otherGroup.id] })).rejects.toMatchObject({ errors: [{ field: 'groups', message: expect.any(String) }] });
+      await expect(pollService.createPoll({ ...testPollData, groups: ['missing'] })).rejects.toThrow(ValidationError);
+      await expect(pollService.createPoll({ ...testPollData, groups: 'Team' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should only accept votes from group members', async () => {
+      await expect(pollService.vote({ pollId: groupPoll.id, username: 'outsider', optionIndex: 0 })).rejects.toMatchObject({ code: 'not_group_member' });
+      await expect(pollService.vote({ pollId: groupPoll.id, username: 'outsider', optionIndex: 0 })).rejects.toThrow(ForbiddenError);
+
+      const updated = await pollService.vote({ pollId: groupPoll.id, username: 'member', optionIndex: 1 });
+      expect(updated.votes).toEqual({ member: 1 });
+    });
+
+    it('should not let a former member change their vote', async () => {
+      await pollService.vote({ pollId: groupPoll.id, username: 'member', optionIndex: 1 });
+      expect((await pollService.changeVote({ pollId: groupPoll.id, username: 'member', optionIndex: 0 })).votes).toEqual({ member: 0 });
+      await groupService.removeMember(group.id, 'member', 'member');
+
+      await expect(pollService.changeVote({ pollId: groupPoll.id, username: 'member', optionIndex: 2 })).rejects.toMatchObject({ code: 'not_group_member' });
+      expect((await pollService.getPoll(groupPoll.id)).votes).toEqual({ member: 0 });
+    });
+
+    it('should report the participation of each group in the results', async () => {
+      await pollService.vote({ pollId: groupPoll.id, username: 'member', optionIndex: 1 });
+
+      const results = await pollService.getPollResults(groupPoll.id);
+      expect(results.participation).toEqual([{ groupId: group.id, name: 'Team', members: 2, voted: 1, share: 0.5 }]);
+      expect(await pollService.getPollResults((await pollService.createPoll(testPollData)).id)).not.toHaveProperty('participation');
+    });
+  });
+
+  describe('removeUserFromPolls', () => {
+    let ownPoll;
+    let otherPoll;
+
+    beforeEach(async () => {
+      await userService.createUser('otheruser', testPassword);
+      ownPoll = await pollService.createPoll(testPollData);
+      otherPoll = await pollService.createPoll({ ...testPollData, creator: 'otheruser' });
+      await pollService.vote({ pollId: ownPoll.id, username: 'otheruser', optionIndex: 0 });
+      await pollService.vote({ pollId: otherPoll.id, username: testCreator, optionIndex: 2 });
+    });
+
+    it('should delete the user\'s polls and remove their votes by default', async () => {
+      const { changes, events, ...summary } = await pollService.removeUserFromPolls(testCreator);
+
+      expect(summary).toEqual({ pollsDeleted: 1, pollsTransferred: 0, votesRemoved: 1, votesAnonymized: 0 });
+      await expect(pollService.getPoll(ownPoll.id)).rejects.toThrow(NotFoundError);
+      expect((await pollService.getPoll(otherPoll.id)).votes).toEqual({});
+      expect(changes.map(change => change.pollId)).toEqual([ownPoll.id, otherPoll.id]);
+      // Held back for publishEvents
+      expect(events).toEqual([
+        { event: 'pollDeleted', payload: { pollId: ownPoll.id, createdBy: testCreator, question: testPollData.question, visibility: 'public' } },
+        { event: 'pollUpdated', payload: { pollId: otherPoll.id } }
+      ]);
+    });
+
+    it('should transfer the polls and keep anonymized votes in the tallies', async () => {
+      const castAt = (await pollService.getPoll(otherPoll.id)).votedAt[testCreator];
+      const summary = await pollService.removeUserFromPolls(testCreator, { polls: 'transfer', transferTo: 'otheruser', votes: 'anonymize' });
+
+      expect(summary).toMatchObject({ pollsDeleted: 0, pollsTransferred: 1, votesRemoved: 0, votesAnonymized: 1 });
+      expect((await pollService.getPoll(ownPoll.id)).createdBy).toBe('otheruser');
+      const { votes, votedAt } = await pollService.getPoll(otherPoll.id);
+      expect(Object.keys(votes)).toEqual([expect.stringMatching(new RegExp(`^${ANONYMOUS_VOTER_PREFIX}`))]);
+      expect(votedAt).toEqual({ [Object.keys(votes)[0]]: castAt });
+      expect((await pollService.getPollResults(otherPoll.id)).results[2].votes).toBe(1);
+    });
+
+    it('should restore the polls as they were', async () => {
+      const { changes } = await pollService.removeUserFromPolls(testCreator);
+
+      await pollService.restorePolls(changes);
+
+      expect((await pollService.getPoll(ownPoll.id)).votes).toEqual({ otheruser: 0 });
+      expect((await pollService.getPoll(otherPoll.id)).votes).toEqual({ [testCreator]: 2 });
+    });
+
+    it('should restore only the user\'s entries and keep changes made in the meantime', async () => {
+      await userService.createUser('latevoter', testPassword);
+      const { changes } = await pollService.removeUserFromPolls(testCreator, { polls: 'transfer', transferTo: 'otheruser', votes: 'anonymize' });
+      await pollService.vote({ pollId: otherPoll.id, username: 'latevoter', optionIndex: 1 });
+      await pollService.closePoll(ownPoll.id, 'otheruser');
+
+      await pollService.restorePolls(changes);
+
+      const restoredOwn = await pollService.getPoll(ownPoll.id);
+      expect(restoredOwn.createdBy).toBe(testCreator);
+      expect(restoredOwn.status).toBe('closed');
+      expect((await pollService.getPoll(otherPoll.id)).votes).toEqual({ [testCreator]: 2, latevoter: 1 });
+    });
+
+    it('should reject invalid policies without changing anything', async () => {
+      await expect(pollService.removeUserFromPolls(testCreator, { polls: 'archive' })).rejects.toMatchObject({ errors: [{ field: 'polls', message: expect.any(String) }] });
+      await expect(pollService.removeUserFromPolls(testCreator, { votes: 'keep' })).rejects.toMatchObject({ errors: [{ field: 'votes', message: expect.any(String) }] });
+      await expect(pollService.removeUserFromPolls(testCreator, { polls: 'transfer' })).rejects.toMatchObject({ errors: [{ field: 'transferTo', message: expect.any(String) }] });
+      await expect(pollService.removeUserFromPolls(testCreator, { polls: 'transfer', transferTo: testCreator })).rejects.toThrow(ValidationError);
+      await expect(pollService.removeUserFromPolls(testCreator, { polls: 'transfer', transferTo: 'nobody' })).rejects.toMatchObject({ code: 'user_not_found' });
+
+      expect(await pollService.getAllPolls()).toHaveLength(2);
+    });
+  });
+
+  describe('typed errors', () => {
+    it('should throw typed errors with stable codes', async () => {
+      const poll = await pollService.createPoll(testPollData);
+      await userService.createUser('otheruser', testPassword);
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 0 });
+
+      await expect(pollService.getPoll('nonexistentpoll'))
+        .rejects.toMatchObject({ constructor: NotFoundError, status: 404, code: 'poll_not_found' });
+      await expect(pollService.listPolls({ createdBy: 'nobody' }))
+        .rejects.toMatchObject({ constructor: NotFoundError, code: 'user_not_found' });
+      await expect(pollService.deletePoll(poll.id, 'otheruser'))
+        .rejects.toMatchObject({ constructor: ForbiddenError, status: 403, code: 'not_poll_creator' });
+      await expect(pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 1 }))
+        .rejects.toMatchObject({ constructor: ConflictError, status: 409, code: 'already_voted' });
+      await expect(pollService.vote({ pollId: poll.id, username: 'otheruser', optionIndex: 9 }))
+        .rejects.toMatchObject({ constructor: ValidationError, status: 400, code: 'invalid_vote' });
+    });
+
+    it('should name the invalid field of validation errors', async () => {
+      await expect(pollService.createPoll({ ...testPollData, options: ['Only one'] }))
+        .rejects.toMatchObject({ code: 'validation_failed', errors: [{ field: 'options', message: 'Poll must have at least 2 options' }] });
+      await expect(pollService.listPolls({ limit: 0 }))
+        .rejects.toMatchObject({ errors: [{ field: 'limit', message: expect.stringContaining('limit must be') }] });
+    });
+  });
 });
\ No newline at end of file
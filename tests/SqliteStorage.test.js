@@ -0,0 +1,230 @@
+/**
+ * SqliteStorage.test.js
+ *
+ * Unit tests for the SQLite storage backend and the JSON to SQLite migration
+ */
+
+import { jest } from '@jest/globals';
+import { PollService } from '../src/services/PollService.js';
+import { UserService } from '../src/services/UserService.js';
+import { SqlitePollStorage } from '../src/storage/SqlitePollStorage.js';
+import { SqliteUserStorage } from '../src/storage/SqliteUserStorage.js';
+import { JsonFilePollStorage } from '../src/storage/JsonFilePollStorage.js';
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { migrateJsonToSqlite } from '../src/storage/migrateJsonToSqlite.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_sqlite');
+const databasePath = path.join(testDataDir, 'pollbuilder.db');
+
+describe('SQLite storage', () => {
+  let pollStorage;
+  let userStorage;
+  let pollService;
+  let userService;
+  const testCreator = 'testuser';
+  const testPassword = 'password123';
+  const testPollData = {
+    question: 'Test question?',
+    options: ['Option 1', 'Option 2', 'Option 3'],
+    creator: testCreator
+  };
+
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+
+    pollStorage = new SqlitePollStorage(databasePath);
+    userStorage = new SqliteUserStorage(databasePath);
+    userService = new UserService(userStorage);
+    pollService = new PollService(pollStorage, userService);
+
+    await userService.createUser(testCreator, testPassword);
+  });
+
+  afterEach(async () => {
+    await pollStorage.close();
+    await userStorage.close();
+  });
+
+  afterAll(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('SqliteUserStorage', () => {
+    it('should create and find users', async () => {
+      expect(await userStorage.usernameExists(testCreator)).toBe(true);
+      expect(await userStorage.usernameExists('nobody')).toBe(false);
+      expect(await userService.verifyCredentials(testCreator, testPassword)).toMatchObject({ username: testCreator });
+    });
+
+    it('should reject duplicate usernames', async () => {
+      await expect(userService.createUser(testCreator, testPassword)).rejects.toThrow('already exists');
+    });
+  });
+
+  describe('SqlitePollStorage', () => {
+    it('should store votes of every kind and read them back', async () => {
+      const voters = ['voter1', 'voter2', 'voter3'];
+      for (const voter of voters) {
+        await userService.createUser(voter, testPassword);
+      }
+      const singlePoll = await pollService.createPoll(testPollData);
+      const multiPoll = await pollService.createPoll({ ...testPollData, maxSelections: 2 });
+      const rankedPoll = await pollService.createPoll({ ...testPollData, type: 'ranked' });
+
+      await pollService.vote({ pollId: singlePoll.id, username: voters[0], optionIndex: 2 });
+      await pollService.vote({ pollId: multiPoll.id, username: voters[0], optionIndices: [2, 0] });
+      await pollService.vote({ pollId: rankedPoll.id, username: voters[0], ranking: [2, 0, 1] });
+      await pollService.vote({ pollId: rankedPoll.id, username: voters[1], ranking: [1] });
+
+      expect((await pollService.getPoll(singlePoll.id)).votes).toEqual({ voter1: 2 });
+      expect((await pollService.getPoll(multiPoll.id)).votes).toEqual({ voter1: [0, 2] });
+      expect((await pollService.getPoll(rankedPoll.id)).votes).toEqual({ voter1: [2, 0, 1], voter2: [1] });
+    });
+
+    it('should count results from the vote tables', async () => {
+      await userService.createUser('voter1', testPassword);
+      const poll = await pollService.createPoll({ ...testPollData, maxSelections: 2 });
+      await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndices: [0, 1] });
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 1 });
+
+      const results = await pollService.getPollResults(poll.id);
+
+      expect(results.totalVoters).toBe(2);
+      expect(results.totalVotes).toBe(3);
+      expect(results.results.map(result => result.votes)).toEqual([1, 2, 0]);
+    });
+
+    it('should store secret ballots apart from their voters and count them', async () => {
+      await userService.createUser('voter1', testPassword);
+      const poll = await pollService.createPoll({ ...testPollData, secretBallot: true });
+      const { receipt } = await pollService.vote({ pollId: poll.id, username: 'voter1', optionIndex: 1 });
+
+      expect(await pollStorage.getById(poll.id)).toMatchObject({ votes: {}, voters: ['voter1'], ballots: { [receipt]: 1 } });
+      expect((await pollService.getPollResults(poll.id)).results.map(result => result.votes)).toEqual([0, 1, 0]);
+      expect(await pollService.getPollsVotedByUser('voter1')).toHaveLength(1);
+      await expect(pollStorage.addSecretBallot(poll.id, 'voter1', 'other', 0)).rejects.toMatchObject({ code: 'already_voted' });
+    });
+
+    it('should change, retract and find votes by user', async () => {
+      const poll = await pollService.createPoll(testPollData);
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 0 });
+
+      await pollService.changeVote({ pollId: poll.id, username: testCreator, optionIndex: 1 });
+      expect((await pollService.getPoll(poll.id)).votes[testCreator]).toBe(1);
+      expect(await pollService.getPollsVotedByUser(testCreator)).toHaveLength(1);
+      expect(await pollService.getPollsByCreator(testCreator)).toHaveLength(1);
+
+      await pollService.retractVote(poll.id, testCreator);
+      expect(await pollService.getPollsVotedByUser(testCreator)).toEqual([]);
+      await expect(pollStorage.removeVote(poll.id, testCreator)).rejects.toThrow('has not voted');
+    });
+
+    it('should keep votes when editing or closing a poll and delete them with the poll', async () => {
+      const poll = await pollService.createPoll(testPollData);
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 0 });
+
+      await pollService.updatePoll(poll.id, testCreator, { question: 'Edited?' });
+      const closedPoll = await pollService.closePoll(poll.id, testCreator);
+      expect(closedPoll.question).toBe('Edited?');
+      expect(closedPoll.votes).toEqual({ [testCreator]: 0 });
+
+      await pollService.deletePoll(poll.id, testCreator);
+      expect(await pollService.getPollsVotedByUser(testCreator)).toEqual([]);
+      await expect(pollService.getPoll(poll.id)).rejects.toThrow('not found');
+    });
+
+    it('should apply a batch in one transaction', async () => {
+      const kept = await pollService.createPoll(testPollData);
+      const removed = await pollService.createPoll(testPollData);
+      await pollService.vote({ pollId: kept.id, username: testCreator, optionIndex: 0 });
+      const { id, ...data } = await pollStorage.getById(kept.id);
+
+      await pollStorage.applyBatch({ put: [{ id, data: { ...data, votes: { other: [1, 2] } } }], remove: [removed.id] });
+      expect((await pollStorage.getById(kept.id)).votes).toEqual({ other: [1, 2] });
+      expect(await pollStorage.getById(removed.id)).toBeNull();
+
+      // A failing write rolls back the whole batch
+      jest.spyOn(pollStorage, '_writeChildren').mockImplementationOnce(() => {
+        throw new Error('write failed');
+      });
+      await expect(pollStorage.applyBatch({ put: [{ id, data: { ...data, votes: {} } }], remove: [kept.id] })).rejects.toThrow('write failed');
+      expect((await pollStorage.getById(kept.id)).votes).toEqual({ other: [1, 2] });
+
+      // A batch can be computed from the polls read inside the transaction
+      await pollStorage.applyBatch(polls => ({ put: polls.map(({ id: pollId, ...poll }) => ({ id: pollId, data: { ...poll, closedAt: '2026-01-01T00:00:00.000Z' } })) }));
+      expect(await pollStorage.getById(kept.id)).toMatchObject({ closedAt: '2026-01-01T00:00:00.000Z', votes: { other: [1, 2] } });
+    });
+
+    it('should persist data across connections', async () => {
+      const poll = await pollService.createPoll(testPollData);
+      await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 1 });
+      await pollStorage.close();
+
+      const reopened = new SqlitePollStorage(databasePath);
+      expect((await reopened.getById(poll.id)).votes).toEqual({ [testCreator]: 1 });
+      await reopened.close();
+    });
+
+    it('should store vote times and give older polls and votes a null time', async () => {
+      const poll = await pollService.createPoll(testPollData);
+      const voted = await pollService.vote({ pollId: poll.id, username: testCreator, optionIndex: 1 });
+      expect(voted.votedAt).toEqual({ [testCreator]: expect.any(String) });
+      expect(voted.createdAt).toBe(poll.createdAt);
+
+      // Turn the database back into one from before polls and votes carried a time
+      pollStorage.db.exec('ALTER TABLE votes DROP COLUMN voted_at');
+      pollStorage.db.prepare("UPDATE polls SET data = json_remove(data, '$.createdAt')").run();
+      await pollStorage.close();
+
+      const reopened = new SqlitePollStorage(databasePath);
+      expect(await reopened.getById(poll.id)).toMatchObject({ createdAt: null, votes: { [testCreator]: 1 }, votedAt: { [testCreator]: null } });
+      await reopened.changeVote(poll.id, testCreator, 2, '2030-01-01T00:00:00.000Z');
+      expect((await reopened.getById(poll.id)).votedAt).toEqual({ [testCreator]: '2030-01-01T00:00:00.000Z' });
+      await reopened.close();
+    });
+  });
+
+  describe('migrateJsonToSqlite', () => {
+    const jsonDir = path.join(testDataDir, 'json');
+    const migratedPath = path.join(testDataDir, 'migrated.db');
+
+    it('should import users, polls and votes from the JSON files', async () => {
+      const jsonUsers = new JsonFileUserStorage(jsonDir);
+      const jsonPolls = new JsonFilePollStorage(jsonDir);
+      const jsonPollService = new PollService(jsonPolls, new UserService(jsonUsers));
+      await jsonUsers.createUser('alice', { passwordHash: 'salt:hash' });
+      const poll = await jsonPollService.createPoll({ ...testPollData, creator: 'alice', type: 'ranked' });
+      await jsonPollService.vote({ pollId: poll.id, username: 'alice', ranking: [1, 2] });
+      const secret = await jsonPollService.createPoll({ ...testPollData, creator: 'alice', secretBallot: true });
+      await jsonPollService.vote({ pollId: secret.id, username: 'alice', optionIndex: 0 });
+
+      const counts = await migrateJsonToSqlite(jsonDir, migratedPath);
+      expect(counts).toEqual({ users: 1, polls: 2, votes: 2 });
+
+      const migratedPolls = new SqlitePollStorage(migratedPath);
+      const migratedUsers = new SqliteUserStorage(migratedPath);
+      expect(await migratedPolls.getAll()).toEqual(await jsonPolls.getAll());
+      expect(await migratedUsers.getAll()).toEqual(await jsonUsers.getAll());
+      await migratedPolls.close();
+      await migratedUsers.close();
+    });
+
+    it('should refuse to run into an existing database', async () => {
+      await expect(migrateJsonToSqlite(jsonDir, databasePath)).rejects.toThrow('already exists');
+    });
+
+    it('should leave no database behind when the import fails', async () => {
+      await fs.mkdir(jsonDir, { recursive: true });
+      await fs.writeFile(path.join(jsonDir, 'users.json'), JSON.stringify([{ id: 'bob', username: 'bob' }, { id: 'bob', username: 'bob' }]));
+
+      await expect(migrateJsonToSqlite(jsonDir, migratedPath)).rejects.toThrow('already exists');
+      await expect(fs.access(migratedPath)).rejects.toThrow();
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Unit tests for the UserService class
  */
 
-import { UserService } from '../src/services/UserService.js';
+import { UserService, PROFILE_FIELD_LIMITS, ANONYMOUS_VOTER_PREFIX } from '../src/services/UserService.js';
 // Use JsonFile storage for tests, requires cleanup
 import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js'; 
 import fs from 'fs/promises'; // Import fs for cleanup
@@ -18,6 +18,12 @@ const testDataDir = path.join(__dirname, 'test_data_userservice'); // Use separa
 describe('UserService', () => {
   let userService;
   let userStorage;
+  const testPassword = 'password123';
+
+  // The public user object of a user who has not filled in a profile or been active yet
+  const emptyProfile = (username) => ({
+    id: username, username, displayName: null, email: null, avatarUrl: null, bio: null, createdAt: null, lastActiveAt: null
+  });
 
   // Set up fresh instances and cleanup before each test
   beforeEach(async () => {
@@ -38,27 +44,45 @@ describe('UserService', () => {
   describe('createUser', () => {
     it('should create a user with valid username', async () => {
       const username = 'testuser';
-      const user = await userService.createUser(username);
+      const user = await userService.createUser(username, testPassword);
       
-      expect(user).toEqual({ id: username, username });
+      expect(user).toEqual({ ...emptyProfile(username), createdAt: expect.any(String) });
+      expect(Date.parse(user.createdAt)).toBeLessThanOrEqual(Date.now());
     });
 
     it('should reject empty username', async () => {
-      await expect(userService.createUser('')).rejects.toThrow('Username must be a non-empty string');
+      await expect(userService.createUser('', testPassword)).rejects.toThrow('Username must be a non-empty string');
     });
 
     it('should reject null username', async () => {
-      await expect(userService.createUser(null)).rejects.toThrow('Username must be a non-empty string');
+      await expect(userService.createUser(null, testPassword)).rejects.toThrow('Username must be a non-empty string');
     });
 
     it('should reject duplicate username', async () => {
       const username = 'duplicateuser';
       
       // Create the user first
-      await userService.createUser(username);
+      await userService.createUser(username, testPassword);
       
       // Try to create with the same username
-      await expect(userService.createUser(username)).rejects.toThrow('already exists');
+      await expect(userService.createUser(username, testPassword)).rejects.toThrow('already exists');
+    });
+
+    it('should reject a missing or too short password', async () => {
+      await expect(userService.createUser('testuser')).rejects.toThrow('Password must be a string of at least 8 characters');
+      await expect(userService.createUser('testuser', 'short')).rejects.toThrow('Password must be a string of at least 8 characters');
+    });
+
+    it('should reserve the names of anonymized voters', async () => {
+      await expect(userService.createUser(`${ANONYMOUS_VOTER_PREFIX}1234`, testPassword)).rejects.toThrow(`must not start with '${ANONYMOUS_VOTER_PREFIX}'`);
+    });
+
+    it('should store only a hash of the password', async () => {
+      await userService.createUser('testuser', testPassword);
+
+      const stored = await userStorage.getUserByUsername('testuser');
+      expect(stored.passwordHash).toBeDefined();
+      expect(stored.passwordHash).not.toContain(testPassword);
     });
   });
 
@@ -67,12 +91,12 @@ describe('UserService', () => {
       const username = 'existinguser';
       
       // Create the user first
-      await userService.createUser(username);
+      await userService.createUser(username, testPassword);
       
       // Get the user
       const user = await userService.getUser(username);
       
-      expect(user).toEqual({ id: username, username });
+      expect(user).toEqual({ ...emptyProfile(username), createdAt: expect.any(String) });
     });
 
     it('should throw error for non-existent user', async () => {
@@ -82,12 +106,73 @@ describe('UserService', () => {
     });
   });
 
+  describe('verifyCredentials', () => {
+    beforeEach(async () => {
+      await userService.createUser('loginuser', testPassword);
+    });
+
+    it('should return the public user for a correct password', async () => {
+      const user = await userService.verifyCredentials('loginuser', testPassword);
+
+      expect(user).toMatchObject({ id: 'loginuser', username: 'loginuser' });
+      expect(user.passwordHash).toBeUndefined();
+    });
+
+    it('should return null for a wrong password', async () => {
+      const user = await userService.verifyCredentials('loginuser', 'wrongpassword');
+
+      expect(user).toBeNull();
+    });
+
+    it('should return null for a non-existent user', async () => {
+      const user = await userService.verifyCredentials('nonexistentuser', testPassword);
+
+      expect(user).toBeNull();
+    });
+  });
+
+  describe('password setup', () => {
+    beforeEach(async () => {
+      // Stored before accounts had passwords
+      await userStorage.createUser('legacyuser');
+      await userService.createUser('loginuser', testPassword);
+    });
+
+    it('should let a user without a password set one once with their setup code', async () => {
+      const [issued, ...others] = await userService.issuePasswordSetupCodes();
+      expect(others).toEqual([]);
+      expect(issued).toEqual({ username: 'legacyuser', code: expect.any(String), expiresAt: expect.any(String) });
+      // Only a hash of the code is stored, and it is never handed out
+      expect(JSON.stringify(await userStorage.getUserByUsername('legacyuser'))).not.toContain(issued.code);
+      expect(await userService.getUser('legacyuser')).toEqual(emptyProfile('legacyuser'));
+
+      await expect(userService.setInitialPassword('legacyuser', 'wrong', testPassword)).rejects.toMatchObject({ code: 'invalid_setup_code' });
+      await expect(userService.setInitialPassword('legacyuser', issued.code, 'short')).rejects.toThrow('at least');
+      expect(await userService.setInitialPassword('legacyuser', issued.code, testPassword)).toEqual(emptyProfile('legacyuser'));
+
+      expect(await userService.verifyCredentials('legacyuser', testPassword)).toMatchObject({ username: 'legacyuser' });
+      expect(await userStorage.getUserByUsername('legacyuser')).not.toHaveProperty('passwordSetup');
+      await expect(userService.setInitialPassword('legacyuser', issued.code, 'another password')).rejects.toMatchObject({ code: 'invalid_setup_code' });
+    });
+
+    it('should reject expired codes and codes of users who have a password', async () => {
+      const [issued] = await userService.issuePasswordSetupCodes(['legacyuser']);
+      const { id, ...stored } = await userStorage.getUserByUsername('legacyuser');
+      await userStorage.update(id, { ...stored, passwordSetup: { ...stored.passwordSetup, expiresAt: new Date(Date.now() - 1000).toISOString() } });
+
+      await expect(userService.setInitialPassword('legacyuser', issued.code, testPassword)).rejects.toMatchObject({ code: 'invalid_setup_code' });
+      await expect(userService.setInitialPassword('nobody', issued.code, testPassword)).rejects.toMatchObject({ code: 'invalid_setup_code' });
+      await expect(userService.issuePasswordSetupCodes(['loginuser'])).rejects.toMatchObject({ code: 'password_already_set' });
+      await expect(userService.issuePasswordSetupCodes(['nobody'])).rejects.toMatchObject({ code: 'user_not_found' });
+    });
+  });
+
   describe('userExists', () => {
     it('should return true for existing user', async () => {
       const username = 'existinguser';
       
       // Create the user first
-      await userService.createUser(username);
+      await userService.createUser(username, testPassword);
       
       // Check if user exists
       const exists = await userService.userExists(username);
@@ -104,4 +189,117 @@ describe('UserService', () => {
       expect(exists).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('getProfile', () => {
+    it('should show the email address only to the user themselves', async () => {
+      await userService.createUser('profileuser', testPassword);
+      await userService.updateProfile('profileuser', 'profileuser', { email: 'me@example.com' });
+
+      expect((await userService.getProfile('profileuser', 'profileuser')).email).toBe('me@example.com');
+      expect(await userService.getProfile('profileuser', 'someoneelse')).not.toHaveProperty('email');
+      expect(await userService.getProfile('profileuser')).not.toHaveProperty('email');
+    });
+
+    it('should report null timestamps for users stored before they were recorded', async () => {
+      await userStorage.createUser('legacyuser');
+
+      expect(await userService.getProfile('legacyuser')).toMatchObject({ createdAt: null, lastActiveAt: null, displayName: null });
+    });
+  });
+
+  describe('listUsers', () => {
+    beforeEach(async () => {
+      for (const username of ['carol', 'alice', 'bob', 'dave']) {
+        await userService.createUser(username, testPassword);
+      }
+      await userService.updateProfile('dave', 'dave', { displayName: 'Alias Dave' });
+    });
+
+    it('should page through users in alphabetical order', async () => {
+      const firstPage = await userService.listUsers({ limit: 3 });
+      expect(firstPage.items.map(user => user.username)).toEqual(['alice', 'bob', 'carol']);
+      expect(firstPage.total).toBe(4);
+
+      const secondPage = await userService.listUsers({ limit: 3, cursor: firstPage.nextCursor });
+      expect(secondPage.items.map(user => user.username)).toEqual(['dave']);
+      expect(secondPage.nextCursor).toBeNull();
+    });
+
+    it('should search usernames and display names without regard to case', async () => {
+      const page = await userService.listUsers({ q: 'AL' });
+
+      expect(page.items.map(user => user.username)).toEqual(['alice', 'dave']);
+      expect(page.total).toBe(2);
+    });
+
+    it('should reject an invalid limit or cursor', async () => {
+      await expect(userService.listUsers({ limit: 0 })).rejects.toThrow('limit must be an integer');
+      await expect(userService.listUsers({ cursor: 'garbage' })).rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('updateProfile', () => {
+    beforeEach(async () => {
+      await userService.createUser('editor', testPassword);
+    });
+
+    it('should update and clear profile fields, ignoring other fields', async () => {
+      const updated = await userService.updateProfile('editor', 'editor', {
+        displayName: '  Ed  ',
+        email: 'ed@example.com',
+        avatarUrl: 'https://example.com/ed.png',
+        bio: 'Writes polls.',
+        username: 'renamed'
+      });
+      expect(updated).toMatchObject({ username: 'editor', displayName: 'Ed', email: 'ed@example.com', avatarUrl: 'https://example.com/ed.png', bio: 'Writes polls.' });
+
+      const cleared = await userService.updateProfile('editor', 'editor', { bio: null, displayName: '' });
+      expect(cleared).toMatchObject({ displayName: null, bio: null, email: 'ed@example.com' });
+      expect((await userStorage.getUserByUsername('editor')).passwordHash).toBeDefined();
+    });
+
+    it('should list every invalid field', async () => {
+      const attempt = userService.updateProfile('editor', 'editor', {
+        email: 'not-an-address',
+        avatarUrl: 'javascript:alert(1)',
+        bio: 'x'.repeat(PROFILE_FIELD_LIMITS.bio + 1)
+      });
+
+      await expect(attempt).rejects.toMatchObject({
+        errors: [
+          { field: 'email', message: 'email must be a valid email address' },
+          { field: 'avatarUrl', message: 'avatarUrl must be an http or https URL' },
+          { field: 'bio', message: `bio must be at most ${PROFILE_FIELD_LIMITS.bio} characters long` }
+        ]
+      });
+    });
+
+    it('should reject empty changes, other users and unknown users', async () => {
+      await expect(userService.updateProfile('editor', 'editor', { username: 'renamed' })).rejects.toThrow('Nothing to update');
+      await expect(userService.updateProfile('editor', 'someoneelse', { bio: 'Hi' })).rejects.toMatchObject({ code: 'not_profile_owner' });
+      await expect(userService.updateProfile('nobody', 'nobody', { bio: 'Hi' })).rejects.toMatchObject({ code: 'user_not_found' });
+    });
+  });
+
+  describe('deleteUser', () => {
+    it('should delete an existing user and reject unknown ones', async () => {
+      await userService.createUser('leaving', testPassword);
+
+      expect(await userService.deleteUser('leaving')).toBe(true);
+      expect(await userService.userExists('leaving')).toBe(false);
+      await expect(userService.deleteUser('leaving')).rejects.toMatchObject({ code: 'user_not_found' });
+    });
+  });
+
+  describe('recordActivity', () => {
+    it('should record the time of activity, at most every few minutes', async () => {
+      await userService.createUser('activeuser', testPassword);
+
+      const first = await userService.recordActivity('activeuser');
+      expect(Date.parse(first.lastActiveAt)).toBeLessThanOrEqual(Date.now());
+
+      const second = await userService.recordActivity('activeuser');
+      expect(second.lastActiveAt).toBe(first.lastActiveAt);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * WebhookService.test.js
+ *
+ * Unit tests for the WebhookService class, delivering to a local HTTP receiver
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { WebhookService } from '../src/services/WebhookService.js';
+import { PollService } from '../src/services/PollService.js';
+import { UserService } from '../src/services/UserService.js';
+// Use JsonFile storage for tests, requires cleanup
+import { JsonFileWebhookStorage } from '../src/storage/JsonFileWebhookStorage.js';
+import { JsonFileWebhookDeliveryStorage } from '../src/storage/JsonFileWebhookDeliveryStorage.js';
+import { JsonFilePollStorage } from '../src/storage/JsonFilePollStorage.js';
+import { JsonFileUserStorage } from '../src/storage/JsonFileUserStorage.js';
+import { ValidationError, ForbiddenError, NotFoundError } from '../src/errors.js';
+import fs from 'fs/promises'; // Import fs for cleanup
+import path from 'path'; // Import path for cleanup
+import { fileURLToPath } from 'url'; // Import url for cleanup
+
+// Get directory name in ESM for cleanup
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDataDir = path.join(__dirname, 'test_data_webhookservice'); // Use separate test data dir
+
+// Waits until a condition holds, checking every few milliseconds
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('WebhookService', () => {
+  let webhookService;
+  let pollService;
+  let userService;
+  let receiver;
+  let receiverUrl;
+  // Requests received and the statuses to answer the next ones with (200 once exhausted)
+  let requests;
+  let statuses;
+  const owner = 'owner';
+  const other = 'other';
+  const testPassword = 'password123';
+
+  // Creates a service on the test data directory, as after a restart. The receiver is local, so private addresses are allowed by default.
+  const createService = (options = {}) => new WebhookService(
+    new JsonFileWebhookStorage(testDataDir),
+    new JsonFileWebhookDeliveryStorage(testDataDir),
+    pollService,
+    userService,
+    { maxAttempts: 3, retryDelayMs: 20, timeoutMs: 1000, allowPrivateAddresses: true, ...options }
+  );
+
+  // A local HTTP receiver standing in for the subscribers
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  // Set up fresh instances and two users before each test
+  beforeEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    await fs.mkdir(testDataDir, { recursive: true });
+    requests = [];
+    statuses = [];
+
+    userService = new UserService(new JsonFileUserStorage(testDataDir));
+    pollService = new PollService(new JsonFilePollStorage(testDataDir), userService);
+    webhookService = createService();
+
+    await userService.createUser(owner, testPassword);
+    await userService.createUser(other, testPassword);
+  });
+
+  // Stop the receiver and clean up test data directory after all tests
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('createWebhook and listWebhooks', () => {
+    it('should return the secret only on creation', async () => {
+      const webhook = await webhookService.createWebhook({ url: receiverUrl, events: ['poll.voted', 'poll.created', 'poll.voted'], owner });
+
+      expect(webhook).toEqual({
+        id: expect.any(String), url: receiverUrl, events: ['poll.created', 'poll.voted'], owner, createdAt: expect.any(String), secret: expect.stringMatching(/^[0-9a-f]{64}$/)
+      });
+      const { secret, ...listed } = webhook;
+      expect(await webhookService.listWebhooks(owner)).toEqual([listed]);
+      expect(await webhookService.listWebhooks(other)).toEqual([]);
+    });
+
+    it('should reject invalid URLs and events', async () => {
+      await expect(webhookService.createWebhook({ url: 'ftp://example.com', events: ['poll.created'], owner })).rejects.toMatchObject({ errors: [{ field: 'url', message: expect.any(String) }] });
+      await expect(webhookService.createWebhook({ url: 'not a url', events: ['poll.created'], owner })).rejects.toThrow(ValidationError);
+      await expect(webhookService.createWebhook({ url: receiverUrl, events: [], owner })).rejects.toMatchObject({ errors: [{ field: 'events', message: expect.any(String) }] });
+      await expect(webhookService.createWebhook({ url: receiverUrl, events: ['poll.exploded'], owner })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('deliveries', () => {
+    it('should post signed events to the subscribers', async () => {
+      const { id, secret } = await webhookService.createWebhook({ url: receiverUrl, events: ['poll.created', 'user.created'], owner });
+
+      const poll = await pollService.createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi'], creator: other });
+      await waitFor(() => requests.length === 1);
+
+      const [request] = requests;
+      const payload = JSON.parse(request.body);
+      expect(payload).toEqual({ id: expect.any(String), event: 'poll.created', createdAt: expect.any(String), data: { poll: expect.objectContaining({ id: poll.id, question: 'Lunch?' }) } });
+      expect(request.headers['x-pollbuilder-event']).toBe('poll.created');
+      expect(request.headers['x-pollbuilder-delivery']).toBe(payload.id);
+      const signature = crypto.createHmac('sha256', secret).update(request.body).digest('hex');
+      expect(request.headers['x-pollbuilder-signature']).toBe(`sha256=${signature}`);
+
+      await userService.createUser('newcomer', testPassword);
+      await waitFor(() => requests.length === 2);
+      expect(JSON.parse(requests[1].body).data.user).toMatchObject({ username: 'newcomer' });
+      expect(JSON.parse(requests[1].body).data.user).not.toHaveProperty('email');
+
+      await webhookService.processDueDeliveries();
+      const deliveries = await webhookService.getDeliveries(id, owner);
+      expect(deliveries.map(delivery => [delivery.event, delivery.status])).toEqual([['user.created', 'delivered'], ['poll.created', 'delivered']]);
+      expect(deliveries[1].attempts).toEqual([{ attemptedAt: expect.any(String), responseStatus: 200, error: null }]);
+    });
+
+    it('should retry failed deliveries with backoff and give up after the last attempt', async () => {
+      const { id } = await webhookService.createWebhook({ url: receiverUrl, events: ['user.created'], owner });
+      statuses = [500, 503];
+
+      await webhookService.dispatch('user.created', { username: other });
+      await webhookService.processDueDeliveries();
+      let [delivery] = await webhookService.getDeliveries(id, owner);
+      expect(delivery).toMatchObject({ status: 'pending', attempts: [{ responseStatus: 500, error: expect.any(String) }] });
+      // The first retry waits retryDelayMs, the second twice as long
+      expect(Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.attempts[0].attemptedAt)).toBeGreaterThanOrEqual(20);
+
+      await waitFor(async () => {
+        await webhookService.processDueDeliveries();
+        [delivery] = await webhookService.getDeliveries(id, owner);
+        return delivery.status !== 'pending';
+      });
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts.map(attempt => attempt.responseStatus)).toEqual([500, 503, 200]);
+
+      statuses = [500, 500, 500];
+      await webhookService.dispatch('user.created', { username: owner });
+      await waitFor(async () => {
+        await webhookService.processDueDeliveries();
+        [delivery] = await webhookService.getDeliveries(id, owner);
+        return delivery.status !== 'pending';
+      });
+      expect(delivery).toMatchObject({ status: 'failed', nextAttemptAt: null, completedAt: expect.any(String) });
+      expect(delivery.attempts).toHaveLength(3);
+    });
+
+    it('should not deliver to loopback, private or link-local addresses', async () => {
+      const guarded = createService({ allowPrivateAddresses: false });
+      for (const url of [receiverUrl, 'http://localhost:8080/hook', 'http://10.1.2.3/hook', 'http://192.168.0.10/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://[fe80::1]/hook', 'http://[::ffff:127.0.0.1]/hook']) {
+        await expect(guarded.createWebhook({ url, events: ['user.created'], owner })).rejects.toMatchObject({ errors: [{ field: 'url', message: expect.stringContaining('private') }] });
+      }
+
+      // A URL that passed when subscribing is checked again before each delivery
+      const { id } = await guarded.createWebhook({ url: 'http://203.0.113.10/hook', events: ['user.created'], owner });
+      const storage = new JsonFileWebhookStorage(testDataDir);
+      await storage.update(id, { ...(await storage.getById(id)), url: receiverUrl });
+      const restarted = createService({ allowPrivateAddresses: false });
+      await restarted.dispatch('user.created', { username: other });
+      await restarted.processDueDeliveries();
+
+      const [delivery] = await restarted.getDeliveries(id, owner);
+      expect(delivery.attempts).toEqual([{ attemptedAt: expect.any(String), responseStatus: null, error: 'Delivery to 127.0.0.1 is not allowed' }]);
+      expect(requests).toEqual([]);
+    });
+
+    it('should deliver the queue left from before a restart', async () => {
+      const { id } = await webhookService.createWebhook({ url: 'http://127.0.0.1:1/unreachable', events: ['user.created'], owner });
+      await webhookService.dispatch('user.created', { username: other });
+      await webhookService.processDueDeliveries();
+      expect(requests).toEqual([]);
+
+      // Point the stored subscription at the receiver, then start a new service on the same files
+      const storage = new JsonFileWebhookStorage(testDataDir);
+      await storage.update(id, { ...(await storage.getById(id)), url: receiverUrl });
+      const restarted = createService();
+      await waitFor(async () => {
+        await restarted.processDueDeliveries();
+        return requests.length === 1;
+      });
+      expect(JSON.parse(requests[0].body).event).toBe('user.created');
+    });
+
+    it('should only send poll events the owner may see, without secret-ballot voters', async () => {
+      await webhookService.createWebhook({ url: receiverUrl, events: ['poll.created', 'poll.voted', 'poll.deleted'], owner });
+
+      const hidden = await pollService.createPoll({ question: 'Private?', options: ['A', 'B'], creator: other, visibility: 'private' });
+      const secret = await pollService.createPoll({ question: 'Secret?', options: ['A', 'B'], creator: owner, secretBallot: true });
+      await pollService.vote({ pollId: hidden.id, username: other, optionIndex: 0 });
+      await pollService.vote({ pollId: secret.id, username: other, optionIndex: 1 });
+      await pollService.deletePoll(hidden.id, other);
+      await waitFor(() => requests.length === 2);
+      await webhookService.processDueDeliveries();
+
+      const payloads = requests.map(request => JSON.parse(request.body));
+      expect(payloads.map(payload => payload.event).sort()).toEqual(['poll.created', 'poll.voted']);
+      const voted = payloads.find(payload => payload.event === 'poll.voted');
+      expect(voted.data).toEqual({ poll: expect.objectContaining({ id: secret.id, votes: {} }), action: 'cast' });
+      expect(voted.data.poll).not.toHaveProperty('voters');
+      expect(payloads.find(payload => payload.event === 'poll.created').data.poll).not.toHaveProperty('voters');
+    });
+  });
+
+  describe('deleteWebhook and removeWebhooksOfUser', () => {
+    it('should let only the owner delete a webhook or read its deliveries', async () => {
+      const { id } = await webhookService.createWebhook({ url: receiverUrl, events: ['user.created'], owner });
+
+      await expect(webhookService.getDeliveries(id, other)).rejects.toThrow(ForbiddenError);
+      await expect(webhookService.deleteWebhook(id, other)).rejects.toMatchObject({ code: 'not_webhook_owner' });
+      expect(await webhookService.deleteWebhook(id, owner)).toBe(true);
+      await expect(webhookService.getDeliveries(id, owner)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should remove the webhooks of deleted users', async () => {
+      await webhookService.createWebhook({ url: receiverUrl, events: ['user.created'], owner });
+      await userService.deleteUser(owner);
+
+      await waitFor(async () => (await webhookService.listWebhooks(owner)).length === 0);
+      expect(await webhookService.removeWebhooksOfUser(owner)).toBe(0);
+    });
+  });
+});
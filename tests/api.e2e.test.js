@@ -5,11 +5,18 @@
  */
 
 import fetch from 'node-fetch';
-import { start, stop } from '../src/server.js';
+import http from 'http';
+import crypto from 'crypto';
+import { getSchemaValidator } from '../src/middleware/validateRequest.js';
+import ExcelJS from 'exceljs';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+// The webhook receivers of these tests run locally; set before the server module reads it
+process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES = 'true';
+const { start, stop } = await import('../src/server.js');
+
 // Get directory name in ESM
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const dataDir = path.join(__dirname, '..', 'data');
@@ -17,19 +24,43 @@ const dataDir = path.join(__dirname, '..', 'data');
 describe('API End-to-End Tests', () => {
   let baseURL;
   let testUser = 'testUser';
+  const testPassword = 'password123';
   let testPoll = {
     question: 'What is your favorite color?',
-    options: ['Red', 'Green', 'Blue'],
-    creator: testUser
+    options: ['Red', 'Green', 'Blue']
   };
   let pollId;
+  // Bearer tokens of logged-in users, keyed by username
+  const tokens = {};
+
+  // Builds request headers, adding the bearer token of the given user if provided
+  const headers = (username) => ({
+    'Content-Type': 'application/json',
+    ...(username ? { Authorization: `Bearer ${tokens[username]}` } : {})
+  });
+
+  // Creates a user and logs them in, storing their token for later requests
+  const signUpAndLogin = async (username) => {
+    await fetch(`${baseURL}/users`, {
+      method: 'POST',
+      headers: headers(),
+      body: JSON.stringify({ username, password: testPassword })
+    });
+    const response = await fetch(`${baseURL}/auth/login`, {
+      method: 'POST',
+      headers: headers(),
+      body: JSON.stringify({ username, password: testPassword })
+    });
+    tokens[username] = (await response.json()).token;
+  };
 
   // Start the server before all tests
   beforeAll(async () => {
-    // Clean up data directory
+    // Clean up data directory, including backups the storage would otherwise restore from
     try {
-      await fs.rm(path.join(dataDir, 'users.json'), { force: true });
-      await fs.rm(path.join(dataDir, 'polls.json'), { force: true });
+      const dataFiles = await fs.readdir(dataDir);
+      const leftovers = dataFiles.filter(file => /^(users|polls|sessions|groups|comments|webhooks|webhook-deliveries|audit)\.json(\.bak\.\d+)?$/.test(file));
+      await Promise.all(leftovers.map(file => fs.rm(path.join(dataDir, file), { force: true })));
     } catch (error) {
       // Ignore errors if files don't exist
     }
@@ -49,41 +80,199 @@ describe('API End-to-End Tests', () => {
       const response = await fetch(`${baseURL}/users`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: testUser })
+        body: JSON.stringify({ username: testUser, password: testPassword })
       });
 
       expect(response.status).toBe(201);
       const user = await response.json();
       expect(user.username).toBe(testUser);
+      expect(user.passwordHash).toBeUndefined();
     });
 
     it('should reject duplicate username', async () => {
       const response = await fetch(`${baseURL}/users`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: testUser })
+        body: JSON.stringify({ username: testUser, password: testPassword })
       });
 
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(409);
       const error = await response.json();
-      expect(error.error).toContain('already exists');
+      expect(error.code).toBe('username_taken');
+      expect(error.detail).toContain('already exists');
+    });
+
+    it('should reject a user without a password', async () => {
+      const response = await fetch(`${baseURL}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'noPasswordUser' })
+      });
+
+      expect(response.status).toBe(400);
+      const problem = await response.json();
+      expect(problem.code).toBe('validation_failed');
+      expect(problem.errors).toEqual([{ field: 'password', message: expect.any(String) }]);
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should reject a login with a wrong password', async () => {
+      const response = await fetch(`${baseURL}/auth/login`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ username: testUser, password: 'wrongpassword' })
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should log in and return a bearer token', async () => {
+      const response = await fetch(`${baseURL}/auth/login`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ username: testUser, password: testPassword })
+      });
+
+      expect(response.status).toBe(200);
+      const session = await response.json();
+      expect(typeof session.token).toBe('string');
+      expect(session.user.username).toBe(testUser);
+
+      tokens[testUser] = session.token;
+    });
+
+    it('should reject an invalid bearer token', async () => {
+      const response = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer not-a-real-token' },
+        body: JSON.stringify(testPoll)
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should invalidate the token on logout', async () => {
+      await signUpAndLogin('logoutUser');
+
+      const logoutResponse = await fetch(`${baseURL}/auth/logout`, {
+        method: 'POST',
+        headers: headers('logoutUser')
+      });
+      expect(logoutResponse.status).toBe(200);
+
+      const response = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers('logoutUser'),
+        body: JSON.stringify(testPoll)
+      });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('User Profiles', () => {
+    const profileUser = 'profileUser';
+    const otherUser = 'profileOther';
+
+    beforeAll(async () => {
+      await signUpAndLogin(profileUser);
+      await signUpAndLogin(otherUser);
+    });
+
+    it('should let users edit their own profile', async () => {
+      const response = await fetch(`${baseURL}/users/${profileUser}`, {
+        method: 'PATCH',
+        headers: headers(profileUser),
+        body: JSON.stringify({ displayName: 'Pro File', email: 'pro@example.com', avatarUrl: 'https://example.com/p.png', bio: 'Hello' })
+      });
+
+      expect(response.status).toBe(200);
+      const user = await response.json();
+      expect(user).toMatchObject({ username: profileUser, displayName: 'Pro File', email: 'pro@example.com', bio: 'Hello' });
+      expect(Date.parse(user.createdAt)).not.toBeNaN();
+      expect(Date.parse(user.lastActiveAt)).not.toBeNaN();
+
+      const forbidden = await fetch(`${baseURL}/users/${profileUser}`, {
+        method: 'PATCH',
+        headers: headers(otherUser),
+        body: JSON.stringify({ bio: 'Hacked' })
+      });
+      expect(forbidden.status).toBe(403);
+      expect((await forbidden.json()).code).toBe('not_profile_owner');
+    });
+
+    it('should show the email address only to its owner', async () => {
+      const asOwner = await (await fetch(`${baseURL}/users/${profileUser}`, { headers: headers(profileUser) })).json();
+      expect(asOwner.email).toBe('pro@example.com');
+
+      const anonymous = await fetch(`${baseURL}/users/${profileUser}`);
+      expect(anonymous.status).toBe(200);
+      const profile = await anonymous.json();
+      expect(profile).toMatchObject({ displayName: 'Pro File', bio: 'Hello' });
+      expect(profile).not.toHaveProperty('email');
+
+      expect((await fetch(`${baseURL}/users/no-such-user`)).status).toBe(404);
+    });
+
+    it('should list and search users a page at a time', async () => {
+      const search = await (await fetch(`${baseURL}/users?q=pro%20file`)).json();
+      expect(search.items.map(user => user.username)).toEqual([profileUser]);
+      expect(search.items[0]).not.toHaveProperty('email');
+
+      const firstPage = await (await fetch(`${baseURL}/users?q=profile&limit=1`)).json();
+      expect(firstPage.total).toBe(2);
+      expect(firstPage.items.map(user => user.username)).toEqual([otherUser]);
+      const secondPage = await (await fetch(`${baseURL}/users?q=profile&limit=1&cursor=${firstPage.nextCursor}`)).json();
+      expect(secondPage.items.map(user => user.username)).toEqual([profileUser]);
+      expect(secondPage.nextCursor).toBeNull();
+
+      expect((await fetch(`${baseURL}/users?limit=0`)).status).toBe(400);
+    });
+
+    it('should reject invalid profile fields', async () => {
+      const response = await fetch(`${baseURL}/users/${profileUser}`, {
+        method: 'PATCH',
+        headers: headers(profileUser),
+        body: JSON.stringify({ email: 'nope', bio: 42 })
+      });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual([{ field: 'bio', message: 'bio must be string,null' }]);
+
+      const malformed = await fetch(`${baseURL}/users/${profileUser}`, {
+        method: 'PATCH',
+        headers: headers(profileUser),
+        body: JSON.stringify({ email: 'nope' })
+      });
+      expect(malformed.status).toBe(400);
+      expect((await malformed.json()).errors).toEqual([{ field: 'email', message: 'email must be a valid email address' }]);
     });
   });
 
   describe('Poll Management', () => {
-    it('should create a poll successfully', async () => {
+    it('should require authentication to create a poll', async () => {
       const response = await fetch(`${baseURL}/polls`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: headers(),
         body: JSON.stringify(testPoll)
       });
 
+      expect(response.status).toBe(401);
+    });
+
+    it('should create a poll successfully', async () => {
+      const response = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ ...testPoll, creator: 'someoneElse' })
+      });
+
       expect(response.status).toBe(201);
       const poll = await response.json();
       
       expect(poll.question).toBe(testPoll.question);
       expect(poll.options).toEqual(testPoll.options);
-      expect(poll.createdBy).toBe(testPoll.creator);
+      expect(poll.createdBy).toBe(testUser); // The creator comes from the token, not the body
       expect(poll.id).toBeDefined();
 
       // Store poll ID for later tests
@@ -94,24 +283,50 @@ describe('API End-to-End Tests', () => {
       const response = await fetch(`${baseURL}/polls`);
       
       expect(response.status).toBe(200);
-      const polls = await response.json();
+      const page = await response.json();
       
-      expect(Array.isArray(polls)).toBe(true);
-      expect(polls.length).toBeGreaterThan(0);
+      expect(Array.isArray(page.items)).toBe(true);
+      expect(page.total).toBe(page.items.length);
+      expect(page.nextCursor).toBeNull();
       
       // Check if our test poll is in the list
-      const foundPoll = polls.find(p => p.id === pollId);
+      const foundPoll = page.items.find(p => p.id === pollId);
       expect(foundPoll).toBeDefined();
     });
 
+    it('should page through polls with a cursor', async () => {
+      await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Another question?', options: ['Yes', 'No'] })
+      });
+
+      const firstResponse = await fetch(`${baseURL}/polls?limit=1&sort=alpha`);
+      expect(firstResponse.status).toBe(200);
+      const firstPage = await firstResponse.json();
+      expect(firstPage.items).toHaveLength(1);
+      expect(firstPage.items[0].question).toBe('Another question?');
+      expect(firstPage.total).toBe(2);
+      expect(firstPage.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await (await fetch(`${baseURL}/polls?limit=1&sort=alpha&cursor=${firstPage.nextCursor}`)).json();
+      expect(secondPage.items.map(poll => poll.id)).toEqual([pollId]);
+      expect(secondPage.nextCursor).toBeNull();
+
+      expect((await fetch(`${baseURL}/polls?limit=0`)).status).toBe(400);
+      expect((await fetch(`${baseURL}/polls?sort=random`)).status).toBe(400);
+      expect((await fetch(`${baseURL}/polls?sort=votes&cursor=${firstPage.nextCursor}`)).status).toBe(400);
+    });
+
     it('should list polls created by a user', async () => {
       const response = await fetch(`${baseURL}/users/${testUser}/polls`);
       
       expect(response.status).toBe(200);
-      const polls = await response.json();
+      const { items: polls, total } = await response.json();
       
       expect(Array.isArray(polls)).toBe(true);
       expect(polls.length).toBeGreaterThan(0);
+      expect(total).toBe(polls.length);
 
       // All polls should be created by the test user
       polls.forEach(poll => {
@@ -124,12 +339,8 @@ describe('API End-to-End Tests', () => {
     const voter = 'voteUser';
 
     beforeAll(async () => {
-      // Create a voter user
-      await fetch(`${baseURL}/users`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: voter })
-      });
+      // Create a voter user and log them in
+      await signUpAndLogin(voter);
     });
 
     it('should allow a user to vote on a poll', async () => {
@@ -137,8 +348,8 @@ describe('API End-to-End Tests', () => {
       
       const response = await fetch(`${baseURL}/polls/${pollId}/vote`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: voter, optionIndex })
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex })
       });
 
       expect(response.status).toBe(200);
@@ -153,20 +364,181 @@ describe('API End-to-End Tests', () => {
       
       const response = await fetch(`${baseURL}/polls/${pollId}/vote`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: voter, optionIndex })
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex })
       });
 
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(409);
       const error = await response.json();
-      expect(error.error).toContain('already voted');
+      expect(error.code).toBe('already_voted');
+      expect(error.detail).toContain('already voted');
+    });
+
+    it('should allow a user to change their vote', async () => {
+      const response = await fetch(`${baseURL}/polls/${pollId}/vote`, {
+        method: 'PUT',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex: 2 })
+      });
+
+      expect(response.status).toBe(200);
+      const poll = await response.json();
+      expect(poll.votes[voter]).toBe(2);
+    });
+
+    it('should allow a user to retract their vote and vote again', async () => {
+      const retractResponse = await fetch(`${baseURL}/polls/${pollId}/vote`, {
+        method: 'DELETE',
+        headers: headers(voter)
+      });
+      expect(retractResponse.status).toBe(200);
+      expect((await retractResponse.json()).votes).not.toHaveProperty(voter);
+
+      const voteResponse = await fetch(`${baseURL}/polls/${pollId}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex: 1 })
+      });
+      expect(voteResponse.status).toBe(200);
+    });
+
+    it('should return 404 when changing a vote that was never cast', async () => {
+      const response = await fetch(`${baseURL}/polls/${pollId}/vote`, {
+        method: 'PUT',
+        headers: headers(testUser),
+        body: JSON.stringify({ optionIndex: 0 })
+      });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 403 when changing a vote on a locked poll', async () => {
+      const createResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ ...testPoll, allowVoteChanges: false })
+      });
+      const lockedPoll = await createResponse.json();
+      await fetch(`${baseURL}/polls/${lockedPoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex: 0 })
+      });
+
+      const response = await fetch(`${baseURL}/polls/${lockedPoll.id}/vote`, {
+        method: 'DELETE',
+        headers: headers(voter)
+      });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should accept several selections on a multiple-choice poll', async () => {
+      const createResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Pick up to 2', options: ['A', 'B', 'C'], maxSelections: 2 })
+      });
+      expect(createResponse.status).toBe(201);
+      const multiPoll = await createResponse.json();
+
+      const tooManyResponse = await fetch(`${baseURL}/polls/${multiPoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndices: [0, 1, 2] })
+      });
+      expect(tooManyResponse.status).toBe(400);
+
+      const voteResponse = await fetch(`${baseURL}/polls/${multiPoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndices: [0, 2] })
+      });
+      expect(voteResponse.status).toBe(200);
+
+      const results = await (await fetch(`${baseURL}/polls/${multiPoll.id}/results`)).json();
+      expect(results.totalVoters).toBe(1);
+      expect(results.totalVotes).toBe(2);
+    });
+
+    it('should tally a ranked poll with a selectable method', async () => {
+      const createResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Rank these', options: ['A', 'B', 'C'], type: 'ranked', tallyMethod: 'borda' })
+      });
+      expect(createResponse.status).toBe(201);
+      const rankedPoll = await createResponse.json();
+
+      const voteResponse = await fetch(`${baseURL}/polls/${rankedPoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ ranking: [2, 0] })
+      });
+      expect(voteResponse.status).toBe(200);
+
+      const borda = await (await fetch(`${baseURL}/polls/${rankedPoll.id}/results`)).json();
+      expect(borda.tallyMethod).toBe('borda');
+      expect(borda.winners).toEqual(['C']);
+
+      const irvResponse = await fetch(`${baseURL}/polls/${rankedPoll.id}/results?method=irv`);
+      expect(irvResponse.status).toBe(200);
+      expect((await irvResponse.json()).rounds).toHaveLength(1);
+
+      const invalidResponse = await fetch(`${baseURL}/polls/${rankedPoll.id}/results?method=plurality`);
+      expect(invalidResponse.status).toBe(400);
+    });
+
+    it('should enforce the voting window and let the creator close a poll', async () => {
+      const scheduledResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ ...testPoll, opensAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+      });
+      expect(scheduledResponse.status).toBe(201);
+      const scheduledPoll = await scheduledResponse.json();
+      expect(scheduledPoll.status).toBe('scheduled');
+
+      const earlyVote = await fetch(`${baseURL}/polls/${scheduledPoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex: 0 })
+      });
+      expect(earlyVote.status).toBe(403);
+
+      const listResponse = await fetch(`${baseURL}/polls?status=scheduled`);
+      expect((await listResponse.json()).items.map(poll => poll.id)).toEqual([scheduledPoll.id]);
+      expect((await fetch(`${baseURL}/polls?status=archived`)).status).toBe(400);
+
+      const forbiddenClose = await fetch(`${baseURL}/polls/${scheduledPoll.id}/close`, {
+        method: 'POST',
+        headers: headers(voter)
+      });
+      expect(forbiddenClose.status).toBe(403);
+
+      const closeResponse = await fetch(`${baseURL}/polls/${scheduledPoll.id}/close`, {
+        method: 'POST',
+        headers: headers(testUser)
+      });
+      expect(closeResponse.status).toBe(200);
+      expect((await closeResponse.json()).status).toBe('closed');
+
+      const lateVote = await fetch(`${baseURL}/polls/${scheduledPoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(voter),
+        body: JSON.stringify({ optionIndex: 0 })
+      });
+      expect(lateVote.status).toBe(409);
+
+      const results = await (await fetch(`${baseURL}/polls/${scheduledPoll.id}/results`)).json();
+      expect(results.status).toBe('closed');
     });
 
     it('should list polls a user has voted in', async () => {
       const response = await fetch(`${baseURL}/users/${voter}/votes`);
       
       expect(response.status).toBe(200);
-      const polls = await response.json();
+      const { items: polls } = await response.json();
       
       expect(Array.isArray(polls)).toBe(true);
       expect(polls.length).toBeGreaterThan(0);
@@ -196,27 +568,156 @@ describe('API End-to-End Tests', () => {
     });
   });
 
+  describe('Live Results', () => {
+    // Returns a function that resolves with the next Server-Sent Event of a streaming response
+    // ({ event, data }), skipping heartbeats, or null once the stream has ended
+    const createEventReader = (response) => {
+      const chunks = response.body[Symbol.asyncIterator]();
+      let buffer = '';
+      return async () => {
+        for (;;) {
+          const boundary = buffer.indexOf('\n\n');
+          if (boundary !== -1) {
+            const message = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            if (message.startsWith(':')) continue;
+            return {
+              event: /^event: (.*)$/m.exec(message)[1],
+              data: JSON.parse(/^data: (.*)$/m.exec(message)[1])
+            };
+          }
+          const { value, done } = await chunks.next();
+          if (done) return null;
+          buffer += value.toString();
+        }
+      };
+    };
+
+    it('should stream results after each vote and end when the poll is deleted', async () => {
+      const streamer = 'streamVoter';
+      await signUpAndLogin(streamer);
+      const createResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Live?', options: ['Yes', 'No'] })
+      });
+      const livePoll = await createResponse.json();
+
+      const streamResponse = await fetch(`${baseURL}/polls/${livePoll.id}/results/stream`);
+      expect(streamResponse.status).toBe(200);
+      expect(streamResponse.headers.get('content-type')).toContain('text/event-stream');
+      const nextEvent = createEventReader(streamResponse);
+
+      const initial = await nextEvent();
+      expect(initial.event).toBe('results');
+      expect(initial.data.totalVotes).toBe(0);
+
+      await fetch(`${baseURL}/polls/${livePoll.id}/vote`, {
+        method: 'POST',
+        headers: headers(streamer),
+        body: JSON.stringify({ optionIndex: 0 })
+      });
+      const afterVote = await nextEvent();
+      expect(afterVote.event).toBe('results');
+      expect(afterVote.data.results[0].votes).toBe(1);
+
+      await fetch(`${baseURL}/polls/${livePoll.id}`, { method: 'DELETE', headers: headers(testUser) });
+      const final = await nextEvent();
+      expect(final).toEqual({ event: 'deleted', data: { id: livePoll.id } });
+      expect(await nextEvent()).toBeNull();
+    });
+
+    it('should end the stream when access to a private poll is revoked', async () => {
+      const streamer = 'revokedStreamer';
+      await signUpAndLogin(streamer);
+      const privatePoll = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Private live?', options: ['Yes', 'No'], visibility: 'private', allowedUsers: [streamer] })
+      })).json();
+
+      const streamResponse = await fetch(`${baseURL}/polls/${privatePoll.id}/results/stream`, { headers: headers(streamer) });
+      expect(streamResponse.status).toBe(200);
+      const nextEvent = createEventReader(streamResponse);
+      expect((await nextEvent()).event).toBe('results');
+      const creatorEvent = createEventReader(await fetch(`${baseURL}/polls/${privatePoll.id}/results/stream`, { headers: headers(testUser) }));
+      expect((await creatorEvent()).event).toBe('results');
+
+      await fetch(`${baseURL}/polls/${privatePoll.id}/access/${streamer}`, { method: 'DELETE', headers: headers(testUser) });
+      expect(await nextEvent()).toEqual({ event: 'revoked', data: { id: privatePoll.id } });
+      expect(await nextEvent()).toBeNull();
+
+      // The creator's stream stays open and ends only with the poll
+      expect((await creatorEvent()).event).toBe('results');
+      await fetch(`${baseURL}/polls/${privatePoll.id}`, { method: 'DELETE', headers: headers(testUser) });
+      expect(await creatorEvent()).toEqual({ event: 'deleted', data: { id: privatePoll.id } });
+      expect(await creatorEvent()).toBeNull();
+    });
+
+    it('should return 404 when streaming a non-existent poll', async () => {
+      const response = await fetch(`${baseURL}/polls/non-existent-id/results/stream`);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Poll Editing', () => {
+    it('should let the creator rename and add options but not remove them after votes', async () => {
+      const renameResponse = await fetch(`${baseURL}/polls/${pollId}`, {
+        method: 'PATCH',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'What is your favourite colour?', options: ['Red', 'Green', 'Blue', 'Yellow'] })
+      });
+      expect(renameResponse.status).toBe(200);
+      const updatedPoll = await renameResponse.json();
+      expect(updatedPoll.question).toBe('What is your favourite colour?');
+      expect(updatedPoll.options).toHaveLength(4);
+
+      const removeResponse = await fetch(`${baseURL}/polls/${pollId}`, {
+        method: 'PATCH',
+        headers: headers(testUser),
+        body: JSON.stringify({ options: ['Red', 'Green'] })
+      });
+      expect(removeResponse.status).toBe(409);
+
+      const invalidResponse = await fetch(`${baseURL}/polls/${pollId}`, {
+        method: 'PATCH',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: '' })
+      });
+      expect(invalidResponse.status).toBe(400);
+    });
+
+    it('should not allow a non-creator to edit a poll', async () => {
+      await signUpAndLogin('editor');
+
+      const response = await fetch(`${baseURL}/polls/${pollId}`, {
+        method: 'PATCH',
+        headers: headers('editor'),
+        body: JSON.stringify({ question: 'Hijacked?' })
+      });
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('Poll Deletion', () => {
     it('should not allow a non-creator to delete a poll', async () => {
       const nonCreator = 'nonCreator';
       
-      // Create non-creator user
-      await fetch(`${baseURL}/users`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username: nonCreator })
-      });
+      // Create and log in the non-creator user
+      await signUpAndLogin(nonCreator);
 
-      const response = await fetch(`${baseURL}/polls/${pollId}?username=${nonCreator}`, {
-        method: 'DELETE'
+      const response = await fetch(`${baseURL}/polls/${pollId}`, {
+        method: 'DELETE',
+        headers: headers(nonCreator)
       });
 
       expect(response.status).toBe(403);
     });
 
     it('should allow the creator to delete their poll', async () => {
-      const response = await fetch(`${baseURL}/polls/${pollId}?username=${testUser}`, {
-        method: 'DELETE'
+      const response = await fetch(`${baseURL}/polls/${pollId}`, {
+        method: 'DELETE',
+        headers: headers(testUser)
       });
 
       expect(response.status).toBe(200);
@@ -224,6 +725,848 @@ describe('API End-to-End Tests', () => {
       // Verify the poll is deleted
       const checkResponse = await fetch(`${baseURL}/polls/${pollId}`);
       expect(checkResponse.status).toBe(404);
+      expect((await checkResponse.json()).code).toBe('poll_not_found');
+    });
+  });
+
+  describe('Account Deletion', () => {
+    const leaving = 'leavingUser';
+    const heir = 'heirUser';
+
+    beforeAll(async () => {
+      await signUpAndLogin(leaving);
+      await signUpAndLogin(heir);
+    });
+
+    it('should hand over polls, keep votes anonymously and end the sessions', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(leaving),
+        body: JSON.stringify({ question: 'Inherited?', options: ['Yes', 'No'] })
+      })).json();
+      const heirPoll = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(heir),
+        body: JSON.stringify({ question: 'Stays?', options: ['Yes', 'No'] })
+      })).json();
+      await fetch(`${baseURL}/polls/${heirPoll.id}/vote`, { method: 'POST', headers: headers(leaving), body: JSON.stringify({ optionIndex: 1 }) });
+
+      const forbidden = await fetch(`${baseURL}/users/${leaving}`, { method: 'DELETE', headers: headers(heir) });
+      expect(forbidden.status).toBe(403);
+      const invalid = await fetch(`${baseURL}/users/${leaving}?polls=transfer`, { method: 'DELETE', headers: headers(leaving) });
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).errors).toEqual([{ field: 'transferTo', message: expect.any(String) }]);
+
+      const response = await fetch(`${baseURL}/users/${leaving}?polls=transfer&transferTo=${heir}&votes=anonymize`, {
+        method: 'DELETE',
+        headers: headers(leaving)
+      });
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ username: leaving, pollsDeleted: 0, pollsTransferred: 1, votesRemoved: 0, votesAnonymized: 1, groupsDeleted: 0, groupsLeft: 0 });
+
+      expect((await fetch(`${baseURL}/users/${leaving}`)).status).toBe(404);
+      expect((await (await fetch(`${baseURL}/polls/${created.id}`)).json()).createdBy).toBe(heir);
+      const results = await (await fetch(`${baseURL}/polls/${heirPoll.id}/results`)).json();
+      expect(results.results.map(result => result.votes)).toEqual([0, 1]);
+      // The token of the deleted user no longer works
+      expect((await fetch(`${baseURL}/auth/logout`, { method: 'POST', headers: headers(leaving) })).status).toBe(401);
+    });
+  });
+
+  describe('Secret Ballots', () => {
+    const secretVoter = 'secretVoter';
+
+    beforeAll(async () => {
+      await signUpAndLogin(secretVoter);
+    });
+
+    it('should never reveal individual choices', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Happy with your manager?', options: ['Yes', 'No'], secretBallot: true })
+      })).json();
+      expect(created).toMatchObject({ secretBallot: true, allowVoteChanges: false });
+
+      const voted = await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(secretVoter), body: JSON.stringify({ optionIndex: 1 }) });
+      expect(voted.status).toBe(200);
+      const { receipt } = await voted.json();
+      expect(receipt).toMatch(/^[0-9a-f]{64}$/);
+
+      const poll = await (await fetch(`${baseURL}/polls/${created.id}`)).json();
+      expect(poll.votes).toEqual({});
+      expect(poll.voterCount).toBe(1);
+      expect(JSON.stringify(poll)).not.toContain(secretVoter);
+      // Only the voter learns which secret-ballot polls they voted in
+      expect((await (await fetch(`${baseURL}/users/${secretVoter}/votes`)).json()).total).toBe(0);
+      const voterPolls = await (await fetch(`${baseURL}/users/${secretVoter}/votes`, { headers: headers(secretVoter) })).json();
+      expect(voterPolls.total).toBe(1);
+      for (const body of [poll, voterPolls]) {
+        expect(JSON.stringify(body)).not.toContain(receipt);
+        expect(JSON.stringify(body)).not.toContain('ballots');
+      }
+      // Even the creator's export holds only the tallies
+      const exported = await (await fetch(`${baseURL}/polls/${created.id}/export?format=jsonl`, { headers: headers(testUser) })).text();
+      expect(exported).not.toContain('"ballot"');
+      expect(exported).not.toContain(secretVoter);
+
+      const results = await (await fetch(`${baseURL}/polls/${created.id}/results`)).json();
+      expect(results.results.map(result => result.votes)).toEqual([0, 1]);
+      const changed = await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'PUT', headers: headers(secretVoter), body: JSON.stringify({ optionIndex: 0 }) });
+      expect(changed.status).toBe(403);
+    });
+
+    it('should verify receipts', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Rate the offsite', options: ['Good', 'Bad'], secretBallot: true })
+      })).json();
+      const { receipt } = await (await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(secretVoter), body: JSON.stringify({ optionIndex: 0 }) })).json();
+
+      const verified = await fetch(`${baseURL}/polls/${created.id}/receipts/${receipt}`);
+      expect(verified.status).toBe(200);
+      expect(await verified.json()).toEqual({ pollId: created.id, receipt, counted: true });
+      const unknown = await fetch(`${baseURL}/polls/${created.id}/receipts/${'0'.repeat(64)}`);
+      expect(unknown.status).toBe(404);
+      expect((await unknown.json()).code).toBe('receipt_not_found');
+    });
+  });
+
+  describe('Visibility', () => {
+    const insider = 'insider';
+    const outsider = 'outsider';
+
+    beforeAll(async () => {
+      await signUpAndLogin(insider);
+      await signUpAndLogin(outsider);
+    });
+
+    it('should keep private polls to the access list', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Team offsite venue?', options: ['Beach', 'Mountains'], visibility: 'private', allowedUsers: [insider] })
+      })).json();
+      expect(created.visibility).toBe('private');
+
+      expect((await fetch(`${baseURL}/polls/${created.id}`, { headers: headers(insider) })).status).toBe(200);
+      for (const response of [await fetch(`${baseURL}/polls/${created.id}`), await fetch(`${baseURL}/polls/${created.id}/results`, { headers: headers(outsider) })]) {
+        expect(response.status).toBe(404);
+        expect((await response.json()).code).toBe('poll_not_found');
+      }
+      const vote = await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(outsider), body: JSON.stringify({ optionIndex: 0 }) });
+      expect(vote.status).toBe(404);
+      const listed = await (await fetch(`${baseURL}/polls?createdBy=${testUser}&limit=100`, { headers: headers(outsider) })).json();
+      expect(listed.items.map(poll => poll.id)).not.toContain(created.id);
+
+      const granted = await fetch(`${baseURL}/polls/${created.id}/access`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ usernames: [outsider] }) });
+      expect(granted.status).toBe(200);
+      expect(await granted.json()).toEqual({ pollId: created.id, visibility: 'private', allowedUsers: [insider, outsider] });
+      expect((await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(outsider), body: JSON.stringify({ optionIndex: 0 }) })).status).toBe(200);
+
+      const forbidden = await fetch(`${baseURL}/polls/${created.id}/access`, { headers: headers(insider) });
+      expect(forbidden.status).toBe(403);
+      const revoked = await fetch(`${baseURL}/polls/${created.id}/access/${outsider}`, { method: 'DELETE', headers: headers(testUser) });
+      expect((await revoked.json()).allowedUsers).toEqual([insider]);
+      expect((await fetch(`${baseURL}/polls/${created.id}`, { headers: headers(outsider) })).status).toBe(404);
+    });
+
+    it('should leave unlisted polls out of listings', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Link-only poll?', options: ['Yes', 'No'], visibility: 'unlisted' })
+      })).json();
+
+      expect((await fetch(`${baseURL}/polls/${created.id}`)).status).toBe(200);
+      const listed = await (await fetch(`${baseURL}/users/${testUser}/polls?limit=100`)).json();
+      expect(listed.items.map(poll => poll.id)).not.toContain(created.id);
+      const own = await (await fetch(`${baseURL}/users/${testUser}/polls?limit=100`, { headers: headers(testUser) })).json();
+      expect(own.items.map(poll => poll.id)).toContain(created.id);
+
+      const notPrivate = await fetch(`${baseURL}/polls/${created.id}/access`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ usernames: [insider] }) });
+      expect(notPrivate.status).toBe(409);
+      expect((await notPrivate.json()).code).toBe('poll_not_private');
+    });
+  });
+
+  describe('Groups', () => {
+    const teammate = 'teammate';
+    const bystander = 'bystander';
+
+    beforeAll(async () => {
+      await signUpAndLogin(teammate);
+      await signUpAndLogin(bystander);
+    });
+
+    it('should manage group members', async () => {
+      const response = await fetch(`${baseURL}/groups`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ name: 'Editors', description: 'The editorial team', members: [teammate] })
+      });
+      expect(response.status).toBe(201);
+      const group = await response.json();
+      expect(group).toMatchObject({ name: 'Editors', createdBy: testUser, members: [testUser, teammate] });
+
+      const forbidden = await fetch(`${baseURL}/groups/${group.id}/members`, { method: 'POST', headers: headers(teammate), body: JSON.stringify({ usernames: [bystander] }) });
+      expect(forbidden.status).toBe(403);
+      expect((await forbidden.json()).code).toBe('not_group_owner');
+      const added = await fetch(`${baseURL}/groups/${group.id}/members`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ usernames: [bystander] }) });
+      expect((await added.json()).members).toEqual([testUser, teammate, bystander]);
+
+      const left = await fetch(`${baseURL}/groups/${group.id}/members/${bystander}`, { method: 'DELETE', headers: headers(bystander) });
+      expect(left.status).toBe(200);
+      expect((await (await fetch(`${baseURL}/groups/${group.id}`)).json()).members).toEqual([testUser, teammate]);
+      const owner = await fetch(`${baseURL}/groups/${group.id}/members/${testUser}`, { method: 'DELETE', headers: headers(testUser) });
+      expect(owner.status).toBe(409);
+
+      const groups = await (await fetch(`${baseURL}/users/${teammate}/groups`)).json();
+      expect(groups.map(each => each.id)).toContain(group.id);
+      expect((await fetch(`${baseURL}/groups/no-such-group`)).status).toBe(404);
+    });
+
+    it('should only let group members vote and report their participation', async () => {
+      const group = await (await fetch(`${baseURL}/groups`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ name: 'Reviewers', members: [teammate] }) })).json();
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Next release date?', options: ['May', 'June'], groups: [group.id] })
+      })).json();
+      expect(created.groups).toEqual([group.id]);
+
+      const rejected = await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(bystander), body: JSON.stringify({ optionIndex: 0 }) });
+      expect(rejected.status).toBe(403);
+      expect((await rejected.json()).code).toBe('not_group_member');
+      expect((await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(teammate), body: JSON.stringify({ optionIndex: 1 }) })).status).toBe(200);
+
+      const results = await (await fetch(`${baseURL}/polls/${created.id}/results`)).json();
+      expect(results.participation).toEqual([{ groupId: group.id, name: 'Reviewers', members: 2, voted: 1, share: 0.5 }]);
+    });
+  });
+
+  describe('Comments', () => {
+    const commenter = 'commenter';
+
+    beforeAll(async () => {
+      await signUpAndLogin(commenter);
+    });
+
+    it('should thread, edit and delete comments', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Conference city?', options: ['Lisbon', 'Berlin'] })
+      })).json();
+
+      const response = await fetch(`${baseURL}/polls/${created.id}/comments`, { method: 'POST', headers: headers(commenter), body: JSON.stringify({ body: 'Lisbon has better weather' }) });
+      expect(response.status).toBe(201);
+      const comment = await response.json();
+      expect(comment).toMatchObject({ pollId: created.id, parentId: null, author: commenter, editedAt: null });
+      const reply = await (await fetch(`${baseURL}/polls/${created.id}/comments`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ body: 'Berlin is cheaper to reach', parentId: comment.id })
+      })).json();
+
+      const forbidden = await fetch(`${baseURL}/polls/${created.id}/comments/${reply.id}`, { method: 'PATCH', headers: headers(commenter), body: JSON.stringify({ body: 'Hijacked' }) });
+      expect(forbidden.status).toBe(403);
+      expect((await forbidden.json()).code).toBe('not_comment_author');
+      const edited = await fetch(`${baseURL}/polls/${created.id}/comments/${comment.id}`, { method: 'PATCH', headers: headers(commenter), body: JSON.stringify({ body: 'Lisbon has better food' }) });
+      expect((await edited.json()).editedAt).toEqual(expect.any(String));
+
+      const threads = await (await fetch(`${baseURL}/polls/${created.id}/comments`)).json();
+      expect(threads).toEqual([expect.objectContaining({ id: comment.id, body: 'Lisbon has better food', replies: [{ ...reply, replies: [] }] })]);
+
+      // The poll creator may moderate; the replies go with the comment
+      const deleted = await fetch(`${baseURL}/polls/${created.id}/comments/${comment.id}`, { method: 'DELETE', headers: headers(testUser) });
+      expect(deleted.status).toBe(200);
+      expect(await (await fetch(`${baseURL}/polls/${created.id}/comments`)).json()).toEqual([]);
+      const missing = await fetch(`${baseURL}/polls/${created.id}/comments/${comment.id}`, { method: 'DELETE', headers: headers(testUser) });
+      expect((await missing.json()).code).toBe('comment_not_found');
+    });
+
+    it('should require authentication and a valid body to comment', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ question: 'Quiet poll?', options: ['Yes', 'No'] }) })).json();
+
+      expect((await fetch(`${baseURL}/polls/${created.id}/comments`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ body: 'Hi' }) })).status).toBe(401);
+      const invalid = await fetch(`${baseURL}/polls/${created.id}/comments`, { method: 'POST', headers: headers(commenter), body: JSON.stringify({ body: '' }) });
+      expect(invalid.status).toBe(400);
+      expect((await fetch(`${baseURL}/polls/no-such-poll/comments`)).status).toBe(404);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const subscriber = 'subscriber';
+    let receiver;
+    let receiverUrl;
+    const received = [];
+
+    // A local HTTP receiver for the deliveries
+    beforeAll(async () => {
+      await signUpAndLogin(subscriber);
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('should deliver signed events and log the deliveries', async () => {
+      const response = await fetch(`${baseURL}/webhooks`, { method: 'POST', headers: headers(subscriber), body: JSON.stringify({ url: receiverUrl, events: ['poll.created'] }) });
+      expect(response.status).toBe(201);
+      const webhook = await response.json();
+      expect(webhook).toMatchObject({ url: receiverUrl, events: ['poll.created'], owner: subscriber, secret: expect.any(String) });
+
+      const poll = await (await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ question: 'Hook me?', options: ['Yes', 'No'] }) })).json();
+      let deliveries = [];
+      for (let attempt = 0; attempt < 100 && deliveries[0]?.status !== 'delivered'; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        deliveries = await (await fetch(`${baseURL}/webhooks/${webhook.id}/deliveries`, { headers: headers(subscriber) })).json();
+      }
+      expect(deliveries).toEqual([expect.objectContaining({ event: 'poll.created', status: 'delivered' })]);
+
+      const [delivery] = received;
+      expect(JSON.parse(delivery.body).data.poll.id).toBe(poll.id);
+      const signature = crypto.createHmac('sha256', webhook.secret).update(delivery.body).digest('hex');
+      expect(delivery.headers['x-pollbuilder-signature']).toBe(`sha256=${signature}`);
+      expect((await (await fetch(`${baseURL}/webhooks`, { headers: headers(subscriber) })).json())[0]).not.toHaveProperty('secret');
+    });
+
+    it('should keep webhooks to their owner', async () => {
+      const webhook = await (await fetch(`${baseURL}/webhooks`, { method: 'POST', headers: headers(subscriber), body: JSON.stringify({ url: receiverUrl, events: ['user.created'] }) })).json();
+
+      const forbidden = await fetch(`${baseURL}/webhooks/${webhook.id}`, { method: 'DELETE', headers: headers(testUser) });
+      expect(forbidden.status).toBe(403);
+      expect((await forbidden.json()).code).toBe('not_webhook_owner');
+      expect((await fetch(`${baseURL}/webhooks/${webhook.id}`, { method: 'DELETE', headers: headers(subscriber) })).status).toBe(200);
+      const missing = await fetch(`${baseURL}/webhooks/${webhook.id}/deliveries`, { headers: headers(subscriber) });
+      expect((await missing.json()).code).toBe('webhook_not_found');
+      const invalid = await fetch(`${baseURL}/webhooks`, { method: 'POST', headers: headers(subscriber), body: JSON.stringify({ url: receiverUrl, events: ['poll.exploded'] }) });
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Audit', () => {
+    it('should record who deleted a poll, in which request', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ question: 'Audited?', options: ['Yes', 'No'] }) })).json();
+      const deleted = await fetch(`${baseURL}/polls/${created.id}`, { method: 'DELETE', headers: { ...headers(testUser), 'X-Request-Id': 'audit-e2e-delete' } });
+      expect(deleted.headers.get('x-request-id')).toBe('audit-e2e-delete');
+
+      const response = await fetch(`${baseURL}/audit?target=${created.id}`, { headers: headers(testUser) });
+      expect(response.status).toBe(200);
+      const { items, total } = await response.json();
+      expect(total).toBe(2);
+      expect(items[0]).toMatchObject({ actor: testUser, action: 'poll.delete', requestId: 'audit-e2e-delete', before: { question: 'Audited?' }, after: null });
+      expect(items[1]).toMatchObject({ action: 'poll.create', requestId: expect.any(String) });
+    });
+
+    it('should require authentication and valid filters', async () => {
+      expect((await fetch(`${baseURL}/audit`)).status).toBe(401);
+      const invalid = await fetch(`${baseURL}/audit?from=someday`, { headers: headers(testUser) });
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).errors).toEqual([expect.objectContaining({ field: 'from' })]);
+    });
+  });
+
+  describe('Rate Limits', () => {
+    it('should report the remaining budget on limited endpoints only', async () => {
+      const created = await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ question: 'Limited?', options: ['Yes', 'No'] }) });
+      expect(created.status).toBe(201);
+      // The per-user budget is the tighter one
+      expect(created.headers.get('ratelimit-limit')).toBe('100');
+      expect(Number(created.headers.get('ratelimit-remaining'))).toBeLessThan(100);
+      expect(created.headers.get('ratelimit-policy')).toBe('100;w=3600');
+      expect((await fetch(`${baseURL}/polls`)).headers.has('ratelimit-limit')).toBe(false);
+
+      const document = await (await fetch(`${baseURL}/openapi.json`)).json();
+      expect(document.paths['/polls'].post.responses).toHaveProperty('429');
+      expect(document.paths['/polls'].get.responses).not.toHaveProperty('429');
+    });
+  });
+
+  describe('Results Timeline', () => {
+    it('should report the cumulative counts per bucket since the first vote', async () => {
+      const created = await (await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ question: 'Over time?', options: ['Yes', 'No'] }) })).json();
+      expect(created.createdAt).toEqual(expect.any(String));
+      const voted = await (await fetch(`${baseURL}/polls/${created.id}/vote`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ optionIndex: 1 }) })).json();
+
+      const response = await fetch(`${baseURL}/polls/${created.id}/results/timeline?bucket=hour`);
+      expect(response.status).toBe(200);
+      const timeline = await response.json();
+      const start = new Date(Date.parse(voted.votedAt[testUser]));
+      start.setUTCMinutes(0, 0, 0);
+      expect(timeline).toMatchObject({ id: created.id, bucket: 'hour', untimed: { totalVotes: 0 } });
+      expect(timeline.timeline).toEqual([{
+        start: start.toISOString(),
+        end: new Date(start.getTime() + 3600000).toISOString(),
+        totalVotes: 1,
+        totalVoters: 1,
+        results: [{ option: 'Yes', votes: 0 }, { option: 'No', votes: 1 }]
+      }]);
+    });
+
+    it('should reject unknown buckets', async () => {
+      const response = await fetch(`${baseURL}/polls/${pollId}/results/timeline?bucket=week`);
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual([expect.objectContaining({ field: 'bucket' })]);
+    });
+  });
+
+  describe('Results Crosstab', () => {
+    it('should cross-tabulate two polls and refuse secret ballots', async () => {
+      const create = async body => (await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify(body) })).json();
+      const first = await create({ question: 'First?', options: ['A', 'B'] });
+      const second = await create({ question: 'Second?', options: ['C', 'D'] });
+      const secret = await create({ question: 'Secret?', options: ['E', 'F'], secretBallot: true });
+      await fetch(`${baseURL}/polls/${first.id}/vote`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ optionIndex: 1 }) });
+      await fetch(`${baseURL}/polls/${second.id}/vote`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ optionIndex: 0 }) });
+
+      const response = await fetch(`${baseURL}/polls/${first.id}/results/crosstab?with=${second.id}`);
+      expect(response.status).toBe(200);
+      const crosstab = await response.json();
+      expect(crosstab).toMatchObject({ respondents: 1, total: 1 });
+      expect(crosstab.cells.find(cell => cell.count > 0)).toEqual({ row: 'B', column: 'C', count: 1, rowPercentage: 100, columnPercentage: 100 });
+
+      const refused = await fetch(`${baseURL}/polls/${first.id}/results/crosstab?with=${secret.id}`);
+      expect(refused.status).toBe(409);
+      expect((await refused.json()).code).toBe('secret_ballot');
+      const missing = await fetch(`${baseURL}/polls/${first.id}/results/crosstab`);
+      expect(missing.status).toBe(400);
+      expect((await missing.json()).errors).toEqual([expect.objectContaining({ field: 'with' })]);
+    });
+  });
+
+  describe('Error Responses', () => {
+    it('should describe errors as RFC 7807 problem details', async () => {
+      const response = await fetch(`${baseURL}/polls/no-such-poll`);
+
+      expect(response.status).toBe(404);
+      expect(response.headers.get('content-type')).toContain('application/problem+json');
+      expect(await response.json()).toEqual({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: "Poll with ID 'no-such-poll' not found",
+        instance: '/polls/no-such-poll',
+        code: 'poll_not_found'
+      });
+    });
+
+    it('should list every invalid field of a validation error', async () => {
+      const response = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({})
+      });
+
+      expect(response.status).toBe(400);
+      const problem = await response.json();
+      expect(problem.code).toBe('validation_failed');
+      expect(problem.errors.map(error => error.field)).toEqual(['question', 'options']);
+    });
+
+    it('should name the field rejected by the service', async () => {
+      const response = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Pick one', options: ['A', 'B'], closesAt: 'someday' })
+      });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual([
+        { field: 'closesAt', message: 'closesAt must be a valid ISO 8601 timestamp' }
+      ]);
+    });
+
+    it('should report authentication, malformed bodies and unknown routes with stable codes', async () => {
+      const anonymous = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify(testPoll)
+      });
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers.get('www-authenticate')).toBe('Bearer');
+      expect((await anonymous.json()).code).toBe('authentication_required');
+
+      const malformed = await fetch(`${baseURL}/users`, {
+        method: 'POST',
+        headers: headers(),
+        body: '{"username": '
+      });
+      expect(malformed.status).toBe(400);
+      expect((await malformed.json()).code).toBe('invalid_json');
+
+      const unknownRoute = await fetch(`${baseURL}/nowhere`);
+      expect(unknownRoute.status).toBe(404);
+      expect((await unknownRoute.json()).code).toBe('route_not_found');
+    });
+  });
+
+  describe('Export', () => {
+    const owner = 'exportOwner';
+    const voter = 'exportVoter';
+    let exportPoll;
+    let rankedExportPoll;
+
+    beforeAll(async () => {
+      await signUpAndLogin(owner);
+      await signUpAndLogin(voter);
+      const createResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(owner),
+        body: JSON.stringify({ question: 'Export me', options: ['Red, White', '=1+1'], maxSelections: 2 })
+      });
+      exportPoll = await createResponse.json();
+      const rankedResponse = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(owner),
+        body: JSON.stringify({ question: 'Rank for export', options: ['A', 'B', 'C'], type: 'ranked', tallyMethod: 'borda' })
+      });
+      rankedExportPoll = await rankedResponse.json();
+
+      const vote = (username, id, body) => fetch(`${baseURL}/polls/${id}/vote`, {
+        method: 'POST',
+        headers: headers(username),
+        body: JSON.stringify(body)
+      });
+      await vote(voter, exportPoll.id, { optionIndices: [0, 1] });
+      await vote(owner, exportPoll.id, { optionIndices: [1] });
+      await vote(voter, rankedExportPoll.id, { ranking: [2, 0] });
+    });
+
+    it('should export tallies and ballots as CSV for the creator', async () => {
+      const response = await fetch(`${baseURL}/polls/${exportPoll.id}/export?format=csv`, { headers: headers(owner) });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toContain('text/csv');
+      expect(response.headers.get('content-disposition')).toBe(`attachment; filename="poll-${exportPoll.id}.csv"`);
+      const lines = (await response.text()).trim().split('\r\n');
+      const { votedAt } = await (await fetch(`${baseURL}/polls/${exportPoll.id}`)).json();
+      expect(lines).toEqual([
+        'record,pollId,question,optionIndex,option,measure,count,voter,rank,votedAt',
+        `tally,${exportPoll.id},Export me,0,"Red, White",votes,1,,,`,
+        `tally,${exportPoll.id},Export me,1,'=1+1,votes,2,,,`,
+        `ballot,${exportPoll.id},Export me,0,"Red, White",,,${voter},,${votedAt[voter]}`,
+        `ballot,${exportPoll.id},Export me,1,'=1+1,,,${voter},,${votedAt[voter]}`,
+        `ballot,${exportPoll.id},Export me,1,'=1+1,,,${owner},,${votedAt[owner]}`
+      ]);
+    });
+
+    it('should leave out the ballots for anyone but the creator', async () => {
+      const anonymous = await fetch(`${baseURL}/polls/${rankedExportPoll.id}/export?format=jsonl`);
+      expect(anonymous.status).toBe(200);
+      expect(anonymous.headers.get('content-type')).toContain('application/x-ndjson');
+      const records = (await anonymous.text()).trim().split('\n').map(line => JSON.parse(line));
+      expect(records).toEqual([
+        { record: 'tally', pollId: rankedExportPoll.id, question: 'Rank for export', optionIndex: 0, option: 'A', measure: 'points', count: 1 },
+        { record: 'tally', pollId: rankedExportPoll.id, question: 'Rank for export', optionIndex: 1, option: 'B', measure: 'points', count: 0 },
+        { record: 'tally', pollId: rankedExportPoll.id, question: 'Rank for export', optionIndex: 2, option: 'C', measure: 'points', count: 2 }
+      ]);
+
+      const asVoter = await fetch(`${baseURL}/polls/${rankedExportPoll.id}/export?format=jsonl`, { headers: headers(voter) });
+      expect((await asVoter.text()).trim().split('\n')).toHaveLength(3);
+    });
+
+    it('should export an XLSX workbook with a results and a ballots sheet', async () => {
+      const response = await fetch(`${baseURL}/polls/${rankedExportPoll.id}/export?format=xlsx`, { headers: headers(owner) });
+
+      expect(response.status).toBe(200);
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+      const rows = name => workbook.getWorksheet(name).getSheetValues().slice(1).map(row => row.slice(1));
+      expect(rows('Results')).toEqual([
+        ['pollId', 'question', 'optionIndex', 'option', 'measure', 'count'],
+        [rankedExportPoll.id, 'Rank for export', 0, 'A', 'points', 1],
+        [rankedExportPoll.id, 'Rank for export', 1, 'B', 'points', 0],
+        [rankedExportPoll.id, 'Rank for export', 2, 'C', 'points', 2]
+      ]);
+      const { votedAt } = await (await fetch(`${baseURL}/polls/${rankedExportPoll.id}`)).json();
+      expect(rows('Ballots')).toEqual([
+        ['pollId', 'question', 'voter', 'optionIndex', 'option', 'rank', 'votedAt'],
+        [rankedExportPoll.id, 'Rank for export', voter, 2, 'C', 1, votedAt[voter]],
+        [rankedExportPoll.id, 'Rank for export', voter, 0, 'A', 2, votedAt[voter]]
+      ]);
+    });
+
+    it('should export all polls of a creator at once', async () => {
+      const response = await fetch(`${baseURL}/polls/export?format=jsonl`, { headers: headers(owner) });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-disposition')).toBe(`attachment; filename="polls-${owner}.jsonl"`);
+      const records = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      expect(records.filter(record => record.record === 'tally')).toHaveLength(5);
+      expect(records.filter(record => record.record === 'ballot')).toHaveLength(5);
+      // All tallies come before the ballots
+      expect(records.findIndex(record => record.record === 'ballot')).toBe(5);
+
+      const publicExport = await fetch(`${baseURL}/polls/export?createdBy=${owner}`);
+      expect(publicExport.status).toBe(200);
+      expect((await publicExport.text()).trim().split('\r\n')).toHaveLength(6);
+    });
+
+    it('should reject unknown formats, anonymous bulk exports and unknown polls', async () => {
+      const unknownFormat = await fetch(`${baseURL}/polls/${exportPoll.id}/export?format=pdf`);
+      expect(unknownFormat.status).toBe(400);
+      expect((await unknownFormat.json()).errors).toEqual([{ field: 'format', message: 'format must be one of csv, jsonl, xlsx' }]);
+
+      const anonymous = await fetch(`${baseURL}/polls/export`);
+      expect(anonymous.status).toBe(400);
+      expect((await anonymous.json()).errors).toEqual([{ field: 'createdBy', message: expect.any(String) }]);
+
+      const unknownPoll = await fetch(`${baseURL}/polls/no-such-poll/export`);
+      expect(unknownPoll.status).toBe(404);
+      expect((await unknownPoll.json()).code).toBe('poll_not_found');
+    });
+  });
+
+  describe('Import', () => {
+    const importer = 'importOwner';
+
+    // Posts an import file with the given content type and query string
+    const importFile = (body, contentType, query = '') => fetch(`${baseURL}/polls/import${query}`, {
+      method: 'POST',
+      headers: { ...headers(importer), 'Content-Type': contentType },
+      body
+    });
+    // Counts the polls the importer has created so far
+    const countPolls = async () => (await (await fetch(`${baseURL}/polls?createdBy=${importer}`)).json()).total;
+
+    beforeAll(async () => {
+      await signUpAndLogin(importer);
+    });
+
+    it('should create the polls of a CSV file', async () => {
+      const csv = [
+        'question,option1,option2,option3,maxSelections',
+        'Favourite colour?,Red,Green,Blue,2',
+        '"Lunch, or dinner?",Lunch,Dinner,,'
+      ].join('\r\n');
+      const response = await importFile(csv, 'text/csv');
+
+      expect(response.status).toBe(201);
+      const report = await response.json();
+      expect(report).toMatchObject({ dryRun: false, partial: false, total: 2, valid: 2, invalid: 0, skipped: 0, created: 2 });
+      expect(report.rows.map(row => [row.row, row.question, row.status])).toEqual([
+        [1, 'Favourite colour?', 'created'],
+        [2, 'Lunch, or dinner?', 'created']
+      ]);
+
+      const poll = await (await fetch(`${baseURL}/polls/${report.rows[0].pollId}`)).json();
+      expect(poll).toMatchObject({ options: ['Red', 'Green', 'Blue'], maxSelections: 2, createdBy: importer });
+    });
+
+    it('should only validate the file in a dry run', async () => {
+      const polls = [{ question: 'Dry run?', options: ['Yes', 'No'] }];
+      const response = await importFile(JSON.stringify(polls), 'application/json', '?dryRun=true');
+
+      expect(response.status).toBe(200);
+      const report = await response.json();
+      expect(report).toMatchObject({ dryRun: true, valid: 1, created: 0 });
+      expect(report.rows[0]).toEqual({ row: 1, question: 'Dry run?', status: 'valid' });
+
+      expect(await countPolls()).toBe(2);
+    });
+
+    it('should import nothing when a row is invalid, unless partial mode is requested', async () => {
+      const polls = { polls: [{ question: 'Valid?', options: ['Yes', 'No'] }, { question: 'Invalid?', options: ['Only one'] }] };
+
+      const rejected = await importFile(JSON.stringify(polls), 'application/json');
+      expect(rejected.status).toBe(400);
+      const problem = await rejected.json();
+      expect(problem.code).toBe('import_invalid');
+      expect(problem.detail).toBe('1 of 2 rows are invalid; nothing was imported');
+      expect(problem.errors).toEqual([{ field: 'rows.2.options', message: expect.any(String) }]);
+      expect(await countPolls()).toBe(2);
+
+      const partial = await importFile(JSON.stringify(polls), 'application/json', '?partial=true');
+      expect(partial.status).toBe(201);
+      const report = await partial.json();
+      expect(report).toMatchObject({ partial: true, valid: 1, invalid: 1, created: 1 });
+      expect(report.rows[1]).toMatchObject({ row: 2, status: 'invalid', errors: [{ field: 'options', message: expect.any(String) }] });
+    });
+
+    it('should convert Google Forms responses and Typeform forms', async () => {
+      const googleCsv = [
+        'Timestamp,Email Address,Best season?',
+        '2026/01/01 10:00:00,a@example.com,Summer',
+        '2026/01/01 11:00:00,b@example.com,Winter',
+        '2026/01/01 12:00:00,c@example.com,Summer'
+      ].join('\n');
+      const google = await (await importFile(googleCsv, 'text/csv', '?format=google-forms&dryRun=true')).json();
+      expect(google.rows).toEqual([{ row: 1, question: 'Best season?', status: 'valid' }]);
+
+      const typeform = {
+        title: 'Survey',
+        fields: [
+          { type: 'multiple_choice', title: 'Pick toppings', properties: { allow_multiple_selection: true, choices: [{ label: 'Cheese' }, { label: 'Ham' }] } },
+          { type: 'short_text', title: 'Your name' },
+          { type: 'group', title: 'More', properties: { fields: [{ type: 'ranking', title: 'Rank these', properties: { choices: [{ label: 'A' }, { label: 'B' }] } }] } }
+        ]
+      };
+      const response = await importFile(JSON.stringify(typeform), 'application/json', '?format=typeform&partial=true');
+      expect(response.status).toBe(201);
+      const report = await response.json();
+      expect(report).toMatchObject({ total: 3, created: 2, skipped: 1 });
+      expect(report.rows[1]).toMatchObject({ row: 2, question: 'Your name', status: 'skipped' });
+
+      const ranked = await (await fetch(`${baseURL}/polls/${report.rows[2].pollId}`)).json();
+      expect(ranked).toMatchObject({ type: 'ranked', options: ['A', 'B'] });
+      const toppings = await (await fetch(`${baseURL}/polls/${report.rows[0].pollId}`)).json();
+      expect(toppings.maxSelections).toBe(2);
+    });
+
+    it('should reject anonymous imports and files that do not match the format', async () => {
+      const anonymous = await fetch(`${baseURL}/polls/import`, { method: 'POST', headers: headers(), body: '[]' });
+      expect(anonymous.status).toBe(401);
+
+      const mismatch = await importFile('question,option1\nA,B', 'text/csv', '?format=typeform');
+      expect(mismatch.status).toBe(400);
+      expect((await mismatch.json()).errors).toEqual([{ field: 'body', message: expect.any(String) }]);
+
+      const noQuestion = await importFile('title,option1\nA,B', 'text/csv');
+      expect(noQuestion.status).toBe(400);
+    });
+  });
+
+  describe('API Documentation', () => {
+    // Fails the test with Ajv's errors if a response body does not match its schema
+    const expectToMatchSchema = (body, schemaName) => {
+      const validate = getSchemaValidator(schemaName);
+      expect(validate(body) ? [] : validate.errors).toEqual([]);
+    };
+
+    it('should serve an OpenAPI document covering the user and poll routes', async () => {
+      const response = await fetch(`${baseURL}/openapi.json`);
+
+      expect(response.status).toBe(200);
+      const document = await response.json();
+      expect(document.openapi).toBe('3.1.0');
+      expect(Object.keys(document.paths)).toEqual(expect.arrayContaining([
+        '/users', '/users/{username}', '/users/{username}/polls', '/users/{username}/votes',
+        '/polls', '/polls/{id}', '/polls/{id}/close', '/polls/{id}/vote', '/polls/{id}/results'
+      ]));
+      expect(Object.keys(document.paths['/polls/{id}/vote'])).toEqual(['post', 'put', 'delete']);
+      expect(document.paths['/polls'].post.security).toEqual([{ bearerAuth: [] }]);
+
+      // Every schema reference points to a defined component
+      const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g);
+      refs.forEach(ref => expect(document.components.schemas).toHaveProperty(ref.split('/').pop()));
+    });
+
+    it('should serve the docs page and its assets locally', async () => {
+      const page = await fetch(`${baseURL}/docs`);
+      expect(page.status).toBe(200);
+      expect(page.headers.get('content-type')).toContain('text/html');
+      const html = await page.text();
+      expect(html).toContain('/openapi.json');
+      expect(html).not.toMatch(/https?:\/\//);
+
+      const bundle = await fetch(`${baseURL}/docs/swagger-ui-bundle.js`);
+      expect(bundle.status).toBe(200);
+      expect(bundle.headers.get('content-type')).toContain('javascript');
+    });
+
+    it('should send responses that match the documented schemas', async () => {
+      const login = await fetch(`${baseURL}/auth/login`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ username: testUser, password: testPassword })
+      });
+      expectToMatchSchema(await login.json(), 'Session');
+
+      const created = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Documented?', options: ['Yes', 'No'], closesAt: new Date(Date.now() + 60000).toISOString() })
+      });
+      const poll = await created.json();
+      expectToMatchSchema(poll, 'Poll');
+
+      const voted = await fetch(`${baseURL}/polls/${poll.id}/vote`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ optionIndex: 0 })
+      });
+      expectToMatchSchema(await voted.json(), 'Poll');
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls?limit=5`)).json(), 'PollPage');
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls/${poll.id}/results`)).json(), 'PollResults');
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls/${poll.id}/results/timeline`)).json(), 'ResultsTimeline');
+      const other = await (await fetch(`${baseURL}/polls`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ question: 'Crossed?', options: ['Yes', 'No'] }) })).json();
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls/${poll.id}/results/crosstab?with=${other.id}`)).json(), 'ResultsCrosstab');
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls/${poll.id}`)).json(), 'Poll');
+      const comment = await (await fetch(`${baseURL}/polls/${poll.id}/comments`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ body: 'First!' }) })).json();
+      expectToMatchSchema(comment, 'Comment');
+      await fetch(`${baseURL}/polls/${poll.id}/comments`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ body: 'Second', parentId: comment.id }) });
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls/${poll.id}/comments`)).json(), 'CommentThreadList');
+      const webhook = await (await fetch(`${baseURL}/webhooks`, { method: 'POST', headers: headers(testUser), body: JSON.stringify({ url: 'http://127.0.0.1:1/hook', events: ['poll.closed'] }) })).json();
+      expectToMatchSchema(webhook, 'CreatedWebhook');
+      expectToMatchSchema(await (await fetch(`${baseURL}/webhooks`, { headers: headers(testUser) })).json(), 'WebhookList');
+      expectToMatchSchema(await (await fetch(`${baseURL}/webhooks/${webhook.id}/deliveries`, { headers: headers(testUser) })).json(), 'WebhookDeliveryList');
+      expectToMatchSchema(await (await fetch(`${baseURL}/audit?limit=5`, { headers: headers(testUser) })).json(), 'AuditPage');
+      expectToMatchSchema(await (await fetch(`${baseURL}/users?limit=5`)).json(), 'UserPage');
+      expectToMatchSchema(await (await fetch(`${baseURL}/users/${testUser}`, { headers: headers(testUser) })).json(), 'User');
+      expectToMatchSchema(await (await fetch(`${baseURL}/polls/no-such-poll`)).json(), 'Problem');
+    });
+
+    it('should reject bodies that do not match the schema before they reach the service', async () => {
+      const response = await fetch(`${baseURL}/polls`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ question: 'Typed?', options: 'A, B', maxSelections: '2' })
+      });
+
+      expect(response.status).toBe(400);
+      const problem = await response.json();
+      expect(problem.code).toBe('validation_failed');
+      expect(problem.errors).toEqual([
+        { field: 'options', message: 'options must be array' },
+        { field: 'maxSelections', message: 'maxSelections must be integer' }
+      ]);
+    });
+
+    it('should reject a vote without a selection with code invalid_vote', async () => {
+      const response = await fetch(`${baseURL}/polls/${pollId}/vote`, {
+        method: 'POST',
+        headers: headers(testUser),
+        body: JSON.stringify({ optionIndices: ['first'] })
+      });
+
+      expect(response.status).toBe(400);
+      const problem = await response.json();
+      expect(problem.code).toBe('invalid_vote');
+      expect(problem.errors).toEqual([
+        { field: 'optionIndices.0', message: 'optionIndices.0 must be integer' }
+      ]);
+
+      const empty = await fetch(`${baseURL}/polls/${pollId}/vote`, {
+        method: 'PUT',
+        headers: headers(testUser),
+        body: JSON.stringify({})
+      });
+      expect((await empty.json()).errors).toEqual([
+        { field: 'body', message: 'one of optionIndex, optionIndices, ranking is required' }
+      ]);
+    });
+
+    it('should validate query parameters against their documented types', async () => {
+      const response = await fetch(`${baseURL}/polls?limit=ten&status=archived`);
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual([
+        { field: 'status', message: 'status must be one of scheduled, open, closed' },
+        { field: 'limit', message: 'limit must be integer' }
+      ]);
     });
   });
 });
\ No newline at end of file
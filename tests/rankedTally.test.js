@@ -0,0 +1,106 @@
+/**
+ * rankedTally.test.js
+ *
+ * Unit tests for the ranked-choice tally methods
+ */
+
+import { tallyInstantRunoff, tallyBorda, tallySchulze, tallyRankedBallots } from '../src/services/rankedTally.js';
+
+// Repeats a ballot a number of times
+const times = (count, ballot) => Array.from({ length: count }, () => [...ballot]);
+
+describe('rankedTally', () => {
+  const options = ['A', 'B', 'C'];
+
+  describe('tallyInstantRunoff', () => {
+    it('should declare a first-round majority winner', () => {
+      const tally = tallyInstantRunoff(options, [...times(3, [0, 1]), ...times(1, [1])]);
+
+      expect(tally.winners).toEqual(['A']);
+      expect(tally.rounds).toHaveLength(1);
+    });
+
+    it('should eliminate the last option and transfer its ballots', () => {
+      const ballots = [...times(4, [0]), ...times(3, [1]), ...times(2, [2, 1])];
+
+      const tally = tallyInstantRunoff(options, ballots);
+
+      expect(tally.winners).toEqual(['B']);
+      expect(tally.results).toEqual([
+        { option: 'A', votes: 4 },
+        { option: 'B', votes: 3 },
+        { option: 'C', votes: 2 }
+      ]);
+      expect(tally.rounds).toHaveLength(2);
+      expect(tally.rounds[0].eliminated).toEqual(['C']);
+      expect(tally.rounds[1].tallies).toEqual([
+        { option: 'A', votes: 4 },
+        { option: 'B', votes: 5 }
+      ]);
+    });
+
+    it('should count exhausted partial ballots', () => {
+      const ballots = [...times(2, [0]), ...times(2, [1]), ...times(1, [2])];
+
+      const tally = tallyInstantRunoff(options, ballots);
+
+      expect(tally.rounds[0].eliminated).toEqual(['C']);
+      expect(tally.exhaustedBallots).toBe(1);
+      expect(tally.winners).toEqual(['A', 'B']);
+    });
+
+    it('should return no winner without ballots', () => {
+      const tally = tallyInstantRunoff(options, []);
+
+      expect(tally.winners).toEqual([]);
+      expect(tally.rounds).toEqual([]);
+    });
+  });
+
+  describe('tallyBorda', () => {
+    it('should award n - 1 - position points per ballot', () => {
+      const tally = tallyBorda(options, [[0, 1, 2], [0, 1, 2], [1, 2]]);
+
+      expect(tally.results).toEqual([
+        { option: 'A', points: 4 },
+        { option: 'B', points: 4 },
+        { option: 'C', points: 1 }
+      ]);
+      expect(tally.winners).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('tallySchulze', () => {
+    it('should find the Condorcet winner', () => {
+      const tally = tallySchulze(options, [...times(3, [0, 1, 2]), ...times(2, [1, 0, 2])]);
+
+      expect(tally.condorcetWinner).toBe('A');
+      expect(tally.winners).toEqual(['A']);
+      expect(tally.pairwise[0][1]).toBe(3);
+      expect(tally.pairwise[1][0]).toBe(2);
+    });
+
+    it('should resolve a preference cycle by strongest paths', () => {
+      const ballots = [...times(3, [0, 1, 2]), ...times(2, [1, 2, 0]), ...times(2, [2, 0, 1])];
+
+      const tally = tallySchulze(options, ballots);
+
+      expect(tally.condorcetWinner).toBeNull();
+      expect(tally.winners).toEqual(['A']);
+      expect(tally.results.map(result => result.wins)).toEqual([2, 1, 0]);
+    });
+
+    it('should rank ranked options above unranked ones', () => {
+      const tally = tallySchulze(options, [[2]]);
+
+      expect(tally.pairwise[2]).toEqual([1, 1, 0]);
+      expect(tally.winners).toEqual(['C']);
+    });
+  });
+
+  describe('tallyRankedBallots', () => {
+    it('should reject an unknown method', () => {
+      expect(() => tallyRankedBallots('plurality', options, [])).toThrow('Invalid tally method');
+    });
+  });
+});
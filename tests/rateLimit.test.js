@@ -0,0 +1,158 @@
+/**
+ * rateLimit.test.js
+ *
+ * Unit tests for the rate limiting middleware and the in-memory counter store,
+ * served by a small Express app
+ */
+
+import express from 'express';
+import fetch from 'node-fetch';
+import { createRateLimit, parseRateLimits, DEFAULT_RATE_LIMITS } from '../src/middleware/rateLimit.js';
+import { problemDetailsHandler } from '../src/middleware/problemDetails.js';
+import { MemoryRateLimitStore } from '../src/storage/MemoryRateLimitStore.js';
+import { RateLimitStore } from '../src/storage/RateLimitStore.js';
+import { importCost } from '../src/routes/importRoutes.js';
+
+describe('Rate limiting', () => {
+  let server;
+  let baseURL;
+  let store;
+  // The limiter of each route, replaced by the tests
+  let limiter;
+
+  // An app with one limited route; `X-Test-User` stands in for an authenticated user
+  beforeAll(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      if (req.get('X-Test-User')) req.user = { username: req.get('X-Test-User') };
+      next();
+    });
+    app.post('/limited', (req, res, next) => limiter(req, res, next), (req, res) => res.status(201).json({ ok: true }));
+    app.use(problemDetailsHandler);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    store = new MemoryRateLimitStore();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (username, headers = {}) => fetch(`${baseURL}/limited`, { method: 'POST', headers: username ? { ...headers, 'X-Test-User': username } : headers });
+
+  describe('createRateLimit', () => {
+    it('should describe the budget in the headers and reject requests over it with 429', async () => {
+      limiter = createRateLimit('voting', { windowMs: 60_000, perIp: 2, perUser: null }, store);
+
+      const first = await post();
+      expect(first.status).toBe(201);
+      expect(first.headers.get('ratelimit-limit')).toBe('2');
+      expect(first.headers.get('ratelimit-remaining')).toBe('1');
+      expect(Number(first.headers.get('ratelimit-reset'))).toBeGreaterThan(0);
+      expect(first.headers.get('ratelimit-policy')).toBe('2;w=60');
+      expect((await post()).headers.get('ratelimit-remaining')).toBe('0');
+
+      const rejected = await post();
+      expect(rejected.status).toBe(429);
+      expect(Number(rejected.headers.get('retry-after'))).toBeGreaterThanOrEqual(1);
+      expect(rejected.headers.get('content-type')).toMatch(/^application\/problem\+json/);
+      expect(await rejected.json()).toMatchObject({ status: 429, title: 'Too Many Requests', code: 'rate_limited' });
+    });
+
+    it('should give every user a budget of their own', async () => {
+      limiter = createRateLimit('pollCreation', { windowMs: 60_000, perIp: 100, perUser: 1 }, store);
+
+      expect((await post('alice')).status).toBe(201);
+      expect((await post('alice')).status).toBe(429);
+      const bob = await post('bob');
+      expect(bob.status).toBe(201);
+      // The tighter of the two counters is reported
+      expect(bob.headers.get('ratelimit-limit')).toBe('1');
+      expect((await post()).status).toBe(201);
+    });
+
+    it('should start over once the window has passed', async () => {
+      limiter = createRateLimit('voting', { windowMs: 50, perIp: 1, perUser: null }, store);
+
+      expect((await post()).status).toBe(201);
+      expect((await post()).status).toBe(429);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect((await post()).status).toBe(201);
+    });
+
+    it('should charge each request its cost', async () => {
+      limiter = createRateLimit('pollCreation', { windowMs: 60_000, perIp: 100, perUser: 5 }, store, { cost: req => Number(req.get('X-Test-Cost') ?? 1) });
+
+      const imported = await post('alice', { 'X-Test-Cost': '3' });
+      expect(imported.status).toBe(201);
+      expect(imported.headers.get('ratelimit-remaining')).toBe('2');
+      // An import of more polls than are left is rejected as a whole
+      expect((await post('alice', { 'X-Test-Cost': '3' })).status).toBe(429);
+      expect((await post('bob', { 'X-Test-Cost': '5' })).status).toBe(201);
+      expect((await post('bob')).status).toBe(429);
+    });
+
+    it('should charge an import for every poll of its file, and a dry run once', () => {
+      const rows = [{ question: 'A?' }, { question: 'B?' }, { question: 'C?' }];
+      expect(importCost({ query: {}, importRows: rows })).toBe(3);
+      expect(importCost({ query: { dryRun: 'true' }, importRows: rows })).toBe(1);
+    });
+
+    it('should let requests through when the store fails', async () => {
+      class FailingStore extends RateLimitStore {}
+      limiter = createRateLimit('voting', { windowMs: 60_000, perIp: 1, perUser: null }, new FailingStore());
+
+      const response = await post();
+      expect(response.status).toBe(201);
+      expect(response.headers.has('ratelimit-limit')).toBe(false);
+    });
+
+    it('should require a budget and a store', () => {
+      expect(() => createRateLimit('voting', { windowMs: 0, perIp: 1, perUser: 1 }, store)).toThrow('windowMs');
+      expect(() => createRateLimit('voting', DEFAULT_RATE_LIMITS.voting, {})).toThrow('store');
+    });
+  });
+
+  describe('parseRateLimits', () => {
+    it('should override the defaults field by field', () => {
+      expect(parseRateLimits(undefined)).toEqual(DEFAULT_RATE_LIMITS);
+      expect(parseRateLimits('{"voting":{"perUser":20},"userCreation":{"perIp":null}}')).toEqual({
+        ...DEFAULT_RATE_LIMITS,
+        voting: { ...DEFAULT_RATE_LIMITS.voting, perUser: 20 },
+        userCreation: { ...DEFAULT_RATE_LIMITS.userCreation, perIp: null }
+      });
+    });
+
+    it('should reject invalid configurations', () => {
+      expect(() => parseRateLimits('{voting}')).toThrow('Invalid rate limit configuration');
+      expect(() => parseRateLimits('{"commenting":{"perIp":1}}')).toThrow("unknown budget 'commenting'");
+      expect(() => parseRateLimits('{"voting":{"perHour":1}}')).toThrow("unknown field 'voting.perHour'");
+      expect(() => parseRateLimits('{"voting":{"perIp":0}}')).toThrow('positive integer');
+      expect(() => parseRateLimits('{"voting":{"windowMs":null}}')).toThrow('positive integer');
+    });
+  });
+
+  describe('MemoryRateLimitStore', () => {
+    it('should count per key within the window', async () => {
+      const first = await store.increment('a', 60_000);
+      expect(await store.increment('a', 60_000)).toEqual({ count: 2, resetAt: first.resetAt });
+      expect((await store.increment('b', 60_000)).count).toBe(1);
+      expect((await store.increment('b', 60_000, 4)).count).toBe(5);
+
+      await store.reset('a');
+      expect((await store.increment('a', 60_000)).count).toBe(1);
+    });
+
+    it('should drop counters whose window has passed', async () => {
+      await store.increment('stale', 1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      store.nextSweepAt = 0;
+      await store.increment('fresh', 60_000);
+
+      expect([...store.counters.keys()]).toEqual(['fresh']);
+    });
+  });
+});